@@ -1,13 +1,23 @@
 Module.register('MMM-Webuntis', {
   _cacheVersion: '2.0.2',
 
-  _demoPluginIds: ['grid', 'lessons', 'exams', 'homework', 'absences', 'messagesofday'],
+  _maxDateOffsetDays: 365, // bound for WEBUNTIS_SET_DATE_OFFSET
+
+  _deltaTransportVersion: 1, // DATA_UPDATE delta protocol understood by this frontend (see lib/deltaTransport.js)
+
+  _maxPluginFailures: 3, // consecutive render failures before a plugin is disabled until the next MODULE_READY
+
+  // First-party plugin ids: the demo registry, legacy displayMode tokens, per-widget config sections and
+  // displayMode validation all derive from this list, so a new built-in plugin is registered in one place.
+  _builtInPluginIds: ['grid', 'nownext', 'lessons', 'daysummary', 'exams', 'homework', 'absences', 'grades', 'holidays', 'messagesofday'],
 
   defaults: {
     // === GLOBAL OPTIONS ===
     header: 'MMM-Webuntis', // displayed as module title in MagicMirror
     updateInterval: 5 * 60 * 1000, // fetch interval in milliseconds (default: 5 minutes)
+    timetableFullSyncInterval: 60 * 60 * 1000, // re-download past timetable days this often; in between only today onward (0 = always full)
     backgroundRefresh: true, // keep refreshing while hidden (e.g. under MMM-Carousel)
+    deltaUpdates: true, // backend sends only changed collections on refresh (false = full payload every time)
     quietHours: null, // optional window without polling, e.g. { from: '22:00', to: '06:00' }
     timezone: 'Europe/Berlin', // timezone for date calculations
 
@@ -22,11 +32,60 @@ Module.register('MMM-Webuntis', {
 
     // === DISPLAY OPTIONS ===
     // Comma-separated list of widgets to render (top-to-bottom).
-    // Supported widgets: grid, lessons, exams, homework, absences, messagesofday
+    // Supported widgets: grid, nownext, lessons, daysummary, exams, homework, absences, grades, holidays, messagesofday
     displayMode: 'lessons, exams', // Legacy widget activation string.
     mode: 'verbose', // 'verbose' (per-student sections) or 'compact' (combined view)
     useClassTimetable: false, // Prefer class timetable endpoints when available.
 
+    // === CALENDAR EXPORT ===
+    // Per-student ICS feeds served by the node_helper (see docs/CALENDAR_EXPORT.md).
+    calendarExport: {
+      enabled: false, // opt-in: feeds are served without authentication
+      lessons: true, // serve lessons.ics (cancelled lessons are excluded)
+      exams: true, // serve exams.ics
+      homework: true, // serve homework.ics (VTODO with completion state)
+      includeIcalAliases: true, // also answer on lessons.ical / exams.ical / homework.ical
+      caldav: true, // read-only CalDAV at /MMM-Webuntis/caldav/ (plus /.well-known/caldav)
+    },
+
+    // === REST API ===
+    // Token-protected JSON views of the last fetched data (see docs/REST_API.md).
+    restApi: {
+      enabled: false, // opt-in
+      token: '', // required: sent as `Authorization: Bearer <token>`
+    },
+
+    // === MQTT ===
+    // Per-student state topics plus Home Assistant discovery (see docs/MQTT.md).
+    mqtt: {
+      enabled: false, // opt-in
+      url: 'mqtt://localhost:1883', // mqtt:// or mqtts:// broker URL
+      username: '',
+      password: '',
+      topicPrefix: 'mmm-webuntis', // state topics: <topicPrefix>/<student>/<sensor>
+      discovery: true, // publish retained Home Assistant discovery configs
+      discoveryPrefix: 'homeassistant',
+    },
+
+    // === WEBHOOKS ===
+    // POST detected changes (cancellations, substitutions, new exams, ...) to URLs (see docs/WEBHOOKS.md).
+    // Example target: { url: 'https://ntfy.sh/my-topic', format: 'text', events: ['lessonCancelled'], students: ['Alice'] }
+    webhooks: [],
+
+    // === MODULE NOTIFICATIONS ===
+    // sendNotification() broadcasts for other modules (see docs/NOTIFICATIONS.md).
+    broadcast: {
+      enabled: true, // WEBUNTIS_DATA_UPDATED, WEBUNTIS_LESSON_CANCELLED, WEBUNTIS_EXAM_UPCOMING, ...
+      examDaysAhead: 7, // announce exams up to this many days ahead via WEBUNTIS_EXAM_UPCOMING
+    },
+
+    // === OFFLINE CACHE ===
+    // Last good data per student in ./payload_cache/, shown as "offline data" right after a restart (see docs/OFFLINE_CACHE.md).
+    offlineCache: {
+      enabled: true,
+      maxAgeHours: 168, // older snapshots are not shown
+    },
+
     // === AUTHENTICATION ===
     // username: 'your username', // WebUntis username (leave empty if using studentId/qrcode)
     // password: 'your password', // WebUntis password (leave empty if using studentId/qrcode)
@@ -56,6 +115,8 @@ Module.register('MMM-Webuntis', {
     // Canonical configuration uses plugins.<pluginId>.{enabled,config}.
     // Per-student overrides can be provided via students[].plugins.<pluginId>.config.
     plugins: {},
+    // Extra plugin directories and npm package names (see docs/PLUGINS.md#third-party-plugins).
+    pluginPaths: [],
   },
 
   /**
@@ -180,6 +241,7 @@ Module.register('MMM-Webuntis', {
       this.file('lib/runtime-utils.js'),
       this.file('lib/pluginHostFrontend.js'),
       this.file('lib/frontendShared.js'),
+      this.file('lib/moduleNotifications.js'),
     ];
 
     return scripts;
@@ -222,7 +284,8 @@ Module.register('MMM-Webuntis', {
     }
 
     const translated = replacements ? this.translate(key, replacements) : this.translate(key);
-    return translated && translated !== key ? translated : fallback || key;
+    if (translated && translated !== key) return translated;
+    return fallback ? this._applyTranslationReplacements(fallback, replacements) : key;
   },
 
   _getPluginTranslationLoadOrder() {
@@ -253,7 +316,7 @@ Module.register('MMM-Webuntis', {
     const languages = this._getPluginTranslationLoadOrder();
     for (const language of languages) {
       const relativePath = `${pluginRoot}/translations/${language}.json`;
-      const url = this.file(relativePath);
+      const url = this._resolvePluginAssetUrl(relativePath);
 
       try {
         const response = await fetch(url, { cache: 'no-store' });
@@ -309,6 +372,8 @@ Module.register('MMM-Webuntis', {
       if (!pluginId) return;
       this._pluginRegistryById.set(pluginId, entry);
     });
+    const activePluginIds = new Set(entries.filter((entry) => entry?.active === true).map((entry) => String(entry.id).trim()));
+    this._destroyFrontendPluginInstances(activePluginIds);
   },
 
   _getPluginRegistryEntry(pluginId) {
@@ -335,6 +400,31 @@ Module.register('MMM-Webuntis', {
     return this._getPluginRegistryEntry(pluginId)?.active === true;
   },
 
+  /**
+   * Slots a plugin renders into; plugins without a registry entry or slot list render in `main`.
+   *
+   * @param {string} pluginId - Plugin id
+   * @returns {string[]} Slot names from the plugin manifest
+   */
+  _getPluginSlots(pluginId) {
+    const slots = this._getPluginRegistryEntry(pluginId)?.slots;
+    return Array.isArray(slots) && slots.length > 0 ? slots : ['main'];
+  },
+
+  /**
+   * Active plugins of a layout slot other than `main`, in manifest order.
+   * The `main` slot follows displayMode instead (_getDisplayWidgets()).
+   *
+   * @param {string} slot - Slot name (header, footer, overlay, studentHeader)
+   * @returns {string[]} Plugin ids
+   */
+  _getSlotPluginIds(slot) {
+    return Array.from(this._pluginRegistryById?.values() || [])
+      .filter((entry) => entry?.active === true && Array.isArray(entry.slots) && entry.slots.includes(slot))
+      .sort((left, right) => Number(left.order || 1000) - Number(right.order || 1000) || String(left.id).localeCompare(String(right.id)))
+      .map((entry) => String(entry.id));
+  },
+
   _hasWidget(name) {
     const normalizedName = String(name || '')
       .trim()
@@ -343,6 +433,17 @@ Module.register('MMM-Webuntis', {
     return this._getDisplayWidgets().includes(normalizedName);
   },
 
+  /**
+   * Resolve a plugin asset path from the registry to a URL.
+   * Plugins from pluginPaths come with absolute URLs served by node_helper; built-in ones live in the module folder.
+   *
+   * @param {string} assetPath - Registry asset path
+   * @returns {string} Asset URL
+   */
+  _resolvePluginAssetUrl(assetPath) {
+    return String(assetPath).startsWith('/') ? assetPath : this.file(assetPath);
+  },
+
   _ensurePluginAssetState(pluginId) {
     if (!this._pluginAssetStateById) {
       this._pluginAssetStateById = new Map();
@@ -362,7 +463,7 @@ Module.register('MMM-Webuntis', {
   _loadPluginStyles(pluginEntry) {
     const styles = Array.isArray(pluginEntry?.entry?.styles) ? pluginEntry.entry.styles : [];
     styles.forEach((stylePath) => {
-      const href = this.file(stylePath);
+      const href = this._resolvePluginAssetUrl(stylePath);
       if (document.querySelector(`link[data-wu-plugin-style="${href}"]`)) return;
       const link = document.createElement('link');
       link.rel = 'stylesheet';
@@ -380,7 +481,7 @@ Module.register('MMM-Webuntis', {
         return;
       }
 
-      const src = this.file(scriptPath);
+      const src = this._resolvePluginAssetUrl(scriptPath);
       const existing = document.querySelector(`script[data-wu-plugin-script="${src}"]`);
       if (existing) {
         if (existing.dataset.wuPluginLoaded === 'true') {
@@ -465,11 +566,13 @@ Module.register('MMM-Webuntis', {
         exams: this.examsByStudent?.[studentTitle] || [],
         homework: this.homeworksByStudent?.[studentTitle] || [],
         absences: this.absencesByStudent?.[studentTitle] || [],
+        grades: this.gradesByStudent?.[studentTitle] || [],
         messages: this.messagesOfDayByStudent?.[studentTitle] || [],
         holidays: {
           ranges: this.holidaysByStudent?.[studentTitle] || [],
         },
         dayNotices: this.dayNoticesByStudent?.[studentTitle] || [],
+        derived: this.derivedByStudent?.[studentTitle] || {},
       },
       state: {
         warnings: this.runtimeWarningsByStudent?.[studentTitle] ? Array.from(this.runtimeWarningsByStudent[studentTitle]) : [],
@@ -516,7 +619,19 @@ Module.register('MMM-Webuntis', {
     };
   },
 
-  _renderFrontendPluginWidget(pluginId, studentTitles = []) {
+  /**
+   * Render a frontend plugin widget.
+   *
+   * Plugins that implement `update(prevElement, renderContext)` receive their mounted element
+   * on in-place updates and may patch it instead of rendering from scratch.
+   *
+   * @param {string} pluginId - Plugin id
+   * @param {string[]} studentTitles - Sorted student titles
+   * @param {HTMLElement|null} mountedElement - Currently mounted plugin element, only set by _patchMountedDom()
+   * @param {string} [slot='main'] - Slot the element is rendered for, passed on as `renderContext.slot`
+   * @returns {HTMLElement|null} Plugin element (may be `mountedElement` itself)
+   */
+  _renderFrontendPluginWidget(pluginId, studentTitles = [], mountedElement = null, slot = 'main') {
     const pluginEntry = this._getPluginRegistryEntry(pluginId);
     if (pluginEntry?.active !== true) return null;
 
@@ -540,21 +655,134 @@ Module.register('MMM-Webuntis', {
       this._frontendPluginInstancesById = new Map();
     }
 
-    let pluginInstance = this._frontendPluginInstancesById.get(pluginId);
-    if (!pluginInstance) {
-      pluginInstance = pluginHost.createFrontendPluginInstance(pluginId, this._createFrontendPluginContext(pluginEntry));
-      this._frontendPluginInstancesById.set(pluginId, pluginInstance);
+    let record = this._frontendPluginInstancesById.get(pluginId);
+    if (record?.disabled) return this._buildPluginFailurePlaceholder(pluginId, record, slot);
+
+    try {
+      if (!record?.instance) {
+        const instance = pluginHost.createFrontendPluginInstance(pluginId, this._createFrontendPluginContext(pluginEntry));
+        record = { instance, failures: record?.failures || 0, disabled: false, lastError: record?.lastError || null };
+        this._frontendPluginInstancesById.set(pluginId, record);
+        // onHidden() ran before this instance existed.
+        if (this.hidden) pluginHost.callLifecycleHook?.(pluginId, instance, 'onSuspend');
+      }
+
+      const renderContext = {
+        moduleId: this.identifier,
+        slot,
+        mode: this.config?.mode || 'verbose',
+        students: this._buildPluginStudentRuntimeSlices(studentTitles),
+        warnings: this._getRuntimeWarnings(),
+        runtime: {},
+      };
+
+      const pluginInstance = record.instance;
+      const element =
+        mountedElement && typeof pluginInstance?.update === 'function'
+          ? pluginInstance.update(mountedElement, renderContext)
+          : typeof pluginInstance?.render === 'function'
+            ? pluginInstance.render(renderContext)
+            : null;
+      record.failures = 0;
+      return element;
+    } catch (error) {
+      return this._handlePluginRenderFailure(pluginId, error, slot);
     }
+  },
 
-    const renderContext = {
-      moduleId: this.identifier,
-      mode: this.config?.mode || 'verbose',
-      students: this._buildPluginStudentRuntimeSlices(studentTitles),
-      warnings: this._getRuntimeWarnings(),
-      runtime: {},
+  /**
+   * Record a failed plugin render (or instance creation).
+   *
+   * The instance is destroyed and recreated on the next render; after `_maxPluginFailures` failures in a
+   * row the plugin stays disabled until the next plugin registry (MODULE_READY). Every failure is reported
+   * to node_helper with PLUGIN_ERROR, so it also shows up in the server log of a headless mirror.
+   *
+   * @param {string} pluginId - Plugin id
+   * @param {Error} error - Render error
+   * @param {string} slot - Slot that was rendered
+   * @returns {HTMLElement} Placeholder shown instead of the plugin
+   */
+  _handlePluginRenderFailure(pluginId, error, slot) {
+    const previous = this._frontendPluginInstancesById.get(pluginId);
+    if (previous?.instance) {
+      try {
+        this._getPluginHost()?.callLifecycleHook?.(pluginId, previous.instance, 'destroy');
+      } catch (destroyError) {
+        this._log('warn', `[plugin:${pluginId}] destroy() failed: ${destroyError?.message || String(destroyError)}`);
+      }
+    }
+
+    const failures = (previous?.failures || 0) + 1;
+    const disabled = failures >= this._maxPluginFailures;
+    const message = String(error?.message || error || 'Unknown error');
+    const record = {
+      instance: null,
+      failures,
+      disabled,
+      lastError: { message: message.length > 80 ? `${message.slice(0, 79)}…` : message, digest: this._getErrorDigest(error) },
     };
+    this._frontendPluginInstancesById.set(pluginId, record);
 
-    return typeof pluginInstance?.render === 'function' ? pluginInstance.render(renderContext) : null;
+    this._log(
+      'error',
+      `[plugin:${pluginId}] ${slot} render failed (${record.lastError.digest}, ${failures} in a row)${disabled ? '; plugin disabled' : ''}: ${message}`
+    );
+    this.transport?.sendRequest('PLUGIN_ERROR', {
+      sessionId: this._sessionId,
+      pluginId,
+      slot,
+      failures,
+      disabled,
+      digest: record.lastError.digest,
+      message: record.lastError.message,
+    });
+    return this._buildPluginFailurePlaceholder(pluginId, record, slot);
+  },
+
+  /**
+   * Short, stable id of an error (message and first stack frame), shown on screen and in the server log
+   * so a placeholder on the mirror can be matched with its log line.
+   *
+   * @param {Error} error - Render error
+   * @returns {string} Digest such as `#3fa91c`
+   */
+  _getErrorDigest(error) {
+    const firstFrame =
+      String(error?.stack || '')
+        .split('\n')
+        .find((line) => line.trim().startsWith('at ')) || '';
+    const text = `${error?.name || 'Error'}: ${error?.message || String(error)} ${firstFrame.trim()}`;
+    // FNV-1a, 32 bit
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index += 1) {
+      hash ^= text.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `#${hash.toString(16).padStart(8, '0').slice(0, 6)}`;
+  },
+
+  /**
+   * Placeholder for a failed or disabled plugin, naming the plugin and the error digest.
+   *
+   * @param {string} pluginId - Plugin id
+   * @param {Object} record - Failure record from `_frontendPluginInstancesById`
+   * @param {string} slot - Slot that was rendered (inline element for `studentHeader`)
+   * @returns {HTMLElement} Placeholder element
+   */
+  _buildPluginFailurePlaceholder(pluginId, record, slot) {
+    const placeholder = document.createElement(slot === 'studentHeader' ? 'span' : 'div');
+    placeholder.className = 'wu-widget__error widget-error wu-plugin-failure dimmed';
+    placeholder.setAttribute('data-wu-plugin-failure', record.lastError?.digest || '');
+    const replacements = {
+      plugin: pluginId,
+      failures: record.failures,
+      digest: record.lastError?.digest || '',
+      message: record.lastError?.message || '',
+    };
+    placeholder.textContent = record.disabled
+      ? this.translate('plugin_disabled', replacements)
+      : this.translate('plugin_render_error', replacements);
+    return placeholder;
   },
 
   /**
@@ -599,7 +827,7 @@ Module.register('MMM-Webuntis', {
       this.config?.plugins && typeof this.config.plugins === 'object' && !Array.isArray(this.config.plugins) ? this.config.plugins : {};
 
     const entries = await Promise.all(
-      this._demoPluginIds.map(async (pluginId) => {
+      this._builtInPluginIds.map(async (pluginId) => {
         const response = await fetch(this.file(`plugins/${pluginId}/manifest.json`), { cache: 'no-store' });
         if (!response.ok) {
           throw new Error(`Failed to load demo plugin manifest for "${pluginId}" (${response.status}).`);
@@ -617,6 +845,7 @@ Module.register('MMM-Webuntis', {
           configNamespace: manifest.configNamespace || manifest.id,
           aliases,
           capabilities: Array.isArray(manifest.capabilities) ? manifest.capabilities : [],
+          slots: Array.isArray(manifest.slots) && manifest.slots.length > 0 ? manifest.slots : ['main'],
           active,
           entry: {
             frontend: `plugins/${pluginId}/${manifest.entry.frontend}`,
@@ -674,6 +903,7 @@ Module.register('MMM-Webuntis', {
         exams: 200,
         homework: 200,
         absences: 200,
+        grades: 200,
         messagesOfDay: 200,
       };
       const fetchDefaults = {
@@ -682,6 +912,7 @@ Module.register('MMM-Webuntis', {
         fetchExams: true,
         fetchHomeworks: true,
         fetchAbsences: true,
+        fetchGrades: true,
         fetchMessagesOfDay: true,
       };
 
@@ -727,6 +958,14 @@ Module.register('MMM-Webuntis', {
    * @returns {string[]} Array of enabled widget names (lowercase, canonical form)
    */
   _getDisplayWidgets() {
+    if (this._displayModeOverride) {
+      // WEBUNTIS_SET_DISPLAY_MODE can only pick from plugins that are active (and fetched) for this instance.
+      const overrideTokens = this._getLegacyDisplayTokens({ displayMode: this._displayModeOverride });
+      const overrideWidgets = this._resolveActivePluginsForTokens(overrideTokens);
+      if (overrideWidgets.length > 0) return overrideWidgets;
+      this._log('warn', `[CONTROL] displayMode "${this._displayModeOverride}" matches no active plugin; using config`);
+    }
+
     const displayTokens = this._getLegacyDisplayTokens(this.config || {});
     const explicitPlugins =
       this.config?.plugins && typeof this.config.plugins === 'object' && !Array.isArray(this.config.plugins) ? this.config.plugins : {};
@@ -741,28 +980,7 @@ Module.register('MMM-Webuntis', {
     }
 
     if (this._pluginRegistryById && this._pluginRegistryById.size > 0 && displayTokens.length > 0) {
-      const pluginEntries = Array.from(this._pluginRegistryById.values()).filter((entry) => entry?.active === true);
-      const enabledFromDisplayMode = [];
-
-      for (const token of displayTokens) {
-        const matches = pluginEntries
-          .filter((entry) => {
-            const aliases = Array.isArray(entry?.aliases) && entry.aliases.length > 0 ? entry.aliases : [entry?.id];
-            return aliases.includes(token);
-          })
-          .sort((left, right) => {
-            const orderDelta = Number(left?.order || 1000) - Number(right?.order || 1000);
-            if (orderDelta !== 0) return orderDelta;
-            return String(left?.id || '').localeCompare(String(right?.id || ''));
-          });
-
-        for (const match of matches) {
-          const pluginId = String(match?.id || '');
-          if (!pluginId || enabledFromDisplayMode.includes(pluginId)) continue;
-          enabledFromDisplayMode.push(pluginId);
-        }
-      }
-
+      const enabledFromDisplayMode = this._resolveActivePluginsForTokens(displayTokens);
       if (enabledFromDisplayMode.length > 0) return enabledFromDisplayMode;
     }
 
@@ -789,13 +1007,46 @@ Module.register('MMM-Webuntis', {
         if (!enabled.includes('exams')) enabled.push('exams');
         continue;
       }
-      if (['grid', 'lessons', 'exams', 'homework', 'absences', 'messagesofday'].includes(token) && !enabled.includes(token)) {
+      if (this._builtInPluginIds.includes(token) && !enabled.includes(token)) {
         enabled.push(token);
       }
     }
     return enabled.length > 0 ? enabled : ['lessons', 'exams'];
   },
 
+  /**
+   * Map displayMode tokens to active plugin ids via the plugin registry aliases.
+   *
+   * @param {string[]} displayTokens - Tokens from _getLegacyDisplayTokens()
+   * @returns {string[]} Active plugin ids in token order (empty without registry)
+   */
+  _resolveActivePluginsForTokens(displayTokens) {
+    if (!this._pluginRegistryById || this._pluginRegistryById.size === 0) return [];
+    const pluginEntries = Array.from(this._pluginRegistryById.values()).filter((entry) => entry?.active === true);
+    const enabled = [];
+
+    for (const token of displayTokens) {
+      const matches = pluginEntries
+        .filter((entry) => {
+          const aliases = Array.isArray(entry?.aliases) && entry.aliases.length > 0 ? entry.aliases : [entry?.id];
+          return aliases.includes(token);
+        })
+        .sort((left, right) => {
+          const orderDelta = Number(left?.order || 1000) - Number(right?.order || 1000);
+          if (orderDelta !== 0) return orderDelta;
+          return String(left?.id || '').localeCompare(String(right?.id || ''));
+        });
+
+      for (const match of matches) {
+        const pluginId = String(match?.id || '');
+        if (!pluginId || enabled.includes(pluginId)) continue;
+        enabled.push(pluginId);
+      }
+    }
+
+    return enabled;
+  },
+
   /**
    * Simple log helper to control verbosity from the module config
    * Respects the configured logLevel (none, error, warn, info, debug)
@@ -836,7 +1087,10 @@ Module.register('MMM-Webuntis', {
 
   _getSortedStudentTitles() {
     if (!this.timetableByStudent || typeof this.timetableByStudent !== 'object') return [];
-    return Object.keys(this.timetableByStudent).sort();
+    const titles = Object.keys(this.timetableByStudent).sort();
+    // WEBUNTIS_SHOW_STUDENT filter; an unknown title falls back to all students instead of an empty module.
+    if (this._studentFilter && titles.includes(this._studentFilter)) return [this._studentFilter];
+    return titles;
   },
 
   /**
@@ -855,6 +1109,18 @@ Module.register('MMM-Webuntis', {
     return this._getWidgetApi()?.util?.buildDayNoticeMap(dayNotices) || {};
   },
 
+  /**
+   * Shift a YYYYMMDD day by whole days.
+   *
+   * @param {number} ymd - Day as YYYYMMDD
+   * @param {number} days - Offset in days (may be negative)
+   * @returns {string} Shifted day as YYYY-MM-DD
+   */
+  _shiftIsoDate(ymd, days) {
+    const shifted = new Date(Date.UTC(Math.floor(ymd / 10000), Math.floor((ymd % 10000) / 100) - 1, (ymd % 100) + days));
+    return shifted.toISOString().slice(0, 10);
+  },
+
   /**
    * Build configuration object to send to backend
    * Backend performs normalization/default handling for nested widget configs
@@ -863,7 +1129,6 @@ Module.register('MMM-Webuntis', {
    */
   _buildSendConfig() {
     const rawStudents = Array.isArray(this.config.students) ? this.config.students : [];
-    const widgetKeys = ['lessons', 'grid', 'exams', 'homework', 'absences', 'messagesofday'];
     const explicitPlugins =
       this.config?.plugins && typeof this.config.plugins === 'object' && !Array.isArray(this.config.plugins)
         ? this.config.plugins
@@ -877,11 +1142,18 @@ Module.register('MMM-Webuntis', {
       sessionId: this._sessionId,
     };
 
+    const dateOffsetDays = Number(this._dateOffsetDays) || 0;
+    if (dateOffsetDays !== 0) {
+      sendConfig.debugDate = this._shiftIsoDate(this.getCurrentDateContext().ymd, dateOffsetDays);
+    }
+
     if (explicitPlugins) {
       sendConfig.plugins = explicitPlugins;
     }
 
-    widgetKeys.forEach((widget) => {
+    sendConfig.deltaTransport = this.config.deltaUpdates === false ? 0 : this._deltaTransportVersion;
+
+    this._builtInPluginIds.forEach((widget) => {
       sendConfig[widget] = {
         ...(this.defaults?.[widget] || {}),
         ...(this.config?.[widget] || {}),
@@ -908,7 +1180,7 @@ Module.register('MMM-Webuntis', {
   _validateAndWarnConfig(config) {
     const warnings = [];
 
-    const validWidgets = ['list', 'grid', 'lessons', 'exams', 'homework', 'absences', 'messagesofday'];
+    const validWidgets = ['list', ...this._builtInPluginIds];
     if (config.displayMode && typeof config.displayMode === 'string') {
       const widgets = config.displayMode
         .split(',')
@@ -1136,6 +1408,7 @@ Module.register('MMM-Webuntis', {
       { enabled: fetchFlags.exams, status: apiStatus.exams },
       { enabled: fetchFlags.homework, status: apiStatus.homework },
       { enabled: fetchFlags.absences, status: apiStatus.absences },
+      { enabled: fetchFlags.grades, status: apiStatus.grades },
       { enabled: fetchFlags.messages, status: apiStatus.messages },
     ];
 
@@ -1211,6 +1484,8 @@ Module.register('MMM-Webuntis', {
       homeworks: 'homework',
       absence: 'absences',
       absences: 'absences',
+      grade: 'grades',
+      grades: 'grades',
       message: 'messages',
       messages: 'messages',
       messagesofday: 'messages',
@@ -1226,6 +1501,7 @@ Module.register('MMM-Webuntis', {
       { enabled: fetchFlags.exams, status: apiStatus.exams },
       { enabled: fetchFlags.homework, status: apiStatus.homework },
       { enabled: fetchFlags.absences, status: apiStatus.absences },
+      { enabled: fetchFlags.grades, status: apiStatus.grades },
       { enabled: fetchFlags.messages, status: apiStatus.messages },
     ].filter((entry) => entry.enabled === true);
 
@@ -1303,32 +1579,61 @@ Module.register('MMM-Webuntis', {
   },
 
   /**
-   * Build the widget renderer map used by getDom().
+   * Render a plugin into a container of the module DOM.
+   *
+   * Plugin elements are keyed `plugin:<id>` so the DOM patcher can match them across renders.
+   *
+   * @param {HTMLElement} container - Module wrapper or slot element to append to
+   * @param {string} pluginId - Plugin id
+   * @param {string} widgetLabel - Label used in logs and error messages
+   * @param {Object} options - Render options
+   * @param {string[]} options.studentTitles - Sorted student titles
+   * @param {Function} options.appendWidgetError - Shared widget error renderer
+   * @param {HTMLElement|null} [options.mountedContainer] - Mounted counterpart of `container` during in-place updates
+   * @param {string} [options.slot='main'] - Slot the plugin is rendered for
+   * @returns {number} 1 when an element was appended, otherwise 0
+   */
+  _appendPluginWidget(container, pluginId, widgetLabel, { studentTitles, appendWidgetError, mountedContainer = null, slot = 'main' }) {
+    if (!this._isPluginActive(pluginId)) {
+      this._log('warn', `[plugins] ${pluginId} is not active; skipping ${widgetLabel} render path.`);
+      return 0;
+    }
+    try {
+      const domKey = `plugin:${pluginId}`;
+      const mountedElement =
+        Array.from(mountedContainer?.children || []).find((child) => child.getAttribute('data-wu-key') === domKey) || null;
+      let pluginElement = this._renderFrontendPluginWidget(pluginId, studentTitles, mountedElement, slot);
+      if (pluginElement) {
+        if (slot === 'main') this._appendStudentHeaderSlots(pluginElement);
+        if (pluginElement === mountedElement) {
+          // update() patched the mounted element itself: a keep marker leaves it in place.
+          pluginElement = mountedElement.cloneNode(false);
+          pluginElement.setAttribute('data-wu-keep', '1');
+        }
+        pluginElement.setAttribute('data-wu-key', domKey);
+        container.appendChild(pluginElement);
+        return 1;
+      }
+    } catch (error) {
+      appendWidgetError(widgetLabel, error, container);
+    }
+    return 0;
+  },
+
+  /**
+   * Build the widget renderer map used by getDom() for the `main` slot.
    *
    * @param {HTMLElement} wrapper - Module wrapper element.
    * @param {string[]} studentTitles - Sorted student titles.
    * @param {Function} appendWidgetError - Shared widget error renderer.
+   * @param {HTMLElement|null} [mountedRoot] - Mounted module wrapper during in-place updates.
    * @returns {Object<string, Function>} Widget render functions by display key.
    */
-  _createWidgetRenderers(wrapper, studentTitles, appendWidgetError) {
-    const renderPluginWidget = (pluginId, widgetLabel) => {
-      if (!this._isPluginActive(pluginId)) {
-        this._log('warn', `[plugins] ${pluginId} is not active; skipping ${widgetLabel} render path.`);
-        return 0;
-      }
-      try {
-        const pluginElement = this._renderFrontendPluginWidget(pluginId, studentTitles);
-        if (pluginElement) {
-          wrapper.appendChild(pluginElement);
-          return 1;
-        }
-      } catch (error) {
-        appendWidgetError(widgetLabel, error);
-      }
-      return 0;
-    };
+  _createWidgetRenderers(wrapper, studentTitles, appendWidgetError, mountedRoot = null) {
+    const renderPluginWidget = (pluginId, widgetLabel) =>
+      this._appendPluginWidget(wrapper, pluginId, widgetLabel, { studentTitles, appendWidgetError, mountedContainer: mountedRoot });
 
-    return {
+    const renderers = {
       grid: () => renderPluginWidget('grid', 'Grid'),
       lessons: () => renderPluginWidget('lessons', 'Lessons'),
       exams: () => renderPluginWidget('exams', 'Exams'),
@@ -1336,6 +1641,78 @@ Module.register('MMM-Webuntis', {
       absences: () => renderPluginWidget('absences', 'Absences'),
       messagesofday: () => renderPluginWidget('messagesofday', 'Messages of Day'),
     };
+    // Plugins from pluginPaths and first-party plugins without a legacy label.
+    for (const [pluginId, entry] of this._pluginRegistryById || []) {
+      if (!renderers[pluginId]) renderers[pluginId] = () => renderPluginWidget(pluginId, entry?.title || pluginId);
+    }
+    return renderers;
+  },
+
+  /**
+   * Render the `header`, `footer`, or `overlay` slot.
+   *
+   * @param {string} slot - Slot name
+   * @param {string[]} studentTitles - Sorted student titles
+   * @param {Function} appendWidgetError - Shared widget error renderer
+   * @param {HTMLElement|null} [mountedRoot] - Mounted module wrapper during in-place updates
+   * @returns {HTMLElement|null} Slot element, or null when no plugin rendered into it
+   */
+  _renderPluginSlot(slot, studentTitles, appendWidgetError, mountedRoot = null) {
+    const pluginIds = this._getSlotPluginIds(slot);
+    if (pluginIds.length === 0) return null;
+
+    const domKey = `slot:${slot}`;
+    const slotElement = document.createElement('div');
+    slotElement.className = `wu-slot wu-slot--${slot}`;
+    slotElement.setAttribute('data-wu-key', domKey);
+    const mountedContainer = Array.from(mountedRoot?.children || []).find((child) => child.getAttribute('data-wu-key') === domKey) || null;
+    for (const pluginId of pluginIds) {
+      const widgetLabel = this._getPluginRegistryEntry(pluginId)?.title || pluginId;
+      this._appendPluginWidget(slotElement, pluginId, widgetLabel, { studentTitles, appendWidgetError, mountedContainer, slot });
+    }
+    return slotElement.childNodes.length > 0 ? slotElement : null;
+  },
+
+  /**
+   * Render the `studentHeader` slot beside every student title of a `main` plugin element.
+   *
+   * Student titles are the header rows the shared `dom.addHeader()` marks with `data-wu-student`
+   * (verbose mode). Each plugin renders once per title with only that student in `renderContext.students`.
+   * Content from an earlier render is replaced, so this also works on elements patched by update().
+   *
+   * @param {HTMLElement} pluginElement - Rendered `main` plugin element
+   */
+  _appendStudentHeaderSlots(pluginElement) {
+    const pluginIds = this._getSlotPluginIds('studentHeader');
+    const headers = [];
+    const collectHeaders = (element) => {
+      for (const child of Array.from(element?.children || [])) {
+        if (child.hasAttribute('data-wu-student')) headers.push(child);
+        else collectHeaders(child);
+      }
+    };
+    collectHeaders(pluginElement);
+
+    for (const header of headers) {
+      for (const child of Array.from(header.children)) {
+        if (child.getAttribute('data-wu-slot') === 'studentHeader') header.removeChild(child);
+      }
+      if (pluginIds.length === 0) continue;
+
+      const studentTitle = header.getAttribute('data-wu-student');
+      const slotElement = document.createElement('span');
+      slotElement.className = 'wu-slot wu-slot--studentHeader';
+      slotElement.setAttribute('data-wu-slot', 'studentHeader');
+      for (const pluginId of pluginIds) {
+        try {
+          const element = this._renderFrontendPluginWidget(pluginId, [studentTitle], null, 'studentHeader');
+          if (element) slotElement.appendChild(element);
+        } catch (error) {
+          this._log('error', `[plugins] ${pluginId} failed to render beside the title of ${studentTitle}: ${error.message}`);
+        }
+      }
+      if (slotElement.childNodes.length > 0) header.appendChild(slotElement);
+    }
   },
 
   /**
@@ -1403,7 +1780,9 @@ Module.register('MMM-Webuntis', {
     this.periodNamesByStudent = {};
     this.homeworksByStudent = {};
     this.absencesByStudent = {};
+    this.gradesByStudent = {};
     this.messagesOfDayByStudent = {};
+    this.derivedByStudent = {}; // title -> data.derived (backend deriveData() output by plugin ID)
     this.holidaysByStudent = {};
     this.holidayMapByStudent = {};
     this.dayNoticeMapByStudent = {};
@@ -1414,9 +1793,17 @@ Module.register('MMM-Webuntis', {
     this.runtimeWarningsByStudent = {};
     this._runtimeWarningStreakByStudent = {};
     this._runtimeWarningsLogged = new Set();
+    this._broadcastStateByStudent = {};
+    this._staleDataSinceByStudent = {}; // title -> generatedAt of a replayed offline snapshot
+    this._freshDataStudents = new Set(); // titles that received live data since start
+    this._deltaRevisionByStudent = {}; // title -> delta revision of the last applied DATA_UPDATE
+    this._deltaResyncPending = false; // at most one full resync request per fetch cycle
+    this._studentFilter = null;
+    this._displayModeOverride = null;
+    this._dateOffsetDays = 0;
     this._pluginRegistryById = new Map();
     this._pluginAssetStateById = new Map();
-    this._frontendPluginInstancesById = new Map();
+    this._frontendPluginInstancesById = new Map(); // pluginId -> { instance, failures, disabled, lastError }
 
     this._initialized = false;
     this._initRequested = false;
@@ -1479,11 +1866,10 @@ Module.register('MMM-Webuntis', {
       onDayChange: ({ previous, current }) => {
         this._log('debug', `[lifecycle] Day change detected: ${previous} -> ${current}`);
         this._handleClockDrivenDayRollover();
+        this._callFrontendPluginHook('onDayRollover');
       },
-      onVisible: () => this._startNowLineUpdater(),
-      onHidden: () => {
-        this._stopNowLineUpdater();
-      },
+      onVisible: () => this._callFrontendPluginHook('onResume'),
+      onHidden: () => this._callFrontendPluginHook('onSuspend'),
       onSessionState: ({ state, reason }) => this.transport.sendRequest('SESSION_STATE', { sessionId: this._sessionId, state, reason }),
       onFetch: ({ reason }) => this._sendFetchData(reason),
       deferredInit: {
@@ -1496,23 +1882,42 @@ Module.register('MMM-Webuntis', {
   },
 
   /**
-   * Start the now line updater for grid view
-   * The now line shows current time position in the grid widget
-   * Only starts if showNowLine config is not explicitly disabled
+   * Call an optional lifecycle hook on every created frontend plugin instance.
+   * A failing hook is logged and never keeps the other plugins from being called.
+   *
+   * @param {string} hookName - Hook name, see FRONTEND_LIFECYCLE_HOOKS in lib/pluginHostFrontend.js
+   * @param {...*} args - Hook arguments
    */
-  _startNowLineUpdater() {
-    if (this.config?.grid?.showNowLine === false) return;
-    const fn = this._getWidgetApi()?.grid?.startNowLineUpdater;
-    if (typeof fn === 'function') fn(this);
+  _callFrontendPluginHook(hookName, ...args) {
+    const pluginHost = this._getPluginHost();
+    if (typeof pluginHost?.callLifecycleHook !== 'function') return;
+    for (const [pluginId, { instance }] of this._frontendPluginInstancesById || []) {
+      if (!instance) continue;
+      try {
+        pluginHost.callLifecycleHook(pluginId, instance, hookName, ...args);
+      } catch (error) {
+        this._log('warn', `[plugin:${pluginId}] ${hookName}() failed: ${error?.message || String(error)}`);
+      }
+    }
   },
 
   /**
-   * Stop the now line updater for grid view
-   * Called during suspend() to stop unnecessary timer updates
+   * Destroy frontend plugin instances whose plugin is no longer active.
+   * Failure records without an instance are dropped too, so disabled plugins get another chance.
+   *
+   * @param {Set<string>} [activePluginIds] - Plugins whose instances are kept; omit to destroy all
    */
-  _stopNowLineUpdater() {
-    const fn = this._getWidgetApi()?.grid?.stopNowLineUpdater;
-    if (typeof fn === 'function') fn(this);
+  _destroyFrontendPluginInstances(activePluginIds = new Set()) {
+    for (const [pluginId, { instance }] of Array.from(this._frontendPluginInstancesById || [])) {
+      if (activePluginIds.has(pluginId) && instance) continue;
+      this._frontendPluginInstancesById.delete(pluginId);
+      if (!instance) continue;
+      try {
+        this._getPluginHost()?.callLifecycleHook?.(pluginId, instance, 'destroy');
+      } catch (error) {
+        this._log('warn', `[plugin:${pluginId}] destroy() failed: ${error?.message || String(error)}`);
+      }
+    }
   },
 
   /**
@@ -1585,7 +1990,7 @@ Module.register('MMM-Webuntis', {
    * Only sends if module is initialized (prevents fetch before init)
    * Stores pending resume request if called during initialization
    *
-   * @param {string} reason - Reason for fetch ('manual', 'periodic', 'resume')
+   * @param {string} reason - Reason for fetch ('manual', 'periodic', 'resume', 'notification', 'date-offset')
    */
   _sendFetchData(reason = 'manual') {
     if (this._isDemoModeEnabled()) {
@@ -1600,12 +2005,56 @@ Module.register('MMM-Webuntis', {
       return;
     }
 
+    this._deltaResyncPending = false;
     this.transport.sendRequest('REFRESH', {
       ...this._buildSendConfig(),
       reason,
+      // WEBUNTIS_REFRESH asks for current data, so the backend skips its shared result cache.
+      ...(reason === 'notification' ? { force: true } : {}),
+    });
+  },
+
+  /**
+   * Ask the backend for complete payloads after a delta could not be applied.
+   *
+   * @param {string} reason - Log reason
+   */
+  _requestFullResync(reason) {
+    if (this._deltaResyncPending || !this._initialized) return;
+    this._deltaResyncPending = true;
+    this._log('warn', `[DATA_UPDATE] Requesting full resync: ${reason}`);
+    this.transport.sendRequest('REFRESH', {
+      ...this._buildSendConfig(),
+      reason: 'delta-resync',
+      fullResync: true,
     });
   },
 
+  /**
+   * Check a delta payload against the revision held for the student (see lib/deltaTransport.js).
+   * A delta on top of a revision this frontend never applied is dropped and triggers a full resync.
+   *
+   * @param {string} title - Student title
+   * @param {Object} payload - DATA_UPDATE payload
+   * @returns {boolean} True when the payload can be applied
+   */
+  _acceptDeltaPayload(title, payload) {
+    const delta = payload?.delta;
+    if (!delta) return true;
+
+    if (Number(delta.version) !== this._deltaTransportVersion) {
+      this._log('warn', `[DATA_UPDATE] Ignored unsupported delta version=${delta.version}`);
+      return false;
+    }
+    if (delta.baseRevision !== null && delta.baseRevision !== this._deltaRevisionByStudent[title]) {
+      this._requestFullResync(`${title} expected revision ${delta.baseRevision}, holding ${this._deltaRevisionByStudent[title] ?? 'none'}`);
+      return false;
+    }
+
+    this._deltaRevisionByStudent[title] = delta.revision;
+    return true;
+  },
+
   suspend() {
     this.lifecycle.suspend();
   },
@@ -1614,10 +2063,77 @@ Module.register('MMM-Webuntis', {
     this.lifecycle.resume();
   },
 
+  /**
+   * Update the module content.
+   *
+   * Once the module is mounted, the fresh render is patched into the mounted DOM, so unchanged
+   * rows, scroll positions, and open popovers survive a data update. MagicMirror's own
+   * updateDom() replaces the whole content and stays the fallback for the first render.
+   *
+   * Both paths keep core's contract: the returned Promise resolves once the DOM is updated, and
+   * MODULE_DOM_UPDATED follows. A patch has no content swap to fade, so speed and animate options
+   * only apply to the fallback; the patch path logs that it skipped them.
+   *
+   * @param {number|Object} [updateOptions] - Speed or MagicMirror update options
+   * @returns {Promise<void>} Resolves after the update
+   */
+  updateDom(updateOptions) {
+    if (!this._patchMountedDom()) return this._super(updateOptions);
+    if (this._requestsAnimatedUpdate(updateOptions)) {
+      this._log('debug', 'updateDom(): patched in place, speed/animate options skipped');
+    }
+    this.notificationReceived('MODULE_DOM_UPDATED', null, this);
+    return Promise.resolve();
+  },
+
+  /**
+   * Whether updateDom() options ask for a fade or an animation.
+   *
+   * @param {number|Object} [updateOptions] - Speed or `{ options: { speed, animate: { in, out } } }`
+   * @returns {boolean} True for a positive speed or an animation name
+   */
+  _requestsAnimatedUpdate(updateOptions) {
+    const options = updateOptions && typeof updateOptions === 'object' ? updateOptions.options : null;
+    const speed = options ? options.speed : updateOptions;
+    return Number(speed) > 0 || Boolean(options?.animate?.in || options?.animate?.out);
+  },
+
+  /**
+   * Patch the mounted module content towards a fresh render.
+   *
+   * @returns {boolean} True when the mounted DOM was patched
+   */
+  _patchMountedDom() {
+    const pluginHost = this._getPluginHost();
+    if (typeof pluginHost?.patchDom !== 'function' || typeof document === 'undefined') return false;
+    const moduleContent = document.getElementById(this.identifier)?.querySelector('.module-content');
+    const mountedRoot = Array.from(moduleContent?.children || []).find((child) => child.classList.contains('MMM-Webuntis'));
+    if (!mountedRoot) return false;
+
+    try {
+      const patchedRoot = pluginHost.patchDom(mountedRoot, this._buildDom(mountedRoot));
+      if (patchedRoot !== mountedRoot) mountedRoot.replaceWith(patchedRoot);
+      return true;
+    } catch (error) {
+      this._log('warn', `In-place DOM update failed, falling back to a full render: ${error.message}`);
+      return false;
+    }
+  },
+
   getDom() {
+    return this._buildDom();
+  },
+
+  /**
+   * Build the module content.
+   *
+   * @param {HTMLElement|null} [mountedRoot] - Mounted module wrapper, handed to plugin update() hooks
+   * @returns {HTMLElement} Module wrapper element
+   */
+  _buildDom(mountedRoot = null) {
     const wrapper = document.createElement('div');
     wrapper.className = 'MMM-Webuntis';
-    const widgets = this._getDisplayWidgets();
+    const widgets = this._getDisplayWidgets().filter((widget) => this._getPluginSlots(widget).includes('main'));
     let renderedWidgetCount = 0;
     const withWarningIcon = (element, text) => {
       const icon = document.createElement('span');
@@ -1635,12 +2151,12 @@ Module.register('MMM-Webuntis', {
 
     const sortedStudentTitles = this._getSortedStudentTitles();
 
-    const appendWidgetError = (widgetLabel, error) => {
+    const appendWidgetError = (widgetLabel, error, container = wrapper) => {
       this._log('error', `Failed to render ${widgetLabel.toLowerCase()} widget: ${error.message}`);
       const errorDiv = document.createElement('div');
       errorDiv.className = 'wu-widget__error widget-error dimmed';
       withWarningIcon(errorDiv, this.translate('widget_render_error', { widget: widgetLabel }));
-      wrapper.appendChild(errorDiv);
+      container.appendChild(errorDiv);
     };
 
     if (this.moduleWarningsSet && this.moduleWarningsSet.size > 0) {
@@ -1675,7 +2191,13 @@ Module.register('MMM-Webuntis', {
       wrapper.appendChild(runtimeContainer);
     }
 
-    const widgetRenderers = this._createWidgetRenderers(wrapper, sortedStudentTitles, appendWidgetError);
+    const staleNotice = this._buildStaleDataNotice(sortedStudentTitles);
+    if (staleNotice) wrapper.appendChild(staleNotice);
+
+    const headerSlot = this._renderPluginSlot('header', sortedStudentTitles, appendWidgetError, mountedRoot);
+    if (headerSlot) wrapper.appendChild(headerSlot);
+
+    const widgetRenderers = this._createWidgetRenderers(wrapper, sortedStudentTitles, appendWidgetError, mountedRoot);
 
     for (const widget of widgets) {
       const renderWidget = widgetRenderers[widget];
@@ -1688,10 +2210,20 @@ Module.register('MMM-Webuntis', {
 
     appendEmptyState();
 
+    for (const slot of ['footer', 'overlay']) {
+      const slotElement = this._renderPluginSlot(slot, sortedStudentTitles, appendWidgetError, mountedRoot);
+      if (slotElement) wrapper.appendChild(slotElement);
+    }
+
     return wrapper;
   },
 
-  notificationReceived(notification) {
+  notificationReceived(notification, payload) {
+    if (typeof notification === 'string' && notification.startsWith('WEBUNTIS_')) {
+      this._handleControlNotification(notification, payload);
+      return;
+    }
+
     if (notification === 'DOM_OBJECTS_CREATED') {
       if (this.config.__legacyUsed && this.config.__legacyUsed.length > 0) {
         this._log('warn', `⚠️ DEPRECATED CONFIG DETECTED: ${this.config.__legacyUsed.join(', ')}`);
@@ -1706,6 +2238,73 @@ Module.register('MMM-Webuntis', {
     }
   },
 
+  /**
+   * Check whether a control notification from another module addresses this instance.
+   * Without `identifier` every MMM-Webuntis instance reacts; otherwise it must match (string or array).
+   *
+   * @param {Object} payload - Notification payload
+   * @returns {boolean} True if this instance should handle the notification
+   */
+  _isControlNotificationTarget(payload) {
+    const target = payload?.identifier;
+    if (target === undefined || target === null || target === '') return true;
+    const identifiers = Array.isArray(target) ? target : [target];
+    return identifiers.map(String).includes(String(this.identifier));
+  },
+
+  /**
+   * Handle WEBUNTIS_* control notifications sent by other modules (buttons, voice commands, remote control).
+   * Our own broadcasts share the prefix and are ignored by the switch default.
+   *
+   * @param {string} notification - Notification name
+   * @param {Object} payload - Notification payload
+   */
+  _handleControlNotification(notification, payload) {
+    const CONTROL_NOTIFICATIONS = ['WEBUNTIS_REFRESH', 'WEBUNTIS_SHOW_STUDENT', 'WEBUNTIS_SET_DISPLAY_MODE', 'WEBUNTIS_SET_DATE_OFFSET'];
+    if (!CONTROL_NOTIFICATIONS.includes(notification)) return;
+    if (!this._isControlNotificationTarget(payload)) return;
+
+    this._log('debug', `[CONTROL] ${notification} ${JSON.stringify(payload ?? null)}`);
+
+    switch (notification) {
+      case 'WEBUNTIS_REFRESH':
+        this._sendFetchData('notification');
+        break;
+
+      case 'WEBUNTIS_SHOW_STUDENT': {
+        const student = typeof payload?.student === 'string' ? payload.student.trim() : '';
+        this._studentFilter = student || null;
+        this.lifecycle.render();
+        break;
+      }
+
+      case 'WEBUNTIS_SET_DISPLAY_MODE': {
+        const displayMode = typeof payload?.displayMode === 'string' ? payload.displayMode.trim() : '';
+        this._displayModeOverride = displayMode || null;
+        this.lifecycle.render();
+        break;
+      }
+
+      case 'WEBUNTIS_SET_DATE_OFFSET': {
+        const current = Number(this._dateOffsetDays) || 0;
+        const requested = payload?.delta !== undefined ? current + Number(payload.delta) : Number(payload?.days ?? 0);
+        if (!Number.isFinite(requested)) {
+          this._log('warn', `[CONTROL] ${notification}: expected numeric "days" or "delta"`);
+          break;
+        }
+        const nextOffset = Math.max(-this._maxDateOffsetDays, Math.min(this._maxDateOffsetDays, Math.trunc(requested)));
+        if (nextOffset === current) break;
+        this._dateOffsetDays = nextOffset;
+        // The offset travels to the backend as a session debugDate, so fetch ranges move with the view.
+        this._sendFetchData('date-offset');
+        break;
+      }
+
+      default:
+        break;
+    }
+  },
+
   socketNotificationReceived(notification, payload) {
     if (notification !== this.notifications.EVENT) return;
     if (!this._isValidTargetInstance(payload)) return;
@@ -1830,22 +2429,148 @@ Module.register('MMM-Webuntis', {
       return;
     }
 
-    this._log('debug', `[DATA_UPDATE] Received for student=${title}, sessionId=${payload?.sessionId}`);
-    this._lastDataReceivedAt = Date.now();
-    this.lifecycle.markDataReceived(this._lastDataReceivedAt);
+    // Offline snapshots replayed on CONFIGURE must never replace data from a live fetch.
+    const isStaleReplay = payload?.meta?.stale === true;
+    if (isStaleReplay && this._freshDataStudents.has(title)) {
+      this._log('debug', `[DATA_UPDATE] Ignoring stale replay for ${title}: live data already received`);
+      return;
+    }
+
+    if (!this._acceptDeltaPayload(title, payload)) return;
+
+    this._log('debug', `[DATA_UPDATE] Received for student=${title}, sessionId=${payload?.sessionId}, stale=${isStaleReplay}`);
+    if (!isStaleReplay) {
+      this._lastDataReceivedAt = Date.now();
+      this.lifecycle.markDataReceived(this._lastDataReceivedAt);
+    }
     this.configByStudent[title] = payload?.context?.config || {};
 
     this._syncDebugDate(this.configByStudent[title]);
     const dataChanged = this._processPayloadData(title, payload);
     const warningsChanged = this._processGotDataWarnings(title, payload);
+    const staleChanged = this._updateStaleDataState(title, payload, isStaleReplay);
+    if (!isStaleReplay) {
+      this._broadcastStudentNotifications(title, payload, dataChanged);
+    }
+    this._callFrontendPluginHook('onDataUpdate', title, payload);
 
-    if (dataChanged || warningsChanged) {
+    if (dataChanged || warningsChanged || staleChanged) {
       this.lifecycle.render();
     } else {
       this._log('debug', `[DATA_UPDATE] Skipping DOM update for ${title}: no effective data/warning changes`);
     }
   },
 
+  /**
+   * Broadcast WEBUNTIS_* notifications to other modules for one processed student update.
+   * Payloads are derived from the per-student maps filled by _processPayloadData(),
+   * so stale-but-preserved data during outages is announced like any other data.
+   *
+   * @param {string} title - Student title
+   * @param {Object} payload - V3 DATA_UPDATE payload
+   * @param {boolean} dataChanged - Result of _processPayloadData()
+   */
+  _broadcastStudentNotifications(title, payload, dataChanged) {
+    const notificationsApi = globalThis.MMMWebuntisModuleNotifications;
+    if (!notificationsApi || typeof this.sendNotification !== 'function') return;
+
+    const broadcastConfig = notificationsApi.resolveBroadcastConfig(this.config);
+    if (!broadcastConfig.enabled) return;
+
+    if (!this._broadcastStateByStudent[title]) {
+      this._broadcastStateByStudent[title] = notificationsApi.createBroadcastState();
+    }
+    const fetchFlags = payload?.state?.fetch || {};
+    const notifications = notificationsApi.deriveStudentNotifications(
+      {
+        identifier: this.identifier,
+        student: { id: payload?.context?.student?.id ?? null, title },
+        // Not _currentTodayYmd: a WEBUNTIS_SET_DATE_OFFSET view must not move "tomorrow" for alarm modules.
+        todayYmd: this.getCurrentDateContext().ymd,
+        data: {
+          lessons: this.timetableByStudent[title],
+          exams: this.examsByStudent[title],
+          homework: this.homeworksByStudent[title],
+          absences: this.absencesByStudent[title],
+          messages: this.messagesOfDayByStudent[title],
+        },
+        fetched: { lessons: fetchFlags.timetable === true, exams: fetchFlags.exams === true },
+        changed: dataChanged,
+        generatedAt: payload?.meta?.generatedAt || null,
+        broadcastConfig,
+      },
+      this._broadcastStateByStudent[title]
+    );
+
+    notifications.forEach(({ notification, payload: notificationPayload }) => {
+      this._log('debug', `[NOTIFY] ${notification} for ${title}`);
+      this.sendNotification(notification, notificationPayload);
+    });
+  },
+
+  /**
+   * Track whether a student shows a replayed offline snapshot.
+   *
+   * A replay marks the student stale. A live payload clears the mark unless it reports an outage:
+   * then _shouldPreserveData() keeps the replayed collections, which are still stale.
+   *
+   * @param {string} title - Student title
+   * @param {Object} payload - V3 DATA_UPDATE payload
+   * @param {boolean} isStaleReplay - Whether the payload is a replay (`meta.stale`)
+   * @returns {boolean} True if the stale mark changed
+   */
+  _updateStaleDataState(title, payload, isStaleReplay) {
+    const previous = this._staleDataSinceByStudent[title] || null;
+    const warnings = Array.isArray(payload?.state?.warnings) ? payload.state.warnings : [];
+    const warningMeta = Array.isArray(payload?.state?.warningMeta) ? payload.state.warningMeta : [];
+
+    if (isStaleReplay) {
+      this._staleDataSinceByStudent[title] = payload?.meta?.generatedAt || payload?.meta?.savedAt || null;
+    } else if (
+      !this._hasCriticalApiStatus(payload?.state?.api || {}, payload?.state?.fetch || {}) &&
+      !this._hasCriticalWarningMeta(warnings, warningMeta) &&
+      !this._hasNetworkTextFallback(warnings, warningMeta)
+    ) {
+      delete this._staleDataSinceByStudent[title];
+      this._freshDataStudents.add(title);
+    }
+
+    return (this._staleDataSinceByStudent[title] || null) !== previous;
+  },
+
+  /**
+   * Build the "offline data" notice for the displayed students, using the oldest snapshot time.
+   *
+   * @param {string[]} studentTitles - Displayed student titles
+   * @returns {HTMLElement|null} Notice element, or null when all data is live
+   */
+  _buildStaleDataNotice(studentTitles) {
+    const staleSince = studentTitles
+      .map((title) => this._staleDataSinceByStudent?.[title])
+      .filter(Boolean)
+      .sort((a, b) => Date.parse(a) - Date.parse(b))[0];
+    if (!staleSince) return null;
+
+    let time = String(staleSince);
+    const date = new Date(staleSince);
+    if (!Number.isNaN(date.getTime())) {
+      const options = { weekday: 'short', hour: '2-digit', minute: '2-digit' };
+      try {
+        time = date.toLocaleString(this.config.language || undefined, { ...options, timeZone: this.config.timezone || undefined });
+      } catch {
+        time = date.toLocaleString(undefined, options);
+      }
+    }
+
+    const notice = document.createElement('div');
+    notice.className = 'mmm-webuntis-warning stale small';
+    const icon = document.createElement('span');
+    icon.className = 'wu-inline-icon wu-inline-icon--warning';
+    icon.setAttribute('aria-hidden', 'true');
+    notice.replaceChildren(icon, document.createTextNode(` ${this.translate('stale_data', { time })}`));
+    return notice;
+  },
+
   _syncDebugDate(cfg) {
     this._log('debug', `[DATA_UPDATE] Before filter: _currentTodayYmd=${this._currentTodayYmd}, cfg.debugDate=${cfg?.debugDate}`);
     const debugDateContext = this.getCurrentDateContext(cfg || {});
@@ -1853,6 +2578,10 @@ Module.register('MMM-Webuntis', {
       this._log('debug', `[DATA_UPDATE] Using debugDate="${debugDateContext.isoDate}" from backend`);
       this._currentTodayYmd = debugDateContext.ymd;
       this._log('debug', `[DATA_UPDATE] Updated _currentTodayYmd=${debugDateContext.ymd} (before timetable filtering)`);
+    } else if (this._currentTodayYmd !== debugDateContext.ymd) {
+      // Back on the live clock, e.g. after WEBUNTIS_SET_DATE_OFFSET returned to 0.
+      this._currentTodayYmd = debugDateContext.ymd;
+      this._log('debug', `[DATA_UPDATE] No debugDate in cfg, reset _currentTodayYmd=${this._currentTodayYmd}`);
     } else {
       this._log('debug', `[DATA_UPDATE] No debugDate in cfg, keeping _currentTodayYmd=${this._currentTodayYmd}`);
     }
@@ -1860,6 +2589,8 @@ Module.register('MMM-Webuntis', {
 
   _processPayloadData(title, payload) {
     let dataChanged = false;
+    // Collections omitted by delta transport keep their current state (see _acceptDeltaPayload()).
+    const unchanged = new Set(Array.isArray(payload?.delta?.unchanged) ? payload.delta.unchanged : []);
     const apiStatus = payload?.state?.api || {};
     const fetchFlags = payload?.state?.fetch || {};
     const warningsList = Array.isArray(payload?.state?.warnings) ? payload.state.warnings : [];
@@ -1881,6 +2612,7 @@ Module.register('MMM-Webuntis', {
     }
 
     if (
+      !unchanged.has('timeUnits') &&
       !this._shouldPreserveData(
         timeUnits,
         this.timeUnitsByStudent[title] || [],
@@ -1904,6 +2636,7 @@ Module.register('MMM-Webuntis', {
 
     const rawLessons = Array.isArray(payload?.data?.lessons) ? payload.data.lessons : [];
     if (
+      !unchanged.has('lessons') &&
       !this._shouldPreserveData(
         rawLessons,
         this.timetableByStudent[title] || [],
@@ -1925,6 +2658,7 @@ Module.register('MMM-Webuntis', {
 
     const dayNotices = Array.isArray(payload?.data?.dayNotices) ? payload.data.dayNotices : [];
     if (
+      !unchanged.has('dayNotices') &&
       !this._shouldPreserveData(
         dayNotices,
         this.dayNoticesByStudent[title] || [],
@@ -1969,6 +2703,13 @@ Module.register('MMM-Webuntis', {
         flag: fetchFlags.absences,
         status: apiStatus.absences,
       },
+      {
+        key: 'grades',
+        source: payload?.data?.grades,
+        target: this.gradesByStudent,
+        flag: fetchFlags.grades,
+        status: apiStatus.grades,
+      },
       {
         key: 'messages',
         source: payload?.data?.messages,
@@ -1978,9 +2719,10 @@ Module.register('MMM-Webuntis', {
       },
     ];
 
-    dataMaps.forEach(({ source, target, flag, status }) => {
+    dataMaps.forEach(({ key, source, target, flag, status }) => {
       const parsedArray = Array.isArray(source) ? source : [];
       if (
+        !unchanged.has(key) &&
         !this._shouldPreserveData(parsedArray, target[title] || [], flag ?? true, status, warningsList, warningMeta, apiStatus, fetchFlags)
       ) {
         target[title] = parsedArray;
@@ -1988,8 +2730,16 @@ Module.register('MMM-Webuntis', {
       }
     });
 
+    // Error payloads carry no `derived` object; the last derived data stays until the next successful fetch.
+    const derived = payload?.data?.derived;
+    if (!unchanged.has('derived') && derived && typeof derived === 'object' && !Array.isArray(derived)) {
+      this.derivedByStudent[title] = derived;
+      dataChanged = true;
+    }
+
     const holidays = Array.isArray(payload?.data?.holidays?.ranges) ? payload.data.holidays.ranges : [];
     if (
+      !unchanged.has('holidays') &&
       !this._shouldPreserveData(
         holidays,
         this.holidaysByStudent[title] || [],
@@ -2019,6 +2769,7 @@ Module.register('MMM-Webuntis', {
         exams: this.examsByStudent[title] || [],
         homework: this.homeworksByStudent[title] || [],
         absences: this.absencesByStudent[title] || [],
+        grades: this.gradesByStudent[title] || [],
         messages: this.messagesOfDayByStudent[title] || [],
       },
       apiStatus: payload?.state?.api || {},
@@ -5,7 +5,7 @@
  *
  * For detailed option documentation, see:
  * - MMM-Webuntis.js (module-level defaults)
- * - plugin backend.js files under plugins/ (plugin-local defaults)
+ * - plugin config.schema.json files under plugins/ (plugin options and defaults)
  * - the GitHub wiki (installation, configuration, plugins, troubleshooting)
  */
 const config = {
@@ -33,6 +33,7 @@ const config = {
         // === GLOBAL OPTIONS ===
         header: 'Timetable', // optional header text
         updateInterval: 5 * 60 * 1000, // fetch interval in milliseconds (default: 5 minutes)
+        timetableFullSyncInterval: 60 * 60 * 1000, // re-download past timetable days this often; in between only today onward (0 = always full)
 
         // === DEBUG OPTIONS ===
         logLevel: 'none', // 'none', 'error', 'warn', 'info', 'debug'
@@ -45,10 +46,71 @@ const config = {
         timezone: 'Europe/Berlin', // timezone for date calculations (important for schools outside UTC)
 
         // === DISPLAY OPTIONS ===
-        displayMode: 'lessons, exams', // comma-separated list: lessons, exams, grid, homework, absences, messagesofday
+        displayMode: 'lessons, exams', // comma-separated list: lessons, exams, grid, nownext, daysummary, homework, absences, grades, holidays, messagesofday
         mode: 'verbose', // 'verbose' (per-student sections) or 'compact' (combined view)
         useClassTimetable: false,
 
+        // === CALENDAR EXPORT ===
+        // ICS feeds at http://<mirror>:8080/MMM-Webuntis/calendar/<identifier>/<student title>/lessons.ics (and exams.ics, homework.ics)
+        calendarExport: {
+          enabled: false, // opt-in: feeds are served without authentication
+          lessons: true,
+          exams: true,
+          homework: true, // VTODO feed with completion state
+          includeIcalAliases: true, // also serve lessons.ical / exams.ical / homework.ical
+          caldav: true, // read-only CalDAV for Thunderbird/iOS at http://<mirror>:8080/MMM-Webuntis/caldav/
+        },
+
+        // === REST API ===
+        // JSON at http://<mirror>:8080/MMM-Webuntis/api/<identifier>/students/<student title>/lessons (exams, homework, absences, messages)
+        restApi: {
+          enabled: false,
+          token: '', // long random string; send it as header `Authorization: Bearer <token>`
+        },
+
+        // === MQTT ===
+        // Publishes e.g. mmm-webuntis/<student>/first_lesson_tomorrow after every fetch; sensors appear in Home Assistant automatically
+        mqtt: {
+          enabled: false,
+          url: 'mqtt://localhost:1883',
+          username: '',
+          password: '',
+          topicPrefix: 'mmm-webuntis',
+          discovery: true, // Home Assistant MQTT discovery
+          discoveryPrefix: 'homeassistant',
+        },
+
+        // === WEBHOOKS ===
+        // Push notifications when lessons are cancelled or substituted, or exams/homework/absences appear
+        webhooks: [
+          // {
+          //   url: 'https://ntfy.sh/your-private-topic',
+          //   format: 'text', // 'json' (default), 'form' or 'text'
+          //   events: ['lessonCancelled', 'teacherSubstituted', 'roomChanged'], // omit for all change types
+          //   students: ['kids name'], // omit for all students
+          //   templates: { lessonCancelled: '{subjectLong} on {weekday}, period {period} cancelled' },
+          //   headers: { Title: 'WebUntis {student}' },
+          // },
+        ],
+
+        // === MODULE NOTIFICATIONS ===
+        // Other modules receive e.g. WEBUNTIS_LESSON_CANCELLED and WEBUNTIS_FIRST_LESSON_TOMORROW in notificationReceived()
+        broadcast: {
+          enabled: true,
+          examDaysAhead: 7, // WEBUNTIS_EXAM_UPCOMING for exams in the next 7 days
+        },
+
+        // === OFFLINE CACHE ===
+        // Show the last good data immediately after a restart, even while WebUntis is down
+        offlineCache: {
+          enabled: true,
+          maxAgeHours: 168, // ignore snapshots older than one week
+        },
+
+        // === THIRD-PARTY PLUGINS ===
+        // Extra plugin directories (absolute or relative to the MagicMirror folder) and npm package names
+        pluginPaths: [],
+
         // === AUTHENTICATION ===
         // username: 'your username', // WebUntis username (leave empty if using studentId/qrcode)
         // password: 'your password', // WebUntis password (leave empty if using studentId/qrcode)
@@ -102,6 +164,10 @@ const config = {
               dateFormat: 'EEE dd.MM.',
               showSubject: true,
               showTeacher: true,
+              view: 'list', // 'list' or 'countdown' (days left, grouped by week)
+              urgentDays: 2, // countdown: wu-exam--urgent up to this many days ahead
+              soonDays: 7, // countdown: wu-exam--soon up to this many days ahead
+              showText: 'inline', // 'inline', 'collapsed' (<details> note) or 'off'
             },
           },
           homework: {
@@ -130,6 +196,46 @@ const config = {
             enabled: false,
             config: {},
           },
+          daysummary: {
+            enabled: false,
+            config: {
+              showChanges: true,
+              showExams: true,
+              showHomework: true,
+              hideWeekends: true,
+              dateFormat: 'EEE dd.MM.',
+            },
+          },
+          grades: {
+            enabled: false,
+            config: {
+              pastDays: 180, // fetch window; averages cover every grade in it
+              maxGradesPerSubject: 3,
+              showAverage: true,
+              sortBy: 'recent', // 'recent' (latest grade first) or 'subject' (alphabetical)
+              useShortSubject: false,
+            },
+          },
+          holidays: {
+            enabled: false,
+            config: {
+              maxEntries: 3,
+              showCountdown: true, // "12 school days until …" / "back to school on …"
+              countWeekends: false, // true counts Saturday and Sunday as school days too
+              useLongName: true,
+              dateFormat: 'dd.MM.',
+            },
+          },
+          nownext: {
+            enabled: false,
+            config: {
+              showTeacher: true,
+              showRoom: true,
+              showPeriod: true,
+              useShortSubject: true,
+              showNextDay: true,
+            },
+          },
           grid: {
             enabled: false,
             config: {
@@ -0,0 +1,482 @@
+/**
+ * Read-only CalDAV layer
+ * Exposes the calendar export collections (one per student and feed type) via WebDAV/CalDAV:
+ * OPTIONS, GET/HEAD, PROPFIND (Depth 0/1), REPORT calendar-query and calendar-multiget.
+ *
+ * The server is transport-agnostic: handle() takes a plain request description and returns
+ * { status, headers, body }. node_helper adapts it to MagicMirror's Express app.
+ *
+ * URL layout below basePath:
+ *   /                                  root, points clients at the first principal
+ *   /<identifier>/                     principal + calendar home of one module instance
+ *   /<identifier>/<title>-<feedType>/  calendar collection
+ *   /<identifier>/<title>-<feedType>/<uid>.ics  calendar object resource
+ */
+
+const crypto = require('node:crypto');
+const { getComponentTimeRange, serializeCalendar } = require('./calendarExport');
+
+const DAV_NS = 'DAV:';
+const CALDAV_NS = 'urn:ietf:params:xml:ns:caldav';
+const CALSERVER_NS = 'http://calendarserver.org/ns/';
+const NAMESPACE_PREFIXES = Object.freeze({ [DAV_NS]: 'D', [CALDAV_NS]: 'C', [CALSERVER_NS]: 'CS' });
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PROPFIND, REPORT';
+const XML_CONTENT_TYPE = 'application/xml; charset=utf-8';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeXmlEntities(value) {
+  return value.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+    if (named) return named;
+    const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  });
+}
+
+/**
+ * Minimal namespace-aware XML reader for DAV request bodies.
+ * DTDs and processing instructions are skipped, so no entity expansion can happen.
+ *
+ * @param {string} xml - Request body
+ * @returns {Object|null} Root element { ns, name, attrs, children, text } or null
+ */
+function parseXml(xml) {
+  const documentNode = { ns: null, name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [{ node: documentNode, namespaces: {} }];
+  const tokenPattern =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s>/]+)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let lastIndex = 0;
+  let match = tokenPattern.exec(xml);
+
+  while (match) {
+    const current = stack[stack.length - 1];
+    current.node.text += decodeXmlEntities(xml.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    const [, cdata, closing, qualifiedName, rawAttrs, selfClosing] = match;
+    if (cdata !== undefined) {
+      current.node.text += cdata;
+    } else if (qualifiedName && closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (qualifiedName) {
+      const attrs = {};
+      const namespaces = { ...current.namespaces };
+      for (const attr of rawAttrs.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        const value = decodeXmlEntities(attr[2] ?? attr[3] ?? '');
+        if (attr[1] === 'xmlns') namespaces[''] = value;
+        else if (attr[1].startsWith('xmlns:')) namespaces[attr[1].slice(6)] = value;
+        else attrs[attr[1]] = value;
+      }
+
+      const separator = qualifiedName.indexOf(':');
+      const prefix = separator >= 0 ? qualifiedName.slice(0, separator) : '';
+      const node = {
+        ns: namespaces[prefix] ?? null,
+        name: separator >= 0 ? qualifiedName.slice(separator + 1) : qualifiedName,
+        attrs,
+        children: [],
+        text: '',
+      };
+      current.node.children.push(node);
+      if (!selfClosing) stack.push({ node, namespaces });
+    }
+
+    match = tokenPattern.exec(xml);
+  }
+
+  return documentNode.children[0] || null;
+}
+
+function findChild(node, ns, name) {
+  return node?.children?.find((child) => child.ns === ns && child.name === name) || null;
+}
+
+function findChildren(node, ns, name) {
+  return node?.children?.filter((child) => child.ns === ns && child.name === name) || [];
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+// Clients may send absolute URLs and encode path segments differently than we do.
+function normalizeHref(href) {
+  const path = String(href || '')
+    .trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '');
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+function parseUtcStamp(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, y, mo, d, h, mi, sec] = match.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, sec);
+}
+
+function renderPropertyElement(property, innerXml) {
+  const prefix = NAMESPACE_PREFIXES[property.ns];
+  if (prefix) {
+    return innerXml ? `<${prefix}:${property.name}>${innerXml}</${prefix}:${property.name}>` : `<${prefix}:${property.name}/>`;
+  }
+  const declaration = property.ns ? ` xmlns:X="${escapeXml(property.ns)}"` : '';
+  const qualified = property.ns ? `X:${property.name}` : property.name;
+  return innerXml ? `<${qualified}${declaration}>${innerXml}</${qualified}>` : `<${qualified}${declaration}/>`;
+}
+
+function renderHref(href) {
+  return `<D:href>${escapeXml(href)}</D:href>`;
+}
+
+// Live properties per resource kind. A renderer returning undefined means "not defined here" (404 propstat).
+const PROPERTY_RENDERERS = Object.freeze({
+  [`${DAV_NS}|resourcetype`]: (target) =>
+    ({ root: '<D:collection/>', home: '<D:collection/><D:principal/>', collection: '<D:collection/><C:calendar/>', object: '' })[
+      target.kind
+    ],
+  [`${DAV_NS}|displayname`]: (target) => (target.displayName !== undefined ? escapeXml(target.displayName) : undefined),
+  [`${DAV_NS}|current-user-principal`]: (target) => (target.principalHref ? renderHref(target.principalHref) : '<D:unauthenticated/>'),
+  [`${DAV_NS}|principal-URL`]: (target) => (target.kind === 'home' ? renderHref(target.href) : undefined),
+  [`${CALDAV_NS}|calendar-home-set`]: (target) => (target.kind === 'home' ? renderHref(target.href) : undefined),
+  [`${DAV_NS}|current-user-privilege-set`]: () => '<D:privilege><D:read/></D:privilege>',
+  [`${DAV_NS}|supported-report-set`]: (target) =>
+    target.kind === 'collection'
+      ? '<D:supported-report><D:report><C:calendar-query/></D:report></D:supported-report>' +
+        '<D:supported-report><D:report><C:calendar-multiget/></D:report></D:supported-report>'
+      : undefined,
+  [`${CALDAV_NS}|supported-calendar-component-set`]: (target) =>
+    target.kind === 'collection' ? `<C:comp name="${target.collection.component}"/>` : undefined,
+  [`${CALDAV_NS}|calendar-description`]: (target) => (target.kind === 'collection' ? escapeXml(target.collection.description) : undefined),
+  [`${CALSERVER_NS}|getctag`]: (target) => (target.kind === 'collection' ? escapeXml(target.ctag) : undefined),
+  [`${DAV_NS}|getetag`]: (target) => {
+    if (target.kind === 'collection') return escapeXml(`"${target.ctag}"`);
+    return target.kind === 'object' ? escapeXml(target.resource.etag) : undefined;
+  },
+  [`${DAV_NS}|getcontenttype`]: (target) =>
+    target.kind === 'object' ? `text/calendar; charset=utf-8; component=${target.resource.component}` : undefined,
+  [`${CALDAV_NS}|calendar-data`]: (target) => (target.kind === 'object' ? escapeXml(target.resource.ics) : undefined),
+});
+
+// Returned for <allprop/>; calendar-data is only sent when asked for explicitly.
+const ALLPROP_KEYS = Object.freeze(
+  Object.keys(PROPERTY_RENDERERS).filter((key) => key !== `${CALDAV_NS}|calendar-data` && key !== `${DAV_NS}|current-user-privilege-set`)
+);
+
+function keyToProperty(key) {
+  const separator = key.lastIndexOf('|');
+  return { ns: key.slice(0, separator), name: key.slice(separator + 1) };
+}
+
+function renderResponse(target, properties) {
+  const found = [];
+  const missing = [];
+
+  properties.forEach((property) => {
+    const renderer = PROPERTY_RENDERERS[`${property.ns}|${property.name}`];
+    const value = renderer ? renderer(target) : undefined;
+    if (value === undefined) missing.push(renderPropertyElement(property, ''));
+    else found.push(renderPropertyElement(property, value));
+  });
+
+  let xml = `<D:response>${renderHref(target.href)}`;
+  if (found.length > 0) xml += `<D:propstat><D:prop>${found.join('')}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>`;
+  if (missing.length > 0) xml += `<D:propstat><D:prop>${missing.join('')}</D:prop><D:status>HTTP/1.1 404 Not Found</D:status></D:propstat>`;
+  return `${xml}</D:response>`;
+}
+
+function renderMultistatus(responses) {
+  return {
+    status: 207,
+    headers: { 'Content-Type': XML_CONTENT_TYPE },
+    body: `<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:" xmlns:C="${CALDAV_NS}" xmlns:CS="${CALSERVER_NS}">${responses.join('')}</D:multistatus>`,
+  };
+}
+
+function plainResponse(status, message, headers = {}) {
+  return { status, headers: { 'Content-Type': 'text/plain; charset=utf-8', ...headers }, body: message };
+}
+
+function requestedProperties(requestRoot) {
+  const propElement = findChild(requestRoot, DAV_NS, 'prop');
+  if (!propElement || findChild(requestRoot, DAV_NS, 'allprop') || findChild(requestRoot, DAV_NS, 'propname')) {
+    return ALLPROP_KEYS.map(keyToProperty);
+  }
+  return propElement.children.map((child) => ({ ns: child.ns, name: child.name }));
+}
+
+/**
+ * Create a read-only CalDAV server over the calendar export collections.
+ *
+ * @param {Object} options
+ * @param {string} options.basePath - URL prefix the server is mounted at (no trailing slash)
+ * @param {Object} options.directory - Data source
+ * @param {Function} options.directory.listHomes - () => string[] of identifiers with CalDAV enabled
+ * @param {Function} options.directory.listCollections - (identifier) => collections from buildCalendarCollection()
+ * @returns {{handle: Function}} Server instance
+ */
+function createCaldavServer({ basePath, directory }) {
+  const base = String(basePath || '').replace(/\/+$/, '');
+  // DTSTAMP and serialized object per resource: kept while the projected content is unchanged, so ETags
+  // only change when the lesson/exam/homework itself changes, not on every fetch.
+  const objectStamps = new Map();
+  // Resources per collection href, reused until the projected events or the time zone change.
+  const collectionResources = new Map();
+
+  const homeHref = (identifier) => `${base}/${encodeURIComponent(identifier)}/`;
+  const collectionHref = (identifier, collection) => `${homeHref(identifier)}${encodeURIComponent(collection.name)}/`;
+
+  function buildResources(identifier, collection) {
+    const href = collectionHref(identifier, collection);
+    const signature = hashValue(`${collection.timeZone}|${JSON.stringify(collection.events)}`);
+    const cached = collectionResources.get(href);
+    if (cached?.signature === signature) return cached.resources;
+    const seenKeys = new Set();
+
+    const resources = collection.events.map((entry) => {
+      const stampKey = `${href}|${entry.uid}`;
+      const contentHash = hashValue(`${collection.timeZone}|${JSON.stringify(entry)}`);
+      const previous = objectStamps.get(stampKey);
+      const unchanged = previous?.contentHash === contentHash;
+      const dtstamp = unchanged ? previous.dtstamp : collection.dtstamp || new Date().toISOString();
+      const ics = unchanged ? previous.ics : serializeCalendar({ events: [entry], timeZone: collection.timeZone, dtstamp });
+      objectStamps.set(stampKey, { contentHash, dtstamp, ics });
+      seenKeys.add(stampKey);
+
+      const name = `${entry.uid.split('@')[0]}.ics`;
+      return {
+        name,
+        href: `${href}${encodeURIComponent(name)}`,
+        etag: `"${hashValue(ics)}"`,
+        component: entry.component || collection.component,
+        entry,
+        ics,
+      };
+    });
+
+    for (const stampKey of objectStamps.keys()) {
+      if (stampKey.startsWith(`${href}|`) && !seenKeys.has(stampKey)) objectStamps.delete(stampKey);
+    }
+
+    collectionResources.set(href, { signature, resources });
+    return resources;
+  }
+
+  function buildCollectionTarget(identifier, collection) {
+    const resources = buildResources(identifier, collection);
+    return {
+      kind: 'collection',
+      href: collectionHref(identifier, collection),
+      displayName: collection.displayName,
+      principalHref: homeHref(identifier),
+      collection,
+      resources,
+      ctag: hashValue(resources.map((resource) => resource.etag).join('|')),
+    };
+  }
+
+  function buildObjectTarget(collectionTarget, resource) {
+    return {
+      kind: 'object',
+      href: resource.href,
+      principalHref: collectionTarget.principalHref,
+      resource,
+    };
+  }
+
+  /**
+   * Resolve a request path into a DAV target. Collections and objects are built on demand.
+   *
+   * @param {string} path - Request path including basePath
+   * @returns {Object|null} Target or null if nothing lives at that path
+   */
+  function resolveTarget(path) {
+    if (path !== base && !path.startsWith(`${base}/`)) return null;
+
+    let segments;
+    try {
+      segments = path
+        .slice(base.length)
+        .split('/')
+        .filter(Boolean)
+        .map((segment) => decodeURIComponent(segment));
+    } catch {
+      return null;
+    }
+
+    const homes = directory.listHomes();
+    if (segments.length === 0) {
+      return { kind: 'root', href: `${base}/`, displayName: 'MMM-Webuntis', principalHref: homes[0] ? homeHref(homes[0]) : null, homes };
+    }
+
+    const identifier = segments[0];
+    if (!homes.includes(identifier)) return null;
+    const collections = directory.listCollections(identifier);
+    if (segments.length === 1) {
+      return {
+        kind: 'home',
+        href: homeHref(identifier),
+        displayName: identifier,
+        principalHref: homeHref(identifier),
+        identifier,
+        collections,
+      };
+    }
+
+    const collection = collections.find((candidate) => candidate.name === segments[1]);
+    if (!collection || segments.length > 3) return null;
+    const collectionTarget = buildCollectionTarget(identifier, collection);
+    if (segments.length === 2) return collectionTarget;
+
+    const resource = collectionTarget.resources.find((candidate) => candidate.name === segments[2]);
+    return resource ? buildObjectTarget(collectionTarget, resource) : null;
+  }
+
+  function listChildren(target) {
+    if (target.kind === 'root') {
+      return target.homes.map((identifier) => ({
+        kind: 'home',
+        href: homeHref(identifier),
+        displayName: identifier,
+        principalHref: homeHref(identifier),
+      }));
+    }
+    if (target.kind === 'home') {
+      return target.collections.map((collection) => buildCollectionTarget(target.identifier, collection));
+    }
+    if (target.kind === 'collection') {
+      return target.resources.map((resource) => buildObjectTarget(target, resource));
+    }
+    return [];
+  }
+
+  function handlePropfind(target, depth, requestRoot) {
+    const properties = requestedProperties(requestRoot);
+    const targets = depth === '0' ? [target] : [target, ...listChildren(target)];
+    return renderMultistatus(targets.map((entry) => renderResponse(entry, properties)));
+  }
+
+  function matchesQueryFilter(resource, componentFilter, timeZone) {
+    if (!componentFilter) return true;
+    if (componentFilter.attrs.name && componentFilter.attrs.name.toUpperCase() !== resource.component) return false;
+
+    const timeRange = findChild(componentFilter, CALDAV_NS, 'time-range');
+    if (!timeRange) return true;
+
+    const span = getComponentTimeRange(resource.entry, timeZone);
+    // RFC 4791 9.9: todos without DUE/DTSTART always match a time range.
+    if (!span) return true;
+    const rangeStart = parseUtcStamp(timeRange.attrs.start);
+    const rangeEnd = parseUtcStamp(timeRange.attrs.end);
+    const spanEnd = Math.max(span.endMs, span.startMs + 1);
+    return (rangeStart === null || spanEnd > rangeStart) && (rangeEnd === null || span.startMs < rangeEnd);
+  }
+
+  function handleReport(target, requestRoot) {
+    if (target.kind !== 'collection') {
+      return plainResponse(403, 'REPORT is only supported on calendar collections');
+    }
+
+    const properties = requestedProperties(requestRoot);
+    if (requestRoot?.ns === CALDAV_NS && requestRoot.name === 'calendar-multiget') {
+      const responses = findChildren(requestRoot, DAV_NS, 'href').map((hrefNode) => {
+        const href = hrefNode.text.trim();
+        const resource = target.resources.find((candidate) => normalizeHref(candidate.href) === normalizeHref(href));
+        if (!resource) {
+          return `<D:response>${renderHref(href)}<D:status>HTTP/1.1 404 Not Found</D:status></D:response>`;
+        }
+        return renderResponse(buildObjectTarget(target, resource), properties);
+      });
+      return renderMultistatus(responses);
+    }
+
+    if (requestRoot?.ns === CALDAV_NS && requestRoot.name === 'calendar-query') {
+      const calendarFilter = findChild(findChild(requestRoot, CALDAV_NS, 'filter'), CALDAV_NS, 'comp-filter');
+      const componentFilter = findChild(calendarFilter, CALDAV_NS, 'comp-filter');
+      const responses = target.resources
+        .filter((resource) => matchesQueryFilter(resource, componentFilter, target.collection.timeZone))
+        .map((resource) => renderResponse(buildObjectTarget(target, resource), properties));
+      return renderMultistatus(responses);
+    }
+
+    return {
+      status: 403,
+      headers: { 'Content-Type': XML_CONTENT_TYPE },
+      body: '<?xml version="1.0" encoding="utf-8"?>\n<D:error xmlns:D="DAV:"><D:supported-report/></D:error>',
+    };
+  }
+
+  function handleGet(target) {
+    if (target.kind === 'object') {
+      return {
+        status: 200,
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8', ETag: target.resource.etag },
+        body: target.resource.ics,
+      };
+    }
+    if (target.kind === 'collection') {
+      return {
+        status: 200,
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8', ETag: `"${target.ctag}"` },
+        body: serializeCalendar({
+          events: target.collection.events,
+          timeZone: target.collection.timeZone,
+          name: target.collection.displayName,
+          description: target.collection.description,
+          dtstamp: target.collection.dtstamp,
+        }),
+      };
+    }
+    return plainResponse(405, 'Not a calendar resource', { Allow: 'OPTIONS, PROPFIND' });
+  }
+
+  /**
+   * Handle one DAV request.
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - URL path (without query string)
+   * @param {string} [request.depth] - Depth header value
+   * @param {string} [request.body] - Raw request body
+   * @returns {{status: number, headers: Object, body: string}} Response description
+   */
+  function handle({ method, path, depth, body }) {
+    const verb = String(method || 'GET').toUpperCase();
+    const davHeaders = { DAV: '1, 3, calendar-access', Allow: ALLOWED_METHODS };
+
+    if (verb === 'OPTIONS') return { status: 200, headers: davHeaders, body: '' };
+    if (!ALLOWED_METHODS.split(', ').includes(verb)) {
+      return plainResponse(405, 'This CalDAV server is read-only', { Allow: ALLOWED_METHODS });
+    }
+
+    const target = resolveTarget(String(path || ''));
+    if (!target) return plainResponse(404, 'Not found');
+
+    if (verb === 'GET' || verb === 'HEAD') return handleGet(target);
+
+    const requestRoot = body && String(body).trim() ? parseXml(String(body)) : null;
+    if (body && String(body).trim() && !requestRoot) return plainResponse(400, 'Malformed XML request body');
+
+    // Depth: infinity is served as Depth: 1; the tree below a collection is flat anyway.
+    const effectiveDepth = String(depth ?? 'infinity').trim() === '0' ? '0' : '1';
+    const result = verb === 'PROPFIND' ? handlePropfind(target, effectiveDepth, requestRoot) : handleReport(target, requestRoot);
+    return { ...result, headers: { ...davHeaders, ...result.headers } };
+  }
+
+  return { handle };
+}
+
+module.exports = {
+  createCaldavServer,
+  parseXml,
+};
@@ -0,0 +1,599 @@
+/**
+ * Calendar Export
+ * Projects canonical V3 payload collections into RFC 5545 iCalendar feeds.
+ *
+ * This module is a pure domain layer: it knows nothing about Express or sockets.
+ * node_helper keeps the latest snapshot per student (lib/studentSnapshots.js) and owns HTTP delivery.
+ */
+
+const crypto = require('node:crypto');
+const { normalizeDateToInteger, normalizeTimeToHHMM, stripAllHtml } = require('./webuntis/dataOrchestration');
+const { compactArray, schemas } = require('./mmm-adapter/mmmPayloadMapper');
+
+const DEFAULT_TIMEZONE = 'Europe/Berlin';
+const ICS_PRODID = '-//MMM-Webuntis//Calendar Export//EN';
+const ICS_LINE_OCTET_LIMIT = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feed types are named after the snapshot collection they project (see lib/studentSnapshots.js).
+const CALENDAR_FEED_TYPES = Object.freeze(['lessons', 'exams', 'homework']);
+
+const DEFAULT_CALENDAR_EXPORT_CONFIG = Object.freeze({
+  enabled: false, // feeds are opt-in because they are served without authentication
+  lessons: true, // serve lessons.ics
+  exams: true, // serve exams.ics
+  homework: true, // serve homework.ics (VTODO)
+  includeIcalAliases: true, // also answer on the .ical variant of every feed
+  caldav: true, // expose the same collections through the read-only CalDAV layer
+});
+
+/**
+ * Resolve the effective calendarExport config.
+ * MagicMirror merges module defaults shallowly, so partial user objects are completed here.
+ *
+ * @param {Object} config - Module config
+ * @returns {Object} Normalized calendarExport config
+ */
+function resolveCalendarExportConfig(config) {
+  const raw = config?.calendarExport;
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_CALENDAR_EXPORT_CONFIG };
+
+  return {
+    enabled: raw.enabled === true,
+    lessons: raw.lessons !== false,
+    exams: raw.exams !== false,
+    homework: raw.homework !== false,
+    includeIcalAliases: raw.includeIcalAliases !== false,
+    caldav: raw.caldav !== false,
+  };
+}
+
+/**
+ * Parse a requested feed file name such as `lessons.ics` or `exams.ical`.
+ *
+ * @param {string} fileName - Last URL path segment
+ * @returns {{feedType: string, extension: string}|null} Parsed feed or null if unknown
+ */
+function parseFeedFileName(fileName) {
+  const match = /^([a-z]+)\.(ics|ical)$/i.exec(String(fileName || ''));
+  if (!match) return null;
+
+  const feedType = match[1].toLowerCase();
+  if (!CALENDAR_FEED_TYPES.includes(feedType)) return null;
+
+  return { feedType, extension: match[2].toLowerCase() };
+}
+
+/**
+ * Lessons that actually take place. Cancelled lessons are excluded, every other status is kept.
+ *
+ * @param {Object} lesson - Canonical lesson
+ * @returns {boolean} True if the lesson belongs into the lessons feed
+ */
+function isExportableLesson(lesson) {
+  if (!lesson || typeof lesson !== 'object') return false;
+  if (String(lesson.status || '').toUpperCase() === 'CANCELLED') return false;
+  return (
+    normalizeDateToInteger(lesson.date) !== null &&
+    normalizeTimeToHHMM(lesson.startTime) !== null &&
+    normalizeTimeToHHMM(lesson.endTime) !== null
+  );
+}
+
+function pickEntryName(entry) {
+  if (typeof entry === 'string') return entry.trim();
+  return String(entry?.longname || entry?.name || '').trim();
+}
+
+function joinEntryNames(entries, picker = pickEntryName) {
+  if (!Array.isArray(entries)) return '';
+  return entries.map(picker).filter(Boolean).join(', ');
+}
+
+function toPlainText(value) {
+  return stripAllHtml(String(value || '').replace(/[*_]/g, ''), true);
+}
+
+function buildUid(kind, parts) {
+  const digest = crypto
+    .createHash('sha1')
+    .update(parts.map((part) => String(part ?? '')).join('|'))
+    .digest('hex');
+  return `${kind}-${digest}@mmm-webuntis`;
+}
+
+function getStudentKey(snapshot) {
+  return snapshot?.student?.id ?? snapshot?.student?.title ?? '';
+}
+
+/**
+ * Project canonical lessons into calendar events.
+ *
+ * @param {Array} lessons - Canonical `data.lessons`
+ * @param {string|number} studentKey - Stable student key used for UIDs
+ * @returns {Array<Object>} Calendar events
+ */
+function projectLessonEvents(lessons, studentKey) {
+  if (!Array.isArray(lessons)) return [];
+
+  return lessons.filter(isExportableLesson).map((lesson) => {
+    const date = normalizeDateToInteger(lesson.date);
+    const startTime = normalizeTimeToHHMM(lesson.startTime);
+    const endTime = normalizeTimeToHHMM(lesson.endTime);
+    const status = String(lesson.status || 'REGULAR').toUpperCase();
+    const subject = joinEntryNames(lesson.subjects);
+    const lessonText = toPlainText(lesson.lessonText);
+    const substitutionText = toPlainText(lesson.substitutionText);
+    const summary = subject || lessonText || substitutionText || 'Lesson';
+
+    const description = [];
+    const teachers = joinEntryNames(lesson.teachers);
+    if (teachers) description.push(`Teacher: ${teachers}`);
+    if (status !== 'REGULAR') description.push(`Status: ${status}`);
+    if (substitutionText && substitutionText !== summary) description.push(substitutionText);
+    if (lessonText && lessonText !== summary) description.push(lessonText);
+
+    return {
+      component: 'VEVENT',
+      uid: buildUid('lesson', [studentKey, lesson.id, date, startTime, endTime]),
+      start: { date, time: startTime },
+      end: { date, time: endTime },
+      summary,
+      description: description.join('\n'),
+      location: joinEntryNames(lesson.rooms, (room) => String(room?.name || room?.longname || '').trim()),
+    };
+  });
+}
+
+/**
+ * Project canonical exams into calendar events.
+ * Exams without a start time become all-day events.
+ *
+ * @param {Array} exams - Canonical `data.exams`
+ * @param {string|number} studentKey - Stable student key used for UIDs
+ * @returns {Array<Object>} Calendar events
+ */
+function projectExamEvents(exams, studentKey) {
+  if (!Array.isArray(exams)) return [];
+
+  return exams
+    .filter((exam) => normalizeDateToInteger(exam?.examDate) !== null)
+    .map((exam) => {
+      const date = normalizeDateToInteger(exam.examDate);
+      const startTime = normalizeTimeToHHMM(exam.startTime);
+      const endTime = startTime === null ? null : normalizeTimeToHHMM(exam.endTime);
+      const name = toPlainText(exam.name);
+      const subject = toPlainText(exam.subject);
+      const summary = name && subject && name !== subject ? `${subject}: ${name}` : name || subject || 'Exam';
+
+      const description = [];
+      const text = toPlainText(exam.text);
+      if (text) description.push(text);
+      const teachers = joinEntryNames(exam.teachers);
+      if (teachers) description.push(`Teacher: ${teachers}`);
+
+      return {
+        component: 'VEVENT',
+        uid: buildUid('exam', [studentKey, date, startTime, endTime, subject, name]),
+        start: { date, time: startTime },
+        end: { date, time: endTime !== null && endTime > startTime ? endTime : null },
+        summary,
+        description: description.join('\n'),
+        location: '',
+      };
+    });
+}
+
+/**
+ * Project canonical homework into VTODO entries.
+ * Items are re-normalized through the mapper's homework schema, so the field semantics
+ * (dueDate fallbacks, subject shape, sanitized text) stay defined in one place.
+ *
+ * @param {Array} homework - Canonical `data.homework`
+ * @param {string|number} studentKey - Stable student key used for UIDs
+ * @returns {Array<Object>} Calendar todos
+ */
+function projectHomeworkTodos(homework, studentKey) {
+  return compactArray(homework, schemas.homework).map((item) => {
+    const due = normalizeDateToInteger(item.dueDate);
+    const text = toPlainText(item.text);
+    const remark = toPlainText(item.remark);
+    const description = [text, remark && remark !== text ? remark : ''].filter(Boolean).join('\n');
+
+    return {
+      component: 'VTODO',
+      uid: buildUid('homework', [studentKey, item.id ?? `${item.lessonId}_${due}_${text}`]),
+      due,
+      completed: item.completed === true,
+      summary: pickEntryName(item.subject) || 'Homework',
+      description,
+    };
+  });
+}
+
+const FEED_PROJECTIONS = Object.freeze({
+  lessons: projectLessonEvents,
+  exams: projectExamEvents,
+  homework: projectHomeworkTodos,
+});
+
+/**
+ * Project the calendar events of one feed type from a student snapshot.
+ *
+ * @param {string} feedType - One of CALENDAR_FEED_TYPES
+ * @param {Object|null} snapshot - Snapshot produced by mergeStudentSnapshot()
+ * @returns {Array<Object>} VEVENT/VTODO entries (empty if nothing was fetched yet)
+ */
+function projectCalendarEvents(feedType, snapshot) {
+  const project = FEED_PROJECTIONS[feedType];
+  if (!project || !snapshot) return [];
+  return project(snapshot.collections?.[feedType], getStudentKey(snapshot));
+}
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11).
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(/\t/g, ' ')
+    .replace(/\p{Cc}/gu, '');
+}
+
+/**
+ * Fold a content line to at most 75 octets per physical line (RFC 5545 section 3.1).
+ * Multi-byte UTF-8 characters are never split.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+function foldIcsLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= ICS_LINE_OCTET_LIMIT) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+  let limit = ICS_LINE_OCTET_LIMIT;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+      // Continuation lines start with a space, which counts towards the limit.
+      limit = ICS_LINE_OCTET_LIMIT - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatIcsDate(ymd) {
+  return pad(ymd, 8);
+}
+
+function formatIcsLocalDateTime(ymd, hhmm) {
+  return `${formatIcsDate(ymd)}T${pad(hhmm, 4)}00`;
+}
+
+function formatIcsUtcDateTime(date) {
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+function addDaysToYmd(ymd, days) {
+  const date = new Date(Date.UTC(Math.floor(ymd / 10000), (Math.floor(ymd / 100) % 100) - 1, (ymd % 100) + days));
+  return date.getUTCFullYear() * 10000 + (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+}
+
+const offsetFormatters = new Map();
+
+function getUtcOffsetMinutes(timeZone, epochMs) {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+  }
+  const label = offsetFormatters
+    .get(timeZone)
+    .formatToParts(new Date(epochMs))
+    .find((part) => part.type === 'timeZoneName')?.value;
+  const match = /GMT([+-])(\d{1,2}):?(\d{2})?/.exec(label || '');
+  if (!match) return 0;
+
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Validate an IANA time zone name, falling back to Europe/Berlin.
+ *
+ * @param {string} timeZone - Requested time zone
+ * @returns {string} Usable time zone name
+ */
+function resolveTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return DEFAULT_TIMEZONE;
+  try {
+    getUtcOffsetMinutes(timeZone.trim(), Date.now());
+    return timeZone.trim();
+  } catch {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+function findOffsetTransitions(timeZone, fromMs, toMs) {
+  const transitions = [];
+  let cursor = fromMs;
+  let cursorOffset = getUtcOffsetMinutes(timeZone, cursor);
+
+  while (cursor < toMs) {
+    const next = Math.min(cursor + DAY_MS, toMs);
+    const nextOffset = getUtcOffsetMinutes(timeZone, next);
+    if (nextOffset !== cursorOffset) {
+      // Narrow the change down to the minute.
+      let low = cursor;
+      let high = next;
+      while (high - low > 60 * 1000) {
+        const middle = low + Math.floor((high - low) / 2 / 60000) * 60000;
+        if (getUtcOffsetMinutes(timeZone, middle) === cursorOffset) low = middle;
+        else high = middle;
+      }
+      transitions.push({ atMs: high, from: cursorOffset, to: nextOffset });
+    }
+    cursor = next;
+    cursorOffset = nextOffset;
+  }
+
+  return transitions;
+}
+
+// VTIMEZONE lines per `${timeZone}|${fromYear}|${toYear}`: the transition scan probes the offset once per
+// day, which is too slow to repeat for every CalDAV object resource.
+const timezoneLinesCache = new Map();
+
+/**
+ * Build a VTIMEZONE component covering the years spanned by the given events.
+ * Observances are listed explicitly per transition, which avoids guessing RRULEs.
+ * Results are cached by time zone and year span.
+ *
+ * @param {string} timeZone - IANA time zone name
+ * @param {Array<Object>} events - Calendar events with start.date
+ * @returns {string[]} Unfolded content lines (empty if no event carries a time)
+ */
+function buildTimezoneLines(timeZone, events) {
+  const timedDates = events.filter((event) => event.start && event.start.time !== null).map((event) => event.start.date);
+  if (timedDates.length === 0) return [];
+
+  const fromYear = Math.floor(Math.min(...timedDates) / 10000);
+  const toYear = Math.floor(Math.max(...timedDates) / 10000);
+  const cacheKey = `${timeZone}|${fromYear}|${toYear}`;
+  if (timezoneLinesCache.has(cacheKey)) return timezoneLinesCache.get(cacheKey);
+
+  const fromMs = Date.UTC(fromYear, 0, 1);
+  const toMs = Date.UTC(toYear + 1, 0, 1);
+  const initialOffset = getUtcOffsetMinutes(timeZone, fromMs);
+  const transitions = findOffsetTransitions(timeZone, fromMs, toMs);
+  const standardOffset = Math.min(initialOffset, ...transitions.map((transition) => transition.to));
+
+  const observance = (dtstart, from, to) => {
+    const kind = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${formatUtcOffset(from)}`,
+      `TZOFFSETTO:${formatUtcOffset(to)}`,
+      `END:${kind}`,
+    ];
+  };
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, `X-LIC-LOCATION:${timeZone}`];
+  lines.push(...observance('19700101T000000', initialOffset, initialOffset));
+  transitions.forEach((transition) => {
+    const localOnset = new Date(transition.atMs + transition.from * 60 * 1000);
+    lines.push(...observance(formatIcsUtcDateTime(localOnset).slice(0, -1), transition.from, transition.to));
+  });
+  lines.push('END:VTIMEZONE');
+
+  timezoneLinesCache.set(cacheKey, lines);
+  return lines;
+}
+
+function buildEventLines(event, timeZone, dtstamp) {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${dtstamp}`];
+
+  if (event.start.time === null) {
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.start.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatIcsDate(addDaysToYmd(event.start.date, 1))}`);
+  } else {
+    lines.push(`DTSTART;TZID=${timeZone}:${formatIcsLocalDateTime(event.start.date, event.start.time)}`);
+    if (event.end.time !== null) {
+      lines.push(`DTEND;TZID=${timeZone}:${formatIcsLocalDateTime(event.end.date, event.end.time)}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+
+  return lines;
+}
+
+function buildTodoLines(todo, dtstamp) {
+  const lines = ['BEGIN:VTODO', `UID:${todo.uid}`, `DTSTAMP:${dtstamp}`];
+
+  if (todo.due !== null) lines.push(`DUE;VALUE=DATE:${formatIcsDate(todo.due)}`);
+  lines.push(`SUMMARY:${escapeIcsText(todo.summary)}`);
+  if (todo.description) lines.push(`DESCRIPTION:${escapeIcsText(todo.description)}`);
+  if (todo.completed) {
+    lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+  lines.push('END:VTODO');
+
+  return lines;
+}
+
+/**
+ * Serialize calendar components into a complete VCALENDAR document.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.events - VEVENT/VTODO entries from projectCalendarEvents()
+ * @param {string} [options.timeZone] - IANA time zone for local DTSTART/DTEND values
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {string} [options.description] - Calendar description (X-WR-CALDESC)
+ * @param {Date|string} [options.dtstamp] - Timestamp used for DTSTAMP
+ * @returns {string} iCalendar document with CRLF line endings
+ */
+function serializeCalendar({ events = [], timeZone, name, description, dtstamp } = {}) {
+  const resolvedTimeZone = resolveTimeZone(timeZone);
+  const stampDate = dtstamp ? new Date(dtstamp) : new Date();
+  const stamp = formatIcsUtcDateTime(Number.isNaN(stampDate.getTime()) ? new Date() : stampDate);
+
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeIcsText(description)}`);
+  lines.push(`X-WR-TIMEZONE:${resolvedTimeZone}`);
+  lines.push(...buildTimezoneLines(resolvedTimeZone, events));
+  events.forEach((event) => {
+    lines.push(...(event.component === 'VTODO' ? buildTodoLines(event, stamp) : buildEventLines(event, resolvedTimeZone, stamp)));
+  });
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Render one feed for one student.
+ * Without a snapshot (no successful fetch yet) an empty but valid calendar is returned.
+ *
+ * @param {Object} options
+ * @param {string} options.feedType - One of CALENDAR_FEED_TYPES
+ * @param {Object|null} options.snapshot - Snapshot produced by mergeStudentSnapshot()
+ * @param {string} options.studentTitle - Student title used in the calendar name
+ * @param {string} [options.timeZone] - Fallback time zone when no snapshot exists
+ * @returns {string} iCalendar document
+ */
+function renderCalendarFeed({ feedType, snapshot, studentTitle, timeZone }) {
+  const collection = buildCalendarCollection({ feedType, snapshot, studentTitle, timeZone });
+
+  return serializeCalendar({
+    events: collection.events,
+    timeZone: collection.timeZone,
+    name: collection.displayName,
+    description: collection.description,
+    dtstamp: collection.dtstamp,
+  });
+}
+
+/**
+ * Build the calendar collection of one student and feed type.
+ * Shared by the ICS routes and the CalDAV layer so both expose the same projection.
+ *
+ * @param {Object} options
+ * @param {string} options.feedType - One of CALENDAR_FEED_TYPES
+ * @param {Object|null} options.snapshot - Snapshot produced by mergeStudentSnapshot()
+ * @param {string} options.studentTitle - Student title
+ * @param {string} [options.timeZone] - Fallback time zone when no snapshot exists
+ * @returns {Object} Collection with name, displayName, component, timeZone, dtstamp and events
+ */
+function buildCalendarCollection({ feedType, snapshot, studentTitle, timeZone }) {
+  const hasData = Array.isArray(snapshot?.collections?.[feedType]);
+
+  return {
+    name: `${studentTitle}-${feedType}`,
+    feedType,
+    displayName: `${studentTitle} ${feedType}`,
+    description: hasData ? `MMM-Webuntis ${feedType} for ${studentTitle}` : 'No data fetched from WebUntis yet',
+    component: feedType === 'homework' ? 'VTODO' : 'VEVENT',
+    timeZone: resolveTimeZone(snapshot?.timezone || timeZone),
+    dtstamp: snapshot?.generatedAt || null,
+    events: projectCalendarEvents(feedType, snapshot),
+  };
+}
+
+/**
+ * Convert a local wall-clock time (YYYYMMDD + HHMM) in an IANA time zone to epoch milliseconds.
+ *
+ * @param {number} ymd - Local date
+ * @param {number} hhmm - Local time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch milliseconds
+ */
+function localDateTimeToUtcMs(ymd, hhmm, timeZone) {
+  const wallClockMs = Date.UTC(Math.floor(ymd / 10000), (Math.floor(ymd / 100) % 100) - 1, ymd % 100, Math.floor(hhmm / 100), hhmm % 100);
+  const firstGuess = wallClockMs - getUtcOffsetMinutes(timeZone, wallClockMs) * 60 * 1000;
+  return wallClockMs - getUtcOffsetMinutes(timeZone, firstGuess) * 60 * 1000;
+}
+
+/**
+ * Resolve the UTC time span of a projected VEVENT/VTODO, used for CalDAV time-range filters.
+ * All-day entries span their local day; todos without a due date return null.
+ *
+ * @param {Object} component - Entry from projectCalendarEvents()
+ * @param {string} timeZone - IANA time zone of the local times
+ * @returns {{startMs: number, endMs: number}|null} UTC span in epoch milliseconds
+ */
+function getComponentTimeRange(component, timeZone) {
+  if (component?.component === 'VTODO') {
+    if (component.due === null || component.due === undefined) return null;
+    return {
+      startMs: localDateTimeToUtcMs(component.due, 0, timeZone),
+      endMs: localDateTimeToUtcMs(addDaysToYmd(component.due, 1), 0, timeZone),
+    };
+  }
+
+  if (!component?.start) return null;
+  if (component.start.time === null) {
+    return {
+      startMs: localDateTimeToUtcMs(component.start.date, 0, timeZone),
+      endMs: localDateTimeToUtcMs(addDaysToYmd(component.start.date, 1), 0, timeZone),
+    };
+  }
+
+  const startMs = localDateTimeToUtcMs(component.start.date, component.start.time, timeZone);
+  const endMs =
+    component.end?.time !== null && component.end?.time !== undefined
+      ? localDateTimeToUtcMs(component.end.date, component.end.time, timeZone)
+      : startMs;
+  return { startMs, endMs };
+}
+
+module.exports = {
+  CALENDAR_FEED_TYPES,
+  DEFAULT_CALENDAR_EXPORT_CONFIG,
+  addDaysToYmd,
+  buildCalendarCollection,
+  escapeIcsText,
+  foldIcsLine,
+  getComponentTimeRange,
+  isExportableLesson,
+  localDateTimeToUtcMs,
+  parseFeedFileName,
+  projectCalendarEvents,
+  renderCalendarFeed,
+  resolveCalendarExportConfig,
+  resolveTimeZone,
+  serializeCalendar,
+};
@@ -0,0 +1,202 @@
+/**
+ * Change Detection
+ * Compares two consecutive student snapshots and emits structured change events.
+ *
+ * Only collections that were replaced by the newer snapshot are compared, and only when the
+ * older snapshot already had them, so the first fetch and failed endpoints never produce events.
+ */
+
+const { normalizeDateToInteger, normalizeTimeToHHMM } = require('./webuntis/dataOrchestration');
+
+const CHANGE_TYPES = Object.freeze({
+  LESSON_CANCELLED: 'lessonCancelled',
+  ROOM_CHANGED: 'roomChanged',
+  TEACHER_SUBSTITUTED: 'teacherSubstituted',
+  EXAM_ADDED: 'examAdded',
+  EXAM_MOVED: 'examMoved',
+  HOMEWORK_ADDED: 'homeworkAdded',
+  ABSENCE_RECORDED: 'absenceRecorded',
+});
+
+function isCancelled(lesson) {
+  return String(lesson?.status || '').toUpperCase() === 'CANCELLED';
+}
+
+function entryNames(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .map((entry) => String(entry?.name || entry?.longname || '').trim())
+    .filter(Boolean)
+    .sort();
+}
+
+function sameNames(a, b) {
+  return a.length === b.length && a.every((name, index) => name === b[index]);
+}
+
+function getLessonKey(lesson) {
+  return `${lesson?.id ?? ''}|${normalizeDateToInteger(lesson?.date) ?? ''}|${normalizeTimeToHHMM(lesson?.startTime) ?? ''}`;
+}
+
+function normalizeText(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase();
+}
+
+function getExamIdentity(exam) {
+  return `${normalizeText(exam?.subject)}|${normalizeText(exam?.name)}`;
+}
+
+function getExamSlot(exam) {
+  return { date: normalizeDateToInteger(exam?.examDate), startTime: normalizeTimeToHHMM(exam?.startTime) };
+}
+
+function getHomeworkKey(homework) {
+  if (homework?.id !== null && homework?.id !== undefined) return `id:${homework.id}`;
+  return `${homework?.lessonId ?? ''}|${normalizeDateToInteger(homework?.dueDate) ?? ''}|${homework?.text || ''}`;
+}
+
+function getAbsenceKey(absence) {
+  return [absence?.date, absence?.startTime, absence?.endTime, absence?.lessonId].map((part) => part ?? '').join('|');
+}
+
+// Items beyond the previous fetch window were never visible before; they scrolled in and are not "added".
+function isInsideRange(ymd, range) {
+  if (!range || ymd === null || ymd === undefined) return true;
+  if (range.startYmd && ymd < range.startYmd) return false;
+  if (range.endYmd && ymd > range.endYmd) return false;
+  return true;
+}
+
+function diffLessons(previousLessons, nextLessons) {
+  const previousByKey = new Map(previousLessons.map((lesson) => [getLessonKey(lesson), lesson]));
+  const events = [];
+
+  for (const lesson of nextLessons) {
+    const key = getLessonKey(lesson);
+    const previous = previousByKey.get(key);
+    if (!previous) continue;
+
+    const base = {
+      collection: 'lessons',
+      key,
+      date: normalizeDateToInteger(lesson.date),
+      startTime: normalizeTimeToHHMM(lesson.startTime),
+    };
+    if (isCancelled(lesson)) {
+      if (!isCancelled(previous)) events.push({ type: CHANGE_TYPES.LESSON_CANCELLED, ...base, item: lesson });
+      continue;
+    }
+
+    const roomsBefore = entryNames(previous.rooms);
+    const roomsAfter = entryNames(lesson.rooms);
+    if (roomsAfter.length > 0 && !sameNames(roomsBefore, roomsAfter)) {
+      events.push({ type: CHANGE_TYPES.ROOM_CHANGED, ...base, before: roomsBefore, after: roomsAfter, item: lesson });
+    }
+
+    const teachersBefore = entryNames(previous.teachers);
+    const teachersAfter = entryNames(lesson.teachers);
+    if (teachersAfter.length > 0 && !sameNames(teachersBefore, teachersAfter)) {
+      events.push({ type: CHANGE_TYPES.TEACHER_SUBSTITUTED, ...base, before: teachersBefore, after: teachersAfter, item: lesson });
+    }
+  }
+
+  return events;
+}
+
+function diffExams(previousExams, nextExams, previousRange) {
+  const previousByIdentity = new Map();
+  for (const exam of previousExams) {
+    const identity = getExamIdentity(exam);
+    if (!previousByIdentity.has(identity)) previousByIdentity.set(identity, []);
+    previousByIdentity.get(identity).push(getExamSlot(exam));
+  }
+
+  const unmatched = [];
+  for (const exam of nextExams) {
+    const slots = previousByIdentity.get(getExamIdentity(exam)) || [];
+    const slot = getExamSlot(exam);
+    const sameSlot = slots.findIndex((candidate) => candidate.date === slot.date && candidate.startTime === slot.startTime);
+    if (sameSlot >= 0) slots.splice(sameSlot, 1);
+    else unmatched.push(exam);
+  }
+
+  return unmatched
+    .map((exam) => {
+      const identity = getExamIdentity(exam);
+      const slot = getExamSlot(exam);
+      const base = { collection: 'exams', key: `${identity}|${slot.date ?? ''}`, date: slot.date, startTime: slot.startTime };
+      const moved = previousByIdentity.get(identity)?.shift();
+      if (moved) return { type: CHANGE_TYPES.EXAM_MOVED, ...base, before: moved, after: slot, item: exam };
+      if (!isInsideRange(slot.date, previousRange)) return null;
+      return { type: CHANGE_TYPES.EXAM_ADDED, ...base, item: exam };
+    })
+    .filter(Boolean);
+}
+
+function diffAdded({ previousItems, nextItems, getKey, getDate, previousRange, type, collection }) {
+  const previousKeys = new Set(previousItems.map(getKey));
+  return nextItems
+    .filter((item) => !previousKeys.has(getKey(item)) && isInsideRange(getDate(item), previousRange))
+    .map((item) => ({ type, collection, key: getKey(item), date: getDate(item), startTime: normalizeTimeToHHMM(item?.startTime), item }));
+}
+
+/**
+ * Detect changes between two consecutive snapshots of the same student.
+ *
+ * @param {Object|null} previous - Snapshot before the fetch (from mergeStudentSnapshot())
+ * @param {Object|null} next - Snapshot after the fetch
+ * @returns {Array<Object>} Change events `{ type, collection, key, date, startTime, item, before?, after?, detectedAt }`
+ */
+function detectStudentChanges(previous, next) {
+  if (!previous?.collections || !next?.collections) return [];
+
+  const replaced = (collection) =>
+    Array.isArray(previous.collections[collection]) &&
+    Array.isArray(next.collections[collection]) &&
+    next.collectionGeneratedAt?.[collection] !== previous.collectionGeneratedAt?.[collection];
+  const previousRange = (collection) => previous.collectionRanges?.[collection] || null;
+  const events = [];
+
+  if (replaced('lessons')) {
+    events.push(...diffLessons(previous.collections.lessons, next.collections.lessons));
+  }
+  if (replaced('exams')) {
+    events.push(...diffExams(previous.collections.exams, next.collections.exams, previousRange('exams')));
+  }
+  if (replaced('homework')) {
+    events.push(
+      ...diffAdded({
+        previousItems: previous.collections.homework,
+        nextItems: next.collections.homework,
+        getKey: getHomeworkKey,
+        getDate: (homework) => normalizeDateToInteger(homework?.dueDate),
+        previousRange: previousRange('homework'),
+        type: CHANGE_TYPES.HOMEWORK_ADDED,
+        collection: 'homework',
+      })
+    );
+  }
+  if (replaced('absences')) {
+    events.push(
+      ...diffAdded({
+        previousItems: previous.collections.absences,
+        nextItems: next.collections.absences,
+        getKey: getAbsenceKey,
+        getDate: (absence) => normalizeDateToInteger(absence?.date),
+        previousRange: previousRange('absences'),
+        type: CHANGE_TYPES.ABSENCE_RECORDED,
+        collection: 'absences',
+      })
+    );
+  }
+
+  const detectedAt = next.generatedAt || new Date().toISOString();
+  return events.map((event) => ({ ...event, detectedAt }));
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  detectStudentChanges,
+};
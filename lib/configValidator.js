@@ -13,6 +13,9 @@
  * - scripts/node_helper_wrapper.js: loadModuleDefaults()
  */
 
+const { CHANGE_TYPES } = require('./changeDetection');
+const { WEBHOOK_FORMATS } = require('./webhookNotifier');
+
 // Note: 'students' is NOT in REQUIRED_FIELDS because auto-discovery is supported
 // when parent credentials (username, password, school) are provided
 const REQUIRED_FIELDS = [];
@@ -243,7 +246,7 @@ function validateConfig(config, logger = {}) {
   }
 
   // Validate numeric fields
-  const numericFields = ['updateInterval', 'daysToShow', 'pastDaysToShow', 'maxItems'];
+  const numericFields = ['updateInterval', 'timetableFullSyncInterval', 'daysToShow', 'pastDaysToShow', 'maxItems'];
   for (const field of numericFields) {
     if (field in config && typeof config[field] !== 'number') {
       errors.push(`Field "${field}" must be a number, got ${typeof config[field]}`);
@@ -267,6 +270,82 @@ function validateConfig(config, logger = {}) {
     }
   }
 
+  // Validate restApi options
+  if (config.restApi && config.restApi.enabled === true) {
+    if (typeof config.restApi.token !== 'string' || config.restApi.token.trim() === '') {
+      warnings.push('restApi is enabled but restApi.token is empty; all API requests will be rejected');
+    }
+  }
+
+  // Validate mqtt options
+  if (config.mqtt && config.mqtt.enabled === true && typeof config.mqtt.url !== 'undefined') {
+    let protocol = null;
+    try {
+      protocol = new URL(String(config.mqtt.url)).protocol;
+    } catch {
+      // reported below
+    }
+    if (protocol !== 'mqtt:' && protocol !== 'mqtts:') {
+      warnings.push(`mqtt.url "${config.mqtt.url}" is not an mqtt:// or mqtts:// URL; MQTT publishing will fail`);
+    }
+  }
+
+  // Validate broadcast options
+  if (config.broadcast && typeof config.broadcast.examDaysAhead !== 'undefined') {
+    const examDaysAhead = Number(config.broadcast.examDaysAhead);
+    if (!Number.isFinite(examDaysAhead) || examDaysAhead < 0) {
+      warnings.push(`broadcast.examDaysAhead must be a non-negative number (got ${config.broadcast.examDaysAhead}); using 7`);
+    }
+  }
+
+  // Validate offline cache options
+  if (config.offlineCache && typeof config.offlineCache.maxAgeHours !== 'undefined') {
+    const maxAgeHours = Number(config.offlineCache.maxAgeHours);
+    if (!Number.isFinite(maxAgeHours) || maxAgeHours <= 0) {
+      warnings.push(`offlineCache.maxAgeHours must be a positive number (got ${config.offlineCache.maxAgeHours}); using 168`);
+    }
+  }
+
+  // Validate webhooks
+  if (typeof config.webhooks !== 'undefined') {
+    if (!Array.isArray(config.webhooks)) {
+      warnings.push('webhooks must be an array of targets; no webhooks will be sent');
+    } else {
+      const knownEvents = new Set(Object.values(CHANGE_TYPES));
+      config.webhooks.forEach((target, idx) => {
+        let protocol = null;
+        try {
+          protocol = new URL(String(target?.url || '')).protocol;
+        } catch {
+          // reported below
+        }
+        if (protocol !== 'http:' && protocol !== 'https:') {
+          warnings.push(`webhooks[${idx}].url is not an http:// or https:// URL; this target is ignored`);
+        }
+        if (typeof target?.format !== 'undefined' && !WEBHOOK_FORMATS.includes(target.format)) {
+          warnings.push(`webhooks[${idx}].format "${target.format}" is invalid; using "json" (valid: ${WEBHOOK_FORMATS.join(', ')})`);
+        }
+        const unknownEvents = (Array.isArray(target?.events) ? target.events : []).filter((event) => !knownEvents.has(event));
+        if (unknownEvents.length > 0) {
+          warnings.push(`webhooks[${idx}].events contains unknown change types: ${unknownEvents.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  // Validate plugin paths
+  if (typeof config.pluginPaths !== 'undefined') {
+    if (!Array.isArray(config.pluginPaths)) {
+      warnings.push('pluginPaths must be an array of directories or npm package names; no extra plugins will be loaded');
+    } else {
+      config.pluginPaths.forEach((entry, idx) => {
+        if (typeof entry !== 'string' || entry.trim() === '') {
+          warnings.push(`pluginPaths[${idx}] must be a non-empty string; this entry is ignored`);
+        }
+      });
+    }
+  }
+
   // Validate widgets array
   if (config.widgets) {
     if (!Array.isArray(config.widgets)) {
@@ -0,0 +1,77 @@
+/**
+ * Delta Transport
+ * Shrinks DATA_UPDATE payloads to the data collections that changed since the last payload of the
+ * same session and student. On a Raspberry Pi, resending every collection on every refresh costs a
+ * large socket message and a full re-render for nothing.
+ *
+ * Protocol (version 1), negotiated by the frontend with `deltaTransport: 1` in its CONFIGURE config:
+ * - every payload carries `delta: { version, revision, baseRevision, unchanged, notModified }`
+ * - `data` only holds the changed collections; `unchanged` lists the omitted ones
+ * - `baseRevision: null` marks a full payload; the frontend requests a full resync when
+ *   `baseRevision` does not match the revision it holds
+ * - `meta`, `context`, and `state` are always complete
+ */
+
+const crypto = require('node:crypto');
+
+const DELTA_TRANSPORT_VERSION = 1;
+
+function hashValue(value) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(value ?? null))
+    .digest('base64');
+}
+
+// The frontend keeps or replaces a collection depending on API status and warnings
+// (_shouldPreserveData()), so a collection may only be omitted while that state is unchanged too.
+function hashDecisionState(state) {
+  const { api, fetch, warnings, warningMeta } = state || {};
+  return hashValue({ api, fetch, warnings, warningMeta });
+}
+
+/**
+ * Reduce a DATA_UPDATE payload to the collections that changed since `previous`.
+ *
+ * @param {Object} payload - Full V3 DATA_UPDATE payload
+ * @param {Object|null} previous - Delta state returned for the previous payload of this session and student
+ * @returns {{payload: Object, state: Object}} Payload to send and the delta state to keep for the next one
+ */
+function buildDeltaPayload(payload, previous = null) {
+  const data = payload?.data && typeof payload.data === 'object' ? payload.data : {};
+  const stateHash = hashDecisionState(payload?.state);
+  const canOmit = Boolean(previous) && previous.stateHash === stateHash;
+
+  const hashes = {};
+  const changedData = {};
+  const unchanged = [];
+  for (const [collection, value] of Object.entries(data)) {
+    hashes[collection] = hashValue(value);
+    if (canOmit && previous.hashes[collection] === hashes[collection]) {
+      unchanged.push(collection);
+    } else {
+      changedData[collection] = value;
+    }
+  }
+
+  const revision = (previous?.revision || 0) + 1;
+  return {
+    payload: {
+      ...payload,
+      data: changedData,
+      delta: {
+        version: DELTA_TRANSPORT_VERSION,
+        revision,
+        baseRevision: previous ? previous.revision : null,
+        unchanged,
+        notModified: Boolean(previous) && Object.keys(changedData).length === 0,
+      },
+    },
+    state: { revision, stateHash, hashes },
+  };
+}
+
+module.exports = {
+  DELTA_TRANSPORT_VERSION,
+  buildDeltaPayload,
+};
@@ -248,6 +248,92 @@
     };
   }
 
+  /**
+   * Call `tick` at the start of every minute while started.
+   * Used by clock-driven plugins (countdowns, "today until the last lesson ends", the grid now-line)
+   * from their onResume/onSuspend hooks; `start()` and `stop()` are idempotent.
+   *
+   * @param {Function} tick - Called once per minute
+   * @param {Object} [options] - Ticker options
+   * @param {boolean} [options.immediate=false] - Also call `tick` right away when the ticker starts
+   * @returns {{start: Function, stop: Function}} Ticker controls
+   */
+  function createMinuteTicker(tick, options = {}) {
+    let timer = null;
+    let initialTimeout = null;
+
+    return {
+      start() {
+        if (timer || initialTimeout) return;
+        const now = new Date();
+        const msToNextMinute = (60 - now.getSeconds()) * 1000 - now.getMilliseconds();
+        initialTimeout = setTimeout(
+          () => {
+            initialTimeout = null;
+            tick();
+            timer = setInterval(tick, 60 * 1000);
+          },
+          Math.max(0, msToNextMinute)
+        );
+        if (options.immediate === true) tick();
+      },
+      stop() {
+        if (timer) {
+          clearInterval(timer);
+          timer = null;
+        }
+        if (initialTimeout) {
+          clearTimeout(initialTimeout);
+          initialTimeout = null;
+        }
+      },
+    };
+  }
+
+  /**
+   * Convert a YYYYMMDD value to a local Date at midnight.
+   *
+   * @param {number|string} ymd - Date as YYYYMMDD
+   * @returns {Date} Local date
+   */
+  function ymdToDate(ymd) {
+    const numeric = Number(ymd) || 0;
+    return new Date(Math.floor(numeric / 10000), (Math.floor(numeric / 100) % 100) - 1, numeric % 100);
+  }
+
+  /**
+   * Shift a YYYYMMDD value by whole calendar days (month and year rollover included).
+   *
+   * @param {number|string} ymd - Date as YYYYMMDD
+   * @param {number} days - Days to add, negative to go back
+   * @returns {number} Shifted date as YYYYMMDD
+   */
+  function addDays(ymd, days) {
+    const date = ymdToDate(ymd);
+    date.setDate(date.getDate() + days);
+    return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+  }
+
+  /**
+   * @param {number|string} ymd - Date as YYYYMMDD
+   * @returns {boolean} True for Saturday and Sunday
+   */
+  function isWeekend(ymd) {
+    const day = ymdToDate(ymd).getDay();
+    return day === 0 || day === 6;
+  }
+
+  /**
+   * Count calendar days between two YYYYMMDD values; rounding absorbs DST shifts.
+   *
+   * @param {number|string} fromYmd - Start date as YYYYMMDD
+   * @param {number|string} toYmd - End date as YYYYMMDD
+   * @returns {number} Days from `fromYmd` to `toYmd`, negative when `toYmd` is earlier
+   */
+  function daysBetween(fromYmd, toYmd) {
+    return Math.round((ymdToDate(toYmd) - ymdToDate(fromYmd)) / (24 * 60 * 60 * 1000));
+  }
+
   /**
    * Expand holiday ranges into a lookup keyed by YYYYMMDD.
    *
@@ -333,12 +419,19 @@
    * Add a student header row to a widget container
    * Used in verbose mode to separate students visually
    *
+   * Headers that name a student carry `data-wu-student`; the module renders the
+   * `studentHeader` plugin slot beside them.
+   *
    * @param {HTMLElement} container - Widget container element
-   * @param {string} studentTitle - Student name to display in header
+   * @param {string} headerHtml - Header content (usually the widget title and student name)
+   * @param {string} [studentTitle] - Student the header belongs to
+   * @returns {HTMLElement} Appended header row
    */
-  function addHeader(container, studentTitle = '') {
-    const header = createElement('div', 'wu-row wu-row-header', studentTitle);
+  function addHeader(container, headerHtml = '', studentTitle = '') {
+    const header = createElement('div', 'wu-row wu-row-header', headerHtml);
+    if (studentTitle) header.setAttribute('data-wu-student', studentTitle);
     container.appendChild(header);
+    return header;
   }
 
   /**
@@ -356,6 +449,7 @@
    * @param {string} text1 - Content for meta column (date, time, etc.)
    * @param {string} text2 - Content for data column (subject, description, etc.)
    * @param {string} addClass - Additional CSS classes for data column (e.g., 'cancelled', 'exam')
+   * @returns {HTMLElement} Appended row
    */
   function addRow(container, type, studentTitle = '', text1 = '', text2 = '', addClass = '') {
     const row = createElement('div');
@@ -381,6 +475,7 @@
     }
 
     container.appendChild(row);
+    return row;
   }
 
   /**
@@ -621,6 +716,11 @@
       getFieldDisplayName,
       getFirstFieldName,
       compareByDateAndStartTime: requireFunction('util.compareByDateAndStartTime', util.compareByDateAndStartTime),
+      createMinuteTicker: requireFunction('util.createMinuteTicker', util.createMinuteTicker),
+      ymdToDate: requireFunction('util.ymdToDate', util.ymdToDate),
+      addDays: requireFunction('util.addDays', util.addDays),
+      isWeekend: requireFunction('util.isWeekend', util.isWeekend),
+      daysBetween: requireFunction('util.daysBetween', util.daysBetween),
       normalizeComparableText: requireFunction('util.normalizeComparableText', util.normalizeComparableText),
     };
   }
@@ -675,7 +775,7 @@
 
     // Add header in verbose mode, or if forceHeader is true
     if (options.forceHeader || (widgetCtx.isVerbose && studentCellTitle !== '')) {
-      addHeader(container, buildWidgetHeaderTitle(ctx, widgetName, widgetCtx, studentCellTitle));
+      addHeader(container, buildWidgetHeaderTitle(ctx, widgetName, widgetCtx, studentCellTitle), studentCellTitle);
     }
 
     return { widgetCtx, studentLabelText };
@@ -1254,8 +1354,13 @@
     getInfo,
     getEmptyDayState,
     createPopoverController,
+    ymdToDate,
+    addDays,
+    isWeekend,
+    daysBetween,
     buildHolidayMapFromRanges,
     buildDayNoticeMap,
+    createMinuteTicker,
   };
 
   root.dom = {
@@ -186,6 +186,23 @@ const schemas = {
     },
     lessonId: { from: 'lessonId', fallbacks: ['lid', 'id'], default: null },
   },
+  grade: {
+    id: { from: 'id', default: null },
+    date: { from: 'date', transform: (v) => parseInt(String(v).replace(/\D/g, ''), 10) || 0 },
+    subject: {
+      from: 'subject',
+      transform: (v) => formatSubject(v),
+      default: null,
+    },
+    mark: { from: 'mark', transform: (v) => sanitizeRichText(String(v), false), default: '' },
+    value: {
+      from: 'value',
+      transform: (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : null),
+      default: null,
+    },
+    examType: { from: 'examType', transform: (v) => sanitizeRichText(v, false), default: '' },
+    text: { from: 'text', transform: (v) => sanitizeRichText(v, false), default: '' },
+  },
   message: {
     id: { from: 'id', default: null },
     subject: {
@@ -211,9 +228,20 @@ function toYmd(value) {
 }
 
 // Bundle raw backend results into compact payload blocks.
-function compactPayloadData({ grid, timetable, rawExams, hwResult, rawAbsences, rawMessagesOfDay, fetchFlags, compactTimegrid }) {
+function compactPayloadData({
+  grid,
+  timetable,
+  rawExams,
+  hwResult,
+  rawAbsences,
+  rawGrades,
+  rawMessagesOfDay,
+  fetchFlags,
+  compactTimegrid,
+}) {
   const shouldFetchHomeworks = Boolean(fetchFlags?.fetchHomeworks);
   const shouldFetchAbsences = Boolean(fetchFlags?.fetchAbsences);
+  const shouldFetchGrades = Boolean(fetchFlags?.fetchGrades);
   const shouldFetchMessagesOfDay = Boolean(fetchFlags?.fetchMessagesOfDay);
 
   return {
@@ -223,10 +251,12 @@ function compactPayloadData({ grid, timetable, rawExams, hwResult, rawAbsences,
     compactExams: compactArray(rawExams, schemas.exam),
     compactHomeworks: shouldFetchHomeworks ? compactArray(hwResult, schemas.homework) : [],
     compactAbsences: shouldFetchAbsences ? compactArray(rawAbsences, schemas.absence) : [],
+    compactGrades: shouldFetchGrades ? compactArray(rawGrades, schemas.grade) : [],
     compactMessagesOfDay: shouldFetchMessagesOfDay ? compactArray(rawMessagesOfDay, schemas.message) : [],
     shouldFetchTimetable: Boolean(fetchFlags?.fetchTimetable),
     shouldFetchHomeworks,
     shouldFetchAbsences,
+    shouldFetchGrades,
     shouldFetchMessagesOfDay,
   };
 }
@@ -251,6 +281,7 @@ function buildBasePayload({
 
   const rangeStartYmd = toYmd(dateRanges?.timetable?.start);
   const rangeEndYmd = toYmd(dateRanges?.timetable?.end);
+  const toYmdRange = (range) => (range ? { startYmd: toYmd(range.start), endYmd: toYmd(range.end) } : null);
 
   return {
     contractVersion: 3,
@@ -273,6 +304,14 @@ function buildBasePayload({
         startYmd: rangeStartYmd,
         endYmd: rangeEndYmd,
       },
+      // Requested window per collection; lets change detection tell new items from items that scrolled into range.
+      fetchRanges: {
+        lessons: toYmdRange(dateRanges?.timetable),
+        exams: toYmdRange(dateRanges?.exams),
+        homework: toYmdRange(dateRanges?.homework),
+        absences: toYmdRange(dateRanges?.absences),
+        grades: toYmdRange(dateRanges?.grades),
+      },
     },
     data: {
       timeUnits: compacted.compactGrid,
@@ -281,6 +320,7 @@ function buildBasePayload({
       exams: compacted.compactExams,
       homework: compacted.compactHomeworks,
       absences: compacted.compactAbsences,
+      grades: compacted.compactGrades,
       messages: compacted.compactMessagesOfDay,
       holidays: {
         ranges: compactHolidays,
@@ -294,6 +334,7 @@ function buildBasePayload({
         exams: Boolean(fetchFlags?.fetchExams),
         homework: compacted.shouldFetchHomeworks,
         absences: compacted.shouldFetchAbsences,
+        grades: compacted.shouldFetchGrades,
         messages: compacted.shouldFetchMessagesOfDay,
       },
       api: {
@@ -301,10 +342,12 @@ function buildBasePayload({
         exams: apiStatus?.exams ?? null,
         homework: apiStatus?.homework ?? null,
         absences: apiStatus?.absences ?? null,
+        grades: apiStatus?.grades ?? null,
         messages: apiStatus?.messagesOfDay ?? apiStatus?.messages ?? null,
       },
       warnings: [],
       warningMeta: [],
+      changes: [], // filled by node_helper change detection (lib/changeDetection.js)
     },
   };
 }
@@ -388,7 +431,7 @@ function createSafePayloadForDump(payload) {
 
 function redactSensitiveFields(safePayload) {
   const redactRegex =
-    /password$|pass(word)?$|token$|auth$|authToken$|cookie$|jsessionid$|bearer$|accessToken$|refreshToken$|qrcode$|secret$|apikey$/i;
+    /password$|pass(word)?$|token$|auth$|authorization$|authToken$|cookie$|jsessionid$|bearer$|accessToken$|refreshToken$|qrcode$|secret$|apikey$/i;
   const redact = (obj) => {
     if (!obj || typeof obj !== 'object') return;
     for (const k of Object.keys(obj)) {
@@ -492,6 +535,7 @@ function buildGotDataPayload(params) {
     rawExams,
     hwResult,
     rawAbsences,
+    rawGrades,
     rawMessagesOfDay,
     compactHolidays,
     todayYmd,
@@ -515,6 +559,7 @@ function buildGotDataPayload(params) {
     rawExams,
     hwResult,
     rawAbsences,
+    rawGrades,
     rawMessagesOfDay,
     fetchFlags,
     compactTimegrid,
@@ -580,6 +625,7 @@ function mapBundleToMmmPayload(bundle, deps = {}) {
     rawExams: data.rawExams,
     hwResult: data.hwResult,
     rawAbsences: data.rawAbsences,
+    rawGrades: data.rawGrades,
     rawMessagesOfDay: data.rawMessagesOfDay,
     compactHolidays,
     dateRanges,
@@ -599,5 +645,8 @@ function mapBundleToMmmPayload(bundle, deps = {}) {
 }
 
 module.exports = {
+  compactArray,
   mapBundleToMmmPayload,
+  redactSensitiveFields,
+  schemas,
 };
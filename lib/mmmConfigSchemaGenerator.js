@@ -0,0 +1,297 @@
+/**
+ * MMM-Config Schema Generator
+ * Rebuilds the generated parts of MMM-Config.schema.json (the config form of the MMM-Config module)
+ * from the module defaults and the plugins' config schemas, so the file no longer drifts from them.
+ *
+ * Generated:
+ * - `config.plugins` and `config.students[].plugins` from each plugin's `configSchema`
+ *   (per-student only for options marked `x-studentOverride`)
+ * - the `plugins` fieldset of the form
+ * - `value.config`, the defaults MMM-Config offers for a new module instance
+ * - schema and form entries for module defaults that are missing from the file
+ *
+ * Hand-written and kept: descriptions and form layout of the module-level options.
+ * Used by scripts/generate-mmm-config-schema.js.
+ */
+
+const { getSchemaDefaults } = require('./pluginConfigSchema');
+const { parseDisplayModeTokens } = require('./runtime-utils');
+
+const SCHEMA_ROOT = 'MMM-Webuntis';
+const FORM_KEY_PREFIX = `${SCHEMA_ROOT}.config`;
+// Keywords copied from plugin schemas; defaults go to `value`, `x-*` extensions are host-only.
+const MMM_CONFIG_KEYWORDS = Object.freeze([
+  'type',
+  'enum',
+  'minimum',
+  'exclusiveMinimum',
+  'maximum',
+  'exclusiveMaximum',
+  'minLength',
+  'pattern',
+  'items',
+  'properties',
+  'description',
+]);
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toMmmConfigProperty(schema) {
+  const result = {};
+  MMM_CONFIG_KEYWORDS.forEach((keyword) => {
+    if (schema[keyword] === undefined) return;
+    if (keyword === 'items' && isPlainObject(schema.items)) {
+      result.items = toMmmConfigProperty(schema.items);
+    } else if (keyword === 'properties' && isPlainObject(schema.properties)) {
+      result.properties = mapProperties(schema.properties, toMmmConfigProperty);
+    } else {
+      result[keyword] = structuredClone(schema[keyword]);
+    }
+  });
+  return result;
+}
+
+function mapProperties(properties, mapFn) {
+  return Object.fromEntries(Object.entries(properties).map(([key, schema]) => [key, mapFn(schema)]));
+}
+
+function buildFormItems(properties, keyPrefix, titlePrefix = '') {
+  return Object.entries(properties).flatMap(([key, schema]) => {
+    const formKey = `${keyPrefix}.${key}`;
+    const title = `${titlePrefix}${key}`;
+    if (schema.type === 'object' && isPlainObject(schema.properties)) {
+      return buildFormItems(schema.properties, formKey, `${title}.`);
+    }
+    if (schema.type === 'array') {
+      return [
+        {
+          type: 'array',
+          title,
+          description: schema.description,
+          items: [{ key: `${formKey}[]`, notitle: true, description: schema.items?.description || schema.description }],
+        },
+      ];
+    }
+    return [{ key: formKey, title, description: schema.description }];
+  });
+}
+
+function inferSchema(value, description) {
+  let schema;
+  if (typeof value === 'boolean') schema = { type: 'boolean' };
+  else if (Number.isInteger(value)) schema = { type: 'integer' };
+  else if (typeof value === 'number') schema = { type: 'number' };
+  else if (typeof value === 'string') schema = { type: 'string' };
+  else if (Array.isArray(value)) schema = { type: 'array', items: inferSchema(value[0] ?? '') || { type: 'string' } };
+  else if (isPlainObject(value)) {
+    const properties = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = inferSchema(child);
+      if (!childSchema) return null;
+      properties[key] = childSchema;
+    }
+    schema = { type: 'object', properties };
+  } else return null;
+
+  if (description) schema.description = description;
+  return schema;
+}
+
+function toFormValue(value, schema) {
+  if (value === null && schema?.type === 'string') return '';
+  return structuredClone(value);
+}
+
+// Rebuild an object with `entry` inserted right after `afterKey` (or appended).
+function insertAfter(object, afterKey, key, entry) {
+  const result = {};
+  let inserted = false;
+  for (const [existingKey, value] of Object.entries(object)) {
+    result[existingKey] = value;
+    if (existingKey === afterKey) {
+      result[key] = entry;
+      inserted = true;
+    }
+  }
+  if (!inserted) result[key] = entry;
+  return result;
+}
+
+function findFormIndex(formItems, configKey) {
+  const keyPrefix = `${FORM_KEY_PREFIX}.${configKey}`;
+  return formItems.findIndex(
+    (item) =>
+      item.key === keyPrefix ||
+      item.title === configKey ||
+      (Array.isArray(item.items) && item.items.some((child) => typeof child?.key === 'string' && child.key.startsWith(`${keyPrefix}.`)))
+  );
+}
+
+/**
+ * Build MMM-Config.schema.json.
+ *
+ * @param {Object} options - Generator input
+ * @param {Object} options.base - Current MMM-Config.schema.json (hand-written parts are kept)
+ * @param {Object} options.moduleDefaults - `defaults` of MMM-Webuntis.js
+ * @param {Object} [options.defaultComments] - Line comments of the defaults by key, used as descriptions of added options
+ * @param {Array<Object>} options.plugins - Plugin records from loadPluginRegistry()
+ * @returns {{schema: Object, notes: string[]}} Generated file content and hints for options that need manual work
+ */
+function buildMmmConfigSchema({ base, moduleDefaults, defaultComments = {}, plugins }) {
+  const result = structuredClone(base);
+  const notes = [];
+  const configSchema = result.schema[SCHEMA_ROOT].properties.config;
+  const formConfig = result.form.find((item) => item.type === 'fieldset' && item.title === 'config');
+  const sortedPlugins = plugins
+    .filter((plugin) => plugin?.manifest?.id)
+    .slice()
+    .sort((a, b) => (a.manifest.order ?? 1000) - (b.manifest.order ?? 1000) || a.manifest.id.localeCompare(b.manifest.id));
+  const pluginNamespaces = new Set(sortedPlugins.flatMap((plugin) => [plugin.manifest.id, plugin.manifest.configNamespace]));
+
+  // Module defaults the file does not describe yet.
+  let previousKey = null;
+  for (const [key, value] of Object.entries(moduleDefaults)) {
+    if (pluginNamespaces.has(key)) continue;
+    if (configSchema.properties[key]) {
+      previousKey = key;
+      continue;
+    }
+    const schema = inferSchema(value, defaultComments[key]);
+    if (!schema) {
+      notes.push(
+        `Cannot infer a schema for "${key}" from its default (${JSON.stringify(value)}); add it to MMM-Config.schema.json by hand.`
+      );
+      continue;
+    }
+    configSchema.properties = insertAfter(configSchema.properties, previousKey, key, schema);
+    const formItems =
+      schema.type === 'object'
+        ? [{ type: 'fieldset', title: key, items: buildFormItems(schema.properties, `${FORM_KEY_PREFIX}.${key}`) }]
+        : buildFormItems({ [key]: schema }, FORM_KEY_PREFIX);
+    const previousFormIndex = previousKey ? findFormIndex(formConfig.items, previousKey) : -1;
+    formConfig.items.splice(previousFormIndex >= 0 ? previousFormIndex + 1 : formConfig.items.length, 0, ...formItems);
+    notes.push(`Added "${key}"; review its description and form entry.`);
+    previousKey = key;
+  }
+
+  // Plugin sections.
+  const pluginSchemas = sortedPlugins.map((plugin) => ({
+    id: plugin.manifest.id,
+    properties: isPlainObject(plugin.configSchema?.properties) ? plugin.configSchema.properties : {},
+  }));
+  configSchema.properties.plugins.properties = Object.fromEntries(
+    pluginSchemas.map(({ id, properties }) => [
+      id,
+      {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean', description: 'Turn this plugin on or off.' },
+          config: {
+            type: 'object',
+            properties: mapProperties(properties, toMmmConfigProperty),
+            description: 'Detailed settings for this plugin.',
+          },
+        },
+        description: `Settings for the ${id} plugin.`,
+      },
+    ])
+  );
+
+  const studentPlugins = configSchema.properties.students.items.properties.plugins;
+  studentPlugins.properties = Object.fromEntries(
+    pluginSchemas
+      .map(({ id, properties }) => [id, Object.entries(properties).filter(([, schema]) => schema['x-studentOverride'] === true)])
+      .filter(([, overrides]) => overrides.length > 0)
+      .map(([id, overrides]) => [
+        id,
+        {
+          type: 'object',
+          properties: {
+            config: {
+              type: 'object',
+              properties: Object.fromEntries(overrides.map(([key, schema]) => [key, toMmmConfigProperty(schema)])),
+              description: 'Detailed settings for this plugin.',
+            },
+          },
+          description: `Settings for the ${id} plugin.`,
+        },
+      ])
+  );
+
+  const pluginsFieldset = formConfig.items.find((item) => item.type === 'fieldset' && item.title === 'plugins');
+  pluginsFieldset.items = pluginSchemas.map(({ id, properties }) => ({
+    type: 'fieldset',
+    title: id,
+    items: [
+      { key: `${FORM_KEY_PREFIX}.plugins.${id}.enabled`, title: 'enabled', description: 'Turn this plugin on or off.' },
+      ...buildFormItems(properties, `${FORM_KEY_PREFIX}.plugins.${id}.config`),
+    ],
+  }));
+
+  // Defaults offered for a new module instance.
+  const displayTokens = new Set(parseDisplayModeTokens(moduleDefaults.displayMode));
+  const previousValues = result.value.config || {};
+  const valueConfig = {};
+  for (const [key, schema] of Object.entries(configSchema.properties)) {
+    if (key === 'plugins') {
+      valueConfig.plugins = Object.fromEntries(
+        sortedPlugins.map((plugin) => {
+          const aliases = plugin.manifest.activation?.displayAliases?.length
+            ? plugin.manifest.activation.displayAliases
+            : [plugin.manifest.id];
+          const enabled = plugin.manifest.activation?.enabledByDefault === true || aliases.some((alias) => displayTokens.has(alias));
+          return [plugin.manifest.id, { enabled, config: plugin.configSchema ? getSchemaDefaults(plugin.configSchema) : {} }];
+        })
+      );
+    } else if (Object.hasOwn(moduleDefaults, key)) {
+      const value = toFormValue(moduleDefaults[key], schema);
+      if (value !== null) valueConfig[key] = value;
+    } else if (Object.hasOwn(previousValues, key)) {
+      valueConfig[key] = previousValues[key];
+    }
+  }
+  result.value.config = valueConfig;
+
+  return { schema: result, notes };
+}
+
+/**
+ * Serialize JSON the way the repository's formatter (biome) lays it out: objects expanded,
+ * arrays of primitives on one line when they fit into the line width.
+ *
+ * @param {*} value - JSON value
+ * @param {number} [lineWidth=140] - Maximum line width
+ * @returns {string} Formatted JSON with a trailing newline
+ */
+function formatJson(value, lineWidth = 140) {
+  const format = (node, indent, prefixLength) => {
+    const innerIndent = `${indent}  `;
+    if (Array.isArray(node)) {
+      if (node.length === 0) return '[]';
+      if (node.every((item) => item === null || typeof item !== 'object')) {
+        const inline = `[${node.map((item) => JSON.stringify(item)).join(', ')}]`;
+        if (prefixLength + inline.length + 1 <= lineWidth) return inline;
+      }
+      const items = node.map((item) => `${innerIndent}${format(item, innerIndent, innerIndent.length)}`);
+      return `[\n${items.join(',\n')}\n${indent}]`;
+    }
+    if (isPlainObject(node)) {
+      const entries = Object.entries(node);
+      if (entries.length === 0) return '{}';
+      const lines = entries.map(([key, child]) => {
+        const prefix = `${innerIndent}${JSON.stringify(key)}: `;
+        return `${prefix}${format(child, innerIndent, prefix.length)}`;
+      });
+      return `{\n${lines.join(',\n')}\n${indent}}`;
+    }
+    return JSON.stringify(node);
+  };
+  return `${format(value, '', 0)}\n`;
+}
+
+module.exports = {
+  buildMmmConfigSchema,
+  formatJson,
+};
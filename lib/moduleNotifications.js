@@ -0,0 +1,271 @@
+/**
+ * Module Notifications
+ * Derives the MagicMirror notifications MMM-Webuntis broadcasts to other modules
+ * (`sendNotification`) from the per-student data the frontend already normalized.
+ *
+ * Loaded in the browser via getScripts() and required directly by the unit tests.
+ */
+(function initModuleNotifications(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  root.MMMWebuntisModuleNotifications = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createModuleNotifications() {
+  const NOTIFICATIONS = Object.freeze({
+    DATA_UPDATED: 'WEBUNTIS_DATA_UPDATED',
+    LESSON_CANCELLED: 'WEBUNTIS_LESSON_CANCELLED',
+    LESSON_CHANGED: 'WEBUNTIS_LESSON_CHANGED',
+    FIRST_LESSON_TOMORROW: 'WEBUNTIS_FIRST_LESSON_TOMORROW',
+    EXAM_UPCOMING: 'WEBUNTIS_EXAM_UPCOMING',
+  });
+
+  const DEFAULT_BROADCAST_CONFIG = Object.freeze({
+    enabled: true,
+    examDaysAhead: 7,
+  });
+
+  const CHANGED_LESSON_STATUSES = new Set(['ADDITIONAL', 'CHANGED', 'SUBSTITUTION', 'SUBSTITUTE']);
+
+  /**
+   * Resolve the `broadcast` config section against its defaults.
+   *
+   * @param {Object} config - Module config
+   * @returns {{enabled: boolean, examDaysAhead: number}} Effective broadcast config
+   */
+  function resolveBroadcastConfig(config) {
+    const section = config?.broadcast && typeof config.broadcast === 'object' ? config.broadcast : {};
+    const examDaysAhead = Number(section.examDaysAhead);
+    return {
+      enabled: section.enabled !== false,
+      examDaysAhead:
+        Number.isFinite(examDaysAhead) && examDaysAhead >= 0 ? Math.floor(examDaysAhead) : DEFAULT_BROADCAST_CONFIG.examDaysAhead,
+    };
+  }
+
+  function toYmd(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    if (digits.length !== 8) return null;
+    return Number(digits);
+  }
+
+  function ymdToIsoDate(ymd) {
+    if (!ymd) return null;
+    const raw = String(ymd);
+    return `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`;
+  }
+
+  function addDaysToYmd(ymd, days) {
+    const year = Math.floor(ymd / 10000);
+    const month = Math.floor((ymd % 10000) / 100);
+    const day = ymd % 100;
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.getUTCFullYear() * 10000 + (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+  }
+
+  function daysBetweenYmd(fromYmd, toYmdValue) {
+    const toUtc = (ymd) => Date.UTC(Math.floor(ymd / 10000), Math.floor((ymd % 10000) / 100) - 1, ymd % 100);
+    return Math.round((toUtc(toYmdValue) - toUtc(fromYmd)) / 86400000);
+  }
+
+  function toHHMM(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const raw = String(value).trim();
+    if (/^\d{1,2}:\d{2}/.test(raw)) return raw.slice(0, 5).padStart(5, '0');
+    const digits = raw.replace(/\D/g, '');
+    if (!digits) return null;
+    const padded = digits.padStart(4, '0');
+    return `${padded.slice(0, 2)}:${padded.slice(2, 4)}`;
+  }
+
+  function entryNames(entries) {
+    if (!Array.isArray(entries)) return [];
+    return entries.map((entry) => String(entry?.name || entry?.longname || '').trim()).filter(Boolean);
+  }
+
+  function isCancelled(lesson) {
+    return String(lesson?.status || '').toUpperCase() === 'CANCELLED';
+  }
+
+  function isChanged(lesson) {
+    return CHANGED_LESSON_STATUSES.has(String(lesson?.status || '').toUpperCase());
+  }
+
+  function lessonKey(lesson) {
+    return `${lesson?.id ?? ''}|${toYmd(lesson?.date) ?? ''}|${toHHMM(lesson?.startTime) ?? ''}`;
+  }
+
+  function examKey(exam) {
+    return [exam?.subject, exam?.name, toYmd(exam?.examDate), toHHMM(exam?.startTime)].map((part) => part ?? '').join('|');
+  }
+
+  function summarizeLesson(lesson) {
+    return {
+      id: lesson?.id ?? null,
+      date: ymdToIsoDate(toYmd(lesson?.date)),
+      startTime: toHHMM(lesson?.startTime),
+      endTime: toHHMM(lesson?.endTime),
+      status: lesson?.status || null,
+      subject: entryNames(lesson?.subjects)[0] || null,
+      teachers: entryNames(lesson?.teachers),
+      rooms: entryNames(lesson?.rooms),
+      previousTeachers: entryNames(lesson?.previousTeachers),
+      previousRooms: entryNames(lesson?.previousRooms),
+      substitutionText: lesson?.substitutionText || null,
+      lessonText: lesson?.lessonText || null,
+    };
+  }
+
+  function summarizeExam(exam) {
+    return {
+      date: ymdToIsoDate(toYmd(exam?.examDate)),
+      startTime: toHHMM(exam?.startTime),
+      endTime: toHHMM(exam?.endTime),
+      subject: exam?.subject || null,
+      name: exam?.name || null,
+      text: exam?.text || null,
+      teachers: Array.isArray(exam?.teachers) ? exam.teachers.map((teacher) => String(teacher?.name ?? teacher)).filter(Boolean) : [],
+    };
+  }
+
+  function compareLessons(a, b) {
+    return (toYmd(a.date) || 0) - (toYmd(b.date) || 0) || (Number(a.startTime) || 0) - (Number(b.startTime) || 0);
+  }
+
+  // Forget announcements for days that are over so the per-student state stays bounded.
+  function pruneAnnounced(map, todayYmd) {
+    for (const [key, ymd] of map) {
+      if (ymd < todayYmd) map.delete(key);
+    }
+  }
+
+  /**
+   * Create the per-student broadcast state that remembers what was already announced.
+   *
+   * @returns {Object} Broadcast state for one student
+   */
+  function createBroadcastState() {
+    return {
+      cancelled: new Map(),
+      changed: new Map(),
+      exams: new Map(),
+      firstLessonTomorrowKey: undefined,
+    };
+  }
+
+  /**
+   * Derive the notifications for one student after a DATA_UPDATE was processed.
+   *
+   * Only WEBUNTIS_DATA_UPDATED is sent on every update; the others are announced once per
+   * lesson/exam (exams once per day) and tracked in `state`, which the caller keeps per student.
+   *
+   * @param {Object} options - Derivation input
+   * @param {string} options.identifier - Module instance identifier
+   * @param {{id: number|null, title: string}} options.student - Student reference
+   * @param {number} options.todayYmd - Current day (debugDate-aware) as YYYYMMDD
+   * @param {Object} options.data - Normalized collections `{ lessons, exams, homework, absences, messages }`
+   * @param {Object} options.fetched - Which collections were fetched in this update `{ lessons, exams }`
+   * @param {boolean} options.changed - Whether the update changed any displayed data
+   * @param {string|null} options.generatedAt - Backend timestamp of the payload
+   * @param {{examDaysAhead: number}} options.broadcastConfig - Resolved broadcast config
+   * @param {Object} state - Per-student state from createBroadcastState()
+   * @returns {Array<{notification: string, payload: Object}>} Notifications in send order
+   */
+  function deriveStudentNotifications(options, state) {
+    const { identifier, student, todayYmd, data = {}, fetched = {}, changed = false, generatedAt = null, broadcastConfig } = options;
+    const lessons = Array.isArray(data.lessons) ? data.lessons : [];
+    const exams = Array.isArray(data.exams) ? data.exams : [];
+    const base = { identifier, student };
+    const notifications = [];
+
+    notifications.push({
+      notification: NOTIFICATIONS.DATA_UPDATED,
+      payload: {
+        ...base,
+        generatedAt,
+        changed: Boolean(changed),
+        counts: {
+          lessons: lessons.length,
+          exams: exams.length,
+          homework: Array.isArray(data.homework) ? data.homework.length : 0,
+          absences: Array.isArray(data.absences) ? data.absences.length : 0,
+          messages: Array.isArray(data.messages) ? data.messages.length : 0,
+        },
+      },
+    });
+
+    pruneAnnounced(state.cancelled, todayYmd);
+    pruneAnnounced(state.changed, todayYmd);
+    pruneAnnounced(state.exams, todayYmd);
+
+    if (fetched.lessons) {
+      const upcoming = lessons.filter((lesson) => (toYmd(lesson?.date) || 0) >= todayYmd).sort(compareLessons);
+
+      for (const lesson of upcoming) {
+        const key = lessonKey(lesson);
+        if (isCancelled(lesson)) {
+          if (state.cancelled.has(key)) continue;
+          state.cancelled.set(key, toYmd(lesson.date));
+          notifications.push({ notification: NOTIFICATIONS.LESSON_CANCELLED, payload: { ...base, lesson: summarizeLesson(lesson) } });
+          continue;
+        }
+        if (!isChanged(lesson)) continue;
+        const summary = summarizeLesson(lesson);
+        // Re-announce when a substitution is changed again (other teacher or room).
+        const signature = `${key}|${summary.status}|${summary.teachers.join(',')}|${summary.rooms.join(',')}`;
+        if (state.changed.has(signature)) continue;
+        state.changed.set(signature, toYmd(lesson.date));
+        notifications.push({ notification: NOTIFICATIONS.LESSON_CHANGED, payload: { ...base, lesson: summary } });
+      }
+
+      const tomorrowYmd = addDaysToYmd(todayYmd, 1);
+      const firstTomorrow = upcoming.find((lesson) => toYmd(lesson?.date) === tomorrowYmd && !isCancelled(lesson)) || null;
+      const firstKey = `${tomorrowYmd}|${firstTomorrow ? toHHMM(firstTomorrow.startTime) : ''}`;
+      if (firstKey !== state.firstLessonTomorrowKey) {
+        state.firstLessonTomorrowKey = firstKey;
+        notifications.push({
+          notification: NOTIFICATIONS.FIRST_LESSON_TOMORROW,
+          payload: {
+            ...base,
+            date: ymdToIsoDate(tomorrowYmd),
+            startTime: firstTomorrow ? toHHMM(firstTomorrow.startTime) : null,
+            lesson: firstTomorrow ? summarizeLesson(firstTomorrow) : null,
+          },
+        });
+      }
+    }
+
+    if (fetched.exams) {
+      const lastYmd = addDaysToYmd(todayYmd, broadcastConfig?.examDaysAhead ?? DEFAULT_BROADCAST_CONFIG.examDaysAhead);
+      const upcomingExams = exams
+        .filter((exam) => {
+          const ymd = toYmd(exam?.examDate);
+          return ymd !== null && ymd >= todayYmd && ymd <= lastYmd;
+        })
+        .sort((a, b) => toYmd(a.examDate) - toYmd(b.examDate) || (Number(a.startTime) || 0) - (Number(b.startTime) || 0));
+
+      for (const exam of upcomingExams) {
+        // Keyed by today as well: every exam is announced once per day with a fresh daysUntil.
+        const key = `${todayYmd}|${examKey(exam)}`;
+        if (state.exams.has(key)) continue;
+        state.exams.set(key, todayYmd);
+        notifications.push({
+          notification: NOTIFICATIONS.EXAM_UPCOMING,
+          payload: { ...base, daysUntil: daysBetweenYmd(todayYmd, toYmd(exam.examDate)), exam: summarizeExam(exam) },
+        });
+      }
+    }
+
+    return notifications;
+  }
+
+  return {
+    NOTIFICATIONS,
+    DEFAULT_BROADCAST_CONFIG,
+    resolveBroadcastConfig,
+    createBroadcastState,
+    deriveStudentNotifications,
+  };
+});
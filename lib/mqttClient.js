@@ -0,0 +1,244 @@
+/**
+ * MQTT Client
+ * Minimal publish-only MQTT 3.1.1 client (QoS 0, retain, last will, keepalive).
+ *
+ * Enough for a local Mosquitto broker without pulling a full MQTT stack into the module.
+ * Subscriptions and QoS 1/2 are deliberately not implemented.
+ */
+
+const net = require('node:net');
+const tls = require('node:tls');
+
+const PACKET_CONNECT = 0x10;
+const PACKET_CONNACK = 0x20;
+const PACKET_PUBLISH = 0x30;
+const PACKET_PINGREQ = 0xc0;
+const PACKET_DISCONNECT = 0xe0;
+
+const CONNACK_ERRORS = {
+  1: 'unacceptable protocol version',
+  2: 'client identifier rejected',
+  3: 'server unavailable',
+  4: 'bad user name or password',
+  5: 'not authorized',
+};
+
+function encodeRemainingLength(length) {
+  const bytes = [];
+  let value = length;
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeString(value) {
+  const data = Buffer.from(String(value), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(data.length);
+  return Buffer.concat([length, data]);
+}
+
+function buildPacket(firstByte, body = Buffer.alloc(0)) {
+  return Buffer.concat([Buffer.from([firstByte]), encodeRemainingLength(body.length), body]);
+}
+
+/**
+ * Encode a CONNECT packet.
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - Client identifier
+ * @param {number} options.keepaliveSeconds - Keepalive interval
+ * @param {string} [options.username] - Broker user name
+ * @param {string} [options.password] - Broker password
+ * @param {{topic: string, payload: string, retain: boolean}} [options.will] - Last will message
+ * @returns {Buffer} Packet
+ */
+function encodeConnect({ clientId, keepaliveSeconds, username, password, will }) {
+  let flags = 0x02; // clean session
+  if (will) flags |= 0x04 | (will.retain ? 0x20 : 0);
+  if (username) flags |= 0x80;
+  if (username && password) flags |= 0x40;
+
+  const keepalive = Buffer.alloc(2);
+  keepalive.writeUInt16BE(keepaliveSeconds);
+
+  const parts = [encodeString('MQTT'), Buffer.from([0x04, flags]), keepalive, encodeString(clientId)];
+  if (will) parts.push(encodeString(will.topic), encodeString(will.payload));
+  if (username) parts.push(encodeString(username));
+  if (username && password) parts.push(encodeString(password));
+
+  return buildPacket(PACKET_CONNECT, Buffer.concat(parts));
+}
+
+/**
+ * Encode a QoS 0 PUBLISH packet.
+ *
+ * @param {string} topic - Topic name
+ * @param {string|Buffer} payload - Message payload
+ * @param {boolean} retain - Retain flag
+ * @returns {Buffer} Packet
+ */
+function encodePublish(topic, payload, retain) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+  return buildPacket(PACKET_PUBLISH | (retain ? 0x01 : 0), Buffer.concat([encodeString(topic), data]));
+}
+
+/**
+ * Publish-only MQTT client that connects lazily and reconnects on the next publish after a drop.
+ */
+class MqttClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Broker URL (`mqtt://host:1883` or `mqtts://host:8883`)
+   * @param {string} [options.username] - Broker user name
+   * @param {string} [options.password] - Broker password
+   * @param {string} options.clientId - Client identifier
+   * @param {number} [options.keepaliveSeconds=60] - Keepalive interval
+   * @param {number} [options.connectTimeoutMs=10000] - Time to wait for CONNACK
+   * @param {{topic: string, payload: string, retain: boolean}} [options.will] - Last will message
+   * @param {Function} [options.onConnect] - Called after every successful (re)connect
+   * @param {Function} [options.logger] - Logger function (level, message)
+   */
+  constructor({ url, username, password, clientId, keepaliveSeconds = 60, connectTimeoutMs = 10000, will = null, onConnect, logger }) {
+    this._url = new URL(url);
+    this._username = username || '';
+    this._password = password || '';
+    this._clientId = clientId;
+    this._keepaliveSeconds = keepaliveSeconds;
+    this._connectTimeoutMs = connectTimeoutMs;
+    this._will = will;
+    this._onConnect = onConnect || (() => {});
+    this._logger = logger || (() => {});
+    this._socket = null;
+    this._connecting = null;
+    this._pingTimer = null;
+  }
+
+  /**
+   * Connect (or reuse the open connection).
+   *
+   * @returns {Promise<void>} Resolves after a successful CONNACK
+   */
+  connect() {
+    if (this._socket) return Promise.resolve();
+    if (this._connecting) return this._connecting;
+
+    this._connecting = new Promise((resolve, reject) => {
+      const secure = this._url.protocol === 'mqtts:';
+      const port = Number(this._url.port) || (secure ? 8883 : 1883);
+      const host = this._url.hostname || 'localhost';
+      const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+      let received = Buffer.alloc(0);
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        reject(error);
+      };
+      const timer = setTimeout(() => fail(new Error(`MQTT connect timeout after ${this._connectTimeoutMs}ms`)), this._connectTimeoutMs);
+
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        socket.write(
+          encodeConnect({
+            clientId: this._clientId,
+            keepaliveSeconds: this._keepaliveSeconds,
+            username: this._username,
+            password: this._password,
+            will: this._will,
+          })
+        );
+      });
+      socket.on('data', (chunk) => {
+        if (settled) return; // PINGRESP and other broker packets need no handling
+        received = Buffer.concat([received, chunk]);
+        if (received.length < 4) return;
+        if (received[0] !== PACKET_CONNACK) {
+          fail(new Error(`Unexpected MQTT packet 0x${received[0].toString(16)} before CONNACK`));
+          return;
+        }
+        const returnCode = received[3];
+        if (returnCode !== 0) {
+          fail(new Error(`MQTT connection refused: ${CONNACK_ERRORS[returnCode] || `code ${returnCode}`}`));
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        this._attachSocket(socket);
+        this._onConnect();
+        resolve();
+      });
+      socket.on('error', (error) => {
+        if (!settled) fail(error);
+        else this._logger('warn', `MQTT connection error: ${error.message}`);
+      });
+      socket.on('close', () => {
+        if (!settled) fail(new Error('MQTT connection closed before CONNACK'));
+        else this._detachSocket(socket);
+      });
+    }).finally(() => {
+      this._connecting = null;
+    });
+
+    return this._connecting;
+  }
+
+  _attachSocket(socket) {
+    this._socket = socket;
+    if (this._keepaliveSeconds > 0) {
+      this._pingTimer = setInterval(() => socket.write(buildPacket(PACKET_PINGREQ)), (this._keepaliveSeconds * 1000) / 2);
+      this._pingTimer.unref?.();
+    }
+  }
+
+  _detachSocket(socket) {
+    if (this._socket !== socket) return;
+    clearInterval(this._pingTimer);
+    this._pingTimer = null;
+    this._socket = null;
+    this._logger('debug', 'MQTT connection closed');
+  }
+
+  /**
+   * Publish one message with QoS 0.
+   *
+   * @param {string} topic - Topic name
+   * @param {string|Buffer} payload - Message payload
+   * @param {Object} [options]
+   * @param {boolean} [options.retain=false] - Ask the broker to retain the message
+   * @returns {Promise<void>} Resolves once the packet is handed to the socket
+   */
+  async publish(topic, payload, { retain = false } = {}) {
+    await this.connect();
+    const socket = this._socket;
+    await new Promise((resolve, reject) => {
+      socket.write(encodePublish(topic, payload, retain), (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Send DISCONNECT and close the socket. The last will is not published on a clean disconnect.
+   *
+   * @returns {Promise<void>}
+   */
+  async end() {
+    const socket = this._socket;
+    if (!socket) return;
+    this._detachSocket(socket);
+    await new Promise((resolve) => {
+      socket.end(buildPacket(PACKET_DISCONNECT), resolve);
+    });
+  }
+}
+
+module.exports = {
+  MqttClient,
+  encodeConnect,
+  encodePublish,
+};
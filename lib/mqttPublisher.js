@@ -0,0 +1,297 @@
+/**
+ * MQTT Publisher
+ * Publishes derived per-student timetable state and retained Home Assistant discovery configs.
+ *
+ * node_helper calls publishStudents() after each processGroup() run with the cached student
+ * snapshots, so publishing never causes an extra WebUntis request.
+ */
+
+const crypto = require('node:crypto');
+const { normalizeDateToInteger, normalizeTimeToHHMM } = require('./webuntis/dataOrchestration');
+const { addDaysToYmd, isExportableLesson, localDateTimeToUtcMs, resolveTimeZone } = require('./calendarExport');
+const { MqttClient } = require('./mqttClient');
+
+// Home Assistant turns this payload into the "unknown" state.
+const HA_PAYLOAD_NONE = 'None';
+
+const DEFAULT_MQTT_CONFIG = Object.freeze({
+  enabled: false, // opt-in
+  url: 'mqtt://localhost:1883', // mqtt:// or mqtts:// broker URL
+  username: '',
+  password: '',
+  topicPrefix: 'mmm-webuntis', // state topics: <topicPrefix>/<student>/<sensor>
+  discovery: true, // publish retained Home Assistant discovery configs
+  discoveryPrefix: 'homeassistant',
+});
+
+// Published sensors. `collection` is the snapshot collection a sensor is derived from;
+// sensors whose collection was never fetched are neither published nor announced.
+const MQTT_SENSORS = Object.freeze([
+  { key: 'first_lesson_today', collection: 'lessons', name: 'First lesson today', ha: { device_class: 'timestamp', icon: 'mdi:school' } },
+  {
+    key: 'first_lesson_tomorrow',
+    collection: 'lessons',
+    name: 'First lesson tomorrow',
+    ha: { device_class: 'timestamp', icon: 'mdi:alarm' },
+  },
+  { key: 'cancelled_lessons_today', collection: 'lessons', name: 'Cancelled lessons today', ha: { icon: 'mdi:calendar-remove' } },
+  { key: 'cancelled_lessons_tomorrow', collection: 'lessons', name: 'Cancelled lessons tomorrow', ha: { icon: 'mdi:calendar-remove' } },
+  {
+    key: 'next_exam',
+    collection: 'exams',
+    name: 'Next exam',
+    ha: { device_class: 'date', icon: 'mdi:file-document-edit', value_template: '{{ value_json.date or None }}', jsonAttributes: true },
+  },
+  { key: 'open_homework', collection: 'homework', name: 'Open homework', ha: { icon: 'mdi:book-open-variant' } },
+  { key: 'unexcused_absences', collection: 'absences', name: 'Unexcused absences', ha: { icon: 'mdi:account-alert' } },
+]);
+
+/**
+ * Resolve the effective mqtt config.
+ * MagicMirror merges module defaults shallowly, so partial user objects are completed here.
+ *
+ * @param {Object} config - Module config
+ * @returns {Object} Normalized mqtt config
+ */
+function resolveMqttConfig(config) {
+  const raw = config?.mqtt;
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_MQTT_CONFIG };
+
+  const pickString = (key) => (typeof raw[key] === 'string' && raw[key].trim() !== '' ? raw[key].trim() : DEFAULT_MQTT_CONFIG[key]);
+  return {
+    enabled: raw.enabled === true,
+    url: pickString('url'),
+    username: typeof raw.username === 'string' ? raw.username : '',
+    password: typeof raw.password === 'string' ? raw.password : '',
+    topicPrefix: pickString('topicPrefix').replace(/\/+$/, ''),
+    discovery: raw.discovery !== false,
+    discoveryPrefix: pickString('discoveryPrefix').replace(/\/+$/, ''),
+  };
+}
+
+/**
+ * Topic-safe student slug, e.g. `Zoë Müller` -> `zoe_muller`.
+ *
+ * @param {Object} student - Student config
+ * @returns {string} Slug
+ */
+function getStudentSlug(student) {
+  const slug = String(student?.title || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return slug || (student?.studentId != null ? `student_${student.studentId}` : 'student');
+}
+
+function formatIsoDate(ymd) {
+  const text = String(ymd);
+  return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+}
+
+function formatHHMM(hhmm) {
+  return `${String(Math.floor(hhmm / 100)).padStart(2, '0')}:${String(hhmm % 100).padStart(2, '0')}`;
+}
+
+function findFirstLessonStart(lessons, ymd, timeZone) {
+  const starts = lessons
+    .filter((lesson) => isExportableLesson(lesson) && normalizeDateToInteger(lesson.date) === ymd)
+    .map((lesson) => normalizeTimeToHHMM(lesson.startTime));
+  if (starts.length === 0) return HA_PAYLOAD_NONE;
+  return new Date(localDateTimeToUtcMs(ymd, Math.min(...starts), timeZone)).toISOString();
+}
+
+function countCancelledLessons(lessons, ymd) {
+  return lessons.filter(
+    (lesson) => normalizeDateToInteger(lesson?.date) === ymd && String(lesson?.status || '').toUpperCase() === 'CANCELLED'
+  ).length;
+}
+
+function findNextExam(exams, todayYmd) {
+  const upcoming = exams
+    .map((exam) => ({ exam, ymd: normalizeDateToInteger(exam?.examDate), start: normalizeTimeToHHMM(exam?.startTime) }))
+    .filter(({ ymd }) => ymd !== null && ymd >= todayYmd)
+    .sort((a, b) => a.ymd - b.ymd || (a.start ?? 0) - (b.start ?? 0));
+  if (upcoming.length === 0) return { date: null };
+
+  const { exam, ymd, start } = upcoming[0];
+  return {
+    date: formatIsoDate(ymd),
+    startTime: start !== null ? formatHHMM(start) : null,
+    subject: exam.subject || '',
+    name: exam.name || '',
+    text: exam.text || '',
+  };
+}
+
+/**
+ * Derive the published sensor values of one student from its snapshot.
+ *
+ * @param {Object|null} snapshot - Snapshot produced by mergeStudentSnapshot()
+ * @param {Object} options
+ * @param {number} options.todayYmd - Current date (debugDate aware)
+ * @param {string} [options.timeZone] - Fallback time zone when the snapshot has none
+ * @returns {Object<string, string>} Sensor key -> MQTT payload, only for fetched collections
+ */
+function deriveStudentMqttState(snapshot, { todayYmd, timeZone }) {
+  const collections = snapshot?.collections || {};
+  const zone = resolveTimeZone(snapshot?.timezone || timeZone);
+  const tomorrowYmd = addDaysToYmd(todayYmd, 1);
+  const values = {};
+
+  if (Array.isArray(collections.lessons)) {
+    values.first_lesson_today = findFirstLessonStart(collections.lessons, todayYmd, zone);
+    values.first_lesson_tomorrow = findFirstLessonStart(collections.lessons, tomorrowYmd, zone);
+    values.cancelled_lessons_today = String(countCancelledLessons(collections.lessons, todayYmd));
+    values.cancelled_lessons_tomorrow = String(countCancelledLessons(collections.lessons, tomorrowYmd));
+  }
+  if (Array.isArray(collections.exams)) {
+    values.next_exam = JSON.stringify(findNextExam(collections.exams, todayYmd));
+  }
+  if (Array.isArray(collections.homework)) {
+    const open = collections.homework.filter((homework) => {
+      if (homework?.completed === true) return false;
+      const due = normalizeDateToInteger(homework?.dueDate);
+      return due === null || due >= todayYmd;
+    });
+    values.open_homework = String(open.length);
+  }
+  if (Array.isArray(collections.absences)) {
+    values.unexcused_absences = String(collections.absences.filter((absence) => absence?.excused === false).length);
+  }
+
+  return values;
+}
+
+/**
+ * Build the state and discovery messages of one student.
+ *
+ * @param {Object} mqttConfig - Config from resolveMqttConfig()
+ * @param {Object} student - Student config
+ * @param {Object<string, string>} values - Output of deriveStudentMqttState()
+ * @returns {Array<{topic: string, payload: string}>} Retained messages, discovery configs first
+ */
+function buildStudentMessages(mqttConfig, student, values) {
+  const slug = getStudentSlug(student);
+  const nodeId = `mmm_webuntis_${slug}`;
+  const sensors = MQTT_SENSORS.filter((sensor) => values[sensor.key] !== undefined);
+  const stateTopic = (sensor) => `${mqttConfig.topicPrefix}/${slug}/${sensor.key}`;
+
+  const discovery = mqttConfig.discovery
+    ? sensors.map((sensor) => {
+        const { jsonAttributes, ...haFields } = sensor.ha;
+        const config = {
+          name: sensor.name,
+          unique_id: `${nodeId}_${sensor.key}`,
+          state_topic: stateTopic(sensor),
+          availability_topic: `${mqttConfig.topicPrefix}/status`,
+          device: {
+            identifiers: [nodeId],
+            name: `WebUntis ${student.title}`,
+            manufacturer: 'MMM-Webuntis',
+            model: 'MagicMirror module',
+          },
+          ...haFields,
+        };
+        if (jsonAttributes) config.json_attributes_topic = stateTopic(sensor);
+        return { topic: `${mqttConfig.discoveryPrefix}/sensor/${nodeId}/${sensor.key}/config`, payload: JSON.stringify(config) };
+      })
+    : [];
+
+  return [...discovery, ...sensors.map((sensor) => ({ topic: stateTopic(sensor), payload: values[sensor.key] }))];
+}
+
+/**
+ * Owns one MQTT connection per broker/prefix and skips retained messages the broker already has.
+ */
+class MqttPublisher {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.logger] - Logger function (level, message)
+   * @param {Function} [options.createClient] - Client factory, receives MqttClient constructor options
+   */
+  constructor({ logger, createClient } = {}) {
+    this._logger = logger || (() => {});
+    this._createClient = createClient || ((options) => new MqttClient(options));
+    this._connections = new Map(); // `${url}|${username}|${topicPrefix}` -> { client, published: Map(topic -> payload) }
+  }
+
+  _getConnection(mqttConfig) {
+    const key = `${mqttConfig.url}|${mqttConfig.username}|${mqttConfig.topicPrefix}`;
+    if (!this._connections.has(key)) {
+      const connection = { client: null, topicPrefix: mqttConfig.topicPrefix, published: new Map() };
+      connection.client = this._createClient({
+        url: mqttConfig.url,
+        username: mqttConfig.username,
+        password: mqttConfig.password,
+        clientId: `mmm-webuntis-${crypto.randomBytes(4).toString('hex')}`,
+        will: { topic: `${mqttConfig.topicPrefix}/status`, payload: 'offline', retain: true },
+        // A restarted broker may have lost its retained messages, so resend everything after a reconnect.
+        onConnect: () => connection.published.clear(),
+        logger: this._logger,
+      });
+      this._connections.set(key, connection);
+    }
+    return this._connections.get(key);
+  }
+
+  /**
+   * Publish the state of the given students. Failures are logged, never thrown.
+   *
+   * @param {Object} mqttConfig - Config from resolveMqttConfig()
+   * @param {Array<{student: Object, snapshot: Object}>} entries - Students with their snapshots
+   * @param {{todayYmd: number, timeZone: string}} dateContext - Current date context
+   * @returns {Promise<number>} Number of messages sent (unchanged retained messages are skipped)
+   */
+  async publishStudents(mqttConfig, entries, dateContext) {
+    const connection = this._getConnection(mqttConfig);
+    const messages = [{ topic: `${mqttConfig.topicPrefix}/status`, payload: 'online', always: true }];
+    for (const { student, snapshot } of entries) {
+      messages.push(...buildStudentMessages(mqttConfig, student, deriveStudentMqttState(snapshot, dateContext)));
+    }
+
+    let sent = 0;
+    try {
+      for (const message of messages) {
+        if (!message.always && connection.published.get(message.topic) === message.payload) continue;
+        await connection.client.publish(message.topic, message.payload, { retain: true });
+        connection.published.set(message.topic, message.payload);
+        sent += 1;
+      }
+    } catch (error) {
+      this._logger('warn', `Publishing to ${mqttConfig.url} failed: ${error.message}`);
+    }
+    return sent;
+  }
+
+  /**
+   * Mark all connections offline and disconnect.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const connections = Array.from(this._connections.values());
+    this._connections.clear();
+    await Promise.all(
+      connections.map(async ({ client, topicPrefix }) => {
+        try {
+          await client.publish(`${topicPrefix}/status`, 'offline', { retain: true });
+          await client.end();
+        } catch (error) {
+          this._logger('debug', `Disconnect failed: ${error.message}`);
+        }
+      })
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_MQTT_CONFIG,
+  MQTT_SENSORS,
+  MqttPublisher,
+  buildStudentMessages,
+  deriveStudentMqttState,
+  getStudentSlug,
+  resolveMqttConfig,
+};
@@ -0,0 +1,188 @@
+/**
+ * Payload Snapshot Store
+ * Persists the last good DATA_UPDATE payload per student on disk so a restarted MagicMirror
+ * can show it right away instead of "no data" until authentication and the first fetch finished.
+ *
+ * Files are redacted with redactSensitiveFields() and written atomically (temp file + rename),
+ * so a power cut during a write never leaves a truncated snapshot behind.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { redactSensitiveFields } = require('./mmm-adapter/mmmPayloadMapper');
+const { isFailedApiStatus } = require('./studentSnapshots');
+
+const SNAPSHOT_FILE_VERSION = 1;
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', 'payload_cache');
+const DEFAULT_OFFLINE_CACHE_CONFIG = Object.freeze({
+  enabled: true,
+  maxAgeHours: 168,
+});
+
+/**
+ * Resolve the `offlineCache` config section against its defaults.
+ *
+ * @param {Object} config - Module config
+ * @returns {{enabled: boolean, maxAgeHours: number}} Effective offline cache config
+ */
+function resolveOfflineCacheConfig(config) {
+  const section = config?.offlineCache && typeof config.offlineCache === 'object' ? config.offlineCache : {};
+  const maxAgeHours = Number(section.maxAgeHours);
+  return {
+    enabled: section.enabled !== false,
+    maxAgeHours: Number.isFinite(maxAgeHours) && maxAgeHours > 0 ? maxAgeHours : DEFAULT_OFFLINE_CACHE_CONFIG.maxAgeHours,
+  };
+}
+
+// encodeURIComponent keeps titles distinct ("Anna B" vs. "Anna_B") and leaves no path separators.
+function encodeFileNamePart(value) {
+  return encodeURIComponent(String(value ?? '')).replace(/\*/g, '%2A');
+}
+
+function getSnapshotFilePrefix(identifier) {
+  return `${encodeFileNamePart(identifier)}__`;
+}
+
+function getSnapshotFilePath(dir, identifier, studentTitle) {
+  return path.join(dir, `${getSnapshotFilePrefix(identifier)}${encodeFileNamePart(studentTitle)}.json`);
+}
+
+/**
+ * Build the redacted payload that is written to disk.
+ *
+ * Collections are taken from the in-memory student snapshot, which already keeps the last good
+ * version of endpoints that failed in this fetch. Changes and warnings belong to the fetch that
+ * produced them and are dropped, so a replay never re-announces them.
+ *
+ * @param {Object} payload - V3 DATA_UPDATE payload returned by fetchData()
+ * @param {Object|null} snapshot - Student snapshot from mergeStudentSnapshot()
+ * @returns {Object|null} Payload to persist, or null when the payload is not worth keeping
+ */
+function buildPersistablePayload(payload, snapshot) {
+  if (!payload?.data || !payload?.context?.student?.title) return null;
+  // Lessons, time units and holidays all come from the timetable; without it there is nothing good to keep.
+  if (payload.state?.fetch?.timetable === true && isFailedApiStatus(payload.state?.api?.timetable)) return null;
+
+  const persisted = JSON.parse(JSON.stringify(payload));
+  for (const [collection, items] of Object.entries(snapshot?.collections || {})) {
+    if (Array.isArray(items)) persisted.data[collection] = JSON.parse(JSON.stringify(items));
+  }
+  persisted.state = { ...(persisted.state || {}), warnings: [], warningMeta: [], changes: [] };
+  delete persisted.id;
+  delete persisted.sessionId;
+
+  redactSensitiveFields(persisted);
+  return persisted;
+}
+
+/**
+ * Fingerprint the content of a persistable payload.
+ * `meta` is left out: it only carries the fetch timestamps and process info, which differ on every fetch.
+ *
+ * @param {Object} payload - Payload from buildPersistablePayload()
+ * @returns {string} SHA-1 hex digest
+ */
+function getPayloadFingerprint(payload) {
+  const { meta: _meta, ...content } = payload || {};
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Write the last good payload of a student atomically.
+ *
+ * @param {Object} options - Write options
+ * @param {string} [options.dir] - Target directory
+ * @param {string} options.identifier - Module instance identifier
+ * @param {Object} options.payload - Payload from buildPersistablePayload()
+ * @param {Date} [options.now] - Save timestamp
+ * @returns {string} Written file path
+ */
+function writePayloadSnapshot({ dir = DEFAULT_SNAPSHOT_DIR, identifier, payload, now = new Date() }) {
+  const studentTitle = payload?.context?.student?.title;
+  if (!studentTitle) throw new Error('payload snapshot requires context.student.title');
+
+  fs.mkdirSync(dir, { recursive: true });
+  const target = getSnapshotFilePath(dir, identifier, studentTitle);
+  const tempFile = `${target}.${process.pid}.tmp`;
+  const content = {
+    version: SNAPSHOT_FILE_VERSION,
+    identifier,
+    student: studentTitle,
+    savedAt: now.toISOString(),
+    payload,
+  };
+
+  try {
+    fs.writeFileSync(tempFile, JSON.stringify(content), 'utf8');
+    fs.renameSync(tempFile, target);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+  return target;
+}
+
+/**
+ * Read the persisted payloads of one module instance.
+ * Unreadable, foreign, or expired files are skipped and reported through `onSkip`.
+ *
+ * @param {Object} options - Read options
+ * @param {string} [options.dir] - Snapshot directory
+ * @param {string} options.identifier - Module instance identifier
+ * @param {number} options.maxAgeMs - Maximum snapshot age
+ * @param {Date} [options.now] - Reference time for the age check
+ * @param {Function} [options.onSkip] - Called with `(fileName, reason)` for skipped files
+ * @returns {Array<{student: string, savedAt: string, payload: Object}>} Snapshots sorted by student title
+ */
+function readPayloadSnapshots({ dir = DEFAULT_SNAPSHOT_DIR, identifier, maxAgeMs, now = new Date(), onSkip = () => {} }) {
+  if (!fs.existsSync(dir)) return [];
+
+  const prefix = getSnapshotFilePrefix(identifier);
+  const snapshots = [];
+  for (const fileName of fs.readdirSync(dir)) {
+    if (!fileName.startsWith(prefix) || !fileName.endsWith('.json')) continue;
+
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(path.join(dir, fileName), 'utf8'));
+    } catch (error) {
+      onSkip(fileName, `unreadable (${error.message})`);
+      continue;
+    }
+    if (content?.version !== SNAPSHOT_FILE_VERSION || content.identifier !== identifier || !content.payload?.context?.student?.title) {
+      onSkip(fileName, 'unknown format');
+      continue;
+    }
+    const savedAtMs = Date.parse(content.savedAt);
+    if (!Number.isFinite(savedAtMs) || now.getTime() - savedAtMs > maxAgeMs) {
+      onSkip(fileName, 'expired');
+      continue;
+    }
+    snapshots.push({ student: content.student, savedAt: content.savedAt, payload: content.payload });
+  }
+
+  return snapshots.sort((a, b) => String(a.student).localeCompare(String(b.student)));
+}
+
+/**
+ * Mark a persisted payload as stale replay for the frontend.
+ *
+ * @param {Object} payload - Persisted payload
+ * @param {string} savedAt - ISO timestamp of the snapshot file
+ * @returns {Object} Payload copy with `meta.stale` and `meta.savedAt`
+ */
+function markPayloadStale(payload, savedAt) {
+  return { ...payload, meta: { ...(payload?.meta || {}), stale: true, savedAt } };
+}
+
+module.exports = {
+  DEFAULT_OFFLINE_CACHE_CONFIG,
+  DEFAULT_SNAPSHOT_DIR,
+  buildPersistablePayload,
+  getPayloadFingerprint,
+  markPayloadStale,
+  readPayloadSnapshots,
+  resolveOfflineCacheConfig,
+  writePayloadSnapshot,
+};
@@ -40,7 +40,9 @@ function buildFetchFlagsFromCapabilities(capabilities = []) {
     fetchExams: capabilitySet.has('exams'),
     fetchHomeworks: capabilitySet.has('homework'),
     fetchAbsences: capabilitySet.has('absences'),
+    fetchGrades: capabilitySet.has('grades'),
     fetchMessagesOfDay: capabilitySet.has('messages'),
+    fetchHolidays: capabilitySet.has('holidays'),
   };
 }
 
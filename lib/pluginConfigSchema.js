@@ -0,0 +1,215 @@
+/**
+ * Plugin Config Schema
+ * Validates `plugins.<id>.config` against the JSON Schema a plugin manifest references with
+ * `configSchema`, and derives the plugin's default config from the schema's `default` keywords.
+ *
+ * Only the JSON Schema subset that plugin options need is implemented: `type`, `enum`, `minimum`,
+ * `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `minLength`, `pattern`, `properties`,
+ * `required`, `additionalProperties`, `items`, `minItems`, and `default`. Other keywords are ignored.
+ *
+ * Extensions:
+ * - `x-recommended: { minimum, maximum, hint, severity }` reports values that are valid but unusual
+ *   ("is very large") instead of rejecting them
+ * - `x-studentOverride: true` marks options that may be overridden per student
+ *   (`students[].plugins.<id>.config`); only used by the MMM-Config schema generator
+ */
+
+const { createConfigIssue } = require('./pluginValidationUtils');
+
+const TYPE_LABELS = Object.freeze({
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  null: 'null',
+});
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Check the parts of a config schema the host relies on.
+ *
+ * @param {*} schema - Parsed schema file
+ * @returns {string[]} Problems; empty when the schema can be used
+ */
+function checkConfigSchema(schema) {
+  if (!isPlainObject(schema)) return ['Config schema must be a JSON object.'];
+  if (schema.type !== 'object') return ['Config schema must describe an object ("type": "object").'];
+  if (schema.properties !== undefined && !isPlainObject(schema.properties)) return ['Config schema "properties" must be an object.'];
+  return [];
+}
+
+function validateNode(value, schema, path, issue) {
+  if (!isPlainObject(schema)) return;
+
+  const types = Array.isArray(schema.type) ? schema.type : typeof schema.type === 'string' ? [schema.type] : [];
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    issue(`${path} must be ${types.map((type) => TYPE_LABELS[type] || type).join(' or ')}. Value: ${formatValue(value)}`);
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((candidate) => candidate === value)) {
+    issue(`${path} must be one of: ${schema.enum.map(formatValue).join(', ')}. Value: ${formatValue(value)}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      issue(
+        schema.minimum === 0 ? `${path} cannot be negative. Value: ${value}` : `${path} must be at least ${schema.minimum}. Value: ${value}`
+      );
+      return;
+    }
+    if (Number.isFinite(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      issue(
+        schema.exclusiveMinimum === 0
+          ? `${path} must be a positive number. Value: ${value}`
+          : `${path} must be greater than ${schema.exclusiveMinimum}. Value: ${value}`
+      );
+      return;
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      issue(`${path} must be at most ${schema.maximum}. Value: ${value}`);
+      return;
+    }
+    if (Number.isFinite(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      issue(`${path} must be less than ${schema.exclusiveMaximum}. Value: ${value}`);
+      return;
+    }
+
+    const recommended = isPlainObject(schema['x-recommended']) ? schema['x-recommended'] : null;
+    if (recommended) {
+      const severity = recommended.severity || 'warning';
+      if (Number.isFinite(recommended.maximum) && value > recommended.maximum) {
+        issue(`${path} is very large (${value}). ${recommended.hint || `Recommended maximum: ${recommended.maximum}.`}`, severity);
+      } else if (Number.isFinite(recommended.minimum) && value < recommended.minimum) {
+        issue(`${path} is very small (${value}). ${recommended.hint || `Recommended minimum: ${recommended.minimum}.`}`, severity);
+      }
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isInteger(schema.minLength) && value.length < schema.minLength) {
+      issue(`${path} must be at least ${schema.minLength} characters long.`);
+      return;
+    }
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(value)) {
+      issue(`${path} must match ${schema.pattern}. Value: ${value}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isInteger(schema.minItems) && value.length < schema.minItems) {
+      issue(`${path} must contain at least ${schema.minItems} entries.`);
+      return;
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, `${path}[${index}]`, issue);
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    (Array.isArray(schema.required) ? schema.required : []).forEach((key) => {
+      if (value[key] === undefined) issue(`${path}.${key} is required.`);
+    });
+    Object.entries(value).forEach(([key, childValue]) => {
+      if (childValue === undefined) return;
+      if (properties[key]) {
+        validateNode(childValue, properties[key], `${path}.${key}`, issue);
+      } else if (schema.additionalProperties === false) {
+        issue(`${path}.${key} is not a known option.`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateNode(childValue, schema.additionalProperties, `${path}.${key}`, issue);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a plugin config against the plugin's config schema.
+ *
+ * Issues use the same `{ pluginId, message, severity, kind }` shape as `validateConfig()` hooks.
+ * Violations are warnings unless an `x-recommended` block asks for another severity.
+ *
+ * @param {string} pluginId - Plugin ID, used for the issue and the root message
+ * @param {*} pluginConfig - Config to check; `undefined` and `null` are accepted
+ * @param {Object} schema - Config schema of the plugin
+ * @param {string} [label] - Path prefix of messages (default: `pluginId`), e.g. `grid.nextDays`
+ * @returns {Array<Object>} Config issues
+ */
+function validatePluginConfig(pluginId, pluginConfig, schema, label = pluginId) {
+  if (pluginConfig === undefined || pluginConfig === null) return [];
+  if (!isPlainObject(pluginConfig)) {
+    return [createConfigIssue(pluginId, `${label} plugin config must be an object.`)];
+  }
+
+  const issues = [];
+  validateNode(pluginConfig, schema, label, (message, severity = 'warning') => {
+    issues.push(createConfigIssue(pluginId, message, severity));
+  });
+  return issues;
+}
+
+function collectDefault(schema) {
+  if (!isPlainObject(schema)) return undefined;
+  if (Object.hasOwn(schema, 'default')) return structuredClone(schema.default);
+  if (!isPlainObject(schema.properties)) return undefined;
+
+  const result = {};
+  Object.entries(schema.properties).forEach(([key, childSchema]) => {
+    const value = collectDefault(childSchema);
+    if (value !== undefined) result[key] = value;
+  });
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * Build a plugin's default config from the `default` keywords of its config schema.
+ * Nested objects without an own `default` are assembled from their properties.
+ *
+ * @param {Object} schema - Config schema of the plugin
+ * @returns {Object} Default config (a fresh copy on every call)
+ */
+function getSchemaDefaults(schema) {
+  const defaults = collectDefault(schema);
+  return isPlainObject(defaults) ? defaults : {};
+}
+
+module.exports = {
+  checkConfigSchema,
+  getSchemaDefaults,
+  validatePluginConfig,
+};
@@ -1,18 +1,46 @@
-const { loadPluginRegistry } = require('./pluginLoader');
+const { collectCapabilities } = require('./pluginCapabilityResolver');
+const { describePluginSource, loadPluginRegistry } = require('./pluginLoader');
 const { HOST_PLUGIN_API_VERSION } = require('./pluginManifestValidator');
 
 function createNoopLogger() {
   return () => void 0;
 }
 
+function getPluginRecordKey(pluginDescriptor) {
+  return `${pluginDescriptor.id}|${pluginDescriptor.source}`;
+}
+
+/**
+ * Discover plugins and run `setup()` of their backend entries.
+ *
+ * With `options.previousHost`, plugins that host already handled keep their record and instance,
+ * and plugins whose backend failed there stay out; only newly discovered plugins are set up.
+ *
+ * @param {Object} [options] - loadPluginRegistry() options plus `logger`, `requireFn`, `helpers` and `previousHost`
+ * @returns {{plugins: Object[], warnings: string[], handledKeys: Set<string>}} Plugin host
+ */
 function initializeBackendPluginHost(options = {}) {
   const logger = typeof options.logger === 'function' ? options.logger : createNoopLogger();
   const requireFn = typeof options.requireFn === 'function' ? options.requireFn : require;
+  const previousHost = options.previousHost || null;
+  const previousRecords = new Map(
+    (Array.isArray(previousHost?.plugins) ? previousHost.plugins : []).map((record) => [getPluginRecordKey(record), record])
+  );
+  const previouslyHandled = previousHost?.handledKeys instanceof Set ? previousHost.handledKeys : new Set();
   const registry = loadPluginRegistry(options);
-  const warnings = registry.warnings.slice();
+  const warnings = Array.from(new Set([...(Array.isArray(previousHost?.warnings) ? previousHost.warnings : []), ...registry.warnings]));
   const plugins = [];
+  const handledKeys = new Set();
 
   for (const pluginDescriptor of registry.plugins) {
+    const recordKey = getPluginRecordKey(pluginDescriptor);
+    handledKeys.add(recordKey);
+    if (previouslyHandled.has(recordKey)) {
+      if (previousRecords.has(recordKey)) plugins.push(previousRecords.get(recordKey));
+      continue;
+    }
+
+    const origin = describePluginSource(pluginDescriptor.source);
     const backendEntry = pluginDescriptor.entryPaths.backend;
     if (!backendEntry) {
       plugins.push({ ...pluginDescriptor, backendDefinition: null, instance: null });
@@ -23,20 +51,20 @@ function initializeBackendPluginHost(options = {}) {
     try {
       backendDefinition = requireFn(backendEntry);
     } catch (error) {
-      warnings.push(`[plugins] Failed to load backend plugin "${pluginDescriptor.id}": ${error.message}`);
+      warnings.push(`[plugins] Failed to load backend plugin "${pluginDescriptor.id}"${origin}: ${error.message}`);
       continue;
     }
 
     if (!backendDefinition || backendDefinition.id !== pluginDescriptor.id) {
-      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}" must export a matching id.`);
+      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}"${origin} must export a matching id.`);
       continue;
     }
     if (backendDefinition.hostApiVersion !== HOST_PLUGIN_API_VERSION) {
-      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}" targets unsupported host API version.`);
+      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}"${origin} targets unsupported host API version.`);
       continue;
     }
     if (typeof backendDefinition.setup !== 'function') {
-      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}" must export a setup() function.`);
+      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}"${origin} must export a setup() function.`);
       continue;
     }
 
@@ -52,7 +80,7 @@ function initializeBackendPluginHost(options = {}) {
         helpers: options.helpers || {},
       });
     } catch (error) {
-      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}" setup failed: ${error.message}`);
+      warnings.push(`[plugins] Backend plugin "${pluginDescriptor.id}"${origin} setup failed: ${error.message}`);
       continue;
     }
 
@@ -66,9 +94,57 @@ function initializeBackendPluginHost(options = {}) {
   return {
     plugins,
     warnings,
+    handledKeys,
   };
 }
 
+/**
+ * Run the `deriveData()` hook of every plugin that declares the `pluginDerivedData` capability.
+ *
+ * Each hook receives the freshly mapped payload and its own output of the previous fetch of the same
+ * student, and returns a JSON-serializable value (or a promise of one). Results are namespaced by
+ * plugin ID, so plugins never overwrite each other or the canonical collections. A failing hook is
+ * reported through `onError` and keeps its previous output; `undefined` drops the plugin's entry.
+ *
+ * @param {Object[]} pluginRecords - Active plugin records from initializeBackendPluginHost()
+ * @param {Object} options - Derivation options
+ * @param {Object} options.payload - V3 DATA_UPDATE payload built by mmmPayloadMapper
+ * @param {Object} [options.previous] - Derived data of the previous fetch, keyed by plugin ID
+ * @param {Function} [options.getPluginConfig] - Returns the config of a plugin ID
+ * @param {Function} [options.onError] - Called with `(pluginId, error)` when a hook throws
+ * @returns {Promise<Object>} Derived data keyed by plugin ID
+ */
+async function deriveStudentData(pluginRecords = [], options = {}) {
+  const { payload } = options;
+  const previous = options.previous && typeof options.previous === 'object' ? options.previous : {};
+  const getPluginConfig = typeof options.getPluginConfig === 'function' ? options.getPluginConfig : () => ({});
+  const onError = typeof options.onError === 'function' ? options.onError : () => void 0;
+  const derived = {};
+
+  for (const pluginRecord of pluginRecords) {
+    const pluginId = pluginRecord?.manifest?.id;
+    if (!pluginId || typeof pluginRecord.instance?.deriveData !== 'function') continue;
+    if (!collectCapabilities([pluginRecord], { getPluginConfig }).includes('pluginDerivedData')) continue;
+
+    try {
+      const result = await pluginRecord.instance.deriveData({
+        data: payload?.data || {},
+        context: payload?.context || {},
+        state: payload?.state || {},
+        previous: previous[pluginId] ?? null,
+        pluginConfig: getPluginConfig(pluginId),
+      });
+      if (result !== undefined) derived[pluginId] = result;
+    } catch (error) {
+      onError(pluginId, error);
+      if (previous[pluginId] !== undefined) derived[pluginId] = previous[pluginId];
+    }
+  }
+
+  return derived;
+}
+
 module.exports = {
+  deriveStudentData,
   initializeBackendPluginHost,
 };
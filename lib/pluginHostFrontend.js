@@ -6,7 +6,105 @@
   root.MMMWebuntisPluginHostApi = api;
   api.ensurePluginHost(root);
 })(typeof globalThis !== 'undefined' ? globalThis : this, function createPluginHostApi(root) {
-  const HOST_PLUGIN_API_VERSION = 1;
+  const HOST_PLUGIN_API_VERSION = 2;
+  // Version 2 adds the optional lifecycle hooks (FRONTEND_LIFECYCLE_HOOKS); version 1 plugins only render.
+  const SUPPORTED_HOST_API_VERSIONS = [1, 2];
+  const FRONTEND_LIFECYCLE_HOOKS = ['onDataUpdate', 'onSuspend', 'onResume', 'onDayRollover', 'destroy'];
+
+  const DOM_KEY_ATTRIBUTE = 'data-wu-key';
+  const DOM_KEEP_ATTRIBUTE = 'data-wu-keep';
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+  const COMMENT_NODE = 8;
+
+  function getDomKey(node) {
+    return node?.nodeType === ELEMENT_NODE && node.hasAttribute(DOM_KEY_ATTRIBUTE) ? node.getAttribute(DOM_KEY_ATTRIBUTE) : null;
+  }
+
+  function hasKeyedChildren(node) {
+    return Array.from(node.childNodes || []).some((child) => getDomKey(child) !== null);
+  }
+
+  function syncAttributes(current, next) {
+    for (const { name } of Array.from(current.attributes)) {
+      if (!next.hasAttribute(name)) current.removeAttribute(name);
+    }
+    for (const { name, value } of Array.from(next.attributes)) {
+      if (current.getAttribute(name) !== value) current.setAttribute(name, value);
+    }
+  }
+
+  function patchChildren(current, next) {
+    const keyedPool = new Map();
+    const unkeyedPool = [];
+    for (const child of Array.from(current.childNodes)) {
+      const key = getDomKey(child);
+      if (key === null) {
+        unkeyedPool.push(child);
+        continue;
+      }
+      if (!keyedPool.has(key)) keyedPool.set(key, []);
+      keyedPool.get(key).push(child);
+    }
+
+    const patchedChildren = [];
+    for (const nextChild of Array.from(next.childNodes)) {
+      const key = getDomKey(nextChild);
+      let previous = null;
+      if (key !== null) {
+        previous = keyedPool.get(key)?.shift() || null;
+      } else {
+        const index = unkeyedPool.findIndex((child) => child.nodeType === nextChild.nodeType && child.nodeName === nextChild.nodeName);
+        if (index >= 0) previous = unkeyedPool.splice(index, 1)[0];
+      }
+
+      if (previous && nextChild.nodeType === ELEMENT_NODE && nextChild.getAttribute(DOM_KEEP_ATTRIBUTE) === '1') {
+        patchedChildren.push(previous);
+      } else {
+        patchedChildren.push(previous ? patchKeyedDom(previous, nextChild) : nextChild);
+      }
+    }
+
+    patchedChildren.forEach((child, index) => {
+      const nodeAtIndex = current.childNodes[index] || null;
+      if (nodeAtIndex !== child) current.insertBefore(child, nodeAtIndex);
+    });
+    while (current.childNodes.length > patchedChildren.length) {
+      current.removeChild(current.lastChild);
+    }
+  }
+
+  /**
+   * Patch a mounted DOM tree towards a freshly rendered one.
+   *
+   * Children are matched by their `data-wu-key` attribute; unkeyed children are matched in order by node type and tag.
+   * - equal subtrees (isEqualNode) are reused untouched
+   * - elements whose next version has keyed children are patched in place: attributes, expando properties, children
+   * - every other element is atomic and replaced by its next version, so event listeners never go stale
+   * - a next child with `data-wu-keep="1"` keeps the mounted element of the same key as it is
+   *
+   * @param {Node|null} current - Mounted node
+   * @param {Node|null} next - Freshly rendered node
+   * @returns {Node|null} `current` when it was reused or patched, otherwise `next`; the caller replaces `current` then
+   */
+  function patchKeyedDom(current, next) {
+    if (!current || !next || current === next) return next || null;
+    if (current.nodeType !== next.nodeType || current.nodeName !== next.nodeName) return next;
+
+    if (current.nodeType === TEXT_NODE || current.nodeType === COMMENT_NODE) {
+      if (current.nodeValue !== next.nodeValue) current.nodeValue = next.nodeValue;
+      return current;
+    }
+    if (current.nodeType !== ELEMENT_NODE) return next;
+    if (current.isEqualNode(next)) return current;
+    if (getDomKey(current) !== getDomKey(next) || !hasKeyedChildren(next)) return next;
+
+    syncAttributes(current, next);
+    // Renderers keep runtime state on elements (e.g. the grid now-line references).
+    Object.assign(current, next);
+    patchChildren(current, next);
+    return current;
+  }
 
   function normalizeLogLevel(level) {
     return ['error', 'warn', 'info', 'debug'].includes(level) ? level : 'info';
@@ -42,7 +140,7 @@
         if (typeof definition.id !== 'string' || !definition.id.trim()) {
           throw new TypeError('Frontend plugin definition requires a non-empty id.');
         }
-        if (definition.hostApiVersion !== HOST_PLUGIN_API_VERSION) {
+        if (!SUPPORTED_HOST_API_VERSIONS.includes(definition.hostApiVersion)) {
           throw new Error(`Frontend plugin "${definition.id}" targets unsupported host API version.`);
         }
         if (typeof definition.create !== 'function') {
@@ -71,6 +169,26 @@
         return definition.create(pluginContext);
       },
 
+      /**
+       * Call an optional lifecycle hook of a plugin instance.
+       * Hooks are part of host API version 2; instances of version 1 plugins are never called.
+       *
+       * @param {string} id - Plugin id
+       * @param {Object} instance - Instance returned by createFrontendPluginInstance()
+       * @param {string} hookName - One of FRONTEND_LIFECYCLE_HOOKS
+       * @param {...*} args - Hook arguments
+       * @returns {boolean} True when the hook exists and was called
+       */
+      callLifecycleHook(id, instance, hookName, ...args) {
+        if (!FRONTEND_LIFECYCLE_HOOKS.includes(hookName)) {
+          throw new Error(`Unknown frontend plugin lifecycle hook "${hookName}".`);
+        }
+        const definition = definitions.get(String(id || '').trim());
+        if (!definition || definition.hostApiVersion < 2 || typeof instance?.[hookName] !== 'function') return false;
+        instance[hookName](...args);
+        return true;
+      },
+
       addWarning(message) {
         const normalizedMessage = String(message || '').trim();
         if (!normalizedMessage) return;
@@ -81,6 +199,10 @@
       getWarnings() {
         return warnings.slice();
       },
+
+      patchDom(current, next) {
+        return patchKeyedDom(current, next);
+      },
     };
   }
 
@@ -94,8 +216,11 @@
   }
 
   return {
+    FRONTEND_LIFECYCLE_HOOKS,
     HOST_PLUGIN_API_VERSION,
+    SUPPORTED_HOST_API_VERSIONS,
     createPluginHost,
     ensurePluginHost,
+    patchKeyedDom,
   };
 });
@@ -1,5 +1,6 @@
 const fs = require('node:fs');
 const path = require('node:path');
+const { checkConfigSchema } = require('./pluginConfigSchema');
 const { validatePluginManifest } = require('./pluginManifestValidator');
 
 function resolvePluginsRoot(moduleRoot, pluginsDir = 'plugins') {
@@ -27,80 +28,207 @@ function resolvePluginEntrypoints(pluginRoot, manifest) {
     frontend: frontendPath,
     backend: backendPath,
     styles: stylePaths,
+    configSchema: manifest.configSchema ? path.resolve(pluginRoot, manifest.configSchema) : null,
   };
 }
 
-function loadPluginRegistry(options = {}) {
-  const fsImpl = options.fsImpl || fs;
-  const pathImpl = options.pathImpl || path;
-  const moduleRoot = options.moduleRoot || process.cwd();
-  const pluginsRoot = resolvePluginsRoot(moduleRoot, options.pluginsDir || 'plugins');
-  const warnings = [];
-  const plugins = [];
-  const pluginIds = new Set();
-
-  if (!fsImpl.existsSync(pluginsRoot)) {
-    return {
-      pluginsRoot,
-      plugins,
-      warnings,
-    };
+const BUILTIN_PLUGIN_SOURCE = 'builtin';
+const NPM_PACKAGE_NAME_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+/**
+ * Normalize the `pluginPaths` config: trimmed, non-empty, unique strings.
+ *
+ * @param {*} pluginPaths - Configured value
+ * @returns {string[]} Plugin path entries
+ */
+function normalizePluginPaths(pluginPaths) {
+  if (!Array.isArray(pluginPaths)) return [];
+  const entries = pluginPaths.map((entry) => (typeof entry === 'string' ? entry.trim() : '')).filter(Boolean);
+  return Array.from(new Set(entries));
+}
+
+/**
+ * Resolve one `pluginPaths` entry to a directory.
+ *
+ * Entries that are absolute or start with `.` or `~` are directories (relative ones resolve against `baseDir`);
+ * everything else must be an npm package name, resolved from the module folder and then `baseDir`.
+ *
+ * @param {string} entry - Configured entry
+ * @param {Object} options - Resolve options
+ * @param {string} options.moduleRoot - Module folder
+ * @param {string} options.baseDir - Base for relative directories (MagicMirror folder)
+ * @param {Function} options.resolveFn - require.resolve compatible resolver
+ * @returns {{source: string, directory: string|null, error: string|null}} Resolved directory or error
+ */
+function resolvePluginPathEntry(entry, { moduleRoot, baseDir, resolveFn }) {
+  const isDirectory = path.isAbsolute(entry) || entry.startsWith('.') || entry.startsWith('~') || !NPM_PACKAGE_NAME_PATTERN.test(entry);
+  if (isDirectory) {
+    const expanded = entry.startsWith('~') ? path.join(process.env.HOME || '', entry.slice(1)) : entry;
+    const directory = path.resolve(baseDir, expanded);
+    return { source: `path:${directory}`, directory, error: null };
   }
 
-  const entries = fsImpl.readdirSync(pluginsRoot, { withFileTypes: true }).filter((entry) => entry.isDirectory());
+  const source = `npm:${entry}`;
+  try {
+    const packageJsonPath = resolveFn(`${entry}/package.json`, { paths: [moduleRoot, baseDir] });
+    return { source, directory: path.dirname(packageJsonPath), error: null };
+  } catch (error) {
+    return { source, directory: null, error: error.message.split('\n')[0] };
+  }
+}
 
-  for (const entry of entries) {
-    const pluginRoot = pathImpl.join(pluginsRoot, entry.name);
-    const manifestPath = pathImpl.join(pluginRoot, 'manifest.json');
-    if (!fsImpl.existsSync(manifestPath)) {
-      continue;
-    }
+/**
+ * Origin suffix for warnings; empty for built-in plugins.
+ *
+ * @param {string} source - Registry `source` value
+ * @returns {string} e.g. ` (npm:mmm-webuntis-weather)`
+ */
+function describePluginSource(source) {
+  return source === BUILTIN_PLUGIN_SOURCE ? '' : ` (${source})`;
+}
+
+function loadPluginFromDirectory(pluginRoot, source, context) {
+  const { fsImpl, pathImpl, warnings, plugins, sourceById } = context;
+  const dirName = pathImpl.basename(pluginRoot);
+  const origin = describePluginSource(source);
+  const manifestPath = pathImpl.join(pluginRoot, 'manifest.json');
+
+  let manifestRaw;
+  try {
+    manifestRaw = readJsonFile(manifestPath, fsImpl);
+  } catch (error) {
+    warnings.push(`[plugins] Failed to parse manifest for "${dirName}"${origin}: ${error.message}`);
+    return;
+  }
+
+  // npm package folders are named after the package, not the plugin id.
+  const pluginDirName = source.startsWith('npm:') ? null : dirName;
+  const validation = validatePluginManifest(manifestRaw, { pluginDirName });
+  if (!validation.valid || !validation.manifest) {
+    validation.errors.forEach((message) => {
+      warnings.push(`[plugins] Invalid manifest for "${dirName}"${origin}: ${message}`);
+    });
+    return;
+  }
+
+  const pluginId = validation.manifest.id;
+  if (sourceById.has(pluginId)) {
+    const existingSource = sourceById.get(pluginId);
+    const provider = existingSource === source ? '' : `; already provided by ${existingSource}`;
+    warnings.push(`[plugins] Duplicate plugin id "${pluginId}"${origin} ignored${provider}.`);
+    return;
+  }
+
+  const entryPaths = resolvePluginEntrypoints(pluginRoot, validation.manifest);
+  const candidatePaths = [entryPaths.frontend, entryPaths.backend, ...entryPaths.styles, entryPaths.configSchema].filter(Boolean);
+
+  const invalidPath = candidatePaths.find((candidatePath) => !isPathInsideRoot(candidatePath, pluginRoot));
+  if (invalidPath) {
+    warnings.push(`[plugins] Plugin "${pluginId}"${origin} has entry path outside plugin root.`);
+    return;
+  }
+
+  const missingPath = candidatePaths.find((candidatePath) => !fsImpl.existsSync(candidatePath));
+  if (missingPath) {
+    warnings.push(`[plugins] Plugin "${pluginId}"${origin} is missing entry file "${pathImpl.relative(pluginRoot, missingPath)}".`);
+    return;
+  }
 
-    let manifestRaw;
+  let configSchema = null;
+  if (entryPaths.configSchema) {
     try {
-      manifestRaw = readJsonFile(manifestPath, fsImpl);
+      configSchema = readJsonFile(entryPaths.configSchema, fsImpl);
     } catch (error) {
-      warnings.push(`[plugins] Failed to parse manifest for "${entry.name}": ${error.message}`);
-      continue;
+      warnings.push(`[plugins] Failed to parse config schema for "${pluginId}"${origin}: ${error.message}`);
+      return;
     }
-
-    const validation = validatePluginManifest(manifestRaw, { pluginDirName: entry.name });
-    if (!validation.valid || !validation.manifest) {
-      validation.errors.forEach((message) => {
-        warnings.push(`[plugins] Invalid manifest for "${entry.name}": ${message}`);
+    const schemaErrors = checkConfigSchema(configSchema);
+    if (schemaErrors.length > 0) {
+      schemaErrors.forEach((message) => {
+        warnings.push(`[plugins] Invalid config schema for "${pluginId}"${origin}: ${message}`);
       });
-      continue;
+      return;
     }
+  }
 
-    if (pluginIds.has(validation.manifest.id)) {
-      warnings.push(`[plugins] Duplicate plugin id "${validation.manifest.id}" ignored.`);
-      continue;
-    }
+  sourceById.set(pluginId, source);
+  plugins.push({
+    id: pluginId,
+    source,
+    manifest: validation.manifest,
+    manifestPath,
+    pluginRoot,
+    entryPaths,
+    configSchema,
+  });
+}
 
-    const entryPaths = resolvePluginEntrypoints(pluginRoot, validation.manifest);
-    const candidatePaths = [entryPaths.frontend, entryPaths.backend, ...entryPaths.styles].filter(Boolean);
+/**
+ * Load every plugin below a directory: the directory itself when it holds a manifest.json,
+ * otherwise each direct child folder with a manifest.json.
+ */
+function loadPluginsFromDirectory(directory, source, context) {
+  const { fsImpl, pathImpl } = context;
+  if (fsImpl.existsSync(pathImpl.join(directory, 'manifest.json'))) {
+    loadPluginFromDirectory(directory, source, context);
+    return;
+  }
 
-    const invalidPath = candidatePaths.find((candidatePath) => !isPathInsideRoot(candidatePath, pluginRoot));
-    if (invalidPath) {
-      warnings.push(`[plugins] Plugin "${validation.manifest.id}" has entry path outside plugin root.`);
+  const entries = fsImpl.readdirSync(directory, { withFileTypes: true }).filter((entry) => entry.isDirectory());
+  for (const entry of entries) {
+    const pluginRoot = pathImpl.join(directory, entry.name);
+    if (!fsImpl.existsSync(pathImpl.join(pluginRoot, 'manifest.json'))) {
       continue;
     }
+    loadPluginFromDirectory(pluginRoot, source, context);
+  }
+}
 
-    const missingPath = candidatePaths.find((candidatePath) => !fsImpl.existsSync(candidatePath));
-    if (missingPath) {
-      warnings.push(`[plugins] Plugin "${validation.manifest.id}" is missing entry file "${pathImpl.relative(pluginRoot, missingPath)}".`);
-      continue;
-    }
+/**
+ * Discover and validate plugins.
+ *
+ * The module's own `plugins/` folder comes first, then the `pluginPaths` entries in order.
+ * A plugin id that was already provided by an earlier source is ignored with a warning.
+ *
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.moduleRoot] - Module folder
+ * @param {string} [options.pluginsDir='plugins'] - Built-in plugin folder below moduleRoot
+ * @param {string[]} [options.pluginPaths] - Extra plugin directories and npm package names
+ * @param {string} [options.baseDir] - Base for relative pluginPaths directories (default: process.cwd())
+ * @returns {{pluginsRoot: string, plugins: Object[], warnings: string[]}} Registry with `source` per plugin
+ */
+function loadPluginRegistry(options = {}) {
+  const fsImpl = options.fsImpl || fs;
+  const pathImpl = options.pathImpl || path;
+  const moduleRoot = options.moduleRoot || process.cwd();
+  const pluginsRoot = resolvePluginsRoot(moduleRoot, options.pluginsDir || 'plugins');
+  const warnings = [];
+  const plugins = [];
+  const context = { fsImpl, pathImpl, warnings, plugins, sourceById: new Map() };
 
-    pluginIds.add(validation.manifest.id);
+  if (fsImpl.existsSync(pluginsRoot)) {
+    loadPluginsFromDirectory(pluginsRoot, BUILTIN_PLUGIN_SOURCE, context);
+  }
 
-    plugins.push({
-      id: validation.manifest.id,
-      manifest: validation.manifest,
-      manifestPath,
-      pluginRoot,
-      entryPaths,
+  for (const entry of normalizePluginPaths(options.pluginPaths)) {
+    const resolved = resolvePluginPathEntry(entry, {
+      moduleRoot,
+      baseDir: options.baseDir || process.cwd(),
+      resolveFn: options.resolveFn || require.resolve,
     });
+    if (resolved.error) {
+      warnings.push(`[plugins] Cannot resolve plugin package (${resolved.source}): ${resolved.error}`);
+      continue;
+    }
+    if (!fsImpl.existsSync(resolved.directory)) {
+      warnings.push(`[plugins] Plugin directory not found (${resolved.source}).`);
+      continue;
+    }
+    try {
+      loadPluginsFromDirectory(resolved.directory, resolved.source, context);
+    } catch (error) {
+      warnings.push(`[plugins] Failed to read plugin directory (${resolved.source}): ${error.message}`);
+    }
   }
 
   const allPluginIds = new Set(plugins.map((plugin) => plugin.id));
@@ -109,7 +237,7 @@ function loadPluginRegistry(options = {}) {
     const collidingAlias = aliases.find((alias) => alias !== plugin.id && allPluginIds.has(alias));
     if (collidingAlias) {
       warnings.push(
-        `[plugins] Plugin "${plugin.id}" has activation.displayAliases entry "${collidingAlias}" which collides with plugin id "${collidingAlias}".`
+        `[plugins] Plugin "${plugin.id}"${describePluginSource(plugin.source)} has activation.displayAliases entry "${collidingAlias}" which collides with plugin id "${collidingAlias}".`
       );
       return false;
     }
@@ -130,6 +258,10 @@ function loadPluginRegistry(options = {}) {
 }
 
 module.exports = {
+  BUILTIN_PLUGIN_SOURCE,
+  describePluginSource,
+  isPathInsideRoot,
   loadPluginRegistry,
+  normalizePluginPaths,
   resolvePluginsRoot,
 };
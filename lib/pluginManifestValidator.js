@@ -1,4 +1,7 @@
 const HOST_PLUGIN_API_VERSION = 1;
+// Manifests may declare 2 when the frontend definition implements the lifecycle hooks of host API v2.
+// Backend definitions stay at HOST_PLUGIN_API_VERSION.
+const SUPPORTED_MANIFEST_HOST_API_VERSIONS = Object.freeze([1, 2]);
 const CONTRACT_VERSION = 3;
 
 const CANONICAL_PLUGIN_CAPABILITIES = Object.freeze([
@@ -7,6 +10,7 @@ const CANONICAL_PLUGIN_CAPABILITIES = Object.freeze([
   'exams',
   'homework',
   'absences',
+  'grades',
   'messages',
   'holidays',
   'dayNotices',
@@ -15,8 +19,11 @@ const CANONICAL_PLUGIN_CAPABILITIES = Object.freeze([
   'pluginDerivedData',
 ]);
 
+// Where the module lays out a plugin's render output (see getDom() in MMM-Webuntis.js).
+const PLUGIN_SLOTS = Object.freeze(['main', 'header', 'footer', 'overlay', 'studentHeader']);
+
 const CAPABILITY_SET = new Set(CANONICAL_PLUGIN_CAPABILITIES);
-const SLOT_SET = new Set(['main']);
+const SLOT_SET = new Set(PLUGIN_SLOTS);
 
 function isPlainObject(value) {
   return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
@@ -105,6 +112,11 @@ function validatePluginManifest(manifest, options = {}) {
     }
   });
 
+  const configSchema = manifest.configSchema;
+  if (configSchema !== undefined && configSchema !== null && !isSafeRelativePath(configSchema)) {
+    errors.push('Manifest field "configSchema" must be a safe relative path when provided.');
+  }
+
   const rawCapabilities = normalizeStringArray(manifest.capabilities);
   if (rawCapabilities.length === 0) {
     errors.push('Manifest field "capabilities" must contain at least one capability.');
@@ -118,7 +130,7 @@ function validatePluginManifest(manifest, options = {}) {
   const slots = normalizeStringArray(manifest.slots);
   slots.forEach((slot) => {
     if (!SLOT_SET.has(slot)) {
-      errors.push(`Unsupported plugin slot "${slot}".`);
+      errors.push(`Unsupported plugin slot "${slot}". Supported slots: ${PLUGIN_SLOTS.join(', ')}.`);
     }
   });
 
@@ -139,8 +151,9 @@ function validatePluginManifest(manifest, options = {}) {
   if (compatibility?.contractVersion !== CONTRACT_VERSION) {
     errors.push(`Manifest compatibility.contractVersion must be ${CONTRACT_VERSION}.`);
   }
-  if (compatibility?.hostApiVersion !== HOST_PLUGIN_API_VERSION) {
-    errors.push(`Manifest compatibility.hostApiVersion must be ${HOST_PLUGIN_API_VERSION}.`);
+  const hostApiVersion = compatibility?.hostApiVersion;
+  if (!SUPPORTED_MANIFEST_HOST_API_VERSIONS.includes(hostApiVersion)) {
+    errors.push(`Manifest compatibility.hostApiVersion must be one of ${SUPPORTED_MANIFEST_HOST_API_VERSIONS.join(', ')}.`);
   }
 
   const rawOrder = manifest.order;
@@ -163,13 +176,14 @@ function validatePluginManifest(manifest, options = {}) {
       order,
       capabilities: rawCapabilities,
       configNamespace,
+      configSchema: typeof configSchema === 'string' ? configSchema.trim() : null,
       activation: {
         enabledByDefault: activation.enabledByDefault === true,
         displayAliases,
       },
       compatibility: {
         contractVersion: CONTRACT_VERSION,
-        hostApiVersion: HOST_PLUGIN_API_VERSION,
+        hostApiVersion: SUPPORTED_MANIFEST_HOST_API_VERSIONS.includes(hostApiVersion) ? hostApiVersion : HOST_PLUGIN_API_VERSION,
       },
     },
   };
@@ -179,6 +193,8 @@ module.exports = {
   CANONICAL_PLUGIN_CAPABILITIES,
   CONTRACT_VERSION,
   HOST_PLUGIN_API_VERSION,
+  PLUGIN_SLOTS,
+  SUPPORTED_MANIFEST_HOST_API_VERSIONS,
   isSafeRelativePath,
   validatePluginManifest,
 };
@@ -0,0 +1,130 @@
+/**
+ * REST API
+ * Read-only JSON views of the cached student snapshots for home-automation scripts and dashboards.
+ *
+ * Like lib/calendarExport.js this module knows nothing about Express:
+ * node_helper owns routing and passes configs and snapshots in.
+ */
+
+const crypto = require('node:crypto');
+const { SNAPSHOT_COLLECTIONS } = require('./studentSnapshots');
+
+const REST_API_COLLECTIONS = SNAPSHOT_COLLECTIONS;
+
+const DEFAULT_REST_API_CONFIG = Object.freeze({
+  enabled: false, // the API is opt-in
+  token: '', // shared secret, sent as `Authorization: Bearer <token>`; requests are rejected while empty
+});
+
+/**
+ * Resolve the effective restApi config.
+ * MagicMirror merges module defaults shallowly, so partial user objects are completed here.
+ *
+ * @param {Object} config - Module config
+ * @returns {{enabled: boolean, token: string}} Normalized restApi config
+ */
+function resolveRestApiConfig(config) {
+  const raw = config?.restApi;
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_REST_API_CONFIG };
+
+  return {
+    enabled: raw.enabled === true,
+    token: typeof raw.token === 'string' ? raw.token.trim() : '',
+  };
+}
+
+/**
+ * Extract the bearer token from an Authorization header value.
+ *
+ * @param {string|undefined} authorizationHeader - Raw header value
+ * @returns {string|null} Token or null if the header is missing or uses another scheme
+ */
+function extractBearerToken(authorizationHeader) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(String(authorizationHeader || ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Compare a presented token with the configured one in constant time.
+ * An empty configured token never authorizes anything.
+ *
+ * @param {string|null} presented - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean} True if the tokens match
+ */
+function isAuthorizedToken(presented, expected) {
+  if (typeof expected !== 'string' || expected === '' || typeof presented !== 'string') return false;
+  const digest = (value) => crypto.createHash('sha256').update(value, 'utf8').digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+function buildMeta(identifier, generatedAt) {
+  return {
+    apiVersion: 'v3',
+    generatedAt: generatedAt || null,
+    moduleId: identifier,
+  };
+}
+
+/**
+ * Body of `GET /api/:identifier/students`.
+ *
+ * @param {Object} options
+ * @param {string} options.identifier - Module instance identifier
+ * @param {Array<{student: Object, snapshot: Object|null}>} options.entries - Configured students with their snapshots
+ * @returns {Object} JSON body; `meta.generatedAt` is the newest fetch across all students
+ */
+function buildStudentListResponse({ identifier, entries }) {
+  const students = entries.map(({ student, snapshot }) => ({
+    id: student.studentId ?? snapshot?.student?.id ?? null,
+    title: student.title,
+    generatedAt: snapshot?.generatedAt || null,
+    collections: REST_API_COLLECTIONS.filter((collection) => Array.isArray(snapshot?.collections?.[collection])),
+  }));
+  const newest = students
+    .map((student) => student.generatedAt)
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  return { meta: buildMeta(identifier, newest), students };
+}
+
+/**
+ * Body of `GET /api/:identifier/students/:title/:collection`.
+ * Before the first successful fetch of the collection, `data` holds an empty array and `meta.generatedAt` is null.
+ *
+ * @param {Object} options
+ * @param {string} options.identifier - Module instance identifier
+ * @param {Object} options.student - Student config
+ * @param {Object|null} options.snapshot - Snapshot produced by mergeStudentSnapshot()
+ * @param {string} options.collection - One of REST_API_COLLECTIONS
+ * @returns {Object} JSON body with meta, context and data sections like the V3 payload
+ */
+function buildCollectionResponse({ identifier, student, snapshot, collection }) {
+  const items = snapshot?.collections?.[collection];
+
+  return {
+    meta: buildMeta(identifier, snapshot?.collectionGeneratedAt?.[collection]),
+    context: {
+      student: {
+        id: student.studentId ?? snapshot?.student?.id ?? null,
+        title: student.title,
+      },
+      timezone: snapshot?.timezone || null,
+    },
+    data: {
+      [collection]: Array.isArray(items) ? items : [],
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_REST_API_CONFIG,
+  REST_API_COLLECTIONS,
+  buildCollectionResponse,
+  buildStudentListResponse,
+  extractBearerToken,
+  isAuthorizedToken,
+  resolveRestApiConfig,
+};
@@ -0,0 +1,69 @@
+/**
+ * Student Snapshots
+ * Keeps the last good version of each canonical V3 `data` collection per student.
+ *
+ * Consumers that serve data outside the DATA_UPDATE socket (ICS feeds, CalDAV, REST API)
+ * read from these snapshots so they never trigger a second WebUntis request.
+ */
+
+// Maps each snapshot collection to the fetch/api state keys that guard it.
+const SNAPSHOT_COLLECTION_SOURCES = Object.freeze({
+  lessons: Object.freeze({ fetchKey: 'timetable', apiKey: 'timetable' }),
+  exams: Object.freeze({ fetchKey: 'exams', apiKey: 'exams' }),
+  homework: Object.freeze({ fetchKey: 'homework', apiKey: 'homework' }),
+  absences: Object.freeze({ fetchKey: 'absences', apiKey: 'absences' }),
+  grades: Object.freeze({ fetchKey: 'grades', apiKey: 'grades' }),
+  messages: Object.freeze({ fetchKey: 'messages', apiKey: 'messages' }),
+});
+const SNAPSHOT_COLLECTIONS = Object.freeze(Object.keys(SNAPSHOT_COLLECTION_SOURCES));
+
+function isFailedApiStatus(status) {
+  if (status === null || status === undefined) return false;
+  const numericStatus = Number(status);
+  return Number.isFinite(numericStatus) && (numericStatus === 0 || numericStatus >= 400);
+}
+
+/**
+ * Merge a freshly fetched student payload into the previous snapshot.
+ * Collections are only replaced when they were fetched and their endpoint did not fail,
+ * so a temporary API outage keeps serving the last good version.
+ *
+ * @param {Object|null} previous - Previous snapshot for the same student
+ * @param {Object} payload - V3 DATA_UPDATE payload from a successful fetch
+ * @returns {Object|null} Updated snapshot
+ */
+function mergeStudentSnapshot(previous, payload) {
+  if (!payload?.data || typeof payload.data !== 'object') return previous || null;
+
+  const generatedAt = payload.meta?.generatedAt || new Date().toISOString();
+  const collections = { ...(previous?.collections || {}) };
+  const collectionGeneratedAt = { ...(previous?.collectionGeneratedAt || {}) };
+  const collectionRanges = { ...(previous?.collectionRanges || {}) };
+  for (const [collection, source] of Object.entries(SNAPSHOT_COLLECTION_SOURCES)) {
+    if (payload.state?.fetch?.[source.fetchKey] !== true) continue;
+    if (isFailedApiStatus(payload.state?.api?.[source.apiKey])) continue;
+    const items = payload.data[collection];
+    if (!Array.isArray(items)) continue;
+    collections[collection] = items;
+    collectionGeneratedAt[collection] = generatedAt;
+    collectionRanges[collection] = payload.context?.fetchRanges?.[collection] || null;
+  }
+
+  return {
+    student: {
+      id: payload.context?.student?.id ?? previous?.student?.id ?? null,
+      title: payload.context?.student?.title ?? previous?.student?.title ?? null,
+    },
+    timezone: payload.context?.timezone || previous?.timezone || null,
+    generatedAt,
+    collections,
+    collectionGeneratedAt,
+    collectionRanges,
+  };
+}
+
+module.exports = {
+  SNAPSHOT_COLLECTIONS,
+  isFailedApiStatus,
+  mergeStudentSnapshot,
+};
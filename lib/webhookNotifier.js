@@ -0,0 +1,320 @@
+/**
+ * Webhook Notifier
+ * POSTs detected student changes (lib/changeDetection.js) to configured HTTP endpoints
+ * such as ntfy, Gotify, Home Assistant webhooks, or Matrix bridges.
+ *
+ * node_helper subscribes deliverChanges() via onStudentChanges(), so delivery never causes an
+ * extra WebUntis request. Retries use the same backoff as the WebUntis REST client.
+ */
+
+const { CHANGE_TYPES } = require('./changeDetection');
+const fetchClient = require('./webuntis/fetchClient');
+const { getRetryBackoffMs, isRetryableRestError } = require('./webuntis/restClient');
+const { API_RETRY_MAX_ATTEMPTS } = require('./webuntis/transportConstants');
+
+const WEBHOOK_FORMATS = Object.freeze(['json', 'form', 'text']);
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const DEFAULT_WEBHOOK_TITLE = 'WebUntis {student}';
+
+// Default message per change type; `{name}` placeholders are filled by buildChangeVariables().
+const DEFAULT_WEBHOOK_MESSAGES = Object.freeze({
+  [CHANGE_TYPES.LESSON_CANCELLED]: '{subjectLong} on {weekday} {date}, period {period} ({startTime}) cancelled',
+  [CHANGE_TYPES.ROOM_CHANGED]: '{subjectLong} on {weekday} {date}, period {period}: room {after} instead of {before}',
+  [CHANGE_TYPES.TEACHER_SUBSTITUTED]: '{subjectLong} on {weekday} {date}, period {period}: {after} instead of {before}',
+  [CHANGE_TYPES.EXAM_ADDED]: 'New exam: {subject} {name} on {weekday} {date}',
+  [CHANGE_TYPES.EXAM_MOVED]: 'Exam {subject} {name} moved from {beforeDate} to {weekday} {date}',
+  [CHANGE_TYPES.HOMEWORK_ADDED]: 'New homework in {subjectLong}, due {weekday} {date}: {text}',
+  [CHANGE_TYPES.ABSENCE_RECORDED]: 'Absence recorded on {weekday} {date}, {startTime}-{endTime}',
+});
+
+function toStringList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map((entry) => String(entry ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the configured webhook targets.
+ * Targets without a valid http(s) URL are dropped; configValidator reports them.
+ *
+ * @param {Object} config - Module config
+ * @returns {Array<Object>} Normalized targets
+ */
+function resolveWebhookTargets(config) {
+  const raw = Array.isArray(config?.webhooks) ? config.webhooks : [];
+  return raw
+    .filter((target) => target && typeof target === 'object' && target.enabled !== false)
+    .map((target) => {
+      let url = null;
+      try {
+        const parsed = new URL(String(target.url || ''));
+        if (parsed.protocol === 'http:' || parsed.protocol === 'https:') url = parsed.toString();
+      } catch {
+        // invalid URL, dropped below
+      }
+      const format = WEBHOOK_FORMATS.includes(target.format) ? target.format : 'json';
+      return {
+        url,
+        method: typeof target.method === 'string' && target.method.trim() ? target.method.trim().toUpperCase() : 'POST',
+        format,
+        headers: target.headers && typeof target.headers === 'object' ? { ...target.headers } : {},
+        events: toStringList(target.events),
+        students: toStringList(target.students),
+        title: typeof target.title === 'string' ? target.title : DEFAULT_WEBHOOK_TITLE,
+        template: typeof target.template === 'string' ? target.template : null,
+        templates: target.templates && typeof target.templates === 'object' ? { ...target.templates } : {},
+        fields: target.fields && typeof target.fields === 'object' ? { ...target.fields } : {},
+      };
+    })
+    .filter((target) => target.url);
+}
+
+/**
+ * Replace `{name}` placeholders. Unknown names render as empty strings.
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables) {
+  return String(template ?? '').replace(/\{(\w+)\}/g, (_match, name) => {
+    const value = variables?.[name];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+function formatIsoDate(ymd) {
+  if (!ymd) return '';
+  const text = String(ymd);
+  return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+}
+
+function formatHHMM(hhmm) {
+  if (hhmm === null || hhmm === undefined || hhmm === '') return '';
+  const value = Number(String(hhmm).replace(/\D/g, ''));
+  if (!Number.isFinite(value)) return '';
+  return `${String(Math.floor(value / 100)).padStart(2, '0')}:${String(value % 100).padStart(2, '0')}`;
+}
+
+function formatWeekday(ymd, language) {
+  if (!ymd) return '';
+  const text = String(ymd);
+  const date = new Date(Date.UTC(Number(text.slice(0, 4)), Number(text.slice(4, 6)) - 1, Number(text.slice(6, 8))));
+  try {
+    return new Intl.DateTimeFormat(language || 'en', { weekday: 'long', timeZone: 'UTC' }).format(date);
+  } catch {
+    return new Intl.DateTimeFormat('en', { weekday: 'long', timeZone: 'UTC' }).format(date);
+  }
+}
+
+function findPeriodName(timeUnits, startTime) {
+  if (!Array.isArray(timeUnits) || startTime === null || startTime === undefined) return '';
+  const unit = timeUnits.find((candidate) => Number(candidate?.startTime ?? candidate?.start) === Number(startTime));
+  return unit ? String(unit.name ?? unit.label ?? '') : '';
+}
+
+function namesOf(entries, key = 'name') {
+  if (!Array.isArray(entries)) return [];
+  return entries.map((entry) => String(typeof entry === 'string' ? entry : entry?.[key] || entry?.name || '').trim()).filter(Boolean);
+}
+
+function describeSlot(slot) {
+  if (!slot || typeof slot !== 'object') return '';
+  return [formatIsoDate(slot.date), formatHHMM(slot.startTime)].filter(Boolean).join(' ');
+}
+
+/**
+ * Build the template variables for one change event.
+ *
+ * @param {Object} change - Change event from detectStudentChanges()
+ * @param {Object} context - `{ identifier, student, language, timeUnits }`
+ * @returns {Object} Placeholder values
+ */
+function buildChangeVariables(change, { identifier, student, language, timeUnits } = {}) {
+  const item = change?.item || {};
+  let subject = '';
+  let subjectLong = '';
+  if (Array.isArray(item.subjects)) {
+    subject = namesOf(item.subjects)[0] || '';
+    subjectLong = namesOf(item.subjects, 'longname')[0] || subject;
+  } else if (item.subject && typeof item.subject === 'object') {
+    subject = item.subject.name || '';
+    subjectLong = item.subject.longname || subject;
+  } else {
+    subject = String(item.subject || '');
+    subjectLong = subject;
+  }
+
+  const listOrSlot = (value) => (Array.isArray(value) ? value.join(', ') : describeSlot(value));
+
+  return {
+    identifier: identifier || '',
+    student: student?.title || '',
+    type: change?.type || '',
+    date: formatIsoDate(change?.date),
+    weekday: formatWeekday(change?.date, language),
+    startTime: formatHHMM(change?.startTime),
+    endTime: formatHHMM(item.endTime),
+    period: findPeriodName(timeUnits, change?.startTime),
+    subject,
+    subjectLong,
+    teachers: namesOf(item.teachers).join(', '),
+    rooms: namesOf(item.rooms).join(', '),
+    before: listOrSlot(change?.before),
+    after: listOrSlot(change?.after),
+    beforeDate: formatIsoDate(change?.before?.date),
+    name: item.name || '',
+    text: item.text || item.lessonText || '',
+    reason: item.reason || '',
+  };
+}
+
+function targetAccepts(target, student, change) {
+  if (target.events.length > 0 && !target.events.includes(change.type)) return false;
+  if (target.students.length > 0) {
+    const studentKeys = [student?.title, student?.studentId].filter((value) => value !== null && value !== undefined).map(String);
+    if (!target.students.some((entry) => studentKeys.includes(entry))) return false;
+  }
+  return true;
+}
+
+/**
+ * Build the HTTP request for one target and change.
+ *
+ * @param {Object} target - Resolved target from resolveWebhookTargets()
+ * @param {Object} change - Change event
+ * @param {Object} variables - Placeholder values from buildChangeVariables()
+ * @returns {{method: string, headers: Object, body: string}} Request options
+ */
+function buildWebhookRequest(target, change, variables) {
+  const message = renderTemplate(
+    target.templates[change.type] ?? target.template ?? DEFAULT_WEBHOOK_MESSAGES[change.type] ?? '{type}',
+    variables
+  );
+  const title = renderTemplate(target.title, variables);
+  const extraFields = Object.fromEntries(
+    Object.entries(target.fields).map(([key, value]) => [key, typeof value === 'string' ? renderTemplate(value, variables) : value])
+  );
+
+  let contentType;
+  let body;
+  if (target.format === 'text') {
+    contentType = 'text/plain; charset=utf-8';
+    body = message;
+  } else if (target.format === 'form') {
+    contentType = 'application/x-www-form-urlencoded';
+    const params = new URLSearchParams({ title, message, type: change.type, student: variables.student });
+    for (const [key, value] of Object.entries(extraFields)) params.set(key, String(value ?? ''));
+    body = params.toString();
+  } else {
+    contentType = 'application/json';
+    body = JSON.stringify({
+      title,
+      message,
+      type: change.type,
+      identifier: variables.identifier,
+      student: variables.student,
+      change,
+      ...extraFields,
+    });
+  }
+
+  const headers = { 'Content-Type': contentType };
+  Object.entries(target.headers).forEach(([key, value]) => {
+    headers[key] = renderTemplate(value, variables);
+  });
+
+  return { method: target.method, headers, body };
+}
+
+class WebhookNotifier {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.logger] - `(level, message)` logger
+   * @param {Function} [options.request] - HTTP request function, defaults to fetchClient.request
+   * @param {Function} [options.sleep] - Backoff delay, replaceable in tests
+   * @param {number} [options.maxAttempts] - Attempts per request including the first one
+   */
+  constructor({ logger, request, sleep, maxAttempts = API_RETRY_MAX_ATTEMPTS } = {}) {
+    this.logger = typeof logger === 'function' ? logger : () => {};
+    this.request = typeof request === 'function' ? request : fetchClient.request;
+    this.sleep = typeof sleep === 'function' ? sleep : (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    this.maxAttempts = Math.max(1, Number(maxAttempts) || 1);
+  }
+
+  /**
+   * Send one request, retrying rate limits, 5xx responses and network errors with backoff.
+   *
+   * @param {string} url - Target URL
+   * @param {Object} request - Request options from buildWebhookRequest()
+   * @returns {Promise<number>} HTTP status of the successful attempt
+   */
+  async _send(url, request) {
+    const host = new URL(url).host;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        // fetchClient.request() throws with `status` on non-2xx answers, which isRetryableRestError() reads.
+        const response = await this.request({ url, ...request, timeout: WEBHOOK_TIMEOUT_MS });
+        return response.status;
+      } catch (error) {
+        lastError = error;
+        if (!isRetryableRestError(error) || attempt >= this.maxAttempts) break;
+        const backoffMs = getRetryBackoffMs(attempt);
+        this.logger(
+          'warn',
+          `Webhook ${host} failed on attempt ${attempt}/${this.maxAttempts} (${error.message}), retrying in ${backoffMs}ms`
+        );
+        await this.sleep(backoffMs);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Deliver change events of one student to all matching targets.
+   * Requests are sent one after another so receivers get them in detection order.
+   * Failures are logged and never rejected.
+   *
+   * @param {Object} options
+   * @param {Object} options.config - Module config of the identifier
+   * @param {string} options.identifier - Module instance identifier
+   * @param {Object} options.student - Student config
+   * @param {Array<Object>} options.changes - Change events
+   * @param {Array<Object>} [options.timeUnits] - Timegrid of the fetch, used for `{period}`
+   * @returns {Promise<{sent: number, failed: number}>} Delivery counts
+   */
+  async deliverChanges({ config, identifier, student, changes, timeUnits = [] }) {
+    const targets = resolveWebhookTargets(config);
+    const result = { sent: 0, failed: 0 };
+    if (targets.length === 0 || !Array.isArray(changes) || changes.length === 0) return result;
+
+    for (const change of changes) {
+      const variables = buildChangeVariables(change, { identifier, student, language: config?.language, timeUnits });
+      for (const target of targets) {
+        if (!targetAccepts(target, student, change)) continue;
+        try {
+          await this._send(target.url, buildWebhookRequest(target, change, variables));
+          result.sent += 1;
+        } catch (error) {
+          result.failed += 1;
+          this.logger('warn', `Webhook ${new URL(target.url).host} for ${change.type} of ${student?.title} failed: ${error?.message}`);
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  DEFAULT_WEBHOOK_MESSAGES,
+  resolveWebhookTargets,
+  renderTemplate,
+  buildChangeVariables,
+  buildWebhookRequest,
+  WebhookNotifier,
+};
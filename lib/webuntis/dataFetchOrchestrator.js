@@ -21,6 +21,7 @@ const ROLE_TO_RESOURCE_TYPE = new Map([
 ]);
 
 const { wrapAsync } = require('./errorUtils');
+const { formatDateFromDate } = require('./dateUtils');
 
 function roleToResourceType(role) {
   const normalized = String(role || '')
@@ -37,6 +38,7 @@ function getEmptyFetchResult(timetable = []) {
     exams: [],
     homeworks: [],
     absences: [],
+    grades: [],
     messagesOfDay: [],
   };
 }
@@ -60,7 +62,14 @@ function filterHomeworkByWindow(result, { hwNextDays, hwPastDays, baseNow }) {
   });
 }
 
-async function fetchTimetableFirst({ fetchTimetable, dateRanges, activeLogger, fetchFromTargets, buildTimetableRequest }) {
+async function fetchTimetableFirst({
+  fetchTimetable,
+  dateRanges,
+  activeLogger,
+  fetchFromTargets,
+  buildTimetableRequest,
+  defaultValue = [],
+}) {
   if (!fetchTimetable || dateRanges.timetable.nextDays <= 0) {
     return [];
   }
@@ -68,12 +77,89 @@ async function fetchTimetableFirst({ fetchTimetable, dateRanges, activeLogger, f
   activeLogger?.('debug', null, '🔍 Fetching timetable first (token validation)...');
   return fetchFromTargets({
     dataType: 'timetable',
-    defaultValue: [],
+    defaultValue,
     execute: buildTimetableRequest,
     isAcceptable: (result) => Boolean(result && Array.isArray(result)),
   });
 }
 
+function buildTimetableSyncSignature(student, restTargets) {
+  const targets = (Array.isArray(restTargets) ? restTargets : []).map((target) => `${target.server}:${target.personId}:${target.role}`);
+  return [Boolean(student.useClassTimetable), student.classId || '', ...targets].join('|');
+}
+
+function withDayNotices(lessons, dayNotices) {
+  lessons.dayNotices = dayNotices;
+  return lessons;
+}
+
+/**
+ * Decide whether the timetable can be fetched from today onward.
+ *
+ * Past days cannot change anymore, so their lessons are reused from the previous fetch as long as the
+ * cached entry covers them, was made for the same targets, and its last full download is younger than
+ * `fullSyncIntervalMs`. Everything else falls back to a full download of the configured window.
+ *
+ * @param {Object} ctx - Orchestrator context
+ * @param {Date} today - Start of the mutable part of the window
+ * @returns {{incremental: boolean, entry: Object|null, signature: string, todayDate: string, startDate: string}} Sync plan
+ */
+function planTimetableSync(ctx, today) {
+  const { timetableSync, dateRanges, student, restTargets, activeLogger } = ctx;
+  const signature = buildTimetableSyncSignature(student, restTargets);
+  const todayDate = formatDateFromDate(today);
+  const startDate = formatDateFromDate(dateRanges.timetable.start);
+  const plan = { incremental: false, entry: null, signature, todayDate, startDate };
+
+  if (!timetableSync?.store || !timetableSync.key || startDate >= todayDate) return plan;
+
+  const entry = timetableSync.store.get(timetableSync.key) || null;
+  plan.entry = entry;
+  if (!entry || timetableSync.fullSyncIntervalMs <= 0) return plan;
+
+  if (entry.signature !== signature || entry.startDate > startDate || entry.fetchedUntil < todayDate) {
+    activeLogger?.('debug', null, '[timetable] Cached past days do not cover the window, full download');
+  } else if (today.getTime() - entry.fullSyncAt >= timetableSync.fullSyncIntervalMs) {
+    activeLogger?.('debug', null, '[timetable] Full resync interval reached, full download');
+  } else {
+    plan.incremental = true;
+  }
+  return plan;
+}
+
+/**
+ * Merge a fetched timetable with the cached past days and remember the result for the next fetch.
+ *
+ * @param {Object} ctx - Orchestrator context
+ * @param {Object} plan - Plan from planTimetableSync()
+ * @param {Array} fetched - Lessons returned by the timetable endpoint
+ * @returns {Array} Lessons of the whole configured window, with `dayNotices`
+ */
+function mergeTimetableSync(ctx, plan, fetched) {
+  const { timetableSync, dateRanges } = ctx;
+  const fetchedNotices = Array.isArray(fetched.dayNotices) ? fetched.dayNotices : [];
+  const cachedPast = plan.incremental ? plan.entry.lessons.filter((lesson) => lesson.date < plan.todayDate) : [];
+  const cachedPastNotices = plan.incremental ? plan.entry.dayNotices.filter((notice) => notice.date < plan.todayDate) : [];
+
+  timetableSync.store.set(timetableSync.key, {
+    signature: plan.signature,
+    startDate: plan.incremental ? plan.entry.startDate : plan.startDate,
+    fetchedUntil: formatDateFromDate(dateRanges.timetable.end),
+    fullSyncAt: plan.incremental ? plan.entry.fullSyncAt : ctx.baseNow.getTime(),
+    // The payload pipeline normalizes lessons in place, so the cache keeps its own copy.
+    lessons: structuredClone([...cachedPast, ...fetched]),
+    dayNotices: structuredClone([...cachedPastNotices, ...fetchedNotices]),
+  });
+
+  if (!plan.incremental) return fetched;
+
+  const inWindow = (item) => item.date >= plan.startDate;
+  return withDayNotices(
+    [...structuredClone(cachedPast.filter(inWindow)), ...fetched],
+    [...structuredClone(cachedPastNotices.filter(inWindow)), ...fetchedNotices]
+  );
+}
+
 async function runAuthRefreshRetry({ tracker, alreadyRetried, activeLogger, params }) {
   if (!tracker?.refreshed || alreadyRetried) {
     return null;
@@ -100,6 +186,7 @@ async function fetchRemainingData({ fetchPlans, activeLogger, timetable }) {
     exams: results[fetchPlans.findIndex((plan) => plan.type === 'exams')] || [],
     homeworks: results[fetchPlans.findIndex((plan) => plan.type === 'homework')] || [],
     absences: results[fetchPlans.findIndex((plan) => plan.type === 'absences')] || [],
+    grades: results[fetchPlans.findIndex((plan) => plan.type === 'grades')] || [],
     messagesOfDay: results[fetchPlans.findIndex((plan) => plan.type === 'messagesOfDay')] || [],
   };
 }
@@ -120,10 +207,29 @@ function validateFetchParams(params) {
 }
 
 function buildOrchestratorContext(params) {
-  const { student, dateRanges, baseNow, homeworkFilter = {}, restTargets, contexts = {}, restFns = {}, fetchFlags, logger } = params;
+  const {
+    student,
+    dateRanges,
+    baseNow,
+    homeworkFilter = {},
+    restTargets,
+    contexts = {},
+    restFns = {},
+    fetchFlags,
+    logger,
+    timetableSync = null,
+  } = params;
 
   const { authCtx, sessionCtx, logCtx, flagsCtx } = contexts;
-  const { callRest, getTimetableViaRest, getExamsViaRest, getHomeworkViaRest, getAbsencesViaRest, getMessagesOfDayViaRest } = restFns;
+  const {
+    callRest,
+    getTimetableViaRest,
+    getExamsViaRest,
+    getHomeworkViaRest,
+    getAbsencesViaRest,
+    getGradesViaRest,
+    getMessagesOfDayViaRest,
+  } = restFns;
 
   return {
     student,
@@ -131,6 +237,7 @@ function buildOrchestratorContext(params) {
     baseNow,
     restTargets,
     fetchFlags,
+    timetableSync,
     contexts: { authCtx, sessionCtx, logCtx, flagsCtx },
     restFns: {
       callRest,
@@ -138,6 +245,7 @@ function buildOrchestratorContext(params) {
       getExamsViaRest,
       getHomeworkViaRest,
       getAbsencesViaRest,
+      getGradesViaRest,
       getMessagesOfDayViaRest,
     },
     activeLogger: logger || logCtx?.logger,
@@ -216,9 +324,9 @@ function buildTargetHelpers(ctx) {
 async function runAuthCanaryIfNeeded(ctx, helpers) {
   const { student, dateRanges, baseNow, restTargets, fetchFlags, activeLogger } = ctx;
   const { getTimetableViaRest } = ctx.restFns;
-  const { fetchTimetable, fetchExams, fetchHomeworks, fetchAbsences, fetchMessagesOfDay } = fetchFlags;
+  const { fetchTimetable, fetchExams, fetchHomeworks, fetchAbsences, fetchGrades, fetchMessagesOfDay } = fetchFlags;
 
-  const shouldRunAuthCanary = !fetchTimetable && (fetchExams || fetchHomeworks || fetchAbsences || fetchMessagesOfDay);
+  const shouldRunAuthCanary = !fetchTimetable && (fetchExams || fetchHomeworks || fetchAbsences || fetchGrades || fetchMessagesOfDay);
   if (!shouldRunAuthCanary || !Array.isArray(restTargets) || restTargets.length === 0) {
     return;
   }
@@ -246,42 +354,53 @@ async function runAuthCanaryIfNeeded(ctx, helpers) {
 }
 
 async function fetchTimetablePhase(ctx, helpers) {
-  const { student, dateRanges, fetchFlags, contexts, activeLogger } = ctx;
+  const { student, dateRanges, baseNow, fetchFlags, contexts, activeLogger } = ctx;
   const { getTimetableViaRest } = ctx.restFns;
+  if (!fetchFlags.fetchTimetable || dateRanges.timetable.nextDays <= 0) return [];
+
+  const today = new Date(baseNow);
+  const plan = planTimetableSync(ctx, today);
+  const rangeStart = plan.incremental ? today : dateRanges.timetable.start;
+  if (plan.incremental) {
+    activeLogger?.(
+      'debug',
+      null,
+      `[timetable] Incremental fetch from ${plan.todayDate}, reusing past days since ${plan.startDate} from the previous fetch`
+    );
+  }
 
   const buildTimetableRequest = (targetAuthCtx, target) => {
     const resolvedResourceType = roleToResourceType(target.role);
-    return helpers.callWithContext(
-      getTimetableViaRest,
-      targetAuthCtx,
-      dateRanges.timetable.start,
-      dateRanges.timetable.end,
-      target.personId,
-      {
-        useClassTimetable: Boolean(student.useClassTimetable),
-        className: ctx.className,
-        classId: student.classId || null,
-        personId: target.personId,
-        studentId: target.personId,
-        resourceType: resolvedResourceType,
-        role: contexts.sessionCtx?.authSession?.role || target.role,
-      }
-    );
+    return helpers.callWithContext(getTimetableViaRest, targetAuthCtx, rangeStart, dateRanges.timetable.end, target.personId, {
+      useClassTimetable: Boolean(student.useClassTimetable),
+      className: ctx.className,
+      classId: student.classId || null,
+      personId: target.personId,
+      studentId: target.personId,
+      resourceType: resolvedResourceType,
+      role: contexts.sessionCtx?.authSession?.role || target.role,
+    });
   };
 
-  return fetchTimetableFirst({
+  const timetable = await fetchTimetableFirst({
     fetchTimetable: fetchFlags.fetchTimetable,
     dateRanges,
     activeLogger,
     fetchFromTargets: helpers.fetchFromTargets,
     buildTimetableRequest,
+    defaultValue: null,
   });
+
+  // A failed download neither updates the cache nor returns stale past days.
+  if (!timetable) return [];
+  if (!ctx.timetableSync?.store || !ctx.timetableSync.key || plan.startDate >= plan.todayDate) return timetable;
+  return mergeTimetableSync(ctx, plan, timetable);
 }
 
 function buildParallelFetchPlans(ctx, helpers) {
   const { dateRanges, baseNow, fetchFlags, hwNextDays, hwPastDays, activeLogger, restTargets } = ctx;
-  const { getExamsViaRest, getHomeworkViaRest, getAbsencesViaRest, getMessagesOfDayViaRest } = ctx.restFns;
-  const { fetchExams, fetchHomeworks, fetchAbsences, fetchMessagesOfDay } = fetchFlags;
+  const { getExamsViaRest, getHomeworkViaRest, getAbsencesViaRest, getGradesViaRest, getMessagesOfDayViaRest } = ctx.restFns;
+  const { fetchExams, fetchHomeworks, fetchAbsences, fetchGrades, fetchMessagesOfDay } = fetchFlags;
   const studentScopedTargets = Array.isArray(restTargets)
     ? restTargets.filter((target) => roleToResourceType(target?.role) !== 'TEACHER')
     : [];
@@ -346,6 +465,24 @@ function buildParallelFetchPlans(ctx, helpers) {
     }
   }
 
+  if (fetchGrades) {
+    if (hasTeacherOnlyTargets) {
+      activeLogger?.('debug', null, 'Grades: skipped for teacher target(s); current endpoint is student-scoped');
+    } else {
+      fetchPlans.push({
+        type: 'grades',
+        promise: helpers.fetchFromTargets({
+          dataType: 'grades',
+          defaultValue: [],
+          targets: studentScopedTargets.length > 0 ? studentScopedTargets : restTargets,
+          execute: (targetAuthCtx, target) =>
+            helpers.callWithContext(getGradesViaRest, targetAuthCtx, dateRanges.grades.start, dateRanges.grades.end, target.personId),
+          isAcceptable: (result) => Boolean(result && Array.isArray(result)),
+        }),
+      });
+    }
+  }
+
   if (fetchMessagesOfDay) {
     fetchPlans.push({
       type: 'messagesOfDay',
@@ -371,7 +508,7 @@ function buildParallelFetchPlans(ctx, helpers) {
  *
  * Why this order?
  * - Timetable API returns proper 401 Unauthorized for expired tokens
- * - Other APIs (exams, homework, absences) return 200 OK with empty arrays for expired tokens
+ * - Other APIs (exams, homework, absences, grades) return 200 OK with empty arrays for expired tokens
  * - This prevents silent data loss from expired tokens
  *
  * @param {Object} params - Fetch parameters
@@ -394,9 +531,14 @@ function buildParallelFetchPlans(ctx, helpers) {
  * @param {Function} params.restFns.getExamsViaRest - Exams fetch function
  * @param {Function} params.restFns.getHomeworkViaRest - Homework fetch function
  * @param {Function} params.restFns.getAbsencesViaRest - Absences fetch function
+ * @param {Function} params.restFns.getGradesViaRest - Grades fetch function
  * @param {Function} params.restFns.getMessagesOfDayViaRest - Messages fetch function
  * @param {Function} params.logger - Logging function
- * @returns {Promise<Object>} Object with timetable, exams, homeworks, absences, messagesOfDay
+ * @param {Object} [params.timetableSync] - Reuse past timetable days between fetches (see planTimetableSync())
+ * @param {Map} params.timetableSync.store - Cache entries shared across fetches
+ * @param {string} params.timetableSync.key - Entry key of this student
+ * @param {number} params.timetableSync.fullSyncIntervalMs - Age of the last full download that forces the next one
+ * @returns {Promise<Object>} Object with timetable, exams, homeworks, absences, grades, messagesOfDay
  */
 async function orchestrateFetch(params) {
   validateFetchParams(params);
@@ -214,6 +214,7 @@ function compactHolidays(rawHolidays) {
  * @param {Object} [input.fetchPlan] - Fetch plan flags
  * @param {boolean} [input.fetchPlan.wantsGridWidget] - Whether grid widget is enabled
  * @param {boolean} [input.fetchPlan.wantsLessonsWidget] - Whether lessons widget is enabled
+ * @param {boolean} [input.fetchPlan.fetchTimetable] - Whether any plugin needs lessons (global nextDays/pastDays and the next weekday apply)
  * @param {boolean} [input.fetchPlan.fetchExams] - Whether exams should be fetched
  * @param {boolean} [input.fetchPlan.fetchAbsences] - Whether absences should be fetched
  * @param {Object} [input.days] - Flat day offsets used for range computation
@@ -229,12 +230,13 @@ function compactHolidays(rawHolidays) {
  * @param {number} [input.days.absencesNextDays] - Absences-specific next days
  * @param {number} [input.days.homeworkPastDays] - Homework-specific past days
  * @param {number} [input.days.homeworkNextDays] - Homework-specific next days
+ * @param {number} [input.days.gradesPastDays] - Grades lookback in days (grades only lie in the past)
  * @param {Object} [input.options] - Additional options
  * @param {boolean} [input.options.gridWeekView] - Whether weekView is enabled for grid
  * @param {boolean} [input.options.gridHideWeekends] - Whether grid hides empty weekend days in rolling mode
  * @param {boolean} [input.options.lessonsHideWeekends] - Whether lessons hides empty weekend days
  * @param {boolean} [input.options.debugDateEnabled] - Whether debug date mode is active
- * @returns {Object} Date ranges for timetable, exams, homework, absences
+ * @returns {Object} Date ranges for timetable, exams, homework, absences, grades
  */
 function isWeekendDay(date) {
   const day = date.getDay();
@@ -266,6 +268,7 @@ function calculateFetchRanges(input = {}) {
 
   const wantsGridWidget = Boolean(fetchPlan.wantsGridWidget);
   const wantsLessonsWidget = Boolean(fetchPlan.wantsLessonsWidget);
+  const fetchTimetable = Boolean(fetchPlan.fetchTimetable);
   const fetchExams = Boolean(fetchPlan.fetchExams);
   const fetchAbsences = Boolean(fetchPlan.fetchAbsences);
 
@@ -331,11 +334,16 @@ function calculateFetchRanges(input = {}) {
   }
 
   // Also include global fallbacks if we need timetable
-  if (wantsGridWidget || wantsLessonsWidget) {
+  if (wantsGridWidget || wantsLessonsWidget || fetchTimetable) {
     timetableNextDays = Math.max(timetableNextDays, Number.isFinite(nextDaysValue) ? nextDaysValue : 2);
     timetablePastDays = Math.max(timetablePastDays, Number.isFinite(pastDaysValue) ? pastDaysValue : 0);
   }
 
+  // Plugins that look ahead to "the next school day" need it across a weekend, too.
+  if (fetchTimetable) {
+    timetableNextDays = Math.max(timetableNextDays, calculateCalendarOffsetForVisibleWeekdays(baseNow, 1, 1));
+  }
+
   const timetableStart = new Date(baseNow);
   const timetableEnd = new Date(baseNow);
   timetableStart.setDate(timetableStart.getDate() - timetablePastDays);
@@ -361,6 +369,12 @@ function calculateFetchRanges(input = {}) {
   absencesStart.setDate(absencesStart.getDate() - absPast);
   absencesEnd.setDate(absencesEnd.getDate() + absFuture);
 
+  // Grades range: from the lookback up to today
+  const gradesPastDays = Number(days.gradesPastDays);
+  const validatedGradesPastDays = Number.isFinite(gradesPastDays) && gradesPastDays > 0 ? gradesPastDays : 180;
+  const gradesStart = new Date(baseNow);
+  gradesStart.setDate(gradesStart.getDate() - validatedGradesPastDays);
+
   // Homework range (calculate maximum range across all widgets)
   // Check homework-specific config first
   const hwNextDays = Number(days.homeworkNextDays ?? 0);
@@ -397,6 +411,7 @@ function calculateFetchRanges(input = {}) {
     exams: { start: examsStart, end: examsEnd, nextDays: validatedExamsDays },
     homework: { start: homeworkStart, end: homeworkEnd, pastDays: maxPastDays, futureDays: maxFutureDays },
     absences: { start: absencesStart, end: absencesEnd, pastDays: absPast, futureDays: absFuture },
+    grades: { start: gradesStart, end: new Date(baseNow), pastDays: validatedGradesPastDays },
   };
 }
 
@@ -289,4 +289,6 @@ async function callRestAPI({
 module.exports = {
   formatDateForAPI,
   callRestAPI,
+  isRetryableRestError,
+  getRetryBackoffMs,
 };
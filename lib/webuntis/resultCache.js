@@ -0,0 +1,113 @@
+/**
+ * Result Cache
+ * Shares successful REST endpoint responses between browser sessions that use the same credentials.
+ *
+ * Every browser window gets its own session and credential group (see node_helper#_getCredentialKey()),
+ * so without this cache the mirror plus two tablets fetch the same timetable three times per cycle.
+ * Concurrent requests for one key share a single upstream request; only successful responses are kept.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+class ResultCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {Function} [options.logger] - Logger `(level, message)`
+   * @param {number} [options.maxEntries=500] - Upper bound of stored responses
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ logger, maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+    this._entries = new Map(); // key -> { value, expiresAt }
+    this._inFlight = new Map(); // key -> Promise of the upstream response
+    this._logger = logger || (() => {});
+    this._maxEntries = maxEntries;
+    this._now = now;
+  }
+
+  /**
+   * Return a cached response, join an in-flight request for the same key, or run `fetcher`.
+   *
+   * Callers get their own copy of the response, because the payload pipeline normalizes
+   * the raw data in place.
+   *
+   * @param {string} key - Cache key (credential, endpoint, target and request parameters)
+   * @param {number} ttlMs - Lifetime of a successful response
+   * @param {Function} fetcher - Performs the upstream request, resolves to `{ status, data }`
+   * @param {string} [label] - Endpoint name for log messages (keys may contain credentials)
+   * @returns {Promise<Object>} Response `{ status, data }`
+   */
+  async getOrFetch(key, ttlMs, fetcher, label = 'request') {
+    const entry = this._entries.get(key);
+    if (entry && entry.expiresAt > this._now()) {
+      this._logger('debug', `[${label}] Served from shared result cache`);
+      return structuredClone(entry.value);
+    }
+    if (entry) this._entries.delete(key);
+
+    const pending = this._inFlight.get(key);
+    if (pending) {
+      this._logger('debug', `[${label}] Joined in-flight request of another session`);
+      return structuredClone(await pending);
+    }
+
+    const request = Promise.resolve().then(fetcher);
+    this._inFlight.set(key, request);
+    try {
+      const response = await request;
+      if (this._isSuccess(response) && ttlMs > 0) {
+        this._store(key, response, ttlMs);
+      }
+      return structuredClone(response);
+    } finally {
+      this._inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Skip a stored response and run `fetcher` again; a successful response replaces the entry.
+   * An in-flight request for the same key is joined, since it is fresh anyway.
+   *
+   * @param {string} key - Cache key
+   * @param {number} ttlMs - Lifetime of a successful response
+   * @param {Function} fetcher - Performs the upstream request, resolves to `{ status, data }`
+   * @param {string} [label] - Endpoint name for log messages
+   * @returns {Promise<Object>} Response `{ status, data }`
+   */
+  async refresh(key, ttlMs, fetcher, label = 'request') {
+    this._entries.delete(key);
+    return this.getOrFetch(key, ttlMs, fetcher, label);
+  }
+
+  /**
+   * Drop all stored responses. In-flight requests are not affected.
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * @returns {number} Count of stored responses, including expired ones not yet pruned
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  _isSuccess(response) {
+    const status = Number(response?.status);
+    return Number.isFinite(status) && status >= 200 && status < 300;
+  }
+
+  _store(key, value, ttlMs) {
+    const now = this._now();
+    for (const [storedKey, stored] of this._entries) {
+      if (stored.expiresAt <= now) this._entries.delete(storedKey);
+    }
+    // Map iteration order is insertion order: drop the oldest entries first.
+    while (this._entries.size >= this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    this._entries.set(key, { value, expiresAt: now + ttlMs });
+  }
+}
+
+module.exports = ResultCache;
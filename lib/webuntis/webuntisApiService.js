@@ -1,7 +1,7 @@
 /**
  * WebUntis API Service
  * Unified service for all WebUntis REST API calls
- * Consolidates timetable, exams, homework, absences, and messages of day fetching
+ * Consolidates timetable, exams, homework, absences, grades, and messages of day fetching
  */
 
 const fs = require('node:fs');
@@ -20,6 +20,7 @@ const ENDPOINTS = {
   exams: '/WebUntis/api/exams',
   homework: '/WebUntis/api/homeworks/lessons',
   absences: '/WebUntis/api/classreg/absences/students',
+  grades: '/WebUntis/api/classreg/grade/gradeList',
   messagesofday: '/WebUntis/api/public/news/newsWidgetData',
 };
 
@@ -648,6 +649,75 @@ async function getAbsences({ authContext, server, rangeStart, rangeEnd, personId
   });
 }
 
+function toMarkValue(mark) {
+  const displayValue = Number(mark?.markDisplayValue);
+  if (Number.isFinite(displayValue) && displayValue > 0) return displayValue;
+  // markValue is stored in hundredths (200 = 2.0)
+  const rawValue = Number(mark?.markValue);
+  return Number.isFinite(rawValue) && rawValue > 0 ? rawValue / 100 : null;
+}
+
+/**
+ * Fetch grades for a student
+ */
+async function getGrades({
+  authContext,
+  server,
+  rangeStart,
+  rangeEnd,
+  personId,
+  logger,
+  normalizeDate,
+  sanitizeHtml,
+  debugApi = false,
+  dumpRaw = false,
+}) {
+  const transform = (data) => {
+    const grades = [];
+    const gradeArr = pickFirstArray(data?.data?.grades, data?.grades, data?.data, data);
+
+    gradeArr.forEach((entry) => {
+      // gradeList wraps each grade with its lesson; flat grade records are accepted as well
+      const grade = entry?.grade && typeof entry.grade === 'object' ? entry.grade : entry;
+      const mark = grade?.mark && typeof grade.mark === 'object' ? grade.mark : {};
+      const markName = mark.name ?? grade?.markName ?? (mark.markDisplayValue !== undefined ? String(mark.markDisplayValue) : '');
+      if (!markName) return;
+
+      const rawSubject = entry?.subject ?? entry?.lesson?.subjects ?? grade?.subject ?? null;
+      const subjectName = typeof rawSubject === 'string' ? rawSubject : '';
+      const text = grade?.text ?? entry?.text ?? '';
+
+      grades.push({
+        id: grade?.id ?? entry?.id ?? null,
+        date: normalizeDate ? normalizeDate(grade?.date ?? entry?.date) : (grade?.date ?? entry?.date ?? null),
+        subject: subjectName ? { name: subjectName, longname: entry?.subjectLongName ?? subjectName } : rawSubject,
+        mark: String(markName),
+        value: toMarkValue(mark),
+        examType: grade?.examType?.longname ?? grade?.examType?.name ?? (typeof grade?.examType === 'string' ? grade.examType : ''),
+        text: sanitizeHtml ? sanitizeHtml(text, false) : text,
+      });
+    });
+
+    return grades;
+  };
+
+  return callStudentRangeDataType({
+    dataType: 'grades',
+    authContext,
+    server,
+    rangeStart,
+    rangeEnd,
+    personId,
+    logger,
+    transform,
+    debugApi,
+    dumpRaw,
+    extraParamsFactory: (resolvedPersonId) => ({
+      personId: resolvedPersonId ?? -1,
+    }),
+  });
+}
+
 /**
  * Fetch messages of the day
  */
@@ -749,6 +819,7 @@ module.exports = {
   getExams,
   getHomework,
   getAbsences,
+  getGrades,
   getMessagesOfDay,
   getClassServices,
   getTimetableFilterClasses,
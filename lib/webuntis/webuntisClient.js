@@ -16,6 +16,12 @@ class WebUntisClient {
     this.shouldSkipApi = options.shouldSkipApi;
     this.recordApiStatusFromError = options.recordApiStatusFromError;
     this.setApiStatus = options.setApiStatus;
+    // Shared across sessions by the node helper; null disables sharing (see _withResultCache()).
+    this.resultCache = options.resultCache || null;
+    this.resultCacheScope = options.resultCacheScope || null;
+    this.resultCacheTtlMs = Number(options.resultCacheTtlMs) || 0;
+    // Forced refreshes (WEBUNTIS_REFRESH) bypass stored responses and repopulate them.
+    this.resultCacheForceRefresh = options.resultCacheForceRefresh === true;
     this.cacheManager =
       options.cacheManager ||
       new CacheManager((level, message) => {
@@ -146,19 +152,50 @@ class WebUntisClient {
     return response.data;
   }
 
-  async _invokeRestEndpoint(endpoint, authCtx, sessionCtx, logCtx, flagsCtx, requestBuilder) {
+  async _invokeRestEndpoint(endpoint, authCtx, sessionCtx, logCtx, flagsCtx, requestBuilder, cacheParams = null) {
     const restCtx = this._extractRestRequestContext(authCtx, sessionCtx, logCtx, flagsCtx);
     const { debugApi, dumpRawApiResponses, server } = restCtx;
     const authContext = this._buildRestAuthHandlers(restCtx);
-
-    return this._executeRestEndpoint(endpoint, restCtx, () =>
+    const executeRequest = () =>
       requestBuilder({
         server,
         authContext,
         debugApi: Boolean(debugApi),
         dumpRaw: Boolean(dumpRawApiResponses),
-      })
-    );
+      });
+
+    return this._executeRestEndpoint(endpoint, restCtx, this._withResultCache(endpoint, restCtx, cacheParams, executeRequest));
+  }
+
+  /**
+   * Route an endpoint request through the shared result cache.
+   *
+   * The key combines the unscoped credential identity, server, endpoint and the request
+   * parameters (target personId, date range, timetable options), so sessions only share
+   * responses they would have requested identically. Debug and dump runs always hit WebUntis;
+   * forced refreshes hit WebUntis and store the new response for the other sessions.
+   *
+   * @param {string} endpoint - Endpoint name (timetable, exams, ...)
+   * @param {Object} restCtx - Context from _extractRestRequestContext()
+   * @param {Object|null} cacheParams - Request parameters that identify the response
+   * @param {Function} executeRequest - Upstream request
+   * @returns {Function} Request function for _executeRestEndpoint()
+   */
+  _withResultCache(endpoint, restCtx, cacheParams, executeRequest) {
+    if (!this.resultCache || !this.resultCacheScope || !cacheParams || this.resultCacheTtlMs <= 0) return executeRequest;
+    if (restCtx.debugApi || restCtx.dumpRawApiResponses) return executeRequest;
+
+    const parts = Object.keys(cacheParams)
+      .sort()
+      .map((name) => {
+        const value = cacheParams[name];
+        return `${name}=${value instanceof Date ? this._formatDateInt(value) : String(value ?? '')}`;
+      });
+    const key = [this.resultCacheScope, restCtx.server, endpoint, ...parts].join('|');
+    if (this.resultCacheForceRefresh) {
+      return () => this.resultCache.refresh(key, this.resultCacheTtlMs, executeRequest, endpoint);
+    }
+    return () => this.resultCache.getOrFetch(key, this.resultCacheTtlMs, executeRequest, endpoint);
   }
 
   _collectClassCandidates(data) {
@@ -453,81 +490,140 @@ class WebUntisClient {
       });
     }
 
-    return this._invokeRestEndpoint('timetable', authCtx, sessionCtx, logCtx, flagsCtx, ({ server, authContext, debugApi, dumpRaw }) =>
-      webuntisApiService.getTimetable({
-        authContext,
-        server,
-        rangeStart,
-        rangeEnd,
-        personId,
-        useClassTimetable: wantsClass,
-        classId,
-        resourceType,
-        logger: this.mmLog,
-        debugApi,
-        dumpRaw,
-      })
+    return this._invokeRestEndpoint(
+      'timetable',
+      authCtx,
+      sessionCtx,
+      logCtx,
+      flagsCtx,
+      ({ server, authContext, debugApi, dumpRaw }) =>
+        webuntisApiService.getTimetable({
+          authContext,
+          server,
+          rangeStart,
+          rangeEnd,
+          personId,
+          useClassTimetable: wantsClass,
+          classId,
+          resourceType,
+          logger: this.mmLog,
+          debugApi,
+          dumpRaw,
+        }),
+      { personId, rangeStart, rangeEnd, useClassTimetable: wantsClass, classId, resourceType }
     );
   }
 
   async _getExamsViaRest(authCtx, sessionCtx, logCtx, flagsCtx, rangeStart, rangeEnd, personId) {
-    return this._invokeRestEndpoint('exams', authCtx, sessionCtx, logCtx, flagsCtx, ({ server, authContext, debugApi, dumpRaw }) =>
-      webuntisApiService.getExams({
-        authContext,
-        server,
-        rangeStart,
-        rangeEnd,
-        personId,
-        logger: this.mmLog,
-        normalizeDate: normalizeDateToInteger,
-        normalizeTime: normalizeTimeToHHMM,
-        sanitizeHtml: stripAllHtml,
-        debugApi,
-        dumpRaw,
-      })
+    return this._invokeRestEndpoint(
+      'exams',
+      authCtx,
+      sessionCtx,
+      logCtx,
+      flagsCtx,
+      ({ server, authContext, debugApi, dumpRaw }) =>
+        webuntisApiService.getExams({
+          authContext,
+          server,
+          rangeStart,
+          rangeEnd,
+          personId,
+          logger: this.mmLog,
+          normalizeDate: normalizeDateToInteger,
+          normalizeTime: normalizeTimeToHHMM,
+          sanitizeHtml: stripAllHtml,
+          debugApi,
+          dumpRaw,
+        }),
+      { personId, rangeStart, rangeEnd }
     );
   }
 
   async _getHomeworkViaRest(authCtx, sessionCtx, logCtx, flagsCtx, rangeStart, rangeEnd, personId) {
-    return this._invokeRestEndpoint('homework', authCtx, sessionCtx, logCtx, flagsCtx, ({ server, authContext, debugApi, dumpRaw }) =>
-      webuntisApiService.getHomework({
-        authContext,
-        server,
-        rangeStart,
-        rangeEnd,
-        personId,
-        logger: this.mmLog,
-        debugApi,
-        dumpRaw,
-      })
+    return this._invokeRestEndpoint(
+      'homework',
+      authCtx,
+      sessionCtx,
+      logCtx,
+      flagsCtx,
+      ({ server, authContext, debugApi, dumpRaw }) =>
+        webuntisApiService.getHomework({
+          authContext,
+          server,
+          rangeStart,
+          rangeEnd,
+          personId,
+          logger: this.mmLog,
+          debugApi,
+          dumpRaw,
+        }),
+      { personId, rangeStart, rangeEnd }
     );
   }
 
   async _getAbsencesViaRest(authCtx, sessionCtx, logCtx, flagsCtx, rangeStart, rangeEnd, personId) {
-    return this._invokeRestEndpoint('absences', authCtx, sessionCtx, logCtx, flagsCtx, ({ server, authContext, debugApi, dumpRaw }) =>
-      webuntisApiService.getAbsences({
-        authContext,
-        server,
-        rangeStart,
-        rangeEnd,
-        personId,
-        logger: this.mmLog,
-        debugApi,
-        dumpRaw,
-      })
+    return this._invokeRestEndpoint(
+      'absences',
+      authCtx,
+      sessionCtx,
+      logCtx,
+      flagsCtx,
+      ({ server, authContext, debugApi, dumpRaw }) =>
+        webuntisApiService.getAbsences({
+          authContext,
+          server,
+          rangeStart,
+          rangeEnd,
+          personId,
+          logger: this.mmLog,
+          debugApi,
+          dumpRaw,
+        }),
+      { personId, rangeStart, rangeEnd }
+    );
+  }
+
+  async _getGradesViaRest(authCtx, sessionCtx, logCtx, flagsCtx, rangeStart, rangeEnd, personId) {
+    return this._invokeRestEndpoint(
+      'grades',
+      authCtx,
+      sessionCtx,
+      logCtx,
+      flagsCtx,
+      ({ server, authContext, debugApi, dumpRaw }) =>
+        webuntisApiService.getGrades({
+          authContext,
+          server,
+          rangeStart,
+          rangeEnd,
+          personId,
+          logger: this.mmLog,
+          normalizeDate: normalizeDateToInteger,
+          sanitizeHtml: stripAllHtml,
+          debugApi,
+          dumpRaw,
+        }),
+      { personId, rangeStart, rangeEnd }
     );
   }
 
   async _getMessagesOfDayViaRest(authCtx, sessionCtx, logCtx, flagsCtx, date) {
-    return this._invokeRestEndpoint('messagesOfDay', authCtx, sessionCtx, logCtx, flagsCtx, ({ server, authContext, debugApi, dumpRaw }) =>
-      webuntisApiService.getMessagesOfDay({
-        authContext,
-        server,
-        date,
-        logger: this.mmLog,
-        debugApi,
-        dumpRaw,
-      })
+    return this._invokeRestEndpoint(
+      'messagesOfDay',
+      authCtx,
+      sessionCtx,
+      logCtx,
+      flagsCtx,
+      ({ server, authContext, debugApi, dumpRaw }) =>
+        webuntisApiService.getMessagesOfDay({
+          authContext,
+          server,
+          date,
+          logger: this.mmLog,
+          debugApi,
+          dumpRaw,
+        }),
+      { date }
     );
   }
 
@@ -595,6 +691,7 @@ class WebUntisClient {
       fetchFlags: requestFetchFlags,
       homeworkFilter: requestHomeworkFilter,
       flagsCtx: requestFlagsCtx,
+      timetableSync = null,
     } = requestPlan;
 
     const logger = this._createLogger(student);
@@ -676,6 +773,7 @@ class WebUntisClient {
     const fetchExams = Boolean(fetchFlags.fetchExams);
     const fetchHomeworks = Boolean(fetchFlags.fetchHomeworks);
     const fetchAbsences = Boolean(fetchFlags.fetchAbsences);
+    const fetchGrades = Boolean(fetchFlags.fetchGrades);
     const fetchMessagesOfDay = Boolean(fetchFlags.fetchMessagesOfDay);
 
     let grid = [];
@@ -707,6 +805,7 @@ class WebUntisClient {
         fetchExams,
         fetchHomeworks,
         fetchAbsences,
+        fetchGrades,
         fetchMessagesOfDay,
       },
       restFns: {
@@ -715,16 +814,19 @@ class WebUntisClient {
         getExamsViaRest: this._getExamsViaRest.bind(this),
         getHomeworkViaRest: this._getHomeworkViaRest.bind(this),
         getAbsencesViaRest: this._getAbsencesViaRest.bind(this),
+        getGradesViaRest: this._getGradesViaRest.bind(this),
         getMessagesOfDayViaRest: this._getMessagesOfDayViaRest.bind(this),
       },
       logger: logCtx.logger,
       currentFetchWarnings,
+      timetableSync,
     });
 
     const timetable = fetchResults.timetable;
     const rawExams = fetchResults.exams;
     const hwResult = fetchResults.homeworks;
     const rawAbsences = fetchResults.absences;
+    const rawGrades = fetchResults.grades;
     const rawMessagesOfDay = fetchResults.messagesOfDay;
 
     if (fetchTimegrid && grid.length === 0 && timetable.length > 0) {
@@ -751,6 +853,7 @@ class WebUntisClient {
         rawExams,
         hwResult,
         rawAbsences,
+        rawGrades,
         rawMessagesOfDay,
       },
     };
@@ -1,8 +1,8 @@
 /**
  * Student credential validation for MMM-Webuntis
  *
- * Per-plugin config validation lives in the plugin backends and uses
- * lib/pluginValidationUtils.js. This module only covers student credentials,
+ * Per-plugin config is validated against the plugins' config schemas
+ * (lib/pluginConfigSchema.js). This module only covers student credentials,
  * which are not owned by any single plugin.
  *
  * @module lib/widgetConfigValidator
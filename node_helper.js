@@ -16,9 +16,42 @@ const {
 const { AuthService, WebUntisClient, formatError, convertRestErrorToWarning, normalizeTimeToHHMM } = require('./lib/webuntisClient');
 const { calculateFetchRanges, compactHolidays } = require('./lib/webuntis/dataOrchestration');
 const { NETWORK_ERROR_CODES } = require('./lib/webuntis/transportConstants');
-const { initializeBackendPluginHost } = require('./lib/pluginHostBackend');
+const ResultCache = require('./lib/webuntis/resultCache');
+const { deriveStudentData, initializeBackendPluginHost } = require('./lib/pluginHostBackend');
+const { BUILTIN_PLUGIN_SOURCE, isPathInsideRoot, normalizePluginPaths } = require('./lib/pluginLoader');
 const { buildFetchFlagsFromCapabilities, collectCapabilities } = require('./lib/pluginCapabilityResolver');
+const { getSchemaDefaults, validatePluginConfig } = require('./lib/pluginConfigSchema');
 const { validateStudentCredentials } = require('./lib/widgetConfigValidator');
+const {
+  CALENDAR_FEED_TYPES,
+  buildCalendarCollection,
+  parseFeedFileName,
+  renderCalendarFeed,
+  resolveCalendarExportConfig,
+} = require('./lib/calendarExport');
+const { createCaldavServer } = require('./lib/caldavServer');
+const {
+  REST_API_COLLECTIONS,
+  buildCollectionResponse,
+  buildStudentListResponse,
+  extractBearerToken,
+  isAuthorizedToken,
+  resolveRestApiConfig,
+} = require('./lib/restApi');
+const { MqttPublisher, resolveMqttConfig } = require('./lib/mqttPublisher');
+const { WebhookNotifier, resolveWebhookTargets } = require('./lib/webhookNotifier');
+const { mergeStudentSnapshot } = require('./lib/studentSnapshots');
+const { detectStudentChanges } = require('./lib/changeDetection');
+const { DELTA_TRANSPORT_VERSION, buildDeltaPayload } = require('./lib/deltaTransport');
+const {
+  DEFAULT_SNAPSHOT_DIR,
+  buildPersistablePayload,
+  getPayloadFingerprint,
+  markPayloadStale,
+  readPayloadSnapshots,
+  resolveOfflineCacheConfig,
+  writePayloadSnapshot,
+} = require('./lib/payloadSnapshotStore');
 
 const ALL_WIDGETS = Object.freeze(['grid', 'lessons', 'exams', 'homework', 'absences', 'messagesofday']);
 const DEFAULT_IDENTIFIER = 'default';
@@ -41,12 +74,32 @@ const SESSION_TTL_DEFAULT_MS = 5 * 60 * 1000;
 const SESSION_TTL_MIN_MS = 10 * 60 * 1000;
 const SESSION_TTL_MAX_MS = 60 * 60 * 1000;
 
+// Shared result cache: responses live slightly shorter than one update cycle, so a session's own
+// periodic fetch always reaches WebUntis while other sessions in between reuse its result.
+const RESULT_CACHE_TTL_RATIO = 0.9;
+
+// Incremental timetable: past days are reused between fetches; at this interval the whole window is downloaded again.
+const TIMETABLE_FULL_SYNC_DEFAULT_MS = 60 * 60 * 1000;
+
+// Offline cache: an unchanged payload is written again only after this interval, which keeps the
+// file's savedAt and the "offline data from" time recent without writing the SD card on every fetch.
+const OFFLINE_CACHE_REWRITE_MS = 60 * 60 * 1000;
+
+// ICS feeds live under the module's own URL namespace on MagicMirror's Express app.
+const CALENDAR_ROUTE_BASE = '/MMM-Webuntis/calendar';
+const CALDAV_ROUTE_BASE = '/MMM-Webuntis/caldav';
+const CALDAV_MAX_BODY_BYTES = 256 * 1024;
+const API_ROUTE_BASE = '/MMM-Webuntis/api';
+// Assets of plugins from pluginPaths; built-in plugins are served from the module folder by MagicMirror.
+const PLUGIN_ASSET_ROUTE_BASE = '/MMM-Webuntis/plugin-assets';
+
 function createEmptyApiStatusSnapshot() {
   return {
     timetable: null,
     exams: null,
     homework: null,
     absences: null,
+    grades: null,
     messages: null,
   };
 }
@@ -82,19 +135,71 @@ module.exports = NodeHelper.create({
     this._configsByIdentifier = new Map();
     this._configsBySession = new Map();
     this._pausedSessions = new Set(); // sessionKey values currently suspended/hidden
+    this._forceRefreshSessions = new Set(); // sessionKey values whose running fetch bypasses the shared result cache
     this._sessionLastSeenAt = new Map(); // sessionKey -> epoch ms of last frontend contact
     this._pendingFetchByCredKey = new Map(); // Track pending fetches to avoid duplicates
+    this._timetableSyncCache = new Map(); // `${sharedCredentialKey}|${studentTitle}` -> past timetable days, see orchestrateFetch()
+    this._resultCache = new ResultCache({ logger: (level, message) => this._mmLog(level, null, `[fetch-cache] ${message}`) });
     this._studentsDiscovered = {};
-    this._pluginHost = initializeBackendPluginHost({
+    this._studentSnapshots = new Map(); // `${identifier}:${studentTitle}` -> last good data collections
+    this._changeListeners = new Set(); // subsystems notified about detected student changes
+    this._deltaStateBySession = new Map(); // sessionKey -> Map(studentTitle -> last sent revision and hashes)
+    this._payloadSnapshotDir = DEFAULT_SNAPSHOT_DIR; // last good payloads replayed on CONFIGURE
+    this._persistedPayloads = new Map(); // `${identifier}:${studentTitle}` -> { fingerprint, savedAtMs } of the last written snapshot
+    this._registerCalendarRoutes();
+    this._registerApiRoutes();
+    this._registerPluginAssetRoutes();
+    this._mqttPublisher = new MqttPublisher({ logger: (level, message) => this._mmLog(level, null, `[mqtt] ${message}`) });
+    this._webhookNotifier = new WebhookNotifier({ logger: (level, message) => this._mmLog(level, null, `[webhook] ${message}`) });
+    this.onStudentChanges((event) => this._deliverWebhooks(event));
+    this._pluginWarnings = [];
+    this._loadPlugins([]);
+  },
+
+  /**
+   * Discover plugins from the module's plugins/ folder and the given pluginPaths entries.
+   * Plugins of an earlier discovery keep their backend instance; only new ones run setup().
+   * The host object stays the same, so fetches already running keep a consistent view.
+   * Warnings that were not reported by an earlier discovery are logged.
+   *
+   * @param {string[]} pluginPaths - Normalized pluginPaths entries
+   */
+  _loadPlugins(pluginPaths) {
+    this._pluginPaths = pluginPaths.slice();
+    const nextHost = initializeBackendPluginHost({
       moduleRoot: __dirname,
+      pluginPaths: this._pluginPaths,
       logger: this._mmLog.bind(this),
+      previousHost: this._pluginHost,
     });
+    if (this._pluginHost) {
+      Object.assign(this._pluginHost, nextHost);
+    } else {
+      this._pluginHost = nextHost;
+    }
+    const previousWarnings = new Set(this._pluginWarnings || []);
     this._pluginWarnings = Array.isArray(this._pluginHost?.warnings) ? this._pluginHost.warnings.slice() : [];
-    if (this._pluginWarnings.length > 0) {
-      this._pluginWarnings.forEach((warning) => {
+    this._pluginWarnings
+      .filter((warning) => !previousWarnings.has(warning))
+      .forEach((warning) => {
         this._mmLog('warn', null, warning);
       });
-    }
+  },
+
+  /**
+   * Make the plugins of a config's `pluginPaths` available.
+   *
+   * The plugin registry is shared by all module instances, so it grows to the union of
+   * every configured entry; discovery only runs again when a new entry shows up.
+   *
+   * @param {*} pluginPaths - `pluginPaths` from CONFIGURE
+   */
+  _ensurePluginPaths(pluginPaths) {
+    const loaded = this._pluginPaths || [];
+    const missing = normalizePluginPaths(pluginPaths).filter((entry) => !loaded.includes(entry));
+    if (missing.length === 0) return;
+    this._mmLog('info', null, `[plugins] Discovering plugins from pluginPaths: ${missing.join(', ')}`);
+    this._loadPlugins([...loaded, ...missing]);
   },
 
   /**
@@ -113,6 +218,13 @@ module.exports = NodeHelper.create({
     this._sessionLastSeenAt?.clear();
     this._pausedSessions?.clear();
     this._pendingFetchByCredKey?.clear();
+    this._studentSnapshots?.clear();
+    this._persistedPayloads?.clear();
+    this._derivedDataByStudent?.clear();
+    this._deltaStateBySession?.clear();
+    this._resultCache?.clear();
+    this._timetableSyncCache?.clear();
+    this._mqttPublisher?.stop().catch(() => {});
     this._mmLog('debug', null, 'Node helper stopped');
   },
 
@@ -129,10 +241,14 @@ module.exports = NodeHelper.create({
       const explicitPluginConfig = pluginConfigMap?.[manifest.id];
       const active = explicitPluginConfig?.enabled === true;
 
-      const frontendPath = path.relative(__dirname, pluginDescriptor.entryPaths.frontend).split(path.sep).join('/');
-      const stylePaths = Array.isArray(pluginDescriptor.entryPaths.styles)
-        ? pluginDescriptor.entryPaths.styles.map((stylePath) => path.relative(__dirname, stylePath).split(path.sep).join('/'))
-        : [];
+      const isBuiltin = (pluginDescriptor.source || BUILTIN_PLUGIN_SOURCE) === BUILTIN_PLUGIN_SOURCE;
+      const toAssetPath = (assetPath) => {
+        if (isBuiltin) return path.relative(__dirname, assetPath).split(path.sep).join('/');
+        const relativePath = path.relative(pluginDescriptor.pluginRoot, assetPath).split(path.sep).map(encodeURIComponent).join('/');
+        return `${PLUGIN_ASSET_ROUTE_BASE}/${encodeURIComponent(manifest.id)}/${relativePath}`;
+      };
+      const frontendPath = toAssetPath(pluginDescriptor.entryPaths.frontend);
+      const stylePaths = Array.isArray(pluginDescriptor.entryPaths.styles) ? pluginDescriptor.entryPaths.styles.map(toAssetPath) : [];
 
       return {
         id: manifest.id,
@@ -141,6 +257,8 @@ module.exports = NodeHelper.create({
         configNamespace: manifest.configNamespace || manifest.id,
         aliases,
         capabilities: Array.isArray(manifest.capabilities) ? manifest.capabilities.slice() : [],
+        slots: Array.isArray(manifest.slots) && manifest.slots.length > 0 ? manifest.slots.slice() : ['main'],
+        source: pluginDescriptor.source || BUILTIN_PLUGIN_SOURCE,
         active,
         entry: {
           frontend: frontendPath,
@@ -184,7 +302,7 @@ module.exports = NodeHelper.create({
    *      once the endpoint has failed TRANSIENT_FAILURE_THRESHOLD times in a row.
    *
    * @param {string} sessionKey - Session key
-   * @param {string} endpoint - API endpoint name (timetable, exams, homework, absences, messagesOfDay)
+   * @param {string} endpoint - API endpoint name (timetable, exams, homework, absences, grades, messagesOfDay)
    * @returns {boolean} True if API should be skipped
    */
   _shouldSkipApi(sessionKey, endpoint) {
@@ -367,12 +485,18 @@ module.exports = NodeHelper.create({
 
     pluginDescriptors.forEach((pluginDescriptor) => {
       const validateConfig = pluginDescriptor?.instance?.validateConfig;
-      if (typeof validateConfig !== 'function') return;
+      const configSchema = pluginDescriptor?.configSchema;
+      if (typeof validateConfig !== 'function' && !configSchema) return;
 
       const pluginId = pluginDescriptor.id;
       const pluginConfig = pluginConfigMap?.[pluginId]?.config;
-      const issues = validateConfig(pluginConfig, { config, pluginId });
-      if (!Array.isArray(issues) || issues.length === 0) return;
+      // Schema checks come first; a validateConfig() hook only adds rules a schema cannot express.
+      const hookIssues = typeof validateConfig === 'function' ? validateConfig(pluginConfig, { config, pluginId }) : [];
+      const issues = [
+        ...(configSchema ? validatePluginConfig(pluginId, pluginConfig, configSchema) : []),
+        ...(Array.isArray(hookIssues) ? hookIssues : []),
+      ];
+      if (issues.length === 0) return;
 
       issues.forEach((issue) => {
         const message = typeof issue === 'string' ? issue : issue?.message;
@@ -448,6 +572,7 @@ module.exports = NodeHelper.create({
       normalizedConfig.displayMode = normalizedConfig.displayMode.toLowerCase();
     }
 
+    this._ensurePluginPaths(normalizedConfig.pluginPaths);
     normalizedConfig.plugins = this._buildCanonicalPluginsConfig(normalizedConfig);
 
     if (Array.isArray(normalizedConfig.students)) {
@@ -522,19 +647,27 @@ module.exports = NodeHelper.create({
     return definitions;
   },
 
+  /**
+   * Default config of a plugin: the `default` keywords of its config schema, overlaid by the
+   * backend's getDefaultConfig() hook when it has one.
+   *
+   * @param {string} pluginId - Plugin ID
+   * @returns {Object} Default plugin config
+   */
   _getBackendPluginDefaultConfig(pluginId) {
     const pluginDescriptors = Array.isArray(this._pluginHost?.plugins) ? this._pluginHost.plugins : [];
     const descriptor = pluginDescriptors.find((entry) => entry?.id === pluginId);
+    const schemaDefaults = descriptor?.configSchema ? getSchemaDefaults(descriptor.configSchema) : {};
     const getDefaultConfig = descriptor?.instance?.getDefaultConfig;
-    if (typeof getDefaultConfig !== 'function') return {};
+    if (typeof getDefaultConfig !== 'function') return schemaDefaults;
 
     try {
       const value = getDefaultConfig();
-      if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
-      return { ...value };
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return schemaDefaults;
+      return { ...schemaDefaults, ...value };
     } catch (error) {
       this._mmLog('warn', null, `[plugins] Failed to read default config for plugin "${pluginId}": ${this._formatErr(error)}`);
-      return {};
+      return schemaDefaults;
     }
   },
 
@@ -660,6 +793,7 @@ module.exports = NodeHelper.create({
     for (const staleSessionKey of staleSessionKeys) {
       configsBySession.delete(staleSessionKey);
       apiStatusBySession.delete(staleSessionKey);
+      this._deltaStateBySession?.delete(staleSessionKey);
       pausedSessions.delete(staleSessionKey);
       this._sessionLastSeenAt.delete(staleSessionKey);
     }
@@ -690,6 +824,8 @@ module.exports = NodeHelper.create({
     this._releaseStaleSessions(sessionKey, this._getSessionTtlMs(normalizedConfig));
     this._touchSession(sessionKey);
     this._configsBySession.set(sessionKey, normalizedConfig);
+    // A (re)configured frontend starts without data, so its next payloads must be complete.
+    this._deltaStateBySession?.delete(sessionKey);
 
     if (normalizedConfig.debugDate) {
       this._mmLog('debug', null, `[CONFIGURE] Session debugDate="${normalizedConfig.debugDate}" (session-specific, not global)`);
@@ -810,9 +946,536 @@ module.exports = NodeHelper.create({
       return null;
     }
 
+    await this._applyDerivedData(identifier, student, payload, config);
+    // A debugDate session (including WEBUNTIS_SET_DATE_OFFSET views) shows a shifted window; it must not
+    // replace the shared snapshot or the change baseline behind feeds, webhooks and the offline cache.
+    if (config?.debugDate) {
+      if (payload.state) payload.state.changes = [];
+    } else {
+      const changes = this._rememberStudentSnapshot(identifier, student, payload);
+      if (payload.state) payload.state.changes = changes;
+      this._notifyStudentChanges(identifier, student, changes, payload.data?.timeUnits);
+      this._persistStudentPayload(identifier, student, payload, config);
+    }
+
     return this._mergeGroupWarningsIntoPayload(payload, identifier, warningsState.groupWarnings, warningsState.groupWarningMetaByMessage);
   },
 
+  /**
+   * Attach the output of backend `deriveData()` hooks as `data.derived.<pluginId>`.
+   * Only enabled plugins with the `pluginDerivedData` capability take part. Each hook gets its own
+   * output of the previous fetch of the same student, so it can compute differences or keep history.
+   *
+   * @param {string} identifier - Module instance identifier
+   * @param {Object} student - Student config
+   * @param {Object} payload - V3 DATA_UPDATE payload returned by fetchData(), extended in place
+   * @param {Object} config - Session config used for the fetch
+   */
+  async _applyDerivedData(identifier, student, payload, config) {
+    if (!payload?.data || typeof payload.data !== 'object') return;
+
+    const pluginsConfig = config?.plugins && typeof config.plugins === 'object' ? config.plugins : {};
+    const activeRecords = (Array.isArray(this._pluginHost?.plugins) ? this._pluginHost.plugins : []).filter(
+      (pluginRecord) => pluginsConfig[pluginRecord?.manifest?.id]?.enabled === true
+    );
+    if (!this._derivedDataByStudent) this._derivedDataByStudent = new Map();
+
+    const key = this._getStudentSnapshotKey(identifier, student?.title);
+    const derived = await deriveStudentData(activeRecords, {
+      payload,
+      previous: this._derivedDataByStudent.get(key),
+      getPluginConfig: (pluginId) => pluginsConfig[pluginId]?.config || {},
+      onError: (pluginId, error) => {
+        this._mmLog('warn', student, `[plugin:${pluginId}] deriveData failed: ${this._formatErr(error)}`);
+      },
+    });
+
+    this._derivedDataByStudent.set(key, derived);
+    payload.data.derived = derived;
+  },
+
+  _getStudentSnapshotKey(identifier, studentTitle) {
+    return `${identifier}:${studentTitle}`;
+  },
+
+  _getStudentSnapshot(identifier, studentTitle) {
+    return this._studentSnapshots?.get(this._getStudentSnapshotKey(identifier, studentTitle)) || null;
+  },
+
+  /**
+   * Find a configured student by URL parameter, matching the title or the numeric studentId.
+   *
+   * @param {Object} config - Module configuration
+   * @param {string} studentParam - Decoded URL parameter
+   * @returns {Object|null} Student config
+   */
+  _findConfiguredStudent(config, studentParam) {
+    return (
+      (config?.students || []).find(
+        (candidate) => candidate?.title === studentParam || (candidate?.studentId != null && String(candidate.studentId) === studentParam)
+      ) || null
+    );
+  },
+
+  /**
+   * Keep the latest successfully fetched collections of a student for the ICS feeds, CalDAV and the REST API.
+   * Only called for payloads returned by fetchData() of sessions without a debugDate; error payloads
+   * never reach this point, so consumers keep the last good version during outages.
+   *
+   * @param {string} identifier - Module instance identifier
+   * @param {Object} student - Student config
+   * @param {Object} payload - V3 DATA_UPDATE payload
+   * @returns {Array<Object>} Change events against the previous snapshot (see lib/changeDetection.js)
+   */
+  _rememberStudentSnapshot(identifier, student, payload) {
+    if (!student?.title) return [];
+    if (!this._studentSnapshots) this._studentSnapshots = new Map();
+
+    const key = this._getStudentSnapshotKey(identifier, student.title);
+    const previous = this._studentSnapshots.get(key) || null;
+    const snapshot = mergeStudentSnapshot(previous, payload);
+    if (!snapshot) return [];
+
+    this._studentSnapshots.set(key, snapshot);
+    return detectStudentChanges(previous, snapshot);
+  },
+
+  /**
+   * Subscribe to change events detected between consecutive fetches of a student.
+   * Listeners run synchronously after the snapshot was updated; errors are logged and isolated.
+   *
+   * @param {Function} listener - Called with `{ identifier, student, changes, timeUnits }` when changes is non-empty
+   * @returns {Function} Unsubscribe function
+   */
+  onStudentChanges(listener) {
+    if (!this._changeListeners) this._changeListeners = new Set();
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  },
+
+  _notifyStudentChanges(identifier, student, changes, timeUnits = []) {
+    if (!Array.isArray(changes) || changes.length === 0) return;
+    this._mmLog('debug', student, `Detected ${changes.length} change(s): ${changes.map((change) => change.type).join(', ')}`);
+
+    this._changeListeners?.forEach((listener) => {
+      try {
+        listener({ identifier, student, changes, timeUnits: Array.isArray(timeUnits) ? timeUnits : [] });
+      } catch (error) {
+        this._mmLog('warn', student, `Change listener failed: ${this._formatErr(error)}`);
+      }
+    });
+  },
+
+  /**
+   * Persist the last good payload of a student for the replay on the next CONFIGURE.
+   * Sessions with a debugDate (including WEBUNTIS_SET_DATE_OFFSET views) are skipped,
+   * so a shifted view never replaces the real snapshot. A payload whose content matches the last
+   * written one is skipped as well until OFFLINE_CACHE_REWRITE_MS has passed.
+   *
+   * @param {string} identifier - Module instance identifier
+   * @param {Object} student - Student config
+   * @param {Object} payload - V3 DATA_UPDATE payload returned by fetchData()
+   * @param {Object} config - Session config used for the fetch
+   */
+  _persistStudentPayload(identifier, student, payload, config) {
+    if (!resolveOfflineCacheConfig(config).enabled || config?.debugDate) return;
+
+    const persisted = buildPersistablePayload(payload, this._getStudentSnapshot(identifier, student?.title));
+    if (!persisted) {
+      this._mmLog('debug', student, '[offline-cache] Timetable fetch failed, keeping the previous snapshot');
+      return;
+    }
+    const key = this._getStudentSnapshotKey(identifier, student?.title);
+    const fingerprint = getPayloadFingerprint(persisted);
+    const previous = this._persistedPayloads?.get(key);
+    if (previous?.fingerprint === fingerprint && Date.now() - previous.savedAtMs < OFFLINE_CACHE_REWRITE_MS) return;
+
+    try {
+      writePayloadSnapshot({ dir: this._payloadSnapshotDir || DEFAULT_SNAPSHOT_DIR, identifier, payload: persisted });
+      if (!this._persistedPayloads) this._persistedPayloads = new Map();
+      this._persistedPayloads.set(key, { fingerprint, savedAtMs: Date.now() });
+    } catch (error) {
+      this._mmLog('warn', student, `[offline-cache] Failed to write snapshot: ${this._formatErr(error)}`);
+    }
+  },
+
+  /**
+   * Send the persisted payloads of an identifier to a configuring session, marked as stale.
+   * Runs before student discovery and the first fetch, so the mirror shows the last good data
+   * even while WebUntis is unreachable; the regular fetch replaces it afterwards.
+   *
+   * @param {Object} normalizedConfig - Validated module config
+   * @param {string} identifier - Module instance identifier
+   * @param {string} sessionId - Session to send the replay to
+   * @returns {number} Count of replayed payloads
+   */
+  _replayPersistedPayloads(normalizedConfig, identifier, sessionId) {
+    const offlineCache = resolveOfflineCacheConfig(normalizedConfig);
+    if (!offlineCache.enabled) return 0;
+
+    // Auto-discovered students are not known yet; without configured titles every snapshot of the identifier is replayed.
+    const configuredTitles = new Set((normalizedConfig.students || []).map((student) => student?.title).filter(Boolean));
+    let snapshots = [];
+    try {
+      snapshots = readPayloadSnapshots({
+        dir: this._payloadSnapshotDir || DEFAULT_SNAPSHOT_DIR,
+        identifier,
+        maxAgeMs: offlineCache.maxAgeHours * 60 * 60 * 1000,
+        onSkip: (fileName, reason) => this._mmLog('debug', null, `[offline-cache] Skipped ${fileName}: ${reason}`),
+      });
+    } catch (error) {
+      this._mmLog('warn', null, `[offline-cache] Failed to read snapshots: ${this._formatErr(error)}`);
+      return 0;
+    }
+
+    const replayed = snapshots.filter((snapshot) => configuredTitles.size === 0 || configuredTitles.has(snapshot.student));
+    for (const snapshot of replayed) {
+      this._emitGotData(markPayloadStale(snapshot.payload, snapshot.savedAt), { identifier, sessionId });
+    }
+    if (replayed.length > 0) {
+      this._mmLog('info', null, `[offline-cache] Replayed ${replayed.length} stale payload(s) for ${identifier}`);
+    }
+    return replayed.length;
+  },
+
+  /**
+   * Change listener that forwards detected changes to the configured webhooks of the identifier.
+   * Delivery is not awaited: slow or unreachable endpoints must not delay the fetch cycle.
+   *
+   * @param {Object} event - `{ identifier, student, changes, timeUnits }` from _notifyStudentChanges()
+   * @returns {Promise<void>}
+   */
+  _deliverWebhooks({ identifier, student, changes, timeUnits }) {
+    const config = this._configsByIdentifier?.get(identifier);
+    if (!this._webhookNotifier || resolveWebhookTargets(config).length === 0) return Promise.resolve();
+
+    return this._webhookNotifier
+      .deliverChanges({ config, identifier, student, changes, timeUnits })
+      .then(({ sent, failed }) => {
+        this._mmLog('debug', student, `[webhook] Delivered ${sent} request(s), ${failed} failed`);
+      })
+      .catch((error) => {
+        this._mmLog('warn', student, `[webhook] Delivery failed: ${this._formatErr(error)}`);
+      });
+  },
+
+  /**
+   * Register the calendar export routes on MagicMirror's Express app:
+   *   GET /MMM-Webuntis/calendar/:identifier/:student/{lessons,exams,homework}.{ics,ical}
+   *   *   /MMM-Webuntis/caldav/...  (read-only CalDAV, see lib/caldavServer.js)
+   *   *   /.well-known/caldav       (redirect to the CalDAV root)
+   *
+   * Routes are registered unconditionally; every request checks calendarExport of its
+   * identifier, so feeds stay unreachable until a module instance opts in.
+   */
+  _registerCalendarRoutes() {
+    if (!this.expressApp || typeof this.expressApp.get !== 'function') return;
+
+    this.expressApp.get(`${CALENDAR_ROUTE_BASE}/:identifier/:student/:feedFile`, (req, res) => {
+      this._handleCalendarRequest(req, res);
+    });
+
+    this._caldavServer = createCaldavServer({
+      basePath: CALDAV_ROUTE_BASE,
+      directory: {
+        listHomes: () => this._listCaldavIdentifiers(),
+        listCollections: (identifier) => this._buildCalendarCollections(identifier),
+      },
+    });
+    this.expressApp.all('/.well-known/caldav', (_req, res) => {
+      res.redirect(301, `${CALDAV_ROUTE_BASE}/`);
+    });
+    this.expressApp.use(CALDAV_ROUTE_BASE, (req, res) => {
+      this._handleCaldavRequest(req, res);
+    });
+  },
+
+  _listCaldavIdentifiers() {
+    return Array.from(this._configsByIdentifier?.entries() || [])
+      .filter(([, config]) => {
+        const exportConfig = resolveCalendarExportConfig(config);
+        return exportConfig.enabled && exportConfig.caldav;
+      })
+      .map(([identifier]) => identifier);
+  },
+
+  /**
+   * Build all enabled calendar collections of one module instance from the cached snapshots.
+   *
+   * @param {string} identifier - Module instance identifier
+   * @returns {Array<Object>} Collections from buildCalendarCollection()
+   */
+  _buildCalendarCollections(identifier) {
+    const config = this._configsByIdentifier?.get(identifier);
+    const exportConfig = resolveCalendarExportConfig(config);
+    if (!config || !exportConfig.enabled) return [];
+
+    const feedTypes = CALENDAR_FEED_TYPES.filter((feedType) => exportConfig[feedType] === true);
+    return (config.students || [])
+      .filter((student) => student?.title)
+      .flatMap((student) =>
+        feedTypes.map((feedType) =>
+          buildCalendarCollection({
+            feedType,
+            snapshot: this._getStudentSnapshot(identifier, student.title),
+            studentTitle: student.title,
+            timeZone: config.timezone,
+          })
+        )
+      );
+  },
+
+  /**
+   * Read a CalDAV request body of at most CALDAV_MAX_BODY_BYTES.
+   * Larger bodies reject with `status: 413`; the rest of the body is discarded, not buffered.
+   *
+   * @param {Object} req - Express request
+   * @returns {Promise<string>} UTF-8 body
+   */
+  _readRequestBody(req) {
+    if (typeof req.body === 'string') return Promise.resolve(req.body);
+    if (Buffer.isBuffer(req.body)) return Promise.resolve(req.body.toString('utf8'));
+    if (typeof req.on !== 'function' || req.readableEnded) return Promise.resolve('');
+
+    const tooLarge = () => Object.assign(new Error(`CalDAV request body exceeds ${CALDAV_MAX_BODY_BYTES} bytes`), { status: 413 });
+    if (Number(req.headers?.['content-length']) > CALDAV_MAX_BODY_BYTES) return Promise.reject(tooLarge());
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        if (size > CALDAV_MAX_BODY_BYTES) return;
+        size += chunk.length;
+        if (size > CALDAV_MAX_BODY_BYTES) {
+          chunks.length = 0;
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  },
+
+  /**
+   * Adapt an Express request to the transport-agnostic CalDAV server.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<void>}
+   */
+  async _handleCaldavRequest(req, res) {
+    try {
+      const body = await this._readRequestBody(req);
+      const result = this._caldavServer.handle({
+        method: req.method,
+        path: String(req.originalUrl || req.url || '').split('?')[0],
+        depth: req.headers?.depth,
+        body,
+      });
+      res.status(result.status).set(result.headers).send(result.body);
+    } catch (error) {
+      if (error?.status === 413) {
+        // An oversized body is the client's problem, not a module failure; close the connection instead of reading on.
+        this._mmLog('debug', null, `[caldav] Rejected ${req.method} request: ${this._formatErr(error)}`);
+        res.status(413).set('Connection', 'close').type('text/plain').send('CalDAV request body too large');
+        return;
+      }
+      this._mmLog('error', null, `[caldav] Request failed: ${this._formatErr(error)}`);
+      res.status(500).type('text/plain').send('CalDAV request failed');
+    }
+  },
+
+  /**
+   * Serve one ICS feed from the cached snapshot. Never triggers a WebUntis request.
+   * Unknown identifiers, students, feed types and disabled feeds all answer 404.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  _handleCalendarRequest(req, res) {
+    try {
+      const identifier = String(req.params?.identifier || '');
+      const studentParam = String(req.params?.student || '');
+      const feed = parseFeedFileName(req.params?.feedFile);
+      const config = this._configsByIdentifier?.get(identifier);
+      const exportConfig = resolveCalendarExportConfig(config);
+      const feedEnabled =
+        Boolean(feed) && exportConfig[feed.feedType] === true && (feed.extension === 'ics' || exportConfig.includeIcalAliases);
+
+      const student = config && exportConfig.enabled && feedEnabled ? this._findConfiguredStudent(config, studentParam) : null;
+
+      if (!student) {
+        res.status(404).type('text/plain').send('Calendar feed not found');
+        return;
+      }
+
+      const body = renderCalendarFeed({
+        feedType: feed.feedType,
+        snapshot: this._getStudentSnapshot(identifier, student.title),
+        studentTitle: student.title,
+        timeZone: config.timezone,
+      });
+      const maxAgeSeconds = Math.max(60, Math.floor((Number(config.updateInterval) || SESSION_TTL_DEFAULT_MS) / 1000));
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Cache-Control': `private, max-age=${maxAgeSeconds}`,
+        'Content-Disposition': `inline; filename="${feed.feedType}.${feed.extension}"`,
+      });
+      res.status(200).send(body);
+    } catch (error) {
+      this._mmLog('error', null, `[calendar] Failed to render feed: ${this._formatErr(error)}`);
+      res.status(500).type('text/plain').send('Calendar feed unavailable');
+    }
+  },
+
+  /**
+   * Register the read-only REST API on MagicMirror's Express app:
+   *   GET /MMM-Webuntis/api/:identifier/students
+   *   GET /MMM-Webuntis/api/:identifier/students/:student/{lessons,exams,homework,absences,grades,messages}
+   *
+   * Like the calendar routes they are registered unconditionally and check restApi of their identifier.
+   */
+  _registerApiRoutes() {
+    if (!this.expressApp || typeof this.expressApp.get !== 'function') return;
+
+    this.expressApp.get(`${API_ROUTE_BASE}/:identifier/students`, (req, res) => {
+      this._handleApiRequest(req, res);
+    });
+    this.expressApp.get(`${API_ROUTE_BASE}/:identifier/students/:student/:collection`, (req, res) => {
+      this._handleApiRequest(req, res);
+    });
+  },
+
+  /**
+   * Serve the frontend assets (scripts, styles, translations) of plugins from pluginPaths:
+   *   GET /MMM-Webuntis/plugin-assets/:pluginId/<file below the plugin root>
+   */
+  _registerPluginAssetRoutes() {
+    if (!this.expressApp || typeof this.expressApp.use !== 'function') return;
+
+    this.expressApp.use(PLUGIN_ASSET_ROUTE_BASE, (req, res) => {
+      this._handlePluginAssetRequest(req, res);
+    });
+  },
+
+  /**
+   * Send one frontend asset of an external plugin: the declared frontend entry and styles, or a
+   * `translations/*.json` file. Everything else (backend code, package.json, node_modules, local
+   * config files), built-in plugins and unknown plugins answer 404; the route has no authentication.
+   *
+   * @param {Object} req - Express request (path relative to PLUGIN_ASSET_ROUTE_BASE)
+   * @param {Object} res - Express response
+   */
+  _handlePluginAssetRequest(req, res) {
+    const notFound = () => res.status(404).set({ 'Cache-Control': 'no-store' }).send('Not found');
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        notFound();
+        return;
+      }
+      const [pluginId, ...segments] = String(req.path || '')
+        .split('/')
+        .filter(Boolean)
+        .map((segment) => decodeURIComponent(segment));
+      const descriptor = (Array.isArray(this._pluginHost?.plugins) ? this._pluginHost.plugins : []).find(
+        (plugin) => plugin.id === pluginId && (plugin.source || BUILTIN_PLUGIN_SOURCE) !== BUILTIN_PLUGIN_SOURCE
+      );
+      const filePath = descriptor && segments.length > 0 ? path.resolve(descriptor.pluginRoot, ...segments) : null;
+      if (
+        !filePath ||
+        !isPathInsideRoot(filePath, descriptor.pluginRoot) ||
+        !this._isPublicPluginAsset(descriptor, filePath) ||
+        !fs.existsSync(filePath) ||
+        !fs.statSync(filePath).isFile()
+      ) {
+        notFound();
+        return;
+      }
+      res.set({ 'Cache-Control': 'no-cache' });
+      res.sendFile(filePath);
+    } catch (error) {
+      this._mmLog('warn', null, `[plugins] Plugin asset request failed: ${this._formatErr(error)}`);
+      notFound();
+    }
+  },
+
+  _isPublicPluginAsset(descriptor, filePath) {
+    const entryPaths = descriptor?.entryPaths || {};
+    const declaredAssets = [entryPaths.frontend, ...(Array.isArray(entryPaths.styles) ? entryPaths.styles : [])].filter(Boolean);
+    if (declaredAssets.some((assetPath) => path.resolve(assetPath) === filePath)) return true;
+    return path.dirname(filePath) === path.resolve(descriptor.pluginRoot, 'translations') && path.extname(filePath) === '.json';
+  },
+
+  /**
+   * Serve the cached V3 collections as JSON. Never triggers a WebUntis request.
+   * Disabled or unknown identifiers answer 404, a missing or wrong bearer token 401,
+   * unknown students and collections 404.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  _handleApiRequest(req, res) {
+    const sendError = (status, message) => {
+      res.status(status).set({ 'Cache-Control': 'no-store' }).json({ error: message });
+    };
+
+    try {
+      const identifier = String(req.params?.identifier || '');
+      const config = this._configsByIdentifier?.get(identifier);
+      const apiConfig = resolveRestApiConfig(config);
+      if (!config || !apiConfig.enabled) {
+        sendError(404, 'Not found');
+        return;
+      }
+
+      if (!isAuthorizedToken(extractBearerToken(req.headers?.authorization), apiConfig.token)) {
+        res.set('WWW-Authenticate', 'Bearer realm="MMM-Webuntis"');
+        sendError(401, 'Unauthorized');
+        return;
+      }
+
+      const students = (config.students || []).filter((student) => student?.title);
+      if (req.params?.collection === undefined) {
+        res
+          .status(200)
+          .set({ 'Cache-Control': 'no-store' })
+          .json(
+            buildStudentListResponse({
+              identifier,
+              entries: students.map((student) => ({ student, snapshot: this._getStudentSnapshot(identifier, student.title) })),
+            })
+          );
+        return;
+      }
+
+      const collection = String(req.params.collection);
+      const student = this._findConfiguredStudent({ students }, String(req.params?.student || ''));
+      if (!student || !REST_API_COLLECTIONS.includes(collection)) {
+        sendError(404, 'Not found');
+        return;
+      }
+
+      res
+        .status(200)
+        .set({ 'Cache-Control': 'no-store' })
+        .json(
+          buildCollectionResponse({
+            identifier,
+            student,
+            snapshot: this._getStudentSnapshot(identifier, student.title),
+            collection,
+          })
+        );
+    } catch (error) {
+      this._mmLog('error', null, `[api] Request failed: ${this._formatErr(error)}`);
+      sendError(500, 'Internal error');
+    }
+  },
+
   _buildStudentFetchFailurePayload({ err, student, identifier, sessionId, sessionKey, config, warningsState }) {
     const errorMsg = `Error fetching data for ${student.title}: ${this._formatErr(err)}`;
     this._mmLog('error', student, errorMsg);
@@ -1433,7 +2096,10 @@ module.exports = NodeHelper.create({
           fetchExams: Boolean(capabilityFlags.fetchExams),
           fetchHomeworks: Boolean(capabilityFlags.fetchHomeworks),
           fetchAbsences: Boolean(capabilityFlags.fetchAbsences),
+          fetchGrades: Boolean(capabilityFlags.fetchGrades),
           fetchMessagesOfDay: Boolean(capabilityFlags.fetchMessagesOfDay),
+          // Holidays come with the app data of the login; lessons-based plugins use them to blank out days.
+          fetchHolidays: Boolean(capabilityFlags.fetchHolidays || capabilityFlags.fetchTimegrid || capabilityFlags.fetchTimetable),
         };
       }
     }
@@ -1459,6 +2125,7 @@ module.exports = NodeHelper.create({
       fetchHomeworks: Boolean(wantsHomeworkWidget),
       fetchAbsences: Boolean(wantsGridWidget || wantsAbsencesWidget),
       fetchMessagesOfDay: Boolean(wantsMessagesOfDayWidget),
+      fetchHolidays: Boolean(wantsGridWidget || wantsLessonsWidget),
     };
   },
 
@@ -1559,6 +2226,7 @@ module.exports = NodeHelper.create({
         exams: [],
         homework: [],
         absences: [],
+        grades: [],
         messages: [],
         holidays: {
           ranges: [],
@@ -1572,8 +2240,10 @@ module.exports = NodeHelper.create({
           exams: fetchFlags.fetchExams,
           homework: fetchFlags.fetchHomeworks,
           absences: fetchFlags.fetchAbsences,
+          grades: Boolean(fetchFlags.fetchGrades),
           messages: fetchFlags.fetchMessagesOfDay,
         },
+        changes: [],
       },
     };
   },
@@ -1853,7 +2523,7 @@ module.exports = NodeHelper.create({
         return;
       }
 
-      const { fetchTimegrid: shouldFetchHolidays } = this._buildFetchFlags(config);
+      const { fetchHolidays: shouldFetchHolidays } = this._buildFetchFlags(config);
       const sharedCompactHolidays = this._extractAndCompactHolidays(authSession, shouldFetchHolidays);
 
       const studentPayloads = await this._collectStudentPayloadsForGroup({
@@ -1869,6 +2539,7 @@ module.exports = NodeHelper.create({
       });
 
       this._emitStudentPayloadsForGroup(studentPayloads, identifier, sessionId);
+      this._publishMqttState(identifier, students, config);
     } catch (error) {
       this._mmLog('error', null, `Error during login/fetch for group ${credKey}: ${this._formatErr(error)}`);
       const authMsg = `Authentication failed for group: ${this._formatErr(error)}`;
@@ -1876,6 +2547,36 @@ module.exports = NodeHelper.create({
     }
   },
 
+  /**
+   * Publish the derived MQTT state of a credential group from the cached snapshots.
+   * Runs after processGroup() has fetched the group, so it never causes extra WebUntis requests.
+   * Publishing is not awaited: an unreachable broker must not delay the next group.
+   * Sessions with a debugDate are skipped, their "today" is not the real one.
+   *
+   * @param {string} identifier - Module instance identifier
+   * @param {Array} students - Students of the processed group
+   * @param {Object} config - Module configuration
+   * @returns {Promise<void>}
+   */
+  _publishMqttState(identifier, students, config) {
+    const mqttConfig = resolveMqttConfig(config);
+    if (!mqttConfig.enabled || !this._mqttPublisher || config?.debugDate) return Promise.resolve();
+
+    const entries = students
+      .filter((student) => student?.title)
+      .map((student) => ({ student, snapshot: this._getStudentSnapshot(identifier, student.title) }))
+      .filter((entry) => entry.snapshot);
+    if (entries.length === 0) return Promise.resolve();
+
+    const { ymd } = getCurrentDateContext(config);
+    return this._mqttPublisher
+      .publishStudents(mqttConfig, entries, { todayYmd: ymd, timeZone: config.timezone })
+      .then(() => undefined)
+      .catch((error) => {
+        this._mmLog('warn', null, `[mqtt] Publish failed: ${this._formatErr(error)}`);
+      });
+  },
+
   /**
    * Handle socket notifications sent by the frontend module
    * Main entry point for all frontend-to-backend communication
@@ -1903,6 +2604,7 @@ module.exports = NodeHelper.create({
       CONFIGURE: async () => this._handleInitModule(requestData),
       REFRESH: async () => this._handleFetchData(requestData),
       SESSION_STATE: async () => this._handleSessionState(requestData),
+      PLUGIN_ERROR: async () => this._handlePluginError(requestData),
     };
 
     const handler = handlers[action];
@@ -1916,6 +2618,7 @@ module.exports = NodeHelper.create({
 
   /**
    * Send DATA_UPDATE payload with consistent id/session routing metadata.
+   * Sessions that negotiated delta transport receive only the changed collections (see lib/deltaTransport.js).
    *
    * @param {Object} payload - DATA_UPDATE payload
    * @param {Object} [route] - Optional route metadata override
@@ -1923,7 +2626,32 @@ module.exports = NodeHelper.create({
    * @param {string} [route.sessionId] - Session ID
    */
   _emitGotData(payload, route = {}) {
-    this._emitSocketNotification('DATA_UPDATE', payload, route, { preserveExistingRoute: false });
+    this._emitSocketNotification('DATA_UPDATE', this._applyDeltaTransport(payload, route), route, { preserveExistingRoute: false });
+  },
+
+  /**
+   * Reduce a DATA_UPDATE payload to its changed collections when the session negotiated delta transport.
+   * Offline replays stay complete and do not advance the revision: they are not live data.
+   *
+   * @param {Object} payload - Full DATA_UPDATE payload
+   * @param {Object} route - Route metadata of _emitGotData()
+   * @returns {Object} Payload to send
+   */
+  _applyDeltaTransport(payload, route = {}) {
+    const title = payload?.context?.student?.title;
+    if (!title || !payload.data || payload.meta?.stale === true) return payload;
+
+    const { sessionKey } = buildRouteMeta({ id: route.identifier || payload.id, sessionId: route.sessionId || payload.sessionId });
+    const sessionConfig = this._configsBySession?.get(sessionKey);
+    if (Number(sessionConfig?.deltaTransport) !== DELTA_TRANSPORT_VERSION) return payload;
+
+    if (!this._deltaStateBySession) this._deltaStateBySession = new Map();
+    if (!this._deltaStateBySession.has(sessionKey)) this._deltaStateBySession.set(sessionKey, new Map());
+    const states = this._deltaStateBySession.get(sessionKey);
+
+    const { payload: deltaPayload, state } = buildDeltaPayload(payload, states.get(title) || null);
+    states.set(title, state);
+    return deltaPayload;
   },
 
   /**
@@ -1977,6 +2705,28 @@ module.exports = NodeHelper.create({
     );
   },
 
+  /**
+   * Log a frontend plugin render failure reported with PLUGIN_ERROR.
+   * The browser console of a headless mirror is out of reach; the MagicMirror server log (pm2) is not.
+   *
+   * @param {Object} payload - Failure summary from MMM-Webuntis.js _handlePluginRenderFailure()
+   */
+  _handlePluginError(payload = {}) {
+    const { identifier } = buildRouteMeta(payload);
+    const pluginId = String(payload.pluginId || 'unknown').slice(0, 64);
+    const slot = String(payload.slot || 'main').slice(0, 32);
+    const digest = String(payload.digest || '').slice(0, 16);
+    const message = String(payload.message || '').slice(0, 200);
+    const failures = Number.parseInt(payload.failures, 10) || 1;
+    const outcome = payload.disabled === true ? 'plugin disabled until the next reload' : 'instance recreated';
+
+    this._mmLog(
+      payload.disabled === true ? 'error' : 'warn',
+      null,
+      `[plugin:${pluginId}] frontend ${slot} render failed ${failures}x in a row (${digest}, id=${identifier}); ${outcome}: ${message}`
+    );
+  },
+
   /**
    * Track frontend visibility per session (suspend/resume).
    *
@@ -2008,10 +2758,11 @@ module.exports = NodeHelper.create({
    * Flow:
    *   1. Apply legacy config mappings (25+ deprecated keys)
    *   2. Validate configuration (validateConfig from configValidator)
-   *   3. Set up AuthService for this identifier (prevents cache cross-contamination)
-   *   4. Auto-discover students if parent credentials provided
-   *   5. Send MODULE_READY to frontend
-   *   6. Automatically trigger initial data fetch (no separate REFRESH needed)
+   *   3. Replay the persisted last good payloads as stale DATA_UPDATE (offlineCache)
+   *   4. Set up AuthService for this identifier (prevents cache cross-contamination)
+   *   5. Auto-discover students if parent credentials provided
+   *   6. Send MODULE_READY to frontend
+   *   7. Automatically trigger initial data fetch (no separate REFRESH needed)
    *
    * @param {Object} payload - Module configuration from frontend (includes id, sessionId, config)
    * @returns {Promise<void>}
@@ -2038,6 +2789,7 @@ module.exports = NodeHelper.create({
       );
       if (!valid) return;
 
+      this._replayPersistedPayloads(normalizedConfig, identifier, sessionId);
       await this._finalizeInitModule(normalizedConfig, identifier);
       this._emitInitSuccess(normalizedConfig, identifier, sessionId, combinedWarnings, combinedWarningMeta);
       await this._triggerPostInitFetch(normalizedConfig, identifier, sessionId);
@@ -2067,9 +2819,10 @@ module.exports = NodeHelper.create({
    *   3. Delegate to _executeFetchForSession for actual data fetching
    *
    * Uses cached config and authentication, only fetches fresh data from WebUntis.
+   * `force: true` (WEBUNTIS_REFRESH) skips the shared result cache for this fetch.
    * Supports self-healing: if module not initialized but REFRESH received, re-runs CONFIGURE.
    *
-   * @param {Object} payload - Fetch request from frontend (includes id, sessionId, optional debugDate)
+   * @param {Object} payload - Fetch request from frontend (includes id, sessionId, optional debugDate and force)
    * @returns {Promise<void>}
    */
   async _handleFetchData(payload) {
@@ -2117,8 +2870,22 @@ module.exports = NodeHelper.create({
       }
     }
 
+    // Recovery for delta transport: the frontend missed a revision and needs complete payloads.
+    if (payload.fullResync === true) {
+      this._deltaStateBySession?.delete(sessionKey);
+      this._mmLog('debug', null, `[REFRESH] Full resync requested (session=${sessionKey})`);
+    }
+
     // Execute fetch immediately
-    await this._executeFetchForSession(sessionKey);
+    if (payload.force === true) {
+      this._forceRefreshSessions.add(sessionKey);
+      this._mmLog('debug', null, `[REFRESH] Forced, bypassing the shared result cache (session=${sessionKey})`);
+    }
+    try {
+      await this._executeFetchForSession(sessionKey);
+    } finally {
+      this._forceRefreshSessions.delete(sessionKey);
+    }
   },
 
   /**
@@ -2207,20 +2974,64 @@ module.exports = NodeHelper.create({
     // Use full sessionKey (identifier:sessionId) for complete browser-session isolation
     // This prevents cross-contamination between different browser windows with same identifier
     const scope = moduleConfig?.carouselId || sessionKey || 'default';
-    const scopePrefix = scope ? `${scope}::` : '';
+    return `${scope}::${this._getSharedCredentialKey(student, moduleConfig)}`;
+  },
+
+  /**
+   * Credential identity without the session scope of _getCredentialKey().
+   * Keys the shared result cache, so sessions using the same login share upstream responses.
+   *
+   * @param {Object} student - Student config
+   * @param {Object} moduleConfig - Module config (parent credentials)
+   * @returns {string} Credential identity
+   */
+  _getSharedCredentialKey(student, moduleConfig) {
     const hasStudentId = student.studentId && Number.isFinite(Number(student.studentId));
     const hasOwnCredentials = student.qrcode || (student.username && student.password && student.school && student.server);
     const isParentMode = hasStudentId && !hasOwnCredentials;
 
     // Parent account mode: group by module-level parent credentials
     if (isParentMode && moduleConfig) {
-      return `${scopePrefix}parent:${moduleConfig.username || 'undefined'}@${moduleConfig.server || 'webuntis.com'}/${moduleConfig.school || 'undefined'}`;
+      return `parent:${moduleConfig.username || 'undefined'}@${moduleConfig.server || 'webuntis.com'}/${moduleConfig.school || 'undefined'}`;
     }
 
     // Direct student login: group by student credentials
-    if (student.qrcode) return `${scopePrefix}qrcode:${student.qrcode}`;
+    if (student.qrcode) return `qrcode:${student.qrcode}`;
     const server = student.server || 'default';
-    return `${scopePrefix}user:${student.username}@${server}/${student.school}`;
+    return `user:${student.username}@${server}/${student.school}`;
+  },
+
+  /**
+   * Lifetime of shared results, derived from updateInterval (see RESULT_CACHE_TTL_RATIO).
+   *
+   * @param {Object} config - Module config
+   * @returns {number} TTL in milliseconds
+   */
+  _getResultCacheTtlMs(config = {}) {
+    const updateInterval = Number(config?.updateInterval);
+    const base = Number.isFinite(updateInterval) && updateInterval > 0 ? updateInterval : SESSION_TTL_DEFAULT_MS;
+    return Math.floor(base * RESULT_CACHE_TTL_RATIO);
+  },
+
+  /**
+   * Incremental timetable fetching for a student, or null when every fetch downloads the full window
+   * (`timetableFullSyncInterval: 0`, or sessions with a debugDate, whose "today" is not the real one).
+   *
+   * @param {Object} student - Student config
+   * @param {Object} config - Module config
+   * @returns {Object|null} `timetableSync` option of orchestrateFetch()
+   */
+  _getTimetableSyncOptions(student, config = {}) {
+    if (config.debugDate) return null;
+    if (!this._timetableSyncCache) this._timetableSyncCache = new Map();
+
+    const interval = Number(config.timetableFullSyncInterval ?? TIMETABLE_FULL_SYNC_DEFAULT_MS);
+    if (interval === 0) return null;
+    return {
+      store: this._timetableSyncCache,
+      key: `${this._getSharedCredentialKey(student, config)}|${student.title}`,
+      fullSyncIntervalMs: Number.isFinite(interval) && interval > 0 ? interval : TIMETABLE_FULL_SYNC_DEFAULT_MS,
+    };
   },
 
   /**
@@ -2313,12 +3124,14 @@ module.exports = NodeHelper.create({
     const examsConfig = pluginConfigMap.exams?.config || student.exams || {};
     const absencesConfig = pluginConfigMap.absences?.config || student.absences || {};
     const homeworkConfig = pluginConfigMap.homework?.config || student.homework || {};
+    const gradesConfig = pluginConfigMap.grades?.config || student.grades || {};
     const baseNow = this._calculateBaseNow(config);
     const dateRanges = calculateFetchRanges({
       baseNow,
       fetchPlan: {
         wantsGridWidget: Boolean(fetchFlags.wantsGridWidget),
         wantsLessonsWidget: Boolean(fetchFlags.wantsLessonsWidget),
+        fetchTimetable: Boolean(fetchFlags.fetchTimetable),
         fetchExams: Boolean(fetchFlags.fetchExams),
         fetchAbsences: Boolean(fetchFlags.fetchAbsences),
       },
@@ -2335,6 +3148,7 @@ module.exports = NodeHelper.create({
         absencesNextDays: absencesConfig.nextDays,
         homeworkPastDays: homeworkConfig.pastDays,
         homeworkNextDays: homeworkConfig.nextDays,
+        gradesPastDays: gradesConfig.pastDays,
       },
       options: {
         gridWeekView: gridConfig.weekView,
@@ -2350,6 +3164,10 @@ module.exports = NodeHelper.create({
       extractTimegridFromTimetable: this._extractTimegridFromTimetable.bind(this),
       compactTimegrid: this._compactTimegrid.bind(this),
       cleanupOldDebugDumps: this._cleanupOldDebugDumps.bind(this),
+      resultCache: this._resultCache,
+      resultCacheScope: this._getSharedCredentialKey(student, config),
+      resultCacheTtlMs: this._getResultCacheTtlMs(config),
+      resultCacheForceRefresh: Boolean(this._forceRefreshSessions?.has(sessionKey)),
       getApiStatus: (key) => {
         const raw = this._apiStatusBySession.get(key) || {};
         // Normalize to plain status numbers for frontend consumption
@@ -2400,10 +3218,12 @@ module.exports = NodeHelper.create({
           fetchExams: Boolean(fetchFlags.fetchExams),
           fetchHomeworks: Boolean(fetchFlags.fetchHomeworks),
           fetchAbsences: Boolean(fetchFlags.fetchAbsences),
+          fetchGrades: Boolean(fetchFlags.fetchGrades),
           fetchMessagesOfDay: Boolean(fetchFlags.fetchMessagesOfDay),
         },
         baseNow,
         dateRanges,
+        timetableSync: this._getTimetableSyncOptions(student, config),
         flagsCtx: {
           debugApi: Boolean(config.debugApi),
           dumpRawApiResponses: Boolean(config.dumpRawApiResponses),
@@ -141,7 +141,7 @@
             const container = createContainer();
 
             if (verboseMode && studentTitle) {
-              addHeader(container, buildHeaderTitle(pluginContext, studentTitle, absencesConfig));
+              addHeader(container, buildHeaderTitle(pluginContext, studentTitle, absencesConfig), studentTitle);
             }
 
             if (!Array.isArray(absences) || absences.length === 0) {
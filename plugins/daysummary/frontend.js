@@ -0,0 +1,297 @@
+/**
+ * Day Summary Widget
+ * One line per student for the current school day: first lesson start, last lesson end,
+ * cancelled and substituted lessons, exams, and homework due - e.g.
+ * "Anna  today  09:35–13:10, 2 cancelled, Maths test".
+ *
+ * Today is shown until its last lesson ends, then the next day (weekends without lessons
+ * skipped unless `hideWeekends` is false; holidays are named). A minute timer makes the switch.
+ */
+
+(function registerDaySummaryPlugin(globalRoot) {
+  const host = globalRoot.MMMWebuntisPluginHost;
+  if (!host || typeof host.registerFrontendPlugin !== 'function') {
+    return;
+  }
+
+  const root = globalRoot.MMMWebuntisFrontendShared || {};
+  const {
+    log,
+    escapeHtml,
+    addHeader,
+    addRow,
+    createContainer,
+    createElement,
+    formatDisplayDate,
+    formatDisplayTime,
+    toMinutesSinceMidnight,
+    getFieldDisplayName,
+    isIrregularStatus,
+    createMinuteTicker,
+    addDays,
+    isWeekend,
+  } = root.util?.resolveWidgetHelpers?.(root) || {};
+
+  function getCurrentDateContext(config) {
+    return globalRoot.MMMWebuntisFrontendShared.time.getCurrentDateContext(config);
+  }
+
+  function translate(pluginContext, key, fallback, replacements) {
+    if (typeof pluginContext?.translate !== 'function') return fallback;
+    const translated = pluginContext.translate(key, fallback, replacements);
+    return translated && translated !== key ? translated : fallback;
+  }
+
+  function resolveStudentConfig(studentSlice) {
+    const config = studentSlice?.context?.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return {};
+    return config;
+  }
+
+  function resolveDaySummaryConfig(studentConfig) {
+    const pluginConfig =
+      studentConfig?.plugins?.daysummary?.config && typeof studentConfig.plugins.daysummary.config === 'object'
+        ? studentConfig.plugins.daysummary.config
+        : {};
+
+    return {
+      showChanges: pluginConfig.showChanges !== false,
+      showExams: pluginConfig.showExams !== false,
+      showHomework: pluginConfig.showHomework !== false,
+      hideWeekends: pluginConfig.hideWeekends !== false,
+      dateFormat: typeof pluginConfig.dateFormat === 'string' && pluginConfig.dateFormat ? pluginConfig.dateFormat : 'EEE dd.MM.',
+    };
+  }
+
+  function isVerboseMode(studentConfig) {
+    return (
+      String(studentConfig?.mode ?? 'compact')
+        .trim()
+        .toLowerCase() === 'verbose'
+    );
+  }
+
+  function isCancelled(lesson) {
+    return String(lesson?.status || '').toUpperCase() === 'CANCELLED';
+  }
+
+  /**
+   * Pick the day to summarize and collect its figures.
+   *
+   * Today stays until its last lesson ends (cancelled lessons only count when nothing else is
+   * left); afterwards the next day, skipping weekend days without lessons when `hideWeekends` is set.
+   *
+   * @param {Object} data - Student data (`lessons`, `exams`, `homework`, `holidays.ranges`)
+   * @param {number} nowYmd - Current school day (YYYYMMDD)
+   * @param {number} nowMinutes - Current time in minutes since midnight
+   * @param {Object} [options] - `{ hideWeekends }`
+   * @returns {{ymd: number, start: number|null, end: number|null, cancelled: number, substituted: number,
+   *   allCancelled: boolean, exams: Array, homework: Array, holiday: Object|null}} Summary; times as HHMM
+   */
+  function summarizeDay(data, nowYmd, nowMinutes, options = {}) {
+    const lessons = Array.isArray(data?.lessons) ? data.lessons : [];
+    const lessonsOn = (ymd) => lessons.filter((lesson) => Number(lesson?.date) === ymd);
+
+    const today = lessonsOn(nowYmd);
+    const counted = today.some((lesson) => !isCancelled(lesson)) ? today.filter((lesson) => !isCancelled(lesson)) : today;
+    const todayEnd = counted.length > 0 ? Math.max(...counted.map((lesson) => toMinutesSinceMidnight(lesson?.endTime))) : null;
+
+    let ymd = nowYmd;
+    if (todayEnd === null || nowMinutes >= todayEnd) {
+      ymd = addDays(nowYmd, 1);
+      for (let guard = 0; guard < 7 && options.hideWeekends !== false && isWeekend(ymd) && lessonsOn(ymd).length === 0; guard++) {
+        ymd = addDays(ymd, 1);
+      }
+    }
+
+    const dayLessons = lessonsOn(ymd);
+    const held = dayLessons.filter((lesson) => !isCancelled(lesson));
+    const holidayMap = root.util.buildHolidayMapFromRanges(data?.holidays?.ranges);
+
+    return {
+      ymd,
+      start: held.length > 0 ? Math.min(...held.map((lesson) => Number(lesson.startTime) || 0)) : null,
+      end: held.length > 0 ? Math.max(...held.map((lesson) => Number(lesson.endTime) || 0)) : null,
+      cancelled: dayLessons.length - held.length,
+      substituted: held.filter((lesson) => isIrregularStatus(lesson)).length,
+      allCancelled: dayLessons.length > 0 && held.length === 0,
+      exams: (Array.isArray(data?.exams) ? data.exams : [])
+        .filter((exam) => Number(exam?.examDate) === ymd)
+        .sort((left, right) => (Number(left?.startTime) || 0) - (Number(right?.startTime) || 0)),
+      homework: (Array.isArray(data?.homework) ? data.homework : []).filter(
+        (homework) => Number(homework?.dueDate) === ymd && homework?.completed !== true
+      ),
+      holiday: dayLessons.length === 0 ? holidayMap[ymd] || null : null,
+    };
+  }
+
+  function buildDayLabel(pluginContext, summary, nowYmd, dateFormat) {
+    if (summary.ymd === nowYmd) return translate(pluginContext, 'today', 'today');
+    if (summary.ymd === addDays(nowYmd, 1)) return translate(pluginContext, 'tomorrow', 'tomorrow');
+    return formatDisplayDate(summary.ymd, dateFormat);
+  }
+
+  function buildSummaryHtml(pluginContext, summary, daySummaryConfig) {
+    const parts = [];
+    if (summary.start !== null) {
+      parts.push(
+        `<span class="wu-daysummary__times">${escapeHtml(formatDisplayTime(summary.start))}–${escapeHtml(formatDisplayTime(summary.end))}</span>`
+      );
+    } else if (summary.allCancelled) {
+      parts.push(
+        `<span class="wu-daysummary__cancelled">${escapeHtml(translate(pluginContext, 'all_cancelled', 'all lessons cancelled'))}</span>`
+      );
+    } else if (summary.holiday) {
+      const holidayName = String(summary.holiday.longName || summary.holiday.name || '').trim();
+      parts.push(
+        `<span class="wu-daysummary__holiday">${escapeHtml(holidayName || translate(pluginContext, 'no_lessons', 'no lessons'))}</span>`
+      );
+    } else {
+      parts.push(`<span class="wu-daysummary__free">${escapeHtml(translate(pluginContext, 'no_lessons', 'no lessons'))}</span>`);
+    }
+
+    if (daySummaryConfig.showChanges && summary.start !== null) {
+      if (summary.cancelled > 0) {
+        const text = translate(pluginContext, 'cancelled_count', '{count} cancelled', { count: summary.cancelled });
+        parts.push(`<span class="wu-daysummary__cancelled">${escapeHtml(text)}</span>`);
+      }
+      if (summary.substituted > 0) {
+        const text = translate(pluginContext, 'substituted_count', '{count} substituted', { count: summary.substituted });
+        parts.push(`<span class="wu-daysummary__substituted">${escapeHtml(text)}</span>`);
+      }
+    }
+
+    if (daySummaryConfig.showExams) {
+      summary.exams.forEach((exam) => {
+        const name = String(exam?.name || exam?.subject || '').trim();
+        if (name) parts.push(`<span class="wu-daysummary__exam">${escapeHtml(name)}</span>`);
+      });
+    }
+
+    if (daySummaryConfig.showHomework && summary.homework.length > 0) {
+      const subjects = Array.from(
+        new Set(summary.homework.map((homework) => getFieldDisplayName(homework?.subject, 'short')).filter(Boolean))
+      );
+      if (subjects.length > 0) {
+        const text = translate(pluginContext, 'homework_due', 'homework: {subjects}', { subjects: subjects.join(', ') });
+        parts.push(`<span class="wu-daysummary__homework">${escapeHtml(text)}</span>`);
+      }
+    }
+
+    return parts.join(', ');
+  }
+
+  root.daysummary = {
+    summarizeDay,
+  };
+
+  host.registerFrontendPlugin({
+    id: 'daysummary',
+    hostApiVersion: 2,
+
+    create(pluginContext) {
+      let mountedSection = null;
+      let lastRenderContext = null;
+      let suspended = false;
+
+      const render = (renderContext) => {
+        const section = createElement('section', 'wu-plugin wu-plugin-daysummary');
+        const students = Array.isArray(renderContext?.students) ? renderContext.students : [];
+        const container = createContainer();
+        container.setAttribute('data-wu-key', 'days');
+        let renderedRows = 0;
+
+        for (const studentSlice of students) {
+          const data = studentSlice?.data || {};
+          const hasData = ['lessons', 'exams', 'homework'].some(
+            (collection) => Array.isArray(data[collection]) && data[collection].length > 0
+          );
+          if (!hasData) continue;
+
+          const studentConfig = resolveStudentConfig(studentSlice);
+          const daySummaryConfig = resolveDaySummaryConfig(studentConfig);
+          if (renderedRows === 0 && isVerboseMode(studentConfig)) {
+            addHeader(container, escapeHtml(translate(pluginContext, 'daysummary', 'day at a glance')));
+          }
+
+          const nowContext = getCurrentDateContext(studentConfig);
+          const nowYmd = Number(nowContext.ymd) || 0;
+          const nowMinutes = nowContext.date.getHours() * 60 + nowContext.date.getMinutes();
+          const summary = summarizeDay(data, nowYmd, nowMinutes, daySummaryConfig);
+          const studentTitle = String(studentSlice?.student?.title || '').trim();
+
+          addRow(
+            container,
+            'daySummaryRow',
+            escapeHtml(studentTitle),
+            `<span class="wu-daysummary__day">${escapeHtml(buildDayLabel(pluginContext, summary, nowYmd, daySummaryConfig.dateFormat))}</span>`,
+            buildSummaryHtml(pluginContext, summary, daySummaryConfig)
+          );
+          renderedRows += 1;
+        }
+
+        if (renderedRows === 0) return null;
+        section.appendChild(container);
+        return section;
+      };
+
+      // Re-render in place once a minute, so the line moves on to the next day when the last lesson ends.
+      const refreshMounted = () => {
+        if (!mountedSection?.isConnected || !lastRenderContext) return;
+        const next = render(lastRenderContext);
+        if (!next) return;
+        const patched = host.patchDom(mountedSection, next);
+        if (patched !== mountedSection) mountedSection.replaceWith(patched);
+        mountedSection = patched;
+      };
+      const ticker = createMinuteTicker(() => {
+        try {
+          refreshMounted();
+        } catch (err) {
+          log('debug', '[daysummary] minute tick update failed', err);
+        }
+      });
+      const syncTicker = () => {
+        if (mountedSection && !suspended) ticker.start();
+        else ticker.stop();
+      };
+
+      return {
+        render(renderContext) {
+          lastRenderContext = renderContext;
+          mountedSection = render(renderContext);
+          syncTicker();
+          return mountedSection;
+        },
+
+        update(prevElement, renderContext) {
+          lastRenderContext = renderContext;
+          const next = render(renderContext);
+          mountedSection = next && prevElement ? host.patchDom(prevElement, next) : next;
+          syncTicker();
+          return mountedSection;
+        },
+
+        onSuspend() {
+          suspended = true;
+          ticker.stop();
+        },
+
+        onResume() {
+          suspended = false;
+          syncTicker();
+        },
+
+        onDayRollover() {
+          refreshMounted();
+        },
+
+        destroy() {
+          mountedSection = null;
+          lastRenderContext = null;
+          ticker.stop();
+        },
+      };
+    },
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -5,7 +5,8 @@
     return;
   }
 
-  const { addHeader, addRow, createContainer, createElement, escapeHtml } = sharedDom;
+  const { addFullRow, addHeader, addRow, createContainer, createElement, escapeHtml } = sharedDom;
+  const { daysBetween, ymdToDate } = root.MMMWebuntisFrontendShared.util;
 
   function formatFallbackDate(ymd) {
     const numeric = Number(ymd) || 0;
@@ -32,9 +33,17 @@
   }
 
   function compareByDateAndStartTime(left, right) {
-    const dateCompare = (Number(left?.examDate) || 0) - (Number(right?.examDate) || 0);
-    if (dateCompare !== 0) return dateCompare;
-    return (Number(left?.startTime) || 0) - (Number(right?.startTime) || 0);
+    return root.MMMWebuntisFrontendShared.util.compareByDateAndStartTime(left, right, { dateKey: 'examDate' });
+  }
+
+  function dateToYmd(date) {
+    return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+  }
+
+  function getWeekStartYmd(ymd) {
+    const date = ymdToDate(ymd);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return dateToYmd(date);
   }
 
   function getFieldDisplayName(entry, format = 'short') {
@@ -93,6 +102,44 @@
     return translated && translated !== key ? translated : fallback;
   }
 
+  function normalizeShowText(value) {
+    return ['inline', 'collapsed', 'off'].includes(value) ? value : 'inline';
+  }
+
+  function buildTextHtml(pluginContext, text, showText) {
+    if (!text || showText === 'off') return '';
+    if (showText === 'collapsed') {
+      const summary = escapeHtml(translate(pluginContext, 'exam_note', 'note'));
+      return `<details class="wu-exam__note"><summary>${summary}</summary><span class="wu-exam__description">${escapeHtml(text)}</span></details>`;
+    }
+    return `<br/><span class="wu-exam__description">${escapeHtml(text)}</span>`;
+  }
+
+  // Urgency class of a countdown row; thresholds are inclusive day counts.
+  function getUrgencyClass(daysLeft, examConfig) {
+    const urgentDays = normalizeDays(examConfig?.urgentDays, 2);
+    const soonDays = normalizeDays(examConfig?.soonDays, 7);
+    if (daysLeft < 0) return 'wu-exam--past';
+    if (daysLeft <= urgentDays) return 'wu-exam--urgent';
+    if (daysLeft <= soonDays) return 'wu-exam--soon';
+    return 'wu-exam--later';
+  }
+
+  function buildCountdownLabel(pluginContext, daysLeft) {
+    if (daysLeft < 0) return translate(pluginContext, 'exam_past', 'past');
+    if (daysLeft === 0) return translate(pluginContext, 'exam_today', 'today');
+    if (daysLeft === 1) return translate(pluginContext, 'exam_tomorrow', 'tomorrow');
+    return translate(pluginContext, 'exam_in_days', 'in {days} days', { days: daysLeft });
+  }
+
+  function buildWeekLabel(pluginContext, weekStartYmd, nowYmd) {
+    const weeksAhead = Math.round(daysBetween(getWeekStartYmd(nowYmd), weekStartYmd) / 7);
+    if (weeksAhead <= 0) return translate(pluginContext, 'exam_this_week', 'this week');
+    if (weeksAhead === 1) return translate(pluginContext, 'exam_next_week', 'next week');
+    const date = formatDisplayDateValue(weekStartYmd, 'dd.MM.');
+    return translate(pluginContext, 'exam_week_of', 'week of {date}', { date });
+  }
+
   function buildHeaderTitle(pluginContext, studentName, examConfig) {
     const title = escapeHtml(translate(pluginContext, 'exams', 'Exams'));
     const daysLabel = translate(pluginContext, 'widget_filter_days', 'days');
@@ -135,6 +182,8 @@
             const nowHm = currentTimeAsHHMM(dateContext?.date);
             const showSubject = Boolean(examConfig?.showSubject);
             const showTeacher = Boolean(examConfig?.showTeacher);
+            const showText = normalizeShowText(examConfig?.showText);
+            const countdownView = examConfig?.view === 'countdown';
 
             const visibleExams = exams
               .slice()
@@ -156,13 +205,27 @@
             const container = createContainer();
 
             if (verboseMode && studentTitle) {
-              addHeader(container, buildHeaderTitle(pluginContext, studentTitle, examConfig));
+              addHeader(container, buildHeaderTitle(pluginContext, studentTitle, examConfig), studentTitle);
             }
 
+            let currentWeekStart = null;
             for (const exam of visibleExams) {
               const examYmd = Number(exam?.examDate) || 0;
               const formattedDate = formatDisplayDateValue(examYmd, examConfig?.dateFormat);
-              const dateTimeCell = formattedDate ? `<span class="wu-exam__date">${escapeHtml(formattedDate)}</span>` : '';
+              let dateTimeCell = formattedDate ? `<span class="wu-exam__date">${escapeHtml(formattedDate)}</span>` : '';
+              let rowType = 'examRow';
+
+              if (countdownView) {
+                const weekStart = getWeekStartYmd(examYmd);
+                if (weekStart !== currentWeekStart) {
+                  currentWeekStart = weekStart;
+                  addFullRow(container, 'examWeekRow', escapeHtml(buildWeekLabel(pluginContext, weekStart, nowYmd)));
+                }
+                const daysLeft = daysBetween(nowYmd, examYmd);
+                const countdown = `<span class="wu-exam__countdown">${escapeHtml(buildCountdownLabel(pluginContext, daysLeft))}</span>`;
+                dateTimeCell = dateTimeCell ? `${countdown} ${dateTimeCell}` : countdown;
+                rowType = `examRow examCountdownRow ${getUrgencyClass(daysLeft, examConfig)}`;
+              }
 
               let nameCell = `<span class="wu-exam__name">${escapeHtml(exam?.name)}</span>`;
               if (showSubject) {
@@ -176,11 +239,9 @@
                 }
               }
 
-              if (exam?.text) {
-                nameCell += `<br/><span class="wu-exam__description">${escapeHtml(exam.text)}</span>`;
-              }
+              nameCell += buildTextHtml(pluginContext, String(exam?.text || '').trim(), showText);
 
-              addRow(container, 'examRow', studentLabelText, dateTimeCell, nameCell);
+              addRow(container, rowType, studentLabelText, dateTimeCell, nameCell);
             }
 
             wrapper.appendChild(container);
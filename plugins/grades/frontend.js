@@ -0,0 +1,184 @@
+/**
+ * Grades Widget
+ * Lists the recent grades per subject, newest first, followed by the subject average:
+ * "Maths   2  1-  3   ⌀ 2.11".
+ *
+ * Averages use the numeric `value` of every grade in the fetch window (`pastDays`), not only
+ * the ones shown; grades without a numeric value (e.g. "+" or "passed") are listed but not averaged.
+ */
+
+(function registerGradesPlugin(globalRoot) {
+  const host = globalRoot.MMMWebuntisPluginHost;
+  if (!host || typeof host.registerFrontendPlugin !== 'function') {
+    return;
+  }
+
+  const root = globalRoot.MMMWebuntisFrontendShared || {};
+  const { escapeHtml, addHeader, addRow, createContainer, createElement, formatDisplayDate } =
+    root.util?.resolveWidgetHelpers?.(root) || {};
+
+  function translate(pluginContext, key, fallback, replacements) {
+    if (typeof pluginContext?.translate !== 'function') return fallback;
+    const translated = pluginContext.translate(key, fallback, replacements);
+    return translated && translated !== key ? translated : fallback;
+  }
+
+  function resolveStudentConfig(studentSlice) {
+    const config = studentSlice?.context?.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return {};
+    return config;
+  }
+
+  function resolveGradesConfig(studentConfig) {
+    const pluginConfig =
+      studentConfig?.plugins?.grades?.config && typeof studentConfig.plugins.grades.config === 'object'
+        ? studentConfig.plugins.grades.config
+        : {};
+    const maxGradesPerSubject = Number(pluginConfig.maxGradesPerSubject);
+
+    return {
+      maxGradesPerSubject: Number.isInteger(maxGradesPerSubject) && maxGradesPerSubject > 0 ? maxGradesPerSubject : 3,
+      showAverage: pluginConfig.showAverage !== false,
+      sortBy: pluginConfig.sortBy === 'subject' ? 'subject' : 'recent',
+      useShortSubject: pluginConfig.useShortSubject === true,
+    };
+  }
+
+  function isVerboseMode(studentConfig) {
+    return (
+      String(studentConfig?.mode ?? 'compact')
+        .trim()
+        .toLowerCase() === 'verbose'
+    );
+  }
+
+  function getSubjectName(subject, useShortSubject) {
+    const name = useShortSubject ? subject?.name || subject?.longname : subject?.longname || subject?.name;
+    return String(name || '').trim();
+  }
+
+  /**
+   * Group grades by subject, newest first, with the average of the numeric grade values.
+   *
+   * @param {Array} grades - Canonical `data.grades[]` entries
+   * @param {Object} [options] - `{ maxGradesPerSubject, sortBy, useShortSubject }`
+   * @returns {Array<{subject: string, grades: Array, average: number|null, count: number}>}
+   *   `grades` holds at most `maxGradesPerSubject` entries; `count` and `average` cover all grades of the subject
+   */
+  function summarizeGrades(grades, options = {}) {
+    const maxGradesPerSubject = Number(options.maxGradesPerSubject) > 0 ? Number(options.maxGradesPerSubject) : 3;
+    const bySubject = new Map();
+
+    for (const grade of Array.isArray(grades) ? grades : []) {
+      if (!grade || String(grade.mark ?? '').trim() === '') continue;
+      const subject = getSubjectName(grade.subject, options.useShortSubject === true) || '?';
+      if (!bySubject.has(subject)) bySubject.set(subject, []);
+      bySubject.get(subject).push(grade);
+    }
+
+    const summaries = [];
+    for (const [subject, entries] of bySubject) {
+      entries.sort((left, right) => (Number(right.date) || 0) - (Number(left.date) || 0));
+      const values = entries.map((entry) => Number(entry.value)).filter((value) => Number.isFinite(value) && value > 0);
+      summaries.push({
+        subject,
+        grades: entries.slice(0, maxGradesPerSubject),
+        average: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+        count: entries.length,
+        latestDate: Number(entries[0]?.date) || 0,
+      });
+    }
+
+    return summaries.sort((left, right) =>
+      options.sortBy === 'subject'
+        ? left.subject.localeCompare(right.subject)
+        : right.latestDate - left.latestDate || left.subject.localeCompare(right.subject)
+    );
+  }
+
+  function buildHeaderTitle(pluginContext, studentName) {
+    const title = escapeHtml(translate(pluginContext, 'grades', 'grades'));
+    const normalizedStudent = String(studentName || '').trim();
+    return normalizedStudent ? `${title} <span class="wu-header-meta">(${escapeHtml(normalizedStudent)})</span>` : title;
+  }
+
+  function buildMarkTitle(grade) {
+    const date = Number(grade?.date) > 0 ? formatDisplayDate(Number(grade.date), 'dd.MM.yyyy') : '';
+    return [date, grade?.examType, grade?.text].filter(Boolean).join(' – ');
+  }
+
+  function buildMarksCell(pluginContext, summary, gradesConfig) {
+    const marks = summary.grades
+      .map(
+        (grade) =>
+          `<span class="wu-grade__mark" title="${escapeHtml(buildMarkTitle(grade))}">${escapeHtml(String(grade.mark).trim())}</span>`
+      )
+      .join('');
+    const average =
+      gradesConfig.showAverage && summary.average !== null
+        ? `<span class="wu-grade__average" title="${escapeHtml(translate(pluginContext, 'average', 'average'))}">⌀ ${summary.average.toFixed(2)}</span>`
+        : '';
+    return `<span class="wu-grade__marks">${marks}</span>${average}`;
+  }
+
+  root.grades = {
+    summarizeGrades,
+  };
+
+  host.registerFrontendPlugin({
+    id: 'grades',
+    hostApiVersion: 2,
+
+    create(pluginContext) {
+      const render = (renderContext) => {
+        const section = createElement('section', 'wu-plugin wu-plugin-grades');
+        const students = Array.isArray(renderContext?.students) ? renderContext.students : [];
+        let renderedStudents = 0;
+
+        for (const studentSlice of students) {
+          const studentConfig = resolveStudentConfig(studentSlice);
+          const gradesConfig = resolveGradesConfig(studentConfig);
+          const summaries = summarizeGrades(studentSlice?.data?.grades, gradesConfig);
+          const studentTitle = String(studentSlice?.student?.title || '').trim();
+          const verboseMode = isVerboseMode(studentConfig);
+          const studentLabel = verboseMode ? '' : escapeHtml(studentTitle);
+
+          const container = createContainer();
+          container.setAttribute('data-wu-key', `grades:${studentSlice?.student?.id ?? studentTitle}`);
+          if (verboseMode) {
+            addHeader(container, buildHeaderTitle(pluginContext, studentTitle), studentTitle);
+          }
+
+          for (const summary of summaries) {
+            addRow(
+              container,
+              'gradeRow',
+              studentLabel,
+              `<span class="wu-grade__subject">${escapeHtml(summary.subject)}</span>`,
+              buildMarksCell(pluginContext, summary, gradesConfig)
+            );
+          }
+          if (summaries.length === 0) {
+            addRow(container, 'gradeRowEmpty', studentLabel, '', escapeHtml(translate(pluginContext, 'no_grades', 'no grades')));
+          }
+
+          section.appendChild(container);
+          renderedStudents += 1;
+        }
+
+        return renderedStudents > 0 ? section : null;
+      };
+
+      return {
+        render(renderContext) {
+          return render(renderContext);
+        },
+
+        update(prevElement, renderContext) {
+          const next = render(renderContext);
+          return next && prevElement ? host.patchDom(prevElement, next) : next;
+        },
+      };
+    },
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -11,31 +11,6 @@
  * - Flexible field display configuration (subject/teacher/room/class/etc.)
  */
 
-/**
- * Uses flexible field configuration (grid.fields.primary, grid.fields.secondary, grid.fields.additional).
- */
-const nowLineStates = new WeakMap();
-
-/**
- * Get or initialize now-line updater state for a module instance
- *
- * @param {Object} ctx - Main module context
- * @returns {Object} State object with timer and initialTimeout properties
- */
-function getNowLineState(ctx) {
-  if (!nowLineStates.has(ctx)) {
-    nowLineStates.set(ctx, { timer: null, initialTimeout: null });
-  }
-  return nowLineStates.get(ctx);
-}
-
-function getModuleRootElement(ctx) {
-  if (!ctx || typeof document === 'undefined') return null;
-  const id = typeof ctx.identifier === 'string' ? ctx.identifier : null;
-  if (!id) return null;
-  return document.getElementById(id);
-}
-
 (function registerGridPlugin(globalRoot) {
   const host = globalRoot.MMMWebuntisPluginHost;
   if (!host || typeof host.registerFrontendPlugin !== 'function') {
@@ -63,6 +38,7 @@ function getModuleRootElement(ctx) {
     isIrregularStatus,
     getChangedFieldSet,
     getFirstFieldName,
+    createMinuteTicker,
     normalizeComparableText,
   } = root.util?.resolveWidgetHelpers?.(root) || {};
 
@@ -189,7 +165,6 @@ function getModuleRootElement(ctx) {
         },
       },
       _currentTodayYmd: dateContext.ymd,
-      _paused: false,
       _hasWidget(name) {
         return (
           String(name || '')
@@ -391,69 +366,33 @@ function getModuleRootElement(ctx) {
   }
 
   /**
-   * Start the now-line updater (runs every minute)
-   * Updates now-line position and refreshes past lesson masks
-   * Automatically triggers data fetch on date change (if not in debug mode)
+   * Create the minute timer of one grid plugin instance
+   * Updates now-line positions and refreshes past lesson masks of the mounted grids.
+   * Started and stopped through the plugin lifecycle hooks, so a hidden module runs no timers.
    *
-   * @param {Object} ctx - Main module context
+   * @param {Function} getGridElements - Returns the mounted per-student grid elements
+   * @returns {{start: Function, stop: Function, tick: Function}} Timer controls
    */
-  function startNowLineUpdater(ctx) {
-    if (!ctx || ctx._paused) return;
-    if (!ctx._hasWidget('grid')) return;
-    const state = getNowLineState(ctx);
-    if (state.timer || state.initialTimeout) return;
-
+  function createNowLineUpdater(getGridElements) {
     const tick = () => {
-      try {
-        const nowContext = getModuleDateContext(ctx);
-        // Skip clock-driven updates when debugDate is active (time is frozen)
-        if (nowContext?.isDebug) return;
-
-        ctx._handleClockDrivenDayRollover(nowContext);
-
-        const gridWidget = ctx._getWidgetApi()?.grid;
-        const moduleRoot = getModuleRootElement(ctx);
-        if (gridWidget) {
-          if (typeof gridWidget.updateNowLinesAll === 'function') gridWidget.updateNowLinesAll(ctx, moduleRoot);
-          if (typeof gridWidget.refreshPastMasks === 'function') gridWidget.refreshPastMasks(ctx, moduleRoot);
+      for (const gridElement of getGridElements()) {
+        const ctx = gridElement?._gridContext;
+        if (!ctx) continue;
+        try {
+          const nowContext = getModuleDateContext(ctx);
+          // Skip clock-driven updates when debugDate is active (time is frozen)
+          if (nowContext?.isDebug) continue;
+
+          ctx._handleClockDrivenDayRollover(nowContext);
+          updateNowLinesAll(ctx, gridElement);
+          refreshPastMasks(ctx, gridElement);
+        } catch (err) {
+          log('debug', 'minute tick update failed', err);
         }
-      } catch (err) {
-        log('debug', 'minute tick update failed', err);
       }
     };
 
-    const now = getModuleDateContext(ctx).date;
-    const msToNextMinute = (60 - now.getSeconds()) * 1000 - now.getMilliseconds();
-
-    state.initialTimeout = setTimeout(
-      () => {
-        tick();
-        state.timer = setInterval(tick, 60 * 1000);
-        state.initialTimeout = null;
-      },
-      Math.max(0, msToNextMinute)
-    );
-
-    tick();
-  }
-
-  /**
-   * Stop the now-line updater
-   * Clears both minute timer and initial timeout
-   *
-   * @param {Object} ctx - Main module context
-   */
-  function stopNowLineUpdater(ctx) {
-    if (!ctx) return;
-    const state = getNowLineState(ctx);
-    if (state.timer) {
-      clearInterval(state.timer);
-      state.timer = null;
-    }
-    if (state.initialTimeout) {
-      clearTimeout(state.initialTimeout);
-      state.initialTimeout = null;
-    }
+    return { ...createMinuteTicker(tick, { immediate: true }), tick };
   }
 
   /**
@@ -1578,6 +1517,7 @@ function getModuleRootElement(ctx) {
     const resolvedIsPast = typeof isPast === 'boolean' ? isPast : calcIsPast(lessonYmd, visibleEnd, nowYmd, nowMin);
 
     const cell = createLessonCell(topPx, heightPx, lesson.dateStr, visibleEnd);
+    cell.setAttribute('data-wu-key', `lesson:${lesson.dateStr}|${lesson.startMin}|${lesson.lessonId ?? ''}`);
     applyLessonClasses(cell, lesson, {
       hasExam: lessonHasExam(lesson),
       isPast: resolvedIsPast,
@@ -2133,6 +2073,7 @@ function getModuleRootElement(ctx) {
 
     const bothInner = document.createElement('div');
     bothInner.className = 'day-column-inner';
+    bothInner.setAttribute('data-wu-key', 'column');
     bothInner.style.height = `${totalHeight}px`;
     bothInner.style.position = 'relative';
     if (isToday) bothInner.classList.add('is-today');
@@ -2226,6 +2167,7 @@ function getModuleRootElement(ctx) {
     const hiddenCount = dayLessons.length - lessonsToRender.length;
     const col = 2 + dayIndex;
     const { bothWrap, bothInner } = createDayColumnWrapper(col, totalHeight, dayYmdStr === todayDateStr);
+    bothWrap.setAttribute('data-wu-key', `day:${dayYmdStr}`);
 
     grid.appendChild(bothWrap);
     addHourLinesToColumn(bothInner, timeUnits, allStart, allEnd, totalMinutes, totalHeight);
@@ -2573,7 +2515,7 @@ function getModuleRootElement(ctx) {
     if (widgetCtx.isVerbose && studentTitle && typeof addHeader === 'function') {
       const headerContainer = document.createElement('div');
       headerContainer.className = 'wu-widget-container bright small light';
-      addHeader(headerContainer, buildWidgetHeaderTitle(ctx, 'grid', widgetCtx, studentTitle));
+      addHeader(headerContainer, buildWidgetHeaderTitle(ctx, 'grid', widgetCtx, studentTitle), studentTitle);
       wrapper.appendChild(headerContainer);
     }
 
@@ -2583,10 +2525,12 @@ function getModuleRootElement(ctx) {
       toMinutesSinceMidnight,
     });
 
+    header.setAttribute('data-wu-key', 'days-header');
     wrapper.appendChild(header);
 
     const grid = document.createElement('div');
     grid.className = 'grid-combined';
+    grid.setAttribute('data-wu-key', 'grid');
     grid.style.gridTemplateColumns = gridTemplateColumns;
     const timeAxis = createTimeAxis(timeUnits, allStart, allEnd, totalHeight, totalMinutes, ctx);
     grid.appendChild(timeAxis);
@@ -2613,11 +2557,29 @@ function getModuleRootElement(ctx) {
 
     wrapper.appendChild(grid);
 
+    wrapper._gridContext = ctx;
     scheduleGridPostRenderUpdates(ctx, wrapper);
 
     return wrapper;
   }
 
+  /**
+   * Restore the runtime references of grids after an in-place DOM patch.
+   *
+   * The patcher may keep a mounted now-line while the column references the freshly
+   * rendered one, and the post-render pass of render() ran against the discarded tree.
+   *
+   * @param {HTMLElement} section - Patched grid plugin section
+   */
+  function relinkPatchedGrids(section) {
+    for (const gridElement of Array.from(section.children || [])) {
+      gridElement.querySelectorAll('.day-column-inner').forEach((inner) => {
+        inner._nowLine = Array.from(inner.children).find((child) => child.classList.contains('grid-nowline')) || null;
+      });
+      if (gridElement._gridContext) scheduleGridPostRenderUpdates(gridElement._gridContext, gridElement);
+    }
+  }
+
   /**
    * Refresh past lesson masks
    * Updates "past" CSS class on lesson cells based on current time
@@ -2730,15 +2692,27 @@ function getModuleRootElement(ctx) {
   root.grid = {
     refreshPastMasks,
     updateNowLinesAll,
-    startNowLineUpdater,
-    stopNowLineUpdater,
   };
 
   host.registerFrontendPlugin({
     id: 'grid',
-    hostApiVersion: 1,
+    hostApiVersion: 2,
 
     create(pluginContext) {
+      let mountedSection = null;
+      let suspended = false;
+      const nowLineUpdater = createNowLineUpdater(() => (mountedSection?.isConnected ? Array.from(mountedSection.children) : []));
+      // Grids with `showNowLine: false` need no minute timer; the day rollover hook still refreshes them.
+      const wantsNowLine = () =>
+        Array.from(mountedSection?.children || []).some((gridElement) => {
+          const ctx = gridElement?._gridContext;
+          return ctx && getWidgetConfigResolved(ctx.studentConfig, ctx, 'grid', 'showNowLine') !== false;
+        });
+      const syncNowLineUpdater = () => {
+        if (mountedSection && !suspended && wantsNowLine()) nowLineUpdater.start();
+        else nowLineUpdater.stop();
+      };
+
       return {
         render(renderContext) {
           const section = document.createElement('section');
@@ -2772,12 +2746,42 @@ function getModuleRootElement(ctx) {
             );
 
             if (gridElement) {
+              gridElement.setAttribute('data-wu-key', `student:${studentTitle}`);
               section.appendChild(gridElement);
               renderedContainers += 1;
             }
           }
 
-          return renderedContainers > 0 ? section : null;
+          mountedSection = renderedContainers > 0 ? section : null;
+          syncNowLineUpdater();
+          return mountedSection;
+        },
+
+        update(prevElement, renderContext) {
+          const element = host.patchDom(prevElement, this.render(renderContext));
+          if (element) relinkPatchedGrids(element);
+          mountedSection = element;
+          syncNowLineUpdater();
+          return element;
+        },
+
+        onSuspend() {
+          suspended = true;
+          nowLineUpdater.stop();
+        },
+
+        onResume() {
+          suspended = false;
+          syncNowLineUpdater();
+        },
+
+        onDayRollover() {
+          nowLineUpdater.tick();
+        },
+
+        destroy() {
+          mountedSection = null;
+          nowLineUpdater.stop();
         },
       };
     },
@@ -0,0 +1,255 @@
+/**
+ * Holidays Widget
+ * Lists the next school holidays (name and date span) with a countdown line on top:
+ * "12 school days until Autumn break", or during a holiday "Autumn break – back to school on Mon 02.11.".
+ *
+ * School days are Monday to Friday (`countWeekends` adds Saturday and Sunday), and days inside
+ * any holiday range never count. Today counts as long as it is a school day.
+ * Students with the same holiday ranges (same school) share one list.
+ */
+
+(function registerHolidaysPlugin(globalRoot) {
+  const host = globalRoot.MMMWebuntisPluginHost;
+  if (!host || typeof host.registerFrontendPlugin !== 'function') {
+    return;
+  }
+
+  const root = globalRoot.MMMWebuntisFrontendShared || {};
+  const { escapeHtml, addHeader, addRow, addFullRow, createContainer, createElement, formatDisplayDate, addDays, isWeekend } =
+    root.util?.resolveWidgetHelpers?.(root) || {};
+
+  // Upper bound for day-by-day walks; holiday data covers one school year.
+  const MAX_SCAN_DAYS = 400;
+
+  function getCurrentDateContext(config) {
+    return globalRoot.MMMWebuntisFrontendShared.time.getCurrentDateContext(config);
+  }
+
+  function translate(pluginContext, key, fallback, replacements) {
+    if (typeof pluginContext?.translate !== 'function') return fallback;
+    const translated = pluginContext.translate(key, fallback, replacements);
+    return translated && translated !== key ? translated : fallback;
+  }
+
+  function resolveStudentConfig(studentSlice) {
+    const config = studentSlice?.context?.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return {};
+    return config;
+  }
+
+  function resolveHolidaysConfig(studentConfig) {
+    const pluginConfig =
+      studentConfig?.plugins?.holidays?.config && typeof studentConfig.plugins.holidays.config === 'object'
+        ? studentConfig.plugins.holidays.config
+        : {};
+    const maxEntries = Number(pluginConfig.maxEntries);
+
+    return {
+      maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : 3,
+      showCountdown: pluginConfig.showCountdown !== false,
+      countWeekends: pluginConfig.countWeekends === true,
+      useLongName: pluginConfig.useLongName !== false,
+      dateFormat: typeof pluginConfig.dateFormat === 'string' && pluginConfig.dateFormat ? pluginConfig.dateFormat : 'dd.MM.',
+    };
+  }
+
+  function isVerboseMode(studentConfig) {
+    return (
+      String(studentConfig?.mode ?? 'compact')
+        .trim()
+        .toLowerCase() === 'verbose'
+    );
+  }
+
+  function normalizeRanges(ranges) {
+    return (Array.isArray(ranges) ? ranges : [])
+      .filter((range) => Number(range?.startDate) > 0 && Number(range?.endDate) >= Number(range?.startDate))
+      .sort((left, right) => Number(left.startDate) - Number(right.startDate));
+  }
+
+  /**
+   * Work out the running holiday and the upcoming ones with their school day countdowns.
+   *
+   * @param {Array} ranges - Holiday ranges (`data.holidays.ranges`) with `startDate`/`endDate` as YYYYMMDD
+   * @param {number} nowYmd - Current day (YYYYMMDD)
+   * @param {Object} [options] - `{ countWeekends, maxEntries }`
+   * @returns {{current: Object|null, backToSchool: number|null, upcoming: Array<{range: Object, schoolDays: number}>}}
+   *   `backToSchool` is the first school day after the running holiday
+   */
+  function resolveHolidays(ranges, nowYmd, options = {}) {
+    const sorted = normalizeRanges(ranges);
+    const holidayMap = root.util.buildHolidayMapFromRanges(sorted);
+    const isSchoolDay = (ymd) => !holidayMap[ymd] && !(options.countWeekends !== true && isWeekend(ymd));
+
+    const current = sorted.find((range) => Number(range.startDate) <= nowYmd && nowYmd <= Number(range.endDate)) || null;
+    let backToSchool = null;
+    if (current) {
+      backToSchool = addDays(Number(current.endDate), 1);
+      for (let guard = 0; guard < MAX_SCAN_DAYS && !isSchoolDay(backToSchool); guard++) {
+        backToSchool = addDays(backToSchool, 1);
+      }
+    }
+
+    const maxEntries = Number(options.maxEntries) > 0 ? Number(options.maxEntries) : 3;
+    const upcoming = sorted
+      .filter((range) => Number(range.startDate) > nowYmd)
+      .slice(0, maxEntries)
+      .map((range) => {
+        let schoolDays = 0;
+        for (let ymd = nowYmd, guard = 0; ymd < Number(range.startDate) && guard < MAX_SCAN_DAYS; ymd = addDays(ymd, 1), guard++) {
+          if (isSchoolDay(ymd)) schoolDays += 1;
+        }
+        return { range, schoolDays };
+      });
+
+    return { current, backToSchool, upcoming };
+  }
+
+  function getHolidayName(range, useLongName) {
+    const name = useLongName ? range?.longName || range?.name : range?.name || range?.longName;
+    return String(name || '').trim();
+  }
+
+  function buildDateSpan(range, dateFormat) {
+    const start = formatDisplayDate(Number(range.startDate), dateFormat);
+    if (Number(range.endDate) === Number(range.startDate)) return start;
+    return `${start}–${formatDisplayDate(Number(range.endDate), dateFormat)}`;
+  }
+
+  function buildCountdownText(pluginContext, resolved, holidaysConfig) {
+    if (resolved.current) {
+      const name = getHolidayName(resolved.current, holidaysConfig.useLongName);
+      return translate(pluginContext, 'back_to_school', '{name} – back to school on {date}', {
+        name,
+        date: formatDisplayDate(resolved.backToSchool, 'EEE dd.MM.'),
+      });
+    }
+
+    const next = resolved.upcoming[0];
+    if (!next) return '';
+    const name = getHolidayName(next.range, holidaysConfig.useLongName);
+    if (next.schoolDays === 0) {
+      return translate(pluginContext, 'starts_on', '{name} from {date}', {
+        name,
+        date: formatDisplayDate(Number(next.range.startDate), 'EEE dd.MM.'),
+      });
+    }
+    if (next.schoolDays === 1) {
+      return translate(pluginContext, 'school_day_until', '1 school day until {name}', { name });
+    }
+    return translate(pluginContext, 'school_days_until', '{count} school days until {name}', { count: next.schoolDays, name });
+  }
+
+  root.holidays = {
+    resolveHolidays,
+  };
+
+  host.registerFrontendPlugin({
+    id: 'holidays',
+    hostApiVersion: 2,
+
+    create(pluginContext) {
+      let mountedSection = null;
+      let lastRenderContext = null;
+
+      const render = (renderContext) => {
+        const section = createElement('section', 'wu-plugin wu-plugin-holidays');
+        const students = Array.isArray(renderContext?.students) ? renderContext.students : [];
+
+        // Group students by their holiday ranges, so siblings at the same school share one list.
+        const groups = new Map();
+        for (const studentSlice of students) {
+          const ranges = normalizeRanges(studentSlice?.data?.holidays?.ranges);
+          if (ranges.length === 0) continue;
+          const groupKey = JSON.stringify(ranges.map((range) => [range.startDate, range.endDate, range.name]));
+          if (!groups.has(groupKey)) groups.set(groupKey, { ranges, studentSlice, titles: [] });
+          const title = String(studentSlice?.student?.title || '').trim();
+          if (title) groups.get(groupKey).titles.push(title);
+        }
+        if (groups.size === 0) return null;
+
+        let renderedGroups = 0;
+        for (const [groupKey, group] of groups) {
+          const studentConfig = resolveStudentConfig(group.studentSlice);
+          const holidaysConfig = resolveHolidaysConfig(studentConfig);
+          const nowYmd = Number(getCurrentDateContext(studentConfig).ymd) || 0;
+          const resolved = resolveHolidays(group.ranges, nowYmd, holidaysConfig);
+          const studentLabel = groups.size > 1 ? escapeHtml(group.titles.join(', ')) : '';
+
+          const container = createContainer();
+          container.setAttribute('data-wu-key', `holidays:${groupKey}`);
+          if (renderedGroups === 0 && isVerboseMode(studentConfig)) {
+            addHeader(container, escapeHtml(translate(pluginContext, 'holidays', 'holidays')));
+          }
+
+          const countdownText = holidaysConfig.showCountdown ? buildCountdownText(pluginContext, resolved, holidaysConfig) : '';
+          if (countdownText) {
+            const prefix = studentLabel ? `${studentLabel}: ` : '';
+            addFullRow(
+              container,
+              'holidayCountdownRow',
+              `${prefix}<span class="wu-holiday__countdown">${escapeHtml(countdownText)}</span>`
+            );
+          }
+
+          const listed = resolved.current
+            ? [resolved.current, ...resolved.upcoming.map((entry) => entry.range)]
+            : resolved.upcoming.map((entry) => entry.range);
+          for (const range of listed) {
+            addRow(
+              container,
+              range === resolved.current ? 'holidayRow wu-holiday--current' : 'holidayRow',
+              studentLabel,
+              `<span class="wu-holiday__dates">${escapeHtml(buildDateSpan(range, holidaysConfig.dateFormat))}</span>`,
+              `<span class="wu-holiday__name">${escapeHtml(getHolidayName(range, holidaysConfig.useLongName))}</span>`
+            );
+          }
+          if (listed.length === 0) {
+            addRow(
+              container,
+              'holidayRowEmpty',
+              studentLabel,
+              '',
+              escapeHtml(translate(pluginContext, 'no_upcoming_holidays', 'no upcoming holidays'))
+            );
+          }
+
+          section.appendChild(container);
+          renderedGroups += 1;
+        }
+
+        return section;
+      };
+
+      return {
+        render(renderContext) {
+          lastRenderContext = renderContext;
+          mountedSection = render(renderContext);
+          return mountedSection;
+        },
+
+        update(prevElement, renderContext) {
+          lastRenderContext = renderContext;
+          const next = render(renderContext);
+          mountedSection = next && prevElement ? host.patchDom(prevElement, next) : next;
+          return mountedSection;
+        },
+
+        // Countdowns only change with the date, so the day rollover is the one refresh needed.
+        onDayRollover() {
+          if (!mountedSection?.isConnected || !lastRenderContext) return;
+          const next = render(lastRenderContext);
+          if (!next) return;
+          const patched = host.patchDom(mountedSection, next);
+          if (patched !== mountedSection) mountedSection.replaceWith(patched);
+          mountedSection = patched;
+        },
+
+        destroy() {
+          mountedSection = null;
+          lastRenderContext = null;
+        },
+      };
+    },
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : this);
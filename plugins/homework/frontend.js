@@ -97,7 +97,7 @@
             const container = createContainer();
 
             if (verboseMode && studentTitle) {
-              addHeader(container, buildHeaderTitle(pluginContext, studentTitle, homeworkConfig));
+              addHeader(container, buildHeaderTitle(pluginContext, studentTitle, homeworkConfig), studentTitle);
             }
 
             if (!Array.isArray(homeworks) || homeworks.length === 0) {
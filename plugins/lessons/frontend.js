@@ -286,7 +286,8 @@
     const icon = dayState.inlineIconClass ? `<span class='${dayState.inlineIconClass}' aria-hidden='true'></span>` : '';
     const rowClass = dayState.rowClass ? `lessonRow ${dayState.rowClass}` : 'lessonRow';
 
-    addRow(container, rowClass, studentLabelText, dayLabel, `${icon}${escapeHtml(dayState.label)}`);
+    const row = addRow(container, rowClass, studentLabelText, dayLabel, `${icon}${escapeHtml(dayState.label)}`);
+    row.setAttribute('data-wu-key', `day:${getDayYmd(dayDate)}`);
     return 1;
   }
 
@@ -583,13 +584,14 @@
           addClass = 'cancelled';
         }
 
-        addRow(container, 'lessonRow', studentLabelText, timeStr, subjectStr, addClass);
+        const row = addRow(container, 'lessonRow', studentLabelText, timeStr, subjectStr, addClass);
+        row.setAttribute('data-wu-key', `lesson:${entry.date}|${entry.startTime}|${entry.id ?? ''}`);
       }
     }
 
     if (addedRows === 0) {
       log('debug', `[lessons] no entries to display`);
-      addRow(container, 'lessonRowEmpty', studentLabelText, ctx.translate('nothing'));
+      addRow(container, 'lessonRowEmpty', studentLabelText, ctx.translate('nothing')).setAttribute('data-wu-key', 'empty');
       return 1;
     }
 
@@ -616,6 +618,7 @@
             const studentTitle = String(studentSlice?.student?.title || '').trim();
             const container = document.createElement('div');
             container.className = 'wu-widget-container bright small light';
+            container.setAttribute('data-wu-key', `student:${studentTitle}`);
             const startTimesMap = buildStartTimesMap(studentSlice?.data?.timeUnits);
             const holidays = Array.isArray(studentSlice?.data?.holidays?.ranges) ? studentSlice.data.holidays.ranges : [];
             const pluginRuntimeContext = buildPluginRuntimeContext(pluginContext, renderContext, studentSlice, effectiveStudentConfig);
@@ -638,6 +641,10 @@
 
           return renderedContainers > 0 ? wrapper : null;
         },
+
+        update(prevElement, renderContext) {
+          return host.patchDom(prevElement, this.render(renderContext));
+        },
       };
     },
   });
@@ -40,7 +40,7 @@
 
             const studentName = String(studentSlice?.student?.title || '');
             const studentSection = createContainer();
-            addHeader(studentSection, buildHeaderTitle(studentName));
+            addHeader(studentSection, buildHeaderTitle(studentName), studentName);
 
             const messagesGrid = createElement('div', 'messages-grid');
             studentSection.appendChild(messagesGrid);
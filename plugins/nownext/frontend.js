@@ -0,0 +1,425 @@
+/**
+ * Now/Next Widget
+ * Shows what is happening at school right now and what comes next:
+ * - Current lesson with the minutes left, or the break/free period until the next lesson
+ * - Next lesson with a start countdown, room and teacher
+ * - Cancelled lessons are skipped (and named), substitutions show the replaced teacher/room
+ * - After the last lesson, the first lesson of the next school day
+ *
+ * Renders into the `header` slot, as a strip above the main widgets. The clock comes from
+ * time.getCurrentDateContext(), so `debugDate` moves the day but the countdown keeps following
+ * the wall clock. A minute timer refreshes the countdowns in place.
+ */
+
+(function registerNowNextPlugin(globalRoot) {
+  const host = globalRoot.MMMWebuntisPluginHost;
+  if (!host || typeof host.registerFrontendPlugin !== 'function') {
+    return;
+  }
+
+  const root = globalRoot.MMMWebuntisFrontendShared || {};
+  const {
+    log,
+    escapeHtml,
+    addRow,
+    createContainer,
+    createElement,
+    formatDisplayDate,
+    formatDisplayTime,
+    toMinutesSinceMidnight,
+    getTeachers,
+    getSubject,
+    getRoom,
+    isIrregularStatus,
+    getChangedFieldSet,
+    getFirstFieldName,
+    compareByDateAndStartTime,
+    createMinuteTicker,
+    addDays,
+  } = root.util?.resolveWidgetHelpers?.(root) || {};
+
+  function getCurrentDateContext(config) {
+    return globalRoot.MMMWebuntisFrontendShared.time.getCurrentDateContext(config);
+  }
+
+  function translate(pluginContext, key, fallback, replacements) {
+    if (typeof pluginContext?.translate !== 'function') return fallback;
+    const translated = pluginContext.translate(key, fallback, replacements);
+    return translated && translated !== key ? translated : fallback;
+  }
+
+  function resolveStudentConfig(studentSlice) {
+    const config = studentSlice?.context?.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return {};
+    return config;
+  }
+
+  function resolveNowNextConfig(studentConfig) {
+    const pluginConfig =
+      studentConfig?.plugins?.nownext?.config && typeof studentConfig.plugins.nownext.config === 'object'
+        ? studentConfig.plugins.nownext.config
+        : {};
+
+    return {
+      showTeacher: pluginConfig.showTeacher !== false,
+      showRoom: pluginConfig.showRoom !== false,
+      showPeriod: pluginConfig.showPeriod !== false,
+      useShortSubject: pluginConfig.useShortSubject !== false,
+      showNextDay: pluginConfig.showNextDay !== false,
+    };
+  }
+
+  function isCancelled(lesson) {
+    return String(lesson?.status || '').toUpperCase() === 'CANCELLED';
+  }
+
+  /**
+   * Work out the current and the next lessons of one student.
+   *
+   * States: `lesson` (a lesson is running), `free` (the running lessons are all cancelled),
+   * `break` (between two lessons), `before` (first lesson still ahead), `done` (today's lessons
+   * are over) and `none` (no lessons today).
+   *
+   * @param {Array} lessons - Canonical lessons (`date` YYYYMMDD, `startTime`/`endTime` HHMM)
+   * @param {number} nowYmd - Current school day (YYYYMMDD)
+   * @param {number} nowMinutes - Current time in minutes since midnight
+   * @param {Object} [options] - `{ showNextDay }`
+   * @returns {{state: string, current: Array, until: number|null, next: Array, nextYmd: number|null, skipped: Array}}
+   *   `until` is the end of the running lessons or the start of the next lesson today (minutes)
+   */
+  function resolveNowNext(lessons, nowYmd, nowMinutes, options = {}) {
+    const entries = (Array.isArray(lessons) ? lessons : [])
+      .map((lesson) => ({
+        lesson,
+        ymd: Number(lesson?.date) || 0,
+        start: toMinutesSinceMidnight(lesson?.startTime),
+        end: toMinutesSinceMidnight(lesson?.endTime),
+      }))
+      .filter((entry) => entry.ymd > 0 && Number.isFinite(entry.start) && Number.isFinite(entry.end))
+      .sort((left, right) => compareByDateAndStartTime(left.lesson, right.lesson));
+
+    const today = entries.filter((entry) => entry.ymd === nowYmd);
+    const running = today.filter((entry) => entry.start <= nowMinutes && nowMinutes < entry.end);
+    const current = running.filter((entry) => !isCancelled(entry.lesson));
+    const upcomingToday = today.filter((entry) => entry.start > nowMinutes && !isCancelled(entry.lesson));
+
+    let next = [];
+    let nextYmd = null;
+    if (upcomingToday.length > 0) {
+      next = upcomingToday.filter((entry) => entry.start === upcomingToday[0].start);
+      nextYmd = nowYmd;
+    } else if (options.showNextDay !== false) {
+      const firstLater = entries.find((entry) => entry.ymd > nowYmd && !isCancelled(entry.lesson));
+      if (firstLater) {
+        next = entries.filter((entry) => entry.ymd === firstLater.ymd && entry.start === firstLater.start && !isCancelled(entry.lesson));
+        nextYmd = firstLater.ymd;
+      }
+    }
+
+    const nextStartToday = upcomingToday.length > 0 ? upcomingToday[0].start : null;
+    const skipped = today.filter(
+      (entry) => isCancelled(entry.lesson) && entry.start > nowMinutes && (nextStartToday === null || entry.start < nextStartToday)
+    );
+    const hadLessonToday = today.some((entry) => !isCancelled(entry.lesson) && entry.end <= nowMinutes);
+
+    let state = 'none';
+    let until = null;
+    if (current.length > 0) {
+      state = 'lesson';
+      until = Math.min(...current.map((entry) => entry.end));
+    } else if (running.length > 0) {
+      state = 'free';
+      until = nextStartToday;
+    } else if (nextStartToday !== null) {
+      state = hadLessonToday ? 'break' : 'before';
+      until = nextStartToday;
+    } else if (today.length > 0) {
+      state = 'done';
+    }
+
+    return {
+      state,
+      current: (state === 'free' ? running : current).map((entry) => entry.lesson),
+      until,
+      next: next.map((entry) => entry.lesson),
+      nextYmd,
+      skipped: skipped.map((entry) => entry.lesson),
+    };
+  }
+
+  function formatDuration(pluginContext, minutes) {
+    const total = Math.max(0, Math.round(minutes));
+    if (total < 60) return translate(pluginContext, 'duration_minutes', '{minutes} min', { minutes: total });
+    return translate(pluginContext, 'duration_hours', '{hours} h {minutes} min', { hours: Math.floor(total / 60), minutes: total % 60 });
+  }
+
+  function formatClock(minutes) {
+    return formatDisplayTime(Math.floor(minutes / 60) * 100 + (minutes % 60));
+  }
+
+  function getPeriodLabel(pluginContext, lesson, timeUnits) {
+    const start = toMinutesSinceMidnight(lesson?.startTime);
+    const unit = timeUnits.find((entry) => toMinutesSinceMidnight(entry?.startTime) === start);
+    const name = String(unit?.name ?? '').trim();
+    if (!name) return '';
+    return /^\d+$/.test(name) ? translate(pluginContext, 'period', 'period {period}', { period: name }) : name;
+  }
+
+  function buildChangeableField(lesson, fieldKey, currentText, format) {
+    const previousKey = { teacher: 'previousTeachers', room: 'previousRooms' }[fieldKey];
+    const previousText = getFirstFieldName(lesson?.[previousKey], format);
+    if (!getChangedFieldSet(lesson).has(fieldKey) || previousText === currentText) {
+      return escapeHtml(currentText);
+    }
+    const removed = previousText ? `<span class="lesson-changed-removed">${escapeHtml(previousText)}</span>` : '';
+    const added = currentText ? `<span class="lesson-changed-new">${escapeHtml(currentText)}</span>` : '';
+    return [removed, added].filter(Boolean).join('&nbsp;');
+  }
+
+  function buildLessonHtml(lesson, nowNextConfig) {
+    const format = nowNextConfig.useShortSubject ? 'short' : 'long';
+    const subject = escapeHtml(getSubject(lesson, format) || String(lesson?.lessonText || '').trim());
+    const subjectChanged = getChangedFieldSet(lesson).has('subject');
+    let html = `<span class="wu-nownext__subject${subjectChanged ? ' lesson-changed-new' : ''}">${subject}</span>`;
+
+    if (nowNextConfig.showTeacher) {
+      const teacher = buildChangeableField(lesson, 'teacher', getTeachers(lesson, format).join(', '), format);
+      if (teacher) html += `&nbsp;<span class="teacher-name wu-nownext__teacher">${teacher}</span>`;
+    }
+    if (nowNextConfig.showRoom) {
+      const room = buildChangeableField(lesson, 'room', getRoom(lesson, format), format);
+      if (room) html += `&nbsp;<span class="lesson-room-name wu-nownext__room">${room}</span>`;
+    }
+
+    const substitutionText = String(lesson?.substitutionText || '').trim();
+    if (substitutionText) {
+      html += `<span class="lesson-substitution-text">${escapeHtml(substitutionText)}</span>`;
+    }
+    return html;
+  }
+
+  function buildMetaHtml(pluginContext, labelKey, labelFallback, lessons, timeUnits, nowNextConfig) {
+    let html = `<span class="wu-nownext__label">${escapeHtml(translate(pluginContext, labelKey, labelFallback))}</span>`;
+    const period = nowNextConfig.showPeriod && lessons.length > 0 ? getPeriodLabel(pluginContext, lessons[0], timeUnits) : '';
+    if (period) html += ` <span class="wu-nownext__period">${escapeHtml(period)}</span>`;
+    return html;
+  }
+
+  function buildCountdownHtml(text) {
+    return ` <span class="wu-nownext__countdown">${escapeHtml(text)}</span>`;
+  }
+
+  function buildNextWhen(pluginContext, resolved, nowYmd, nowMinutes) {
+    const start = toMinutesSinceMidnight(resolved.next[0]?.startTime);
+    if (resolved.nextYmd === nowYmd) {
+      return translate(pluginContext, 'starts_in', 'in {duration}', { duration: formatDuration(pluginContext, start - nowMinutes) });
+    }
+    const day =
+      resolved.nextYmd === addDays(nowYmd, 1)
+        ? translate(pluginContext, 'tomorrow', 'tomorrow')
+        : formatDisplayDate(resolved.nextYmd, 'EEE dd.MM.');
+    return `${day} ${formatClock(start)}`;
+  }
+
+  function renderStudent(pluginContext, container, studentLabel, resolved, nowContext, timeUnits, nowNextConfig) {
+    const nowYmd = Number(nowContext.ymd) || 0;
+    const nowMinutes = nowContext.date.getHours() * 60 + nowContext.date.getMinutes();
+    const nowMeta = buildMetaHtml(pluginContext, 'now', 'now', resolved.current, timeUnits, nowNextConfig);
+
+    if (resolved.state === 'lesson') {
+      resolved.current.forEach((lesson, index) => {
+        const countdown =
+          index === 0
+            ? buildCountdownHtml(
+                translate(pluginContext, 'remaining', '{duration} left', {
+                  duration: formatDuration(pluginContext, resolved.until - nowMinutes),
+                })
+              )
+            : '';
+        addRow(
+          container,
+          'wu-nownext__row wu-nownext__row--now',
+          studentLabel,
+          index === 0 ? nowMeta : '',
+          `${buildLessonHtml(lesson, nowNextConfig)}${countdown}`,
+          isIrregularStatus(lesson) ? 'wu-nownext--changed' : ''
+        );
+      });
+    } else if (resolved.state === 'free') {
+      const subjects = resolved.current.map((lesson) => escapeHtml(getSubject(lesson) || String(lesson?.lessonText || '').trim()));
+      const free =
+        resolved.until === null
+          ? translate(pluginContext, 'cancelled', 'cancelled')
+          : translate(pluginContext, 'free_until', 'free until {time}', { time: formatClock(resolved.until) });
+      addRow(
+        container,
+        'wu-nownext__row wu-nownext__row--now',
+        studentLabel,
+        nowMeta,
+        `<span class="cancelled">${subjects.join(', ')}</span>${buildCountdownHtml(free)}`,
+        'wu-nownext--free'
+      );
+    } else if (resolved.state === 'break') {
+      addRow(
+        container,
+        'wu-nownext__row wu-nownext__row--now',
+        studentLabel,
+        nowMeta,
+        escapeHtml(translate(pluginContext, 'break_until', 'break until {time}', { time: formatClock(resolved.until) })),
+        'wu-nownext--break'
+      );
+    } else if (resolved.state === 'done') {
+      addRow(
+        container,
+        'wu-nownext__row wu-nownext__row--now',
+        studentLabel,
+        nowMeta,
+        escapeHtml(translate(pluginContext, 'no_more_lessons', 'no more lessons today')),
+        'wu-nownext--done'
+      );
+    }
+
+    if (resolved.next.length === 0) {
+      if (resolved.state !== 'done') {
+        addRow(
+          container,
+          'wu-nownext__row wu-nownext__row--next',
+          studentLabel,
+          buildMetaHtml(pluginContext, 'next', 'next', [], timeUnits, nowNextConfig),
+          escapeHtml(translate(pluginContext, 'no_upcoming_lessons', 'no upcoming lessons')),
+          'wu-nownext--done'
+        );
+      }
+      return;
+    }
+
+    const skipped =
+      resolved.skipped.length > 0
+        ? ` <span class="wu-nownext__skipped">(<span class="cancelled">${resolved.skipped
+            .map((lesson) => escapeHtml(getSubject(lesson) || String(lesson?.lessonText || '').trim()))
+            .join(', ')}</span> ${escapeHtml(translate(pluginContext, 'cancelled', 'cancelled'))})</span>`
+        : '';
+    const nextMeta = buildMetaHtml(pluginContext, 'next', 'next', resolved.next, timeUnits, nowNextConfig);
+    resolved.next.forEach((lesson, index) => {
+      const countdown = index === 0 ? buildCountdownHtml(buildNextWhen(pluginContext, resolved, nowYmd, nowMinutes)) : '';
+      addRow(
+        container,
+        'wu-nownext__row wu-nownext__row--next',
+        studentLabel,
+        index === 0 ? nextMeta : '',
+        `${buildLessonHtml(lesson, nowNextConfig)}${countdown}${index === 0 ? skipped : ''}`,
+        isIrregularStatus(lesson) ? 'wu-nownext--changed' : ''
+      );
+    });
+  }
+
+  root.nownext = {
+    resolveNowNext,
+  };
+
+  host.registerFrontendPlugin({
+    id: 'nownext',
+    hostApiVersion: 2,
+
+    create(pluginContext) {
+      let mountedSection = null;
+      let lastRenderContext = null;
+      let suspended = false;
+
+      const render = (renderContext) => {
+        const section = createElement('section', 'wu-plugin wu-plugin-nownext');
+        const students = Array.isArray(renderContext?.students) ? renderContext.students : [];
+        let renderedContainers = 0;
+
+        for (const studentSlice of students) {
+          const lessons = Array.isArray(studentSlice?.data?.lessons) ? studentSlice.data.lessons : [];
+          if (lessons.length === 0) continue;
+
+          const studentConfig = resolveStudentConfig(studentSlice);
+          const nowNextConfig = resolveNowNextConfig(studentConfig);
+          const timeUnits = Array.isArray(studentSlice?.data?.timeUnits) ? studentSlice.data.timeUnits : [];
+          const nowContext = getCurrentDateContext(studentConfig);
+          const nowMinutes = nowContext.date.getHours() * 60 + nowContext.date.getMinutes();
+          const resolved = resolveNowNext(lessons, Number(nowContext.ymd) || 0, nowMinutes, nowNextConfig);
+          if (resolved.state === 'none' && resolved.next.length === 0) continue;
+
+          // One strip for all students: name the student only when there is more than one.
+          const studentTitle = String(studentSlice?.student?.title || '').trim();
+          const container = createContainer();
+          container.setAttribute('data-wu-key', `student:${studentTitle}`);
+          renderStudent(
+            pluginContext,
+            container,
+            students.length > 1 ? escapeHtml(studentTitle) : '',
+            resolved,
+            nowContext,
+            timeUnits,
+            nowNextConfig
+          );
+          section.appendChild(container);
+          renderedContainers += 1;
+        }
+
+        return renderedContainers > 0 ? section : null;
+      };
+
+      // Re-render the countdowns in place; keyed student containers keep the section itself.
+      const refreshMounted = () => {
+        if (!mountedSection?.isConnected || !lastRenderContext) return;
+        const next = render(lastRenderContext);
+        if (!next) return;
+        const patched = host.patchDom(mountedSection, next);
+        if (patched !== mountedSection) mountedSection.replaceWith(patched);
+        mountedSection = patched;
+      };
+      const ticker = createMinuteTicker(() => {
+        try {
+          refreshMounted();
+        } catch (err) {
+          log('debug', '[nownext] minute tick update failed', err);
+        }
+      });
+      const syncTicker = () => {
+        if (mountedSection && !suspended) ticker.start();
+        else ticker.stop();
+      };
+
+      return {
+        render(renderContext) {
+          lastRenderContext = renderContext;
+          mountedSection = render(renderContext);
+          syncTicker();
+          return mountedSection;
+        },
+
+        update(prevElement, renderContext) {
+          lastRenderContext = renderContext;
+          const next = render(renderContext);
+          mountedSection = next && prevElement ? host.patchDom(prevElement, next) : next;
+          syncTicker();
+          return mountedSection;
+        },
+
+        onSuspend() {
+          suspended = true;
+          ticker.stop();
+        },
+
+        onResume() {
+          suspended = false;
+          syncTicker();
+        },
+
+        onDayRollover() {
+          refreshMounted();
+        },
+
+        destroy() {
+          mountedSection = null;
+          lastRenderContext = null;
+          ticker.stop();
+        },
+      };
+    },
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : this);
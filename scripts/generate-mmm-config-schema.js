@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Rebuild MMM-Config.schema.json from the module defaults (MMM-Webuntis.js) and the config
+ * schemas of all plugins (plugins/<id>/config.schema.json, see docs/PLUGINS.md#config-schema).
+ *
+ * Usage:
+ *   node scripts/generate-mmm-config-schema.js                 write the file
+ *   node scripts/generate-mmm-config-schema.js --check         exit 1 when the file is out of date
+ *   node scripts/generate-mmm-config-schema.js --plugin-path <dir|npm package>
+ *                                                              also include third-party plugins
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { buildMmmConfigSchema, formatJson } = require('../lib/mmmConfigSchemaGenerator');
+const { loadPluginRegistry } = require('../lib/pluginLoader');
+
+const repoRoot = path.resolve(__dirname, '..');
+const targetFile = path.join(repoRoot, 'MMM-Config.schema.json');
+
+function parseArgs(argv) {
+  const options = { check: false, pluginPaths: [] };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === '--check') {
+      options.check = true;
+    } else if (argv[index] === '--plugin-path' && argv[index + 1]) {
+      options.pluginPaths.push(argv[index + 1]);
+      index += 1;
+    } else {
+      throw new Error(`Unknown argument: ${argv[index]}`);
+    }
+  }
+  return options;
+}
+
+// Evaluate MMM-Webuntis.js with a stub Module.register; only the object literal is evaluated.
+function loadModuleDefaults(source) {
+  let definition = null;
+  vm.runInNewContext(source, {
+    Module: {
+      register: (_name, moduleDefinition) => {
+        definition = moduleDefinition;
+      },
+    },
+  });
+  if (!definition?.defaults) throw new Error('MMM-Webuntis.js did not register a module with defaults');
+  return definition.defaults;
+}
+
+// Trailing line comments of top-level defaults, e.g. `backgroundRefresh: true, // keep refreshing while hidden`.
+function readDefaultComments(source) {
+  const comments = {};
+  const block = source.slice(source.indexOf('  defaults: {'));
+  for (const match of block.matchAll(/^ {4}(\w+): .*?, \/\/ (.+)$/gm)) {
+    if (comments[match[1]]) continue;
+    const text = match[2].trim();
+    comments[match[1]] = `${text.charAt(0).toUpperCase()}${text.slice(1)}${/[.!?]$/.test(text) ? '' : '.'}`;
+  }
+  return comments;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const source = fs.readFileSync(path.join(repoRoot, 'MMM-Webuntis.js'), 'utf8');
+  const registry = loadPluginRegistry({ moduleRoot: repoRoot, pluginPaths: options.pluginPaths });
+  registry.warnings.forEach((warning) => {
+    console.warn(warning);
+  });
+
+  const current = JSON.parse(fs.readFileSync(targetFile, 'utf8'));
+  const { schema, notes } = buildMmmConfigSchema({
+    base: current,
+    moduleDefaults: loadModuleDefaults(source),
+    defaultComments: readDefaultComments(source),
+    plugins: registry.plugins,
+  });
+  notes.forEach((note) => {
+    console.log(note);
+  });
+
+  if (options.check) {
+    if (JSON.stringify(schema) !== JSON.stringify(current)) {
+      console.error('MMM-Config.schema.json is out of date. Run: node --run schema:generate');
+      process.exit(1);
+    }
+    console.log('MMM-Config.schema.json is up to date.');
+    return;
+  }
+
+  fs.writeFileSync(targetFile, formatJson(schema));
+  console.log(`Wrote ${path.relative(process.cwd(), targetFile)} (${registry.plugins.length} plugins).`);
+}
+
+main();
@@ -3,6 +3,9 @@ const test = require('node:test');
 const Module = require('node:module');
 const runtimeUtils = require('../lib/runtime-utils');
 const { sanitizeRichText } = require('../lib/webuntis/dataOrchestration');
+const calendarExport = require('../lib/calendarExport');
+const { mergeStudentSnapshot } = require('../lib/studentSnapshots');
+require('../lib/moduleNotifications');
 const singleStudentWeekFixture = require('../demo/fixtures/single-student-week.json');
 
 /**
@@ -175,6 +178,7 @@ test('buildStudentErrorPayload returns empty API snapshot and fallback warning m
     exams: null,
     homework: null,
     absences: null,
+    grades: null,
     messages: null,
   });
   assert.deepEqual(payload.state.warningMeta, [{ message: 'plain warning', kind: 'generic', severity: 'warning' }]);
@@ -251,6 +255,8 @@ test('handleSessionState uses default route values for missing payload metadata'
 });
 
 const { parseCliArgs } = require('../scripts/node_helper_wrapper');
+// Loading the CLI wrapper runs start() on the shared helper; keep offline cache snapshots out of the module folder.
+helper._payloadSnapshotDir = require('node:fs').mkdtempSync(require('node:path').join(require('node:os').tmpdir(), 'wu-payload-cache-'));
 
 function parseCli(argline) {
   return parseCliArgs(['node', 'node_helper_wrapper.js', ...argline.split(' ').filter(Boolean)], 2);
@@ -389,6 +395,29 @@ test('shared date map builders replace the former per-plugin copies', () => {
   assert.deepEqual(Object.keys(noticeMap), ['20260302']);
 });
 
+test('createMinuteTicker aligns to the minute, ticks once per start and optionally right away', (t) => {
+  const { createMinuteTicker } = loadFrontendShared().util;
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: new Date('2026-03-10T07:59:45.000Z') });
+
+  const ticks = [];
+  const ticker = createMinuteTicker(() => ticks.push('plain'));
+  const immediate = createMinuteTicker(() => ticks.push('immediate'), { immediate: true });
+  ticker.start();
+  immediate.start();
+  immediate.start();
+  assert.deepEqual(ticks, ['immediate'], 'a second start() is a no-op');
+
+  t.mock.timers.tick(15 * 1000);
+  assert.deepEqual(ticks, ['immediate', 'plain', 'immediate']);
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(ticks.length, 5);
+
+  ticker.stop();
+  immediate.stop();
+  t.mock.timers.tick(120 * 1000);
+  assert.equal(ticks.length, 5);
+});
+
 test('frontendShared namespace members are callable', () => {
   const shared = loadFrontendShared();
 
@@ -399,6 +428,18 @@ test('frontendShared namespace members are callable', () => {
   assert.equal(shared.time.DEFAULT_TIMEZONE, 'Europe/Berlin');
 });
 
+test('frontendShared YYYYMMDD helpers roll over months and years and count days across DST', () => {
+  const { util } = loadFrontendShared();
+
+  assert.equal(util.addDays(20260228, 1), 20260301);
+  assert.equal(util.addDays(20261231, 1), 20270101);
+  assert.equal(util.addDays(20260301, -1), 20260228);
+  assert.deepEqual([20260306, 20260307, 20260308, 20260309].map(util.isWeekend), [false, true, true, false]);
+  assert.equal(util.daysBetween(20260327, 20260330), 3);
+  assert.equal(util.daysBetween(20260330, 20260327), -3);
+  assert.equal(util.ymdToDate('20260310').getDate(), 10);
+});
+
 function seedApiStatus() {
   helper._mmLog = () => {};
   helper._apiStatusBySession = new Map();
@@ -697,3 +738,2469 @@ test('_getDisplayWidgets treats the "list" alias as lessons+exams', () => {
 
   assert.deepEqual(frontend._getDisplayWidgets(), ['lessons', 'exams']);
 });
+
+test('_broadcastStudentNotifications announces cancellations, tomorrow and exams once', () => {
+  const sent = [];
+  const lessons = [
+    { id: 1, date: 20260309, startTime: 800, endTime: 845, status: 'CANCELLED', subjects: [{ name: 'Ma' }] },
+    { id: 2, date: 20260310, startTime: 800, endTime: 845, status: 'CANCELLED', subjects: [{ name: 'Ma' }] },
+    { id: 3, date: 20260311, startTime: 745, endTime: 830, status: 'CANCELLED', subjects: [{ name: 'De' }] },
+    {
+      id: 4,
+      date: 20260311,
+      startTime: 850,
+      endTime: 935,
+      status: 'SUBSTITUTION',
+      subjects: [{ name: 'En' }],
+      teachers: [{ name: 'Mue' }],
+      previousTeachers: [{ name: 'Sch' }],
+    },
+  ];
+  const exams = [
+    { examDate: 20260312, startTime: 800, subject: 'Ma', name: 'Klausur' },
+    { examDate: 20260330, startTime: 800, subject: 'En', name: 'Test' },
+  ];
+  Object.assign(frontend, {
+    identifier: 'MMM-Webuntis_0',
+    config: { debugDate: '2026-03-10', broadcast: { examDaysAhead: 7 } },
+    sendNotification: (notification, payload) => sent.push({ notification, payload }),
+    _broadcastStateByStudent: {},
+    timetableByStudent: { Alice: lessons },
+    examsByStudent: { Alice: exams },
+    homeworksByStudent: {},
+    absencesByStudent: {},
+    messagesOfDayByStudent: {},
+  });
+  const payload = {
+    meta: { generatedAt: '2026-03-10T06:00:00.000Z' },
+    context: { student: { id: 1001, title: 'Alice' } },
+    state: { fetch: { timetable: true, exams: true } },
+  };
+
+  frontend._broadcastStudentNotifications('Alice', payload, true);
+
+  assert.deepEqual(
+    sent.map((entry) => entry.notification),
+    [
+      'WEBUNTIS_DATA_UPDATED',
+      'WEBUNTIS_LESSON_CANCELLED',
+      'WEBUNTIS_LESSON_CANCELLED',
+      'WEBUNTIS_LESSON_CHANGED',
+      'WEBUNTIS_FIRST_LESSON_TOMORROW',
+      'WEBUNTIS_EXAM_UPCOMING',
+    ]
+  );
+  assert.deepEqual(sent[0].payload.counts, { lessons: 4, exams: 2, homework: 0, absences: 0, messages: 0 });
+  assert.deepEqual(sent[0].payload.student, { id: 1001, title: 'Alice' });
+  assert.equal(sent[1].payload.lesson.date, '2026-03-10');
+  assert.equal(sent[2].payload.lesson.startTime, '07:45');
+  assert.deepEqual(sent[3].payload.lesson.previousTeachers, ['Sch']);
+  // The cancelled 07:45 lesson does not count as tomorrow's first lesson.
+  assert.equal(sent[4].payload.date, '2026-03-11');
+  assert.equal(sent[4].payload.startTime, '08:50');
+  assert.equal(sent[5].payload.daysUntil, 2);
+  assert.equal(sent[5].payload.exam.name, 'Klausur');
+
+  sent.length = 0;
+  frontend._broadcastStudentNotifications('Alice', payload, false);
+  assert.deepEqual(
+    sent.map((entry) => entry.notification),
+    ['WEBUNTIS_DATA_UPDATED']
+  );
+
+  // A new day announces the exam again with the updated countdown.
+  sent.length = 0;
+  frontend.config.debugDate = '2026-03-11';
+  frontend._broadcastStudentNotifications('Alice', payload, false);
+  const exam = sent.find((entry) => entry.notification === 'WEBUNTIS_EXAM_UPCOMING');
+  assert.equal(exam.payload.daysUntil, 1);
+
+  sent.length = 0;
+  frontend.config = { broadcast: { enabled: false } };
+  frontend._broadcastStudentNotifications('Alice', payload, true);
+  assert.equal(sent.length, 0);
+});
+
+test('control notifications refresh, filter students, swap plugins and shift the date per identifier', () => {
+  const fetchReasons = [];
+  let renders = 0;
+  Object.assign(frontend, {
+    identifier: 'wu_kids',
+    config: { displayMode: 'lessons, exams' },
+    defaults: { displayMode: 'lessons, exams' },
+    lifecycle: { render: () => renders++ },
+    _sendFetchData: (reason) => fetchReasons.push(reason),
+    _studentFilter: null,
+    _displayModeOverride: null,
+    _dateOffsetDays: 0,
+    timetableByStudent: { Alice: [], Bob: [] },
+  });
+  frontend._setPluginRegistry([
+    { id: 'lessons', active: true, aliases: ['lessons', 'list'] },
+    { id: 'exams', active: true, aliases: ['exams', 'list'] },
+    { id: 'grid', active: true, aliases: ['grid'] },
+  ]);
+
+  frontend.notificationReceived('WEBUNTIS_REFRESH', { identifier: 'other' });
+  frontend.notificationReceived('WEBUNTIS_REFRESH', { identifier: ['other', 'wu_kids'] });
+  frontend.notificationReceived('WEBUNTIS_REFRESH');
+  assert.deepEqual(fetchReasons, ['notification', 'notification']);
+
+  frontend.notificationReceived('WEBUNTIS_SHOW_STUDENT', { student: 'Bob' });
+  assert.deepEqual(frontend._getSortedStudentTitles(), ['Bob']);
+  frontend.notificationReceived('WEBUNTIS_SHOW_STUDENT', { student: 'Nobody' });
+  assert.deepEqual(frontend._getSortedStudentTitles(), ['Alice', 'Bob']);
+
+  frontend.notificationReceived('WEBUNTIS_SET_DISPLAY_MODE', { displayMode: 'grid' });
+  assert.deepEqual(frontend._getDisplayWidgets(), ['grid']);
+  // Plugins that are not active for this instance have no data and are ignored.
+  frontend.notificationReceived('WEBUNTIS_SET_DISPLAY_MODE', { displayMode: 'homework' });
+  assert.deepEqual(frontend._getDisplayWidgets(), ['lessons', 'exams']);
+  frontend.notificationReceived('WEBUNTIS_SET_DISPLAY_MODE', { displayMode: null });
+  assert.equal(frontend._displayModeOverride, null);
+  assert.equal(renders, 5);
+
+  frontend.config = { debugDate: '2026-02-27' };
+  frontend.notificationReceived('WEBUNTIS_SET_DATE_OFFSET', { days: 1 });
+  frontend.notificationReceived('WEBUNTIS_SET_DATE_OFFSET', { delta: 2 });
+  assert.equal(frontend._dateOffsetDays, 3);
+  assert.equal(frontend._buildSendConfig().debugDate, '2026-03-02');
+  assert.deepEqual(fetchReasons.slice(2), ['date-offset', 'date-offset']);
+  frontend.notificationReceived('WEBUNTIS_SET_DATE_OFFSET', { days: 'soon' });
+  assert.equal(frontend._dateOffsetDays, 3);
+  frontend.notificationReceived('WEBUNTIS_SET_DATE_OFFSET', { days: 0 });
+  assert.equal(frontend._dateOffsetDays, 0);
+
+  frontend._pluginRegistryById = null;
+});
+
+test('every built-in plugin is a legacy displayMode token, a sent config section and a valid widget', () => {
+  const warnings = [];
+  const instance = Object.assign(Object.create(frontend), {
+    config: { displayMode: 'nownext, daysummary, grid', students: [{ title: 'Alice', qrcode: 'untis://x' }] },
+    identifier: 'MMM-Webuntis_0',
+    _sessionId: 'tab',
+    _displayModeOverride: null,
+    _pluginRegistryById: null,
+    _dateOffsetDays: 0,
+    _log: () => {},
+    _upsertModuleWarnings: (messages) => warnings.push(...messages),
+  });
+
+  assert.deepEqual(instance._getDisplayWidgets(), ['nownext', 'daysummary', 'grid']);
+  const sendConfig = instance._buildSendConfig();
+  for (const pluginId of frontend._builtInPluginIds) {
+    assert.equal(typeof sendConfig[pluginId], 'object', `${pluginId} config section`);
+  }
+  assert.deepEqual(warnings, []);
+
+  instance.config = { ...instance.config, displayMode: 'nownext,timetable' };
+  instance._buildSendConfig();
+  assert.equal(warnings.length, 1);
+  assert.ok(warnings[0].includes('"timetable"'));
+});
+
+function buildCalendarPayload({ lessons = [], exams = [], api = {} } = {}) {
+  return {
+    meta: { generatedAt: '2026-03-10T06:00:00.000Z' },
+    context: { student: { id: 1001, title: 'Alice' }, timezone: 'Europe/Berlin' },
+    data: { lessons, exams },
+    state: { fetch: { timetable: true, exams: true }, api: { timetable: 200, exams: 200, ...api } },
+  };
+}
+
+test('calendar export escapes TEXT values and folds long lines at 75 octets', () => {
+  assert.equal(calendarExport.escapeIcsText('Mathe, Physik; C:\\temp\nRaum'), 'Mathe\\, Physik\\; C:\\\\temp\\nRaum');
+
+  const folded = calendarExport.foldIcsLine(`SUMMARY:${'ü'.repeat(60)}`);
+  const physicalLines = folded.split('\r\n');
+  assert.ok(physicalLines.length > 1);
+  physicalLines.forEach((line, index) => {
+    assert.ok(Buffer.byteLength(line, 'utf8') <= 75);
+    if (index > 0) assert.equal(line[0], ' ');
+  });
+  assert.equal(physicalLines.map((line, index) => (index === 0 ? line : line.slice(1))).join(''), `SUMMARY:${'ü'.repeat(60)}`);
+});
+
+test('calendar export skips cancelled lessons and keeps UIDs stable across fetches', () => {
+  const lessons = [
+    {
+      id: 1,
+      date: 20260310,
+      startTime: 800,
+      endTime: 845,
+      status: 'REGULAR',
+      subjects: [{ name: 'M', longname: 'Mathe' }],
+      rooms: [{ name: 'R1' }],
+    },
+    { id: 2, date: 20260310, startTime: 850, endTime: 935, status: 'CANCELLED', subjects: [{ name: 'D', longname: 'Deutsch' }] },
+    { id: 3, date: 20260310, startTime: 940, endTime: 1025, status: 'SUBSTITUTION', subjects: [{ name: 'E', longname: 'Englisch' }] },
+  ];
+  const snapshot = mergeStudentSnapshot(null, buildCalendarPayload({ lessons }));
+  const first = calendarExport.renderCalendarFeed({ feedType: 'lessons', snapshot, studentTitle: 'Alice' });
+  const second = calendarExport.renderCalendarFeed({
+    feedType: 'lessons',
+    snapshot: mergeStudentSnapshot(null, buildCalendarPayload({ lessons: lessons.slice().reverse() })),
+    studentTitle: 'Alice',
+  });
+
+  assert.equal((first.match(/BEGIN:VEVENT/g) || []).length, 2);
+  assert.ok(!first.includes('Deutsch'));
+  assert.ok(first.includes('DTSTART;TZID=Europe/Berlin:20260310T080000'));
+  assert.ok(first.includes('DTEND;TZID=Europe/Berlin:20260310T084500'));
+  assert.ok(first.includes('LOCATION:R1'));
+  assert.ok(first.includes('TZOFFSETTO:+0200'), 'VTIMEZONE covers the DST switch');
+  assert.ok(first.endsWith('END:VCALENDAR\r\n'));
+  assert.deepEqual(first.match(/^UID:.*$/gm).sort(), second.match(/^UID:.*$/gm).sort());
+});
+
+test('calendar snapshot keeps the last good collection when an endpoint fails', () => {
+  const exams = [{ examDate: 20260312, startTime: null, endTime: null, name: 'Vokabeltest', subject: 'Englisch', teachers: ['MUE'] }];
+  const good = mergeStudentSnapshot(null, buildCalendarPayload({ exams }));
+  const afterOutage = mergeStudentSnapshot(good, buildCalendarPayload({ exams: [], api: { exams: 503 } }));
+
+  assert.equal(afterOutage.collections.exams, exams);
+  const ics = calendarExport.renderCalendarFeed({ feedType: 'exams', snapshot: afterOutage, studentTitle: 'Alice' });
+  assert.ok(ics.includes('SUMMARY:Englisch: Vokabeltest'));
+  assert.ok(ics.includes('DTSTART;VALUE=DATE:20260312'));
+  assert.ok(ics.includes('DTEND;VALUE=DATE:20260313'));
+});
+
+test('calendar export renders homework as VTODO with due date and completion state', () => {
+  const payload = buildCalendarPayload();
+  payload.state.fetch.homework = true;
+  payload.data.homework = [
+    { id: 11, dueDate: 20260313, completed: false, text: 'Seite 12, Nr. 3', subject: { name: 'M', longname: 'Mathe' } },
+    { id: 12, dueDate: 20260314, completed: true, text: '<b>Lesen</b>', remark: '', subject: { name: 'D', longname: '' } },
+  ];
+  const ics = calendarExport.renderCalendarFeed({
+    feedType: 'homework',
+    snapshot: mergeStudentSnapshot(null, payload),
+    studentTitle: 'Alice',
+  });
+  const todos = ics.split('BEGIN:VTODO').slice(1);
+
+  assert.equal(todos.length, 2);
+  assert.ok(!ics.includes('BEGIN:VEVENT'));
+  assert.ok(todos[0].includes('DUE;VALUE=DATE:20260313'));
+  assert.ok(todos[0].includes('STATUS:NEEDS-ACTION'));
+  assert.ok(todos[0].includes('SUMMARY:Mathe'));
+  assert.ok(todos[0].includes('DESCRIPTION:Seite 12\\, Nr. 3'));
+  assert.ok(todos[1].includes('STATUS:COMPLETED'));
+  assert.ok(todos[1].includes('SUMMARY:D'));
+  assert.ok(todos[1].includes('DESCRIPTION:Lesen'));
+});
+
+test('_handleCalendarRequest serves opt-in feeds, identical .ical aliases, and 404 otherwise', () => {
+  const createResponse = () => {
+    const res = { statusCode: null, headers: {}, body: null };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.type = () => res;
+    res.set = (headers) => Object.assign(res.headers, headers);
+    res.send = (body) => {
+      res.body = body;
+      return res;
+    };
+    return res;
+  };
+  const request = (identifier, student, feedFile) => {
+    const res = createResponse();
+    helper._handleCalendarRequest({ params: { identifier, student, feedFile } }, res);
+    return res;
+  };
+
+  helper._mmLog = () => {};
+  helper._studentSnapshots = new Map();
+  helper._configsByIdentifier = new Map([
+    ['mirror', { calendarExport: { enabled: true }, updateInterval: 600000, students: [{ title: 'Alice', studentId: 1001 }] }],
+    ['hidden', { students: [{ title: 'Alice' }] }],
+  ]);
+  const config = helper._configsByIdentifier.get('mirror');
+  helper._rememberStudentSnapshot(
+    'mirror',
+    config.students[0],
+    buildCalendarPayload({
+      lessons: [{ id: 7, date: 20260311, startTime: 800, endTime: 845, subjects: [{ name: 'M' }] }],
+    })
+  );
+
+  const ics = request('mirror', 'Alice', 'lessons.ics');
+  assert.equal(ics.statusCode, 200);
+  assert.equal(ics.headers['Content-Type'], 'text/calendar; charset=utf-8');
+  assert.equal(ics.headers['Cache-Control'], 'private, max-age=600');
+  assert.ok(ics.body.includes('SUMMARY:M'));
+  assert.equal(request('mirror', '1001', 'lessons.ical').body, ics.body);
+
+  assert.equal(request('mirror', 'Bob', 'lessons.ics').statusCode, 404);
+  assert.equal(request('mirror', 'Alice', 'absences.ics').statusCode, 404);
+  assert.equal(request('hidden', 'Alice', 'lessons.ics').statusCode, 404);
+  assert.equal(request('unknown', 'Alice', 'lessons.ics').statusCode, 404);
+});
+
+test('_handleApiRequest requires the bearer token and serves the last good collections', () => {
+  const createResponse = () => {
+    const res = { statusCode: null, headers: {}, body: null };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.set = (name, value) => {
+      Object.assign(res.headers, typeof name === 'string' ? { [name]: value } : name);
+      return res;
+    };
+    res.json = (body) => {
+      res.body = body;
+      return res;
+    };
+    return res;
+  };
+  const request = (params, authorization = 'Bearer s3cret') => {
+    const res = createResponse();
+    helper._handleApiRequest({ params, headers: authorization ? { authorization } : {} }, res);
+    return res;
+  };
+
+  helper._mmLog = () => {};
+  helper._studentSnapshots = new Map();
+  helper._configsByIdentifier = new Map([
+    ['mirror', { restApi: { enabled: true, token: 's3cret' }, students: [{ title: 'Alice', studentId: 1001 }] }],
+    ['notoken', { restApi: { enabled: true }, students: [{ title: 'Alice' }] }],
+  ]);
+  const student = helper._configsByIdentifier.get('mirror').students[0];
+  helper._rememberStudentSnapshot('mirror', student, buildCalendarPayload({ exams: [{ examDate: 20260312, name: 'Test' }] }));
+  helper._rememberStudentSnapshot('mirror', student, {
+    ...buildCalendarPayload({ api: { exams: 503 } }),
+    meta: { generatedAt: '2026-03-10T07:00:00.000Z' },
+  });
+
+  const list = request({ identifier: 'mirror' });
+  assert.equal(list.statusCode, 200);
+  assert.equal(list.headers['Cache-Control'], 'no-store');
+  assert.equal(list.body.meta.generatedAt, '2026-03-10T07:00:00.000Z');
+  assert.deepEqual(list.body.students, [
+    { id: 1001, title: 'Alice', generatedAt: '2026-03-10T07:00:00.000Z', collections: ['lessons', 'exams'] },
+  ]);
+
+  const exams = request({ identifier: 'mirror', student: '1001', collection: 'exams' });
+  assert.equal(exams.statusCode, 200);
+  assert.equal(exams.body.meta.generatedAt, '2026-03-10T06:00:00.000Z');
+  assert.deepEqual(exams.body.data, { exams: [{ examDate: 20260312, name: 'Test' }] });
+
+  const absences = request({ identifier: 'mirror', student: 'Alice', collection: 'absences' });
+  assert.equal(absences.body.meta.generatedAt, null);
+  assert.deepEqual(absences.body.data, { absences: [] });
+
+  assert.equal(request({ identifier: 'mirror' }, null).statusCode, 401);
+  assert.equal(request({ identifier: 'mirror' }, 'Bearer wrong').headers['WWW-Authenticate'], 'Bearer realm="MMM-Webuntis"');
+  assert.equal(request({ identifier: 'notoken' }, 'Bearer ').statusCode, 401);
+  assert.equal(request({ identifier: 'mirror', student: 'Bob', collection: 'exams' }).statusCode, 404);
+  assert.equal(request({ identifier: 'mirror', student: 'Alice', collection: 'marks' }).statusCode, 404);
+  assert.equal(request({ identifier: 'unknown' }).statusCode, 404);
+});
+
+function createCaldavFixture() {
+  const { createCaldavServer } = require('../lib/caldavServer');
+  const payload = buildCalendarPayload({
+    lessons: [
+      { id: 1, date: 20260310, startTime: 800, endTime: 845, subjects: [{ name: 'M', longname: 'Mathe' }] },
+      { id: 2, date: 20260311, startTime: 800, endTime: 845, subjects: [{ name: 'D', longname: 'Deutsch' }] },
+    ],
+  });
+  const state = { snapshot: mergeStudentSnapshot(null, payload) };
+  const server = createCaldavServer({
+    basePath: '/MMM-Webuntis/caldav',
+    directory: {
+      listHomes: () => ['mirror'],
+      listCollections: () => [
+        calendarExport.buildCalendarCollection({ feedType: 'lessons', snapshot: state.snapshot, studentTitle: 'Alice' }),
+      ],
+    },
+  });
+  return { server, state, payload };
+}
+
+test('caldav server supports discovery, calendar-query time ranges and multiget', () => {
+  const { server } = createCaldavFixture();
+  const propfind = (path, depth, props) =>
+    server.handle({
+      method: 'PROPFIND',
+      path,
+      depth,
+      body: `<?xml version="1.0"?><d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop>${props}</d:prop></d:propfind>`,
+    });
+
+  const root = propfind('/MMM-Webuntis/caldav/', '0', '<d:current-user-principal/>');
+  assert.equal(root.status, 207);
+  assert.ok(root.body.includes('<D:href>/MMM-Webuntis/caldav/mirror/</D:href>'));
+
+  const home = propfind(
+    '/MMM-Webuntis/caldav/mirror/',
+    '1',
+    '<d:resourcetype/><d:displayname/><c:calendar-home-set/><x:color xmlns:x="urn:example"/>'
+  );
+  assert.ok(home.body.includes('<D:href>/MMM-Webuntis/caldav/mirror/Alice-lessons/</D:href>'));
+  assert.ok(home.body.includes('<D:collection/><C:calendar/>'));
+  assert.ok(home.body.includes('<X:color xmlns:X="urn:example"/>'), 'unknown properties are reported as 404 propstat');
+
+  const collection = propfind('/MMM-Webuntis/caldav/mirror/Alice-lessons/', '1', '<d:getetag/>');
+  const hrefs = [...collection.body.matchAll(/<D:href>([^<]+\.ics)<\/D:href>/g)].map((match) => match[1]);
+  assert.equal(hrefs.length, 2);
+
+  const query = server.handle({
+    method: 'REPORT',
+    path: '/MMM-Webuntis/caldav/mirror/Alice-lessons/',
+    depth: '1',
+    body: `<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop><d:getetag/></d:prop>
+      <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">
+      <c:time-range start="20260310T000000Z" end="20260311T000000Z"/></c:comp-filter></c:comp-filter></c:filter></c:calendar-query>`,
+  });
+  assert.equal((query.body.match(/<D:response>/g) || []).length, 1);
+
+  const multiget = server.handle({
+    method: 'REPORT',
+    path: '/MMM-Webuntis/caldav/mirror/Alice-lessons/',
+    body: `<c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop><d:getetag/><c:calendar-data/></d:prop>
+      <d:href>${hrefs[0]}</d:href><d:href>/MMM-Webuntis/caldav/mirror/Alice-lessons/missing.ics</d:href></c:calendar-multiget>`,
+  });
+  assert.ok(multiget.body.includes('BEGIN:VEVENT'));
+  assert.ok(multiget.body.includes('HTTP/1.1 404 Not Found'));
+
+  assert.equal(server.handle({ method: 'PUT', path: hrefs[0], body: 'BEGIN:VCALENDAR' }).status, 405);
+  assert.equal(server.handle({ method: 'PROPFIND', path: '/MMM-Webuntis/caldav/other/' }).status, 404);
+});
+
+test('caldav ETags stay stable across fetches until the event itself changes', () => {
+  const { server, state, payload } = createCaldavFixture();
+  const etags = () => {
+    const response = server.handle({ method: 'PROPFIND', path: '/MMM-Webuntis/caldav/mirror/Alice-lessons/', depth: '1' });
+    return [...response.body.matchAll(/<D:getetag>([^<]+)<\/D:getetag>/g)].map((match) => match[1]);
+  };
+
+  const before = etags();
+  state.snapshot = mergeStudentSnapshot(state.snapshot, { ...payload, meta: { generatedAt: '2026-03-10T06:05:00.000Z' } });
+  assert.deepEqual(etags(), before, 'a refetch with identical content keeps every ETag');
+
+  const changedLessons = payload.data.lessons.map((lesson) => (lesson.id === 2 ? { ...lesson, rooms: [{ name: 'R9' }] } : lesson));
+  state.snapshot = mergeStudentSnapshot(state.snapshot, buildCalendarPayload({ lessons: changedLessons }));
+  const after = etags();
+  // Index 0 is the collection ctag, followed by one ETag per event.
+  assert.notEqual(after[0], before[0]);
+  assert.equal(after.filter((etag) => before.includes(etag)).length, 1);
+});
+
+test('_handleCaldavRequest answers 413 for oversized bodies and logs them at debug level', async (t) => {
+  const { EventEmitter } = require('node:events');
+  const { _mmLog, _caldavServer } = helper;
+  const logs = [];
+  Object.assign(helper, {
+    _mmLog: (level, _student, message) => logs.push({ level, message }),
+    _caldavServer: { handle: () => ({ status: 207, headers: { 'Content-Type': 'application/xml' }, body: '<ok/>' }) },
+  });
+  t.after(() => Object.assign(helper, { _mmLog, _caldavServer }));
+
+  const send = async (chunks, headers = {}) => {
+    const req = Object.assign(new EventEmitter(), { method: 'REPORT', url: '/mirror/Alice-lessons/', headers });
+    const res = { statusCode: null, headers: {}, body: null };
+    res.status = (code) => Object.assign(res, { statusCode: code });
+    res.set = (name, value) =>
+      Object.assign(res, { headers: { ...res.headers, ...(typeof name === 'string' ? { [name]: value } : name) } });
+    res.type = () => res;
+    res.send = (body) => Object.assign(res, { body });
+    const handled = helper._handleCaldavRequest(req, res);
+    for (const chunk of chunks) req.emit('data', Buffer.from(chunk));
+    req.emit('end');
+    await handled;
+    return res;
+  };
+
+  assert.equal((await send(['<c:calendar-query/>'])).statusCode, 207);
+
+  const streamed = await send(['x'.repeat(200 * 1024), 'x'.repeat(100 * 1024), 'x']);
+  assert.equal(streamed.statusCode, 413);
+  assert.equal(streamed.headers.Connection, 'close');
+  assert.equal((await send([], { 'content-length': String(300 * 1024) })).statusCode, 413);
+
+  assert.deepEqual(
+    logs.map((entry) => entry.level),
+    ['debug', 'debug']
+  );
+});
+
+test('caldav routes serve discovery, calendar-query and multiget to a DAV client over HTTP', async (t) => {
+  const express = require('express');
+  const { DAVClient } = require('tsdav');
+  const saved = ['expressApp', '_mmLog', '_caldavServer', '_configsByIdentifier', '_studentSnapshots'].map((key) => [key, helper[key]]);
+  t.after(() => Object.assign(helper, Object.fromEntries(saved)));
+
+  const student = { title: 'Alice', studentId: 1001 };
+  Object.assign(helper, {
+    expressApp: express(),
+    _mmLog: () => {},
+    _studentSnapshots: new Map(),
+    _configsByIdentifier: new Map([['mirror', { calendarExport: { enabled: true, exams: false, homework: false }, students: [student] }]]),
+  });
+  helper._rememberStudentSnapshot(
+    'mirror',
+    student,
+    buildCalendarPayload({
+      lessons: [
+        { id: 1, date: 20260310, startTime: 800, endTime: 845, subjects: [{ name: 'M', longname: 'Mathe' }] },
+        { id: 2, date: 20260317, startTime: 800, endTime: 845, subjects: [{ name: 'D', longname: 'Deutsch' }] },
+      ],
+    })
+  );
+  helper._registerCalendarRoutes();
+
+  const server = helper.expressApp.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const wellKnown = await fetch(`${origin}/.well-known/caldav`, { method: 'PROPFIND', redirect: 'manual' });
+  assert.equal(wellKnown.status, 301);
+  assert.equal(wellKnown.headers.get('location'), '/MMM-Webuntis/caldav/');
+
+  const client = new DAVClient({
+    serverUrl: origin,
+    credentials: {},
+    authMethod: 'Custom',
+    authFunction: async () => ({}),
+    defaultAccountType: 'caldav',
+  });
+  await client.login();
+  assert.equal(client.account.rootUrl, `${origin}/MMM-Webuntis/caldav/`);
+  assert.equal(client.account.homeUrl, `${origin}/MMM-Webuntis/caldav/mirror/`);
+
+  const calendars = await client.fetchCalendars();
+  assert.deepEqual(
+    calendars.map((calendar) => calendar.url),
+    [`${origin}/MMM-Webuntis/caldav/mirror/Alice-lessons/`]
+  );
+
+  // calendar-query narrows the objects to the week, then calendar-multiget fetches their data.
+  const objects = await client.fetchCalendarObjects({
+    calendar: calendars[0],
+    timeRange: { start: '2026-03-09T00:00:00.000Z', end: '2026-03-14T00:00:00.000Z' },
+  });
+  assert.equal(objects.length, 1);
+  assert.match(objects[0].data, /SUMMARY:Mathe/);
+  assert.ok(objects[0].etag);
+
+  const depthZero = await fetch(`${origin}/MMM-Webuntis/caldav/mirror/Alice-lessons/`, { method: 'PROPFIND', headers: { Depth: '0' } });
+  assert.equal(depthZero.status, 207);
+  assert.equal((await depthZero.text()).match(/<D:response>/g).length, 1);
+});
+
+test('mqtt state covers tomorrow, exams, homework and absences and announces only fetched sensors', () => {
+  const { buildStudentMessages, deriveStudentMqttState, resolveMqttConfig } = require('../lib/mqttPublisher');
+  const snapshot = mergeStudentSnapshot(null, {
+    ...buildCalendarPayload({
+      lessons: [
+        { id: 1, date: 20260311, startTime: 745, endTime: 830, status: 'CANCELLED' },
+        { id: 2, date: 20260311, startTime: 940, endTime: 1025 },
+        { id: 3, date: 20260311, startTime: 835, endTime: 920 },
+      ],
+      exams: [
+        { examDate: 20260320, startTime: 800, subject: 'D', name: 'Aufsatz' },
+        { examDate: 20260312, startTime: 1000, subject: 'M', name: 'Test' },
+        { examDate: 20260301, subject: 'E', name: 'Old' },
+      ],
+    }),
+  });
+
+  const values = deriveStudentMqttState(snapshot, { todayYmd: 20260310 });
+  assert.equal(values.first_lesson_today, 'None');
+  assert.equal(values.first_lesson_tomorrow, '2026-03-11T07:35:00.000Z');
+  assert.equal(values.cancelled_lessons_tomorrow, '1');
+  assert.deepEqual(JSON.parse(values.next_exam), { date: '2026-03-12', startTime: '10:00', subject: 'M', name: 'Test', text: '' });
+  assert.equal(values.open_homework, undefined);
+
+  const messages = buildStudentMessages(resolveMqttConfig({ mqtt: { enabled: true } }), { title: 'Zoë Müller' }, values);
+  const topics = messages.map((message) => message.topic);
+  assert.ok(topics.includes('homeassistant/sensor/mmm_webuntis_zoe_muller/next_exam/config'));
+  assert.ok(topics.includes('mmm-webuntis/zoe_muller/first_lesson_tomorrow'));
+  assert.ok(!topics.some((topic) => topic.includes('open_homework')));
+  const examConfig = JSON.parse(messages.find((message) => message.topic.endsWith('next_exam/config')).payload);
+  assert.equal(examConfig.json_attributes_topic, 'mmm-webuntis/zoe_muller/next_exam');
+  assert.equal(examConfig.availability_topic, 'mmm-webuntis/status');
+});
+
+test('mqtt publisher talks MQTT 3.1.1 to a broker and skips unchanged retained messages', async () => {
+  const net = require('node:net');
+  const { MqttPublisher, resolveMqttConfig } = require('../lib/mqttPublisher');
+  const received = [];
+  const sockets = new Set();
+  const broker = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 2) {
+        let length = 0;
+        let multiplier = 1;
+        let offset = 1;
+        let byte;
+        do {
+          byte = buffer[offset++];
+          length += (byte & 0x7f) * multiplier;
+          multiplier *= 128;
+        } while (byte & 0x80);
+        if (buffer.length < offset + length) return;
+        const type = buffer[0];
+        const body = buffer.subarray(offset, offset + length);
+        buffer = buffer.subarray(offset + length);
+
+        if (type >> 4 === 1) {
+          received.push({ type: 'connect', flags: body[7] });
+          socket.write(Buffer.from([0x20, 0x02, 0x00, 0x00]));
+        } else if (type >> 4 === 3) {
+          const topicLength = body.readUInt16BE(0);
+          received.push({
+            type: 'publish',
+            retain: (type & 0x01) === 1,
+            topic: body.subarray(2, 2 + topicLength).toString('utf8'),
+            payload: body.subarray(2 + topicLength).toString('utf8'),
+          });
+        } else if (type >> 4 === 14) {
+          received.push({ type: 'disconnect' });
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => broker.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const mqttConfig = resolveMqttConfig({
+      mqtt: { enabled: true, url: `mqtt://127.0.0.1:${broker.address().port}`, username: 'mirror', password: 'pw', discovery: false },
+    });
+    const snapshot = mergeStudentSnapshot(null, buildCalendarPayload({ exams: [{ examDate: 20260312, name: 'Test' }] }));
+    const entries = [{ student: { title: 'Alice' }, snapshot }];
+    const publisher = new MqttPublisher();
+
+    assert.equal(await publisher.publishStudents(mqttConfig, entries, { todayYmd: 20260310 }), 6);
+    assert.equal(await publisher.publishStudents(mqttConfig, entries, { todayYmd: 20260310 }), 1);
+    await publisher.stop();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    // username, password, will retain, will flag and clean session
+    assert.deepEqual(received[0], { type: 'connect', flags: 0x80 | 0x40 | 0x20 | 0x04 | 0x02 });
+    const publishes = received.filter((packet) => packet.type === 'publish');
+    assert.ok(publishes.every((packet) => packet.retain));
+    assert.deepEqual(
+      publishes.map((packet) => packet.topic),
+      [
+        'mmm-webuntis/status',
+        'mmm-webuntis/alice/first_lesson_today',
+        'mmm-webuntis/alice/first_lesson_tomorrow',
+        'mmm-webuntis/alice/cancelled_lessons_today',
+        'mmm-webuntis/alice/cancelled_lessons_tomorrow',
+        'mmm-webuntis/alice/next_exam',
+        'mmm-webuntis/status',
+        'mmm-webuntis/status',
+      ]
+    );
+    assert.equal(publishes.at(-1).payload, 'offline');
+    assert.equal(received.at(-1).type, 'disconnect');
+  } finally {
+    sockets.forEach((socket) => {
+      socket.destroy();
+    });
+    await new Promise((resolve) => broker.close(resolve));
+  }
+});
+
+test('change detection reports cancellations, substitutions, moved exams and new items but ignores scrolled-in data', async (t) => {
+  const lesson = { id: 7, date: 20260311, startTime: 800, endTime: 845, rooms: [{ name: 'R101' }], teachers: [{ name: 'MUE' }] };
+  const buildPayload = (generatedAt, data) => ({
+    meta: { generatedAt },
+    context: {
+      student: { id: 1001, title: 'Alice' },
+      fetchRanges: { exams: { startYmd: 20260310, endYmd: 20260331 }, homework: { startYmd: 20260310, endYmd: 20260407 } },
+    },
+    data: { lessons: [], exams: [], homework: [], ...data },
+    state: { fetch: { timetable: true, exams: true, homework: true }, api: {} },
+  });
+
+  helper._mmLog = () => {};
+  helper._studentSnapshots = new Map();
+  helper._changeListeners = new Set();
+  const { fetchData, _applyStudentValidationWarnings } = helper;
+  helper._applyStudentValidationWarnings = () => {};
+  t.after(() => {
+    helper.fetchData = fetchData;
+    helper._applyStudentValidationWarnings = _applyStudentValidationWarnings;
+  });
+  const received = [];
+  const unsubscribe = helper.onStudentChanges((event) => received.push(event));
+  const fetchWith = async (payload) => {
+    helper.fetchData = async () => payload;
+    return helper._fetchStudentPayloadForGroup({
+      student: { title: 'Alice' },
+      identifier: 'mirror',
+      config: {},
+      warningsState: helper._createGroupWarningCollector(),
+    });
+  };
+
+  const first = await fetchWith(
+    buildPayload('2026-03-10T18:00:00.000Z', {
+      lessons: [lesson, { ...lesson, id: 8, startTime: 850 }],
+      exams: [{ examDate: 20260316, subject: 'M', name: 'Test' }],
+      homework: [{ id: 1, dueDate: 20260312 }],
+    })
+  );
+  assert.deepEqual(first.state.changes, []);
+
+  const second = await fetchWith(
+    buildPayload('2026-03-10T21:00:00.000Z', {
+      lessons: [
+        { ...lesson, status: 'CANCELLED' },
+        { ...lesson, id: 8, startTime: 850, rooms: [{ name: 'R204' }], teachers: [{ name: 'SCH' }] },
+      ],
+      exams: [
+        { examDate: 20260318, subject: 'M', name: 'Test' },
+        { examDate: 20260320, subject: 'D', name: 'Aufsatz' },
+        { examDate: 20260401, subject: 'E', name: 'Vocab' },
+      ],
+      homework: [
+        { id: 1, dueDate: 20260312 },
+        { id: 2, dueDate: 20260313 },
+      ],
+    })
+  );
+  unsubscribe();
+
+  const summary = second.state.changes.map((change) => `${change.type}:${change.key}`);
+  assert.deepEqual(summary, [
+    'lessonCancelled:7|20260311|800',
+    'roomChanged:8|20260311|850',
+    'teacherSubstituted:8|20260311|850',
+    'examMoved:m|test|20260318',
+    'examAdded:d|aufsatz|20260320',
+    'homeworkAdded:id:2',
+  ]);
+  const moved = second.state.changes.find((change) => change.type === 'examMoved');
+  assert.deepEqual(moved.before, { date: 20260316, startTime: null });
+  assert.equal(moved.detectedAt, '2026-03-10T21:00:00.000Z');
+  assert.equal(received.length, 1);
+  assert.equal(received[0].changes.length, 6);
+});
+
+test('a debugDate fetch leaves the shared snapshot, change baseline and MQTT state untouched', async (t) => {
+  const buildPayload = (generatedAt, lessons) => ({
+    meta: { generatedAt },
+    context: { student: { id: 1001, title: 'Alice' } },
+    data: { lessons, exams: [], homework: [] },
+    state: { fetch: { timetable: true }, api: {} },
+  });
+  const lesson = { id: 7, date: 20260311, startTime: 800, endTime: 845 };
+
+  helper._mmLog = () => {};
+  helper._studentSnapshots = new Map();
+  helper._changeListeners = new Set();
+  const { fetchData, _applyStudentValidationWarnings, _persistStudentPayload, _mqttPublisher } = helper;
+  const persisted = [];
+  const published = [];
+  Object.assign(helper, {
+    _applyStudentValidationWarnings: () => {},
+    _persistStudentPayload: (...args) => persisted.push(args),
+    _mqttPublisher: { publishStudents: async (...args) => published.push(args) },
+  });
+  t.after(() => {
+    Object.assign(helper, { fetchData, _applyStudentValidationWarnings, _persistStudentPayload, _mqttPublisher });
+  });
+  const received = [];
+  const unsubscribe = helper.onStudentChanges((event) => received.push(event));
+  t.after(unsubscribe);
+  const fetchWith = async (payload, config) => {
+    helper.fetchData = async () => payload;
+    return helper._fetchStudentPayloadForGroup({
+      student: { title: 'Alice' },
+      identifier: 'mirror',
+      config,
+      warningsState: helper._createGroupWarningCollector(),
+    });
+  };
+
+  await fetchWith(buildPayload('2026-03-10T18:00:00.000Z', [lesson]), {});
+  const snapshot = helper._getStudentSnapshot('mirror', 'Alice');
+  assert.equal(persisted.length, 1);
+
+  const shifted = await fetchWith(buildPayload('2026-03-10T18:05:00.000Z', [{ ...lesson, date: 20260318, status: 'CANCELLED' }]), {
+    debugDate: '2026-03-18',
+  });
+  assert.deepEqual(shifted.state.changes, []);
+  assert.equal(helper._getStudentSnapshot('mirror', 'Alice'), snapshot, 'the shifted view does not replace the real snapshot');
+  assert.equal(received.length, 0, 'no change events for a shifted view');
+  assert.equal(persisted.length, 1, 'the offline cache is not written');
+
+  const mqtt = { enabled: true, url: 'mqtt://127.0.0.1:1883' };
+  await helper._publishMqttState('mirror', [{ title: 'Alice' }], { mqtt, debugDate: '2026-03-18', timezone: 'Europe/Berlin' });
+  assert.equal(published.length, 0, 'MQTT state is not derived from a shifted day');
+  await helper._publishMqttState('mirror', [{ title: 'Alice' }], { mqtt, timezone: 'Europe/Berlin' });
+  assert.equal(published.length, 1);
+});
+
+test('webhook notifier posts filtered, templated changes to a local endpoint and retries 5xx with backoff', async () => {
+  const http = require('node:http');
+  const { WebhookNotifier, renderTemplate } = require('../lib/webhookNotifier');
+  const requests = [];
+  let failNext = true;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, contentType: req.headers['content-type'], title: req.headers.title, body });
+      if (req.url === '/json' && failNext) {
+        failNext = false;
+        res.writeHead(503).end();
+        return;
+      }
+      res.writeHead(req.url === '/gone' ? 404 : 200).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    assert.equal(renderTemplate('{subject} {missing}!', { subject: 'Ma' }), 'Ma !');
+
+    const delays = [];
+    const notifier = new WebhookNotifier({ sleep: async (ms) => delays.push(ms) });
+    const changes = [
+      {
+        type: 'lessonCancelled',
+        collection: 'lessons',
+        key: '7|20260310|800',
+        date: 20260310,
+        startTime: 800,
+        item: { id: 7, endTime: 845, subjects: [{ name: 'Ma', longname: 'Maths' }] },
+      },
+      { type: 'examAdded', collection: 'exams', date: 20260316, startTime: null, item: { subject: 'D', name: 'Aufsatz' } },
+    ];
+    const config = {
+      language: 'en',
+      webhooks: [
+        { url: `${base}/json`, events: ['lessonCancelled'], students: ['Alice'] },
+        { url: `${base}/form`, format: 'form', students: ['Bob'] },
+        {
+          url: `${base}/text`,
+          format: 'text',
+          headers: { Title: 'WebUntis {student}' },
+          templates: { lessonCancelled: '{subjectLong} on {weekday} period {period} cancelled' },
+        },
+        { url: `${base}/gone`, events: ['examAdded'] },
+        { url: 'ftp://ignored.example' },
+      ],
+    };
+
+    const result = await notifier.deliverChanges({
+      config,
+      identifier: 'mirror',
+      student: { title: 'Alice' },
+      changes,
+      timeUnits: [{ startTime: 800, endTime: 845, name: '1' }],
+    });
+
+    // 404 is permanent: no retry, counted as failed.
+    assert.deepEqual(result, { sent: 3, failed: 1 });
+    assert.equal(delays.length, 1);
+    assert.ok(delays[0] >= 750 && delays[0] <= 1250);
+    assert.deepEqual(
+      requests.map((request) => request.url),
+      ['/json', '/json', '/text', '/text', '/gone']
+    );
+
+    const json = JSON.parse(requests[1].body);
+    assert.equal(requests[1].contentType, 'application/json');
+    assert.equal(json.message, 'Maths on Tuesday 2026-03-10, period 1 (08:00) cancelled');
+    assert.equal(json.title, 'WebUntis Alice');
+    assert.equal(json.change.key, '7|20260310|800');
+
+    assert.equal(requests[2].body, 'Maths on Tuesday period 1 cancelled');
+    assert.equal(requests[2].title, 'WebUntis Alice');
+    assert.equal(requests[3].body, 'New exam: D Aufsatz on Monday 2026-03-16');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('offline cache persists redacted last good payloads and replays them as stale on CONFIGURE', async (t) => {
+  const fs = require('node:fs');
+  const path = require('node:path');
+  const { readPayloadSnapshots, writePayloadSnapshot } = require('../lib/payloadSnapshotStore');
+  const dir = fs.mkdtempSync(path.join(require('node:os').tmpdir(), 'wu-offline-'));
+  const buildPayload = (generatedAt, data, api = {}) => ({
+    meta: { generatedAt },
+    context: { student: { id: 1001, title: 'Alice' }, config: { password: 'secret', students: [{ title: 'Alice', qrcode: 'untis://x' }] } },
+    data: { lessons: [], exams: [], timeUnits: [], ...data },
+    state: { fetch: { timetable: true, exams: true }, api, warnings: ['Exams failed'], warningMeta: [] },
+  });
+
+  const { fetchData, _applyStudentValidationWarnings, _payloadSnapshotDir } = helper;
+  Object.assign(helper, {
+    _mmLog: () => {},
+    _studentSnapshots: new Map(),
+    _persistedPayloads: new Map(),
+    _changeListeners: new Set(),
+    _payloadSnapshotDir: dir,
+    _applyStudentValidationWarnings: () => {},
+  });
+  t.after(() => {
+    Object.assign(helper, { fetchData, _applyStudentValidationWarnings, _payloadSnapshotDir });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const fetchWith = (payload, config = {}) => {
+    helper.fetchData = async () => payload;
+    return helper._fetchStudentPayloadForGroup({
+      student: { title: 'Alice' },
+      identifier: 'mirror',
+      config,
+      warningsState: helper._createGroupWarningCollector(),
+    });
+  };
+  const readAlice = () => JSON.parse(fs.readFileSync(path.join(dir, 'mirror__Alice.json'), 'utf8'));
+
+  await fetchWith(buildPayload('2026-03-10T06:00:00.000Z', { lessons: [{ id: 1 }], exams: [{ name: 'Test' }] }));
+  // A failing exams endpoint keeps the last good exams; a failing timetable keeps the whole file.
+  await fetchWith(buildPayload('2026-03-10T07:00:00.000Z', { lessons: [{ id: 2 }] }, { exams: 503 }));
+  // Same content as the last written snapshot: no write within the rewrite interval.
+  await fetchWith(buildPayload('2026-03-10T07:30:00.000Z', { lessons: [{ id: 2 }] }, { exams: 503 }));
+  await fetchWith(buildPayload('2026-03-10T08:00:00.000Z', {}, { timetable: 503 }));
+  // Shifted views (debugDate / WEBUNTIS_SET_DATE_OFFSET) never write.
+  await fetchWith(buildPayload('2026-03-10T09:00:00.000Z', { lessons: [{ id: 3 }] }), { debugDate: '2026-03-17' });
+
+  const stored = readAlice();
+  assert.equal(stored.payload.meta.generatedAt, '2026-03-10T07:00:00.000Z');
+  assert.deepEqual(stored.payload.data.lessons, [{ id: 2 }]);
+  assert.deepEqual(stored.payload.data.exams, [{ name: 'Test' }]);
+  assert.deepEqual(stored.payload.state.warnings, []);
+  assert.equal(stored.payload.context.config.password, '<REDACTED>');
+  assert.equal(stored.payload.context.config.students[0].qrcode, '<REDACTED>');
+  assert.deepEqual(
+    fs.readdirSync(dir).filter((name) => name.endsWith('.tmp')),
+    []
+  );
+
+  writePayloadSnapshot({
+    dir,
+    identifier: 'mirror',
+    payload: { ...stored.payload, context: { student: { title: 'Bob' } } },
+    now: new Date(Date.now() - 200 * 60 * 60 * 1000),
+  });
+  const skipped = [];
+  readPayloadSnapshots({ dir, identifier: 'mirror', maxAgeMs: 168 * 60 * 60 * 1000, onSkip: (fileName) => skipped.push(fileName) });
+  assert.deepEqual(skipped, ['mirror__Bob.json']);
+
+  const emitted = [];
+  const { _emitGotData } = helper;
+  helper._emitGotData = (payload, route) => emitted.push({ payload, route });
+  t.after(() => {
+    helper._emitGotData = _emitGotData;
+  });
+  assert.equal(helper._replayPersistedPayloads({ students: [{ title: 'Alice' }] }, 'mirror', 'window-2'), 1);
+  assert.equal(emitted[0].payload.meta.stale, true);
+  assert.equal(emitted[0].payload.meta.savedAt, stored.savedAt);
+  assert.deepEqual(emitted[0].route, { identifier: 'mirror', sessionId: 'window-2' });
+  assert.equal(helper._replayPersistedPayloads({ offlineCache: { enabled: false } }, 'mirror', 'window-2'), 0);
+  assert.equal(helper._replayPersistedPayloads({ students: [{ title: 'Carl' }] }, 'other', 'window-2'), 0);
+
+  // Once the rewrite interval has passed, unchanged content is written again to refresh savedAt.
+  const unchanged = { lessons: [{ id: 4 }] };
+  await fetchWith(buildPayload('2026-03-10T09:30:00.000Z', unchanged));
+  await fetchWith(buildPayload('2026-03-10T09:45:00.000Z', unchanged));
+  assert.equal(readAlice().payload.meta.generatedAt, '2026-03-10T09:30:00.000Z');
+  helper._persistedPayloads.get('mirror:Alice').savedAtMs -= 61 * 60 * 1000;
+  await fetchWith(buildPayload('2026-03-10T10:30:00.000Z', unchanged));
+  assert.equal(readAlice().payload.meta.generatedAt, '2026-03-10T10:30:00.000Z');
+});
+
+test('frontend shows replayed payloads as stale until a live fetch succeeds and ignores late replays', () => {
+  let processed = 0;
+  let broadcasts = 0;
+  Object.assign(frontend, {
+    _freshDataStudents: new Set(),
+    _staleDataSinceByStudent: {},
+    configByStudent: {},
+    lifecycle: { render() {}, markDataReceived() {} },
+    _syncDebugDate() {},
+    _processPayloadData: () => {
+      processed += 1;
+      return true;
+    },
+    _processGotDataWarnings: () => false,
+    _broadcastStudentNotifications: () => {
+      broadcasts += 1;
+    },
+  });
+  const payload = (meta, state = {}) => ({ contractVersion: 3, meta, context: { student: { title: 'Alice' } }, state });
+  const stale = payload({ stale: true, generatedAt: '2026-03-10T06:00:00.000Z', savedAt: '2026-03-10T06:00:01.000Z' });
+
+  frontend._handleGotData(stale);
+  assert.equal(frontend._staleDataSinceByStudent.Alice, '2026-03-10T06:00:00.000Z');
+  assert.equal(broadcasts, 0);
+
+  // An outage keeps the replayed data and therefore the stale mark.
+  frontend._handleGotData(payload({}, { fetch: { timetable: true }, api: { timetable: 503 } }));
+  assert.equal(frontend._staleDataSinceByStudent.Alice, '2026-03-10T06:00:00.000Z');
+
+  frontend._handleGotData(payload({}, { fetch: { timetable: true }, api: { timetable: 200 } }));
+  assert.equal(frontend._staleDataSinceByStudent.Alice, undefined);
+  assert.equal(broadcasts, 2);
+
+  frontend._handleGotData(stale);
+  assert.equal(processed, 3);
+  assert.equal(frontend._staleDataSinceByStudent.Alice, undefined);
+});
+
+test('result cache shares one upstream request between sessions of the same credentials', async () => {
+  const ResultCache = require('../lib/webuntis/resultCache');
+  const WebUntisClient = require('../lib/webuntis/webuntisClient');
+  let now = 1000;
+  const cache = new ResultCache({ now: () => now });
+
+  let calls = 0;
+  const fetcher = async () => {
+    calls += 1;
+    await new Promise((resolve) => setImmediate(resolve));
+    return { status: 200, data: [{ id: calls }] };
+  };
+  const [first, second] = await Promise.all([cache.getOrFetch('k', 100, fetcher), cache.getOrFetch('k', 100, fetcher)]);
+  assert.equal(calls, 1);
+  assert.deepEqual(first, second);
+  first.data[0].id = 99;
+  assert.equal((await cache.getOrFetch('k', 100, fetcher)).data[0].id, 1, 'callers get their own copy');
+  now += 100;
+  await cache.getOrFetch('k', 100, fetcher);
+  assert.equal(calls, 2, 'expired entries are fetched again');
+
+  await cache.getOrFetch('fail', 100, async () => ({ status: 503, data: null }));
+  await assert.rejects(cache.getOrFetch('error', 100, async () => Promise.reject(new Error('down'))));
+  assert.equal(cache.size, 1, 'failures are not stored');
+
+  const student = { title: 'Alice', qrcode: 'untis://setschool?url=x.webuntis.com&school=s&user=alice&key=k' };
+  const otherTab = helper._getCredentialKey(student, {}, 'tab-2');
+  assert.notEqual(helper._getCredentialKey(student, {}, 'tab-1'), otherTab);
+  assert.equal(otherTab.endsWith(`::${helper._getSharedCredentialKey(student, {})}`), true);
+  assert.equal(helper._getResultCacheTtlMs({ updateInterval: 60000 }), 54000);
+
+  let upstream = 0;
+  const createClient = () =>
+    new WebUntisClient({
+      resultCache: new ResultCache(),
+      resultCacheScope: helper._getSharedCredentialKey(student, {}),
+      resultCacheTtlMs: 54000,
+    });
+  const tab1 = createClient();
+  const tab2 = createClient();
+  tab2.resultCache = tab1.resultCache;
+  const request = async () => {
+    upstream += 1;
+    return { status: 200, data: [] };
+  };
+  const range = { personId: 5, rangeStart: new Date(2026, 2, 9), rangeEnd: new Date(2026, 2, 15) };
+  const ctx = { server: 'x.webuntis.com' };
+  await tab1._withResultCache('exams', ctx, range, request)();
+  await tab2._withResultCache('exams', ctx, range, request)();
+  await tab2._withResultCache('exams', ctx, { ...range, personId: 6 }, request)();
+  await tab2._withResultCache('exams', { ...ctx, debugApi: true }, range, request)();
+  assert.equal(upstream, 3, 'only identical requests are shared, debug runs bypass the cache');
+
+  const forced = createClient();
+  forced.resultCache = tab1.resultCache;
+  forced.resultCacheForceRefresh = true;
+  const fresh = async () => {
+    upstream += 1;
+    return { status: 200, data: [{ id: 'fresh' }] };
+  };
+  assert.deepEqual((await forced._withResultCache('exams', ctx, range, fresh)()).data, [{ id: 'fresh' }]);
+  assert.equal(upstream, 4, 'a forced refresh skips the stored response');
+  assert.deepEqual((await tab2._withResultCache('exams', ctx, range, request)()).data, [{ id: 'fresh' }], 'and repopulates it');
+  assert.equal(upstream, 4);
+
+  const { _executeFetchForSession } = helper;
+  const forcedDuringFetch = [];
+  helper._executeFetchForSession = async (sessionKey) => forcedDuringFetch.push(helper._forceRefreshSessions.has(sessionKey));
+  helper._configsBySession.set('mirror:tab', { students: [] });
+  try {
+    await helper._handleFetchData({ id: 'mirror', sessionId: 'tab', reason: 'notification', force: true });
+    await helper._handleFetchData({ id: 'mirror', sessionId: 'tab', reason: 'periodic' });
+  } finally {
+    helper._executeFetchForSession = _executeFetchForSession;
+    helper._configsBySession.delete('mirror:tab');
+  }
+  assert.deepEqual(forcedDuringFetch, [true, false]);
+  assert.equal(helper._forceRefreshSessions.size, 0);
+});
+
+test('timetable refreshes fetch only today onward and reuse past days until the full resync is due', async () => {
+  const { orchestrateFetch } = require('../lib/webuntis/dataFetchOrchestrator');
+  const toDate = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const requests = [];
+  let failNext = false;
+  const getTimetableViaRest = async (_authCtx, _sessionCtx, _logCtx, _flagsCtx, rangeStart, rangeEnd) => {
+    requests.push(`${toDate(rangeStart)}..${toDate(rangeEnd)}`);
+    if (failNext) throw new Error('HTTP 503');
+    const lessons = [];
+    for (const day = new Date(rangeStart); day < rangeEnd; day.setDate(day.getDate() + 1)) {
+      lessons.push({ id: requests.length, date: toDate(day), startTime: '08:00' });
+    }
+    lessons.dayNotices = [{ date: toDate(rangeStart), kind: 'timetable-restricted' }];
+    return lessons;
+  };
+
+  const store = new Map();
+  const fetchDay = async (baseNow, fullSyncIntervalMs = 60 * 60 * 1000) => {
+    const start = new Date(baseNow);
+    start.setDate(start.getDate() - 5);
+    const end = new Date(baseNow);
+    end.setDate(end.getDate() + 3);
+    const result = await orchestrateFetch({
+      student: { title: 'Alice' },
+      baseNow,
+      dateRanges: { timetable: { start, end, pastDays: 5, nextDays: 2 }, exams: { nextDays: 0 } },
+      restTargets: [{ server: 'x.webuntis.com', personId: 5, role: 'STUDENT' }],
+      contexts: { authCtx: {}, sessionCtx: {}, logCtx: {}, flagsCtx: {} },
+      restFns: { callRest: (fn, ...args) => fn(...args), getTimetableViaRest },
+      fetchFlags: { fetchTimetable: true },
+      logger: () => {},
+      timetableSync: { store, key: 'user:alice|Alice', fullSyncIntervalMs },
+    });
+    return result.timetable;
+  };
+
+  const monday = new Date(2026, 2, 9, 7, 0);
+  const full = await fetchDay(monday);
+  assert.equal(full.length, 8);
+  assert.deepEqual(requests, ['2026-03-04..2026-03-12']);
+
+  full[0].startTime = 'changed downstream';
+  const refresh = await fetchDay(new Date(2026, 2, 9, 7, 2));
+  assert.deepEqual(requests.slice(1), ['2026-03-09..2026-03-12'], 'refresh starts today');
+  assert.deepEqual(
+    refresh.map((lesson) => lesson.date),
+    full.map((lesson) => lesson.date)
+  );
+  assert.equal(refresh[0].startTime, '08:00', 'the cache keeps its own copy');
+  assert.equal(refresh[0].id, 1);
+  assert.equal(refresh[5].id, 2);
+  assert.deepEqual(
+    refresh.dayNotices.map((notice) => notice.date),
+    ['2026-03-04', '2026-03-09']
+  );
+
+  failNext = true;
+  assert.deepEqual(await fetchDay(new Date(2026, 2, 9, 7, 4)), []);
+  failNext = false;
+
+  const tuesday = await fetchDay(new Date(2026, 2, 10, 7, 0), 48 * 60 * 60 * 1000);
+  assert.equal(requests.at(-1), '2026-03-10..2026-03-13');
+  assert.deepEqual(
+    tuesday.map((lesson) => `${lesson.date}#${lesson.id}`).slice(0, 6),
+    ['2026-03-05#1', '2026-03-06#1', '2026-03-07#1', '2026-03-08#1', '2026-03-09#2', '2026-03-10#4'],
+    'yesterday comes from the last incremental fetch, the failed one left the cache alone'
+  );
+
+  await fetchDay(new Date(2026, 2, 10, 8, 30));
+  assert.equal(requests.at(-1), '2026-03-05..2026-03-13', 'full resync after the interval');
+  await fetchDay(new Date(2026, 2, 10, 8, 32), 0);
+  assert.equal(requests.at(-1), '2026-03-05..2026-03-13', 'interval 0 always downloads the full window');
+});
+
+test('delta transport sends only changed collections and the frontend merges them or asks for a full resync', async () => {
+  const sent = [];
+  const { sendSocketNotification, _configsBySession, _deltaStateBySession } = helper;
+  Object.assign(helper, {
+    sendSocketNotification: (_notification, envelope) => sent.push(envelope.data),
+    _configsBySession: new Map([['MMM-Webuntis_0:tab', { deltaTransport: 1 }]]),
+    _deltaStateBySession: new Map(),
+  });
+  const route = { identifier: 'MMM-Webuntis_0', sessionId: 'tab' };
+  const build = (lessons, exams, api = { timetable: 200, exams: 200 }) => ({
+    contractVersion: 3,
+    meta: {},
+    context: { student: { title: 'Alice' } },
+    data: { timeUnits: [], lessons, dayNotices: [], exams, homework: [], absences: [], grades: [], messages: [], holidays: { ranges: [] } },
+    state: { fetch: { timetable: true, exams: true }, api, warnings: [], warningMeta: [] },
+  });
+  const lesson = { id: 1, date: 20260310, startTime: 800, status: 'REGULAR' };
+  const exam = { subject: 'Maths', examDate: 20260312 };
+
+  try {
+    helper._emitGotData(build([lesson], [exam]), route);
+    helper._emitGotData(build([lesson], [exam]), route);
+    helper._emitGotData(build([{ ...lesson, status: 'CANCELLED' }], [exam]), route);
+    helper._emitGotData(build([{ ...lesson, status: 'CANCELLED' }], [exam], { timetable: 200, exams: 503 }), route);
+    helper._emitGotData({ ...build([], []), meta: { stale: true } }, route);
+
+    assert.deepEqual(
+      sent.map((payload) => [payload.delta?.baseRevision, Object.keys(payload.data).length, payload.delta?.unchanged?.length]),
+      [
+        [null, 9, 0],
+        [1, 0, 9],
+        [2, 1, 8],
+        [3, 9, 0],
+        [undefined, 9, undefined],
+      ],
+      'a changed API status resends everything, offline replays stay complete'
+    );
+
+    await helper._handleFetchData({ id: 'MMM-Webuntis_0', sessionId: 'tab', fullResync: true });
+    assert.equal(helper._deltaStateBySession.has('MMM-Webuntis_0:tab'), false);
+  } finally {
+    Object.assign(helper, { sendSocketNotification, _configsBySession, _deltaStateBySession });
+  }
+
+  const client = loadFrontendModule();
+  const requests = [];
+  let renders = 0;
+  Object.assign(client, {
+    config: { deltaUpdates: true },
+    identifier: 'MMM-Webuntis_0',
+    _initialized: true,
+    _freshDataStudents: new Set(),
+    _staleDataSinceByStudent: {},
+    _deltaRevisionByStudent: {},
+    _deltaResyncPending: false,
+    configByStudent: {},
+    timetableByStudent: {},
+    examsByStudent: {},
+    dayNoticesByStudent: {},
+    timeUnitsByStudent: {},
+    periodNamesByStudent: {},
+    preprocessedByStudent: {},
+    homeworksByStudent: {},
+    absencesByStudent: {},
+    gradesByStudent: {},
+    messagesOfDayByStudent: {},
+    holidaysByStudent: {},
+    holidayMapByStudent: {},
+    dayNoticeMapByStudent: {},
+    _log() {},
+    _buildSendConfig: () => ({ id: 'MMM-Webuntis_0', sessionId: 'tab', deltaTransport: 1 }),
+    transport: { sendRequest: (action, data) => requests.push({ action, ...data }) },
+    lifecycle: {
+      render: () => {
+        renders += 1;
+      },
+      markDataReceived() {},
+    },
+    _syncDebugDate() {},
+    _processGotDataWarnings: () => false,
+    _broadcastStudentNotifications() {},
+  });
+
+  client._handleGotData(sent[0]);
+  client._handleGotData(sent[1]);
+  assert.equal(sent[1].delta.notModified, true);
+  assert.equal(renders, 1, 'a not-modified payload does not re-render');
+  assert.deepEqual(Object.keys(sent[2].data), ['lessons']);
+  client._handleGotData(sent[2]);
+  assert.equal(client.timetableByStudent.Alice[0].status, 'CANCELLED');
+  assert.deepEqual(client.examsByStudent.Alice, [exam], 'omitted collections keep their data');
+  assert.equal(renders, 2);
+
+  client._deltaRevisionByStudent.Alice = 1;
+  client._handleGotData(sent[3]);
+  client._handleGotData(sent[3]);
+  assert.deepEqual(
+    requests.map((request) => [request.action, request.reason, request.fullResync]),
+    [['REFRESH', 'delta-resync', true]],
+    'a gap requests one full resync per fetch cycle'
+  );
+  assert.equal(renders, 2);
+  client._handleGotData(sent[0]);
+  assert.equal(client._deltaRevisionByStudent.Alice, 1, 'complete payloads are always applied');
+});
+
+// Minimal DOM for host code that only appends, keys, and patches elements.
+class FakeNode {
+  #children = [];
+  #attributes = new Map();
+  constructor(nodeType, nodeName, nodeValue = null) {
+    Object.defineProperties(this, {
+      nodeType: { value: nodeType },
+      nodeName: { value: nodeName },
+      nodeValue: { value: nodeValue, writable: true },
+      parentNode: { value: null, writable: true },
+    });
+  }
+  get childNodes() {
+    return this.#children;
+  }
+  get children() {
+    return this.#children.filter((child) => child.nodeType === 1);
+  }
+  get lastChild() {
+    return this.#children[this.#children.length - 1] || null;
+  }
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+  get attributes() {
+    return Array.from(this.#attributes, ([name, value]) => ({ name, value }));
+  }
+  hasAttribute(name) {
+    return this.#attributes.has(name);
+  }
+  getAttribute(name) {
+    return this.#attributes.has(name) ? this.#attributes.get(name) : null;
+  }
+  setAttribute(name, value) {
+    this.#attributes.set(name, String(value));
+  }
+  removeAttribute(name) {
+    this.#attributes.delete(name);
+  }
+  removeChild(child) {
+    this.#children.splice(this.#children.indexOf(child), 1);
+    child.parentNode = null;
+    return child;
+  }
+  insertBefore(child, reference) {
+    child.parentNode?.removeChild(child);
+    const index = reference ? this.#children.indexOf(reference) : this.#children.length;
+    this.#children.splice(index, 0, child);
+    child.parentNode = this;
+    return child;
+  }
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+  cloneNode() {
+    const clone = new FakeNode(this.nodeType, this.nodeName, this.nodeValue);
+    for (const { name, value } of this.attributes) clone.setAttribute(name, value);
+    return clone;
+  }
+  replaceChildren(...children) {
+    while (this.lastChild) this.removeChild(this.lastChild);
+    for (const child of children) this.appendChild(child);
+  }
+  isEqualNode(other) {
+    return (
+      this.nodeType === other.nodeType &&
+      this.nodeName === other.nodeName &&
+      this.nodeValue === other.nodeValue &&
+      JSON.stringify(this.attributes) === JSON.stringify(other.attributes) &&
+      this.childNodes.length === other.childNodes.length &&
+      this.childNodes.every((child, index) => child.isEqualNode(other.childNodes[index]))
+    );
+  }
+}
+const el = (tag, attributes = {}, children = []) => {
+  const node = new FakeNode(1, tag.toUpperCase());
+  for (const [name, value] of Object.entries(attributes)) node.setAttribute(name, value);
+  for (const child of children) node.appendChild(typeof child === 'string' ? new FakeNode(3, '#text', child) : child);
+  return node;
+};
+
+test('keyed DOM patcher reuses unchanged rows, replaces changed ones and keeps marked elements', () => {
+  const { patchKeyedDom } = require('../lib/pluginHostFrontend');
+
+  const renderList = (rows, extra = {}) =>
+    el('section', { class: 'wu-plugin', ...extra }, [
+      el('h2', {}, ['Lessons']),
+      ...rows.map(([key, text]) => el('div', { 'data-wu-key': key }, [text])),
+    ]);
+
+  const mounted = renderList([
+    ['a', 'Math'],
+    ['b', 'English'],
+    ['c', 'Art'],
+  ]);
+  const [heading, rowA, rowB, rowC] = mounted.childNodes;
+  rowB._onClick = 'english';
+
+  const next = renderList(
+    [
+      ['c', 'Art'],
+      ['a', 'Math'],
+      ['b', 'English (room 12)'],
+      ['d', 'Sports'],
+    ],
+    { class: 'wu-plugin updated' }
+  );
+  next._runtimeState = 'fresh';
+  const [, , nextRowB, nextRowD] = next.childNodes.slice(1);
+
+  assert.equal(patchKeyedDom(mounted, next), mounted, 'containers with keyed children are patched in place');
+  assert.equal(mounted.getAttribute('class'), 'wu-plugin updated');
+  assert.equal(mounted._runtimeState, 'fresh');
+  assert.deepEqual(mounted.childNodes, [heading, rowC, rowA, nextRowB, nextRowD]);
+  assert.equal(mounted.childNodes[3]._onClick, undefined, 'changed keyed rows are replaced, not patched');
+
+  const keep = el('div', { 'data-wu-key': 'c', 'data-wu-keep': '1' });
+  patchKeyedDom(mounted, el('section', { class: 'wu-plugin updated' }, [el('h2', {}, ['Lessons']), keep]));
+  assert.deepEqual(mounted.childNodes, [heading, rowC], 'keep markers leave the mounted element untouched');
+
+  const unkeyed = el('section', {}, [el('p', {}, ['old'])]);
+  const replacement = el('section', {}, [el('p', {}, ['new'])]);
+  assert.equal(patchKeyedDom(unkeyed, replacement), replacement, 'changed elements without keyed children are atomic');
+  assert.equal(patchKeyedDom(unkeyed, el('section', {}, [el('p', {}, ['old'])])), unkeyed);
+  assert.equal(patchKeyedDom(unkeyed, el('div')).nodeName, 'DIV');
+});
+
+test('updateDom keeps the core contract on the patch path and falls back to a full render', async () => {
+  const calls = [];
+  const module = Object.assign(Object.create(loadFrontendModule()), {
+    _patched: true,
+    _patchMountedDom() {
+      return this._patched;
+    },
+    _super: (options) => {
+      calls.push(['super', options]);
+      return Promise.resolve('core');
+    },
+    _log: (level, message) => calls.push([level, message]),
+    notificationReceived: (notification, payload, sender) => calls.push([notification, payload, sender === module]),
+  });
+
+  const patched = module.updateDom();
+  assert.ok(patched instanceof Promise);
+  await patched;
+  assert.deepEqual(calls, [['MODULE_DOM_UPDATED', null, true]]);
+
+  calls.length = 0;
+  await module.updateDom({ options: { speed: 500, animate: { in: 'fadeIn' } } });
+  assert.equal(calls[0][0], 'debug', 'skipped animation options are logged');
+  assert.equal(calls[1][0], 'MODULE_DOM_UPDATED');
+
+  calls.length = 0;
+  module._patched = false;
+  assert.equal(await module.updateDom(300), 'core');
+  assert.deepEqual(calls, [['super', 300]]);
+});
+
+test('plugin translate applies replacements to plugin entries and fallbacks alike', () => {
+  const host = Object.assign(Object.create(loadFrontendModule()), {
+    translate: (key) => key,
+    _pluginTranslationsById: new Map([['nownext', { break_until: 'Pause bis {time}' }]]),
+  });
+  const replacements = { time: '09:40', duration: '5 min' };
+  assert.equal(host._translatePluginKey('nownext', 'break_until', 'break until {time}', replacements), 'Pause bis 09:40');
+  assert.equal(
+    host._translatePluginKey('nownext', 'free_until', 'free until {time}, {duration} from now ({time})', replacements),
+    'free until 09:40, 5 min from now (09:40)'
+  );
+  assert.equal(host._translatePluginKey('nownext', 'missing', '', replacements), 'missing');
+});
+
+test('frontend plugin lifecycle hooks reach version 2 instances only and failures stay isolated', () => {
+  const { createPluginHost } = require('../lib/pluginHostFrontend');
+  const host = createPluginHost({ logger() {} });
+  const calls = [];
+  const hooks = (id) => ({
+    render: () => null,
+    onSuspend: () => calls.push(`${id}:suspend`),
+    onResume: () => calls.push(`${id}:resume`),
+    onDataUpdate: (title, payload) => calls.push(`${id}:data:${title}:${payload.meta.generatedAt}`),
+    destroy: () => calls.push(`${id}:destroy`),
+  });
+  host.registerFrontendPlugin({ id: 'grid', hostApiVersion: 2, create: () => hooks('grid') });
+  host.registerFrontendPlugin({ id: 'legacy', hostApiVersion: 1, create: () => hooks('legacy') });
+  host.registerFrontendPlugin({
+    id: 'broken',
+    hostApiVersion: 2,
+    create: () => ({
+      onSuspend() {
+        throw new Error('boom');
+      },
+    }),
+  });
+  assert.throws(() => host.registerFrontendPlugin({ id: 'future', hostApiVersion: 3, create() {} }), /unsupported host API version/);
+
+  // Manifests declare the host API their frontend definition registers with.
+  const fs = require('node:fs');
+  const path = require('node:path');
+  const { validatePluginManifest } = require('../lib/pluginManifestValidator');
+  const pluginsDir = path.join(__dirname, '..', 'plugins');
+  for (const pluginId of fs.readdirSync(pluginsDir).filter((name) => fs.existsSync(path.join(pluginsDir, name, 'manifest.json')))) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(pluginsDir, pluginId, 'manifest.json'), 'utf8'));
+    const source = fs.readFileSync(path.join(pluginsDir, pluginId, 'frontend.js'), 'utf8');
+    const registered = Number(/hostApiVersion: (\d+)/.exec(source)?.[1]);
+    assert.equal(validatePluginManifest(manifest, { pluginDirName: pluginId }).manifest.compatibility.hostApiVersion, registered, pluginId);
+  }
+  const external = JSON.parse(fs.readFileSync(path.join(pluginsDir, 'grid', 'manifest.json'), 'utf8'));
+  assert.deepEqual(validatePluginManifest({ ...external, compatibility: { contractVersion: 3, hostApiVersion: 3 } }).errors, [
+    'Manifest compatibility.hostApiVersion must be one of 1, 2.',
+  ]);
+
+  const frontend = loadFrontendModule();
+  const warnings = [];
+  const client = Object.assign(Object.create(frontend), {
+    _getPluginHost: () => host,
+    _log: (level, message) => warnings.push([level, message]),
+    _frontendPluginInstancesById: new Map(
+      ['broken', 'grid', 'legacy'].map((id) => [id, { instance: host.createFrontendPluginInstance(id, {}), failures: 0 }])
+    ),
+  });
+
+  client._callFrontendPluginHook('onSuspend');
+  client._callFrontendPluginHook('onResume');
+  client._callFrontendPluginHook('onDataUpdate', 'Alice', { meta: { generatedAt: 't1' } });
+  assert.deepEqual(calls, ['grid:suspend', 'grid:resume', 'grid:data:Alice:t1']);
+  assert.deepEqual(warnings, [['warn', '[plugin:broken] onSuspend() failed: boom']]);
+
+  client._setPluginRegistry([
+    { id: 'grid', active: false },
+    { id: 'legacy', active: true },
+  ]);
+  assert.deepEqual(calls.slice(3), ['grid:destroy']);
+  assert.deepEqual(Array.from(client._frontendPluginInstancesById.keys()), ['legacy']);
+});
+
+test('pluginPaths discovers external plugin folders and npm packages with source and collision checks', (t) => {
+  const fs = require('node:fs');
+  const path = require('node:path');
+  const { loadPluginRegistry } = require('../lib/pluginLoader');
+  const dir = fs.mkdtempSync(path.join(require('node:os').tmpdir(), 'wu-plugin-paths-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const writePlugin = (pluginRoot, id, extra = {}) => {
+    fs.mkdirSync(pluginRoot, { recursive: true });
+    fs.writeFileSync(path.join(pluginRoot, 'frontend.js'), '');
+    const manifest = {
+      id,
+      version: '1.0.0',
+      title: id,
+      type: 'widget',
+      entry: { frontend: 'frontend.js' },
+      capabilities: ['lessons'],
+      compatibility: { contractVersion: 3, hostApiVersion: 1 },
+      ...extra,
+    };
+    fs.writeFileSync(path.join(pluginRoot, 'manifest.json'), JSON.stringify(manifest));
+  };
+  writePlugin(path.join(dir, 'collection', 'weather'), 'weather');
+  writePlugin(path.join(dir, 'collection', 'grid'), 'grid');
+  writePlugin(path.join(dir, 'collection', 'escape'), 'escape', { entry: { frontend: '../weather/frontend.js' } });
+  writePlugin(path.join(dir, 'node_modules', 'mmm-webuntis-plugin-meals'), 'meals');
+
+  const registry = loadPluginRegistry({
+    moduleRoot: path.join(__dirname, '..'),
+    baseDir: dir,
+    pluginPaths: ['./collection', 'mmm-webuntis-plugin-meals', 'mmm-webuntis-plugin-missing', ' ./collection ', 42],
+    resolveFn: (request) => {
+      const packageName = request.replace(/\/package\.json$/, '');
+      if (packageName !== 'mmm-webuntis-plugin-meals') throw new Error(`Cannot find module '${request}'\nRequire stack: ...`);
+      return path.join(dir, 'node_modules', packageName, 'package.json');
+    },
+  });
+
+  const sources = Object.fromEntries(registry.plugins.map((plugin) => [plugin.id, plugin.source]));
+  assert.equal(sources.grid, 'builtin');
+  assert.equal(sources.weather, `path:${path.join(dir, 'collection')}`);
+  assert.equal(sources.meals, 'npm:mmm-webuntis-plugin-meals', 'npm package folders need not match the plugin id');
+  assert.equal(sources.escape, undefined);
+  assert.deepEqual(registry.warnings, [
+    `[plugins] Invalid manifest for "escape" (path:${path.join(dir, 'collection')}): Manifest field "entry.frontend" must be a safe relative path.`,
+    `[plugins] Duplicate plugin id "grid" (path:${path.join(dir, 'collection')}) ignored; already provided by builtin.`,
+    "[plugins] Cannot resolve plugin package (npm:mmm-webuntis-plugin-missing): Cannot find module 'mmm-webuntis-plugin-missing/package.json'",
+  ]);
+
+  const previous = { pluginHost: helper._pluginHost, mmLog: helper._mmLog };
+  t.after(() => {
+    helper._pluginHost = previous.pluginHost;
+    helper._mmLog = previous.mmLog;
+  });
+  helper._pluginHost = registry;
+  helper._mmLog = () => {};
+  const frontendRegistry = helper._buildFrontendPluginRegistry({});
+  const weatherEntry = frontendRegistry.find((entry) => entry.id === 'weather');
+  assert.equal(weatherEntry.entry.frontend, '/MMM-Webuntis/plugin-assets/weather/frontend.js');
+  assert.equal(frontendRegistry.find((entry) => entry.id === 'grid').entry.frontend, 'plugins/grid/frontend.js');
+
+  const request = (requestPath) => {
+    const res = {
+      statusCode: 200,
+      sentFile: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set() {
+        return this;
+      },
+      send() {
+        return this;
+      },
+      sendFile(filePath) {
+        this.sentFile = filePath;
+      },
+    };
+    helper._handlePluginAssetRequest({ method: 'GET', path: requestPath }, res);
+    return res;
+  };
+  assert.equal(request('/weather/frontend.js').sentFile, path.join(dir, 'collection', 'weather', 'frontend.js'));
+  assert.equal(request('/weather/..%2Fgrid%2Fmanifest.json').statusCode, 404, 'paths leaving the plugin root are refused');
+  assert.equal(request('/grid/frontend.js').statusCode, 404, 'built-in plugins are served by MagicMirror');
+
+  const weatherRoot = path.join(dir, 'collection', 'weather');
+  fs.mkdirSync(path.join(weatherRoot, 'translations'));
+  fs.writeFileSync(path.join(weatherRoot, 'translations', 'de.json'), '{}');
+  fs.writeFileSync(path.join(weatherRoot, 'backend.js'), '');
+  fs.writeFileSync(path.join(weatherRoot, 'secrets.json'), '{}');
+  assert.equal(request('/weather/translations/de.json').sentFile, path.join(weatherRoot, 'translations', 'de.json'));
+  for (const privateFile of ['manifest.json', 'backend.js', 'secrets.json']) {
+    assert.equal(request(`/weather/${privateFile}`).statusCode, 404, `${privateFile} is not a declared frontend asset`);
+  }
+});
+
+test('a new pluginPaths entry sets up only its own plugins and keeps the host and earlier instances', (t) => {
+  const fs = require('node:fs');
+  const path = require('node:path');
+  const dir = fs.mkdtempSync(path.join(require('node:os').tmpdir(), 'wu-plugin-merge-'));
+  const previous = {
+    pluginHost: helper._pluginHost,
+    pluginPaths: helper._pluginPaths,
+    warnings: helper._pluginWarnings,
+    mmLog: helper._mmLog,
+  };
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete global.__wuPluginSetups;
+    helper._pluginHost = previous.pluginHost;
+    helper._pluginPaths = previous.pluginPaths;
+    helper._pluginWarnings = previous.warnings;
+    helper._mmLog = previous.mmLog;
+  });
+
+  global.__wuPluginSetups = [];
+  const writeBackendPlugin = (collection, id) => {
+    const pluginRoot = path.join(dir, collection, id);
+    fs.mkdirSync(pluginRoot, { recursive: true });
+    fs.writeFileSync(path.join(pluginRoot, 'frontend.js'), '');
+    fs.writeFileSync(
+      path.join(pluginRoot, 'backend.js'),
+      `module.exports = { id: '${id}', hostApiVersion: 1, setup: () => { global.__wuPluginSetups.push('${id}'); return {}; } };`
+    );
+    fs.writeFileSync(
+      path.join(pluginRoot, 'manifest.json'),
+      JSON.stringify({
+        id,
+        version: '1.0.0',
+        title: id,
+        type: 'widget',
+        entry: { frontend: 'frontend.js', backend: 'backend.js' },
+        capabilities: ['lessons'],
+        compatibility: { contractVersion: 3, hostApiVersion: 1 },
+      })
+    );
+  };
+  writeBackendPlugin('first', 'weather');
+  writeBackendPlugin('second', 'meals');
+
+  helper._mmLog = () => {};
+  helper._pluginHost = null;
+  helper._pluginPaths = [];
+  helper._pluginWarnings = [];
+  helper._ensurePluginPaths([path.join(dir, 'first')]);
+  const host = helper._pluginHost;
+  const weather = host.plugins.find((plugin) => plugin.id === 'weather');
+  const grid = host.plugins.find((plugin) => plugin.id === 'grid');
+
+  helper._ensurePluginPaths([path.join(dir, 'first'), path.join(dir, 'second')]);
+  helper._ensurePluginPaths([path.join(dir, 'second')]);
+  assert.deepEqual(global.__wuPluginSetups, ['weather', 'meals'], 'setup() runs once per plugin');
+  assert.equal(helper._pluginHost, host, 'running fetches keep the same host');
+  assert.equal(
+    host.plugins.find((plugin) => plugin.id === 'weather'),
+    weather
+  );
+  assert.equal(
+    host.plugins.find((plugin) => plugin.id === 'grid'),
+    grid
+  );
+  assert.equal(
+    host.plugins.some((plugin) => plugin.id === 'meals'),
+    true
+  );
+});
+
+test('deriveData hooks add namespaced derived data for enabled plugins with the capability', async (t) => {
+  const previous = { pluginHost: helper._pluginHost, mmLog: helper._mmLog, derived: helper._derivedDataByStudent };
+  t.after(() => {
+    helper._pluginHost = previous.pluginHost;
+    helper._mmLog = previous.mmLog;
+    helper._derivedDataByStudent = previous.derived;
+  });
+
+  const calls = [];
+  const record = (id, capabilities, deriveData) => ({ id, manifest: { id, capabilities }, instance: { deriveData } });
+  let failNext = false;
+  helper._pluginHost = {
+    plugins: [
+      record('stats', ['homework', 'pluginDerivedData'], async ({ data, previous: prev, pluginConfig }) => {
+        calls.push(prev);
+        if (failNext) throw new Error('boom');
+        return { open: data.homework.length * pluginConfig.factor };
+      }),
+      record('undeclared', ['homework'], () => ({ never: true })),
+      record('disabled', ['pluginDerivedData'], () => ({ never: true })),
+      record('silent', ['pluginDerivedData'], () => undefined),
+    ],
+  };
+  const warnings = [];
+  helper._mmLog = (level, _student, message) => warnings.push(`${level}: ${message}`);
+  helper._derivedDataByStudent = new Map();
+
+  const config = {
+    plugins: {
+      stats: { enabled: true, config: { factor: 2 } },
+      undeclared: { enabled: true },
+      disabled: { enabled: false },
+      silent: { enabled: true },
+    },
+  };
+  const student = { title: 'Alice' };
+  const first = { data: { homework: [{ id: 1 }] }, context: {}, state: {} };
+  await helper._applyDerivedData('MMM-Webuntis_0', student, first, config);
+  assert.deepEqual(first.data.derived, { stats: { open: 2 } });
+
+  const second = { data: { homework: [{ id: 1 }, { id: 2 }] }, context: {}, state: {} };
+  await helper._applyDerivedData('MMM-Webuntis_0', student, second, config);
+  assert.deepEqual(second.data.derived, { stats: { open: 4 } });
+  assert.deepEqual(calls, [null, { open: 2 }], 'hooks receive their own previous output');
+
+  failNext = true;
+  const third = { data: { homework: [] }, context: {}, state: {} };
+  await helper._applyDerivedData('MMM-Webuntis_0', student, third, config);
+  assert.deepEqual(third.data.derived, { stats: { open: 4 } }, 'a failing hook keeps its previous output');
+  assert.deepEqual(warnings, ['warn: [plugin:stats] deriveData failed: boom']);
+
+  const frontend = loadFrontendModule();
+  const client = Object.assign(Object.create(frontend), {
+    _log() {},
+    ...Object.fromEntries(
+      [
+        'timetableByStudent',
+        'examsByStudent',
+        'dayNoticesByStudent',
+        'timeUnitsByStudent',
+        'periodNamesByStudent',
+        'preprocessedByStudent',
+        'homeworksByStudent',
+        'absencesByStudent',
+        'gradesByStudent',
+        'messagesOfDayByStudent',
+        'derivedByStudent',
+        'holidaysByStudent',
+        'holidayMapByStudent',
+        'dayNoticeMapByStudent',
+      ].map((name) => [name, {}])
+    ),
+  });
+  client._processPayloadData('Alice', { data: { derived: { stats: { open: 4 } } }, state: {} });
+  client._processPayloadData('Alice', { data: {}, state: { api: { timetable: 503 } } });
+  assert.deepEqual(client._buildPluginStudentRuntimeSlices(['Alice'])[0].data.derived, { stats: { open: 4 } });
+});
+
+test('plugin config schemas validate options, supply defaults and generate the MMM-Config plugin sections', (t) => {
+  const path = require('node:path');
+  const { getSchemaDefaults, validatePluginConfig } = require('../lib/pluginConfigSchema');
+  const { loadPluginRegistry } = require('../lib/pluginLoader');
+  const { buildMmmConfigSchema } = require('../lib/mmmConfigSchemaGenerator');
+
+  const registry = loadPluginRegistry({ moduleRoot: path.join(__dirname, '..') });
+  assert.deepEqual(registry.warnings, []);
+  const gridSchema = registry.plugins.find((plugin) => plugin.id === 'grid').configSchema;
+  assert.equal(gridSchema.properties.nextDays.default, 4);
+
+  const messages = (config) => validatePluginConfig('grid', config, gridSchema).map(({ severity, message }) => `${severity}: ${message}`);
+  assert.deepEqual(messages({ nextDays: 3, weekView: true }), []);
+  assert.deepEqual(messages({ nextDays: '3', pastDays: -1, pxPerMinute: 0, fields: { format: { room: 'medium' } } }), [
+    'warning: grid.nextDays must be an integer. Value: 3',
+    'warning: grid.pastDays cannot be negative. Value: -1',
+    'warning: grid.pxPerMinute must be a positive number. Value: 0',
+    'warning: grid.fields.format.room must be one of: short, long. Value: medium',
+  ]);
+  assert.deepEqual(messages({ nextDays: 40, pastDays: 20 }), [
+    'error: grid.nextDays is very large (40). Consider reducing for better performance.',
+    'warning: grid.pastDays is very large (20). Consider reducing.',
+  ]);
+  assert.deepEqual(messages('full'), ['warning: grid plugin config must be an object.']);
+
+  const defaults = getSchemaDefaults(gridSchema);
+  assert.equal(defaults.nextDays, 4);
+  assert.equal(defaults.fields.primary, 'subject', 'nested defaults are assembled from their properties');
+  defaults.fields.primary = 'teacher';
+  assert.equal(getSchemaDefaults(gridSchema).fields.primary, 'subject', 'every call returns a fresh copy');
+
+  const previous = { pluginHost: helper._pluginHost, mmLog: helper._mmLog };
+  t.after(() => {
+    helper._pluginHost = previous.pluginHost;
+    helper._mmLog = previous.mmLog;
+  });
+  helper._mmLog = () => {};
+  helper._pluginHost = {
+    plugins: [
+      {
+        id: 'grid',
+        configSchema: gridSchema,
+        instance: {
+          getDefaultConfig: () => ({ nextDays: 7 }),
+          validateConfig: (config) => (config?.nextDays > config?.pastDays ? [] : ['grid.nextDays must exceed grid.pastDays.']),
+        },
+      },
+    ],
+  };
+  const gridDefaults = helper._getBackendPluginDefaultConfig('grid');
+  assert.equal(gridDefaults.nextDays, 7, 'getDefaultConfig() wins over schema defaults');
+  assert.equal(gridDefaults.dateFormat, 'EEE dd.MM.');
+  const { warnings } = helper._collectPluginValidationIssues({ plugins: { grid: { config: { nextDays: -2, pastDays: 0 } } } });
+  assert.deepEqual(warnings, ['grid.nextDays cannot be negative. Value: -2', 'grid.nextDays must exceed grid.pastDays.']);
+
+  const base = {
+    schema: {
+      'MMM-Webuntis': {
+        type: 'object',
+        properties: {
+          config: {
+            type: 'object',
+            properties: {
+              header: { type: 'string', description: 'Title above the module.' },
+              displayMode: { type: 'string', description: 'Widgets to show.' },
+              plugins: { type: 'object', properties: {} },
+              students: { type: 'array', items: { type: 'object', properties: { plugins: { type: 'object', properties: {} } } } },
+            },
+          },
+        },
+      },
+    },
+    form: [
+      {
+        type: 'fieldset',
+        title: 'config',
+        items: [
+          { key: 'MMM-Webuntis.config.header' },
+          { key: 'MMM-Webuntis.config.displayMode' },
+          { type: 'fieldset', title: 'plugins', items: [] },
+        ],
+      },
+    ],
+    value: { config: {} },
+  };
+  const { schema, notes } = buildMmmConfigSchema({
+    base,
+    moduleDefaults: { header: 'WebUntis', displayMode: 'grid', showStartTime: false, grid: {} },
+    defaultComments: { showStartTime: 'Show start times instead of period names.' },
+    plugins: registry.plugins,
+  });
+  const configProperties = schema.schema['MMM-Webuntis'].properties.config.properties;
+  assert.deepEqual(Object.keys(configProperties), ['header', 'displayMode', 'showStartTime', 'plugins', 'students']);
+  assert.deepEqual(configProperties.showStartTime, { type: 'boolean', description: 'Show start times instead of period names.' });
+  assert.deepEqual(notes, ['Added "showStartTime"; review its description and form entry.']);
+  assert.equal(configProperties.plugins.properties.grid.properties.config.properties.nextDays['x-recommended'], undefined);
+  assert.deepEqual(Object.keys(configProperties.students.items.properties.plugins.properties.grid.properties.config.properties), [
+    'nextDays',
+    'pastDays',
+    'weekView',
+  ]);
+  assert.equal(schema.form[0].items[2].key, 'MMM-Webuntis.config.showStartTime');
+  assert.equal(schema.value.config.plugins.grid.enabled, true);
+  assert.equal(schema.value.config.plugins.lessons.enabled, false);
+  assert.equal(schema.value.config.plugins.grid.config.nextDays, 4);
+});
+
+test('plugin slots lay out header, footer and overlay strips and decorate verbose student titles', (t) => {
+  const { validatePluginManifest } = require('../lib/pluginManifestValidator');
+  const manifest = {
+    id: 'strip',
+    version: '1.0.0',
+    title: 'Strip',
+    type: 'widget',
+    entry: { frontend: 'frontend.js' },
+    capabilities: ['lessons'],
+    compatibility: { contractVersion: 3, hostApiVersion: 1 },
+  };
+  assert.deepEqual(validatePluginManifest({ ...manifest, slots: ['header', 'studentHeader'] }).manifest.slots, ['header', 'studentHeader']);
+  assert.deepEqual(validatePluginManifest({ ...manifest, slots: ['sidebar'] }).errors, [
+    'Unsupported plugin slot "sidebar". Supported slots: main, header, footer, overlay, studentHeader.',
+  ]);
+
+  const { dom } = loadFrontendShared();
+  const previousDocument = global.document;
+  t.after(() => {
+    global.document = previousDocument;
+  });
+  global.document = { createElement: (tag) => el(tag), createTextNode: (text) => new FakeNode(3, '#text', text) };
+
+  const renders = [];
+  const instances = {
+    lessons: {
+      render: ({ slot, students }) => {
+        renders.push(`lessons:${slot}`);
+        const section = el('section');
+        for (const student of students) dom.addHeader(section, `Lessons ${student.student.title}`, student.student.title);
+        return section;
+      },
+    },
+    strip: {
+      render: ({ slot, students }) => {
+        renders.push(`strip:${slot}:${students.map((student) => student.student.title).join('+')}`);
+        return el('span', {}, [slot]);
+      },
+    },
+    alert: { render: () => null },
+    footer: {
+      render: () => {
+        throw new Error('boom');
+      },
+    },
+  };
+  const frontend = loadFrontendModule();
+  const client = Object.assign(Object.create(frontend), {
+    config: { mode: 'verbose' },
+    _log() {},
+    translate: (key) => key,
+    _getRuntimeWarnings: () => [],
+    _buildStaleDataNotice: () => null,
+    _getSortedStudentTitles: () => ['Alice', 'Bob'],
+    _getDisplayWidgets: () => ['lessons', 'strip'],
+    _ensurePluginAssetState: () => ({ loaded: true }),
+    _createFrontendPluginContext: () => ({}),
+    _getPluginHost: () => ({ hasFrontendPlugin: () => true, createFrontendPluginInstance: (pluginId) => instances[pluginId] }),
+  });
+  client._setPluginRegistry([
+    { id: 'lessons', title: 'Lessons', active: true, slots: ['main'] },
+    { id: 'strip', title: 'Strip', active: true, order: 20, slots: ['header', 'studentHeader'] },
+    { id: 'alert', title: 'Alert', active: true, slots: ['overlay'] },
+    { id: 'footer', title: 'Footer', active: true, slots: ['footer'] },
+    { id: 'idle', title: 'Idle', active: false, slots: ['header'] },
+  ]);
+
+  const wrapper = client._buildDom();
+  const keys = wrapper.children.map((child) => child.getAttribute('data-wu-key'));
+  assert.deepEqual(keys, ['slot:header', 'plugin:lessons', 'slot:footer'], 'empty slots (overlay) are left out');
+  assert.equal(wrapper.children[0].className, 'wu-slot wu-slot--header');
+  assert.equal(wrapper.children[2].children[0].getAttribute('data-wu-plugin-failure').length, 7, 'slot errors stay in their slot');
+  assert.deepEqual(renders, ['strip:header:Alice+Bob', 'lessons:main', 'strip:studentHeader:Alice', 'strip:studentHeader:Bob']);
+
+  const headers = wrapper.children[1].children;
+  assert.deepEqual(
+    headers.map((header) => [header.getAttribute('data-wu-student'), header.children.map((child) => child.className)]),
+    [
+      ['Alice', ['wu-slot wu-slot--studentHeader']],
+      ['Bob', ['wu-slot wu-slot--studentHeader']],
+    ]
+  );
+
+  // update() hands back the mounted element; its student titles get fresh slot content, not a second copy.
+  instances.lessons.update = (prevElement) => prevElement;
+  client._appendPluginWidget(el('div'), 'lessons', 'Lessons', {
+    studentTitles: ['Alice', 'Bob'],
+    appendWidgetError: assert.fail,
+    mountedContainer: wrapper,
+  });
+  assert.deepEqual(
+    headers.map((header) => header.children.length),
+    [1, 1]
+  );
+});
+
+test('failing plugins are recreated, disabled after repeated failures and reported to node_helper', (t) => {
+  const previousDocument = global.document;
+  t.after(() => {
+    global.document = previousDocument;
+  });
+  global.document = { createElement: (tag) => el(tag) };
+
+  const created = [];
+  const destroyed = [];
+  let failing = true;
+  const instances = {
+    flaky: () => ({
+      render: () => {
+        if (failing) throw new TypeError("Cannot read properties of undefined (reading 'lessons')");
+        return el('section');
+      },
+      destroy: () => destroyed.push('flaky'),
+    }),
+    steady: () => ({ render: () => el('section') }),
+  };
+  const host = {
+    hasFrontendPlugin: () => true,
+    createFrontendPluginInstance: (pluginId) => {
+      created.push(pluginId);
+      return instances[pluginId]();
+    },
+    callLifecycleHook: (_pluginId, instance, hookName) => instance[hookName]?.(),
+  };
+  const requests = [];
+  const logs = [];
+  const frontend = loadFrontendModule();
+  const client = Object.assign(Object.create(frontend), {
+    config: {},
+    _sessionId: 'abc',
+    _log: (level, message) => logs.push(`${level}: ${message}`),
+    translate: (key, replacements) => `${key} ${JSON.stringify(replacements)}`,
+    _getRuntimeWarnings: () => [],
+    _ensurePluginAssetState: () => ({ loaded: true }),
+    _createFrontendPluginContext: () => ({}),
+    _getPluginHost: () => host,
+    transport: { sendRequest: (action, data) => requests.push([action, data]) },
+  });
+  client._setPluginRegistry([
+    { id: 'flaky', active: true },
+    { id: 'steady', active: true },
+  ]);
+
+  const first = client._renderFrontendPluginWidget('flaky', []);
+  const { digest } = client._frontendPluginInstancesById.get('flaky').lastError;
+  assert.match(digest, /^#[0-9a-f]{6}$/);
+  assert.equal(first.getAttribute('data-wu-plugin-failure'), digest);
+  assert.equal(
+    first.textContent,
+    `plugin_render_error ${JSON.stringify({ plugin: 'flaky', failures: 1, digest, message: "Cannot read properties of undefined (reading 'lessons')" })}`
+  );
+  assert.equal(client._renderFrontendPluginWidget('steady', []).nodeName, 'SECTION', 'other plugins are unaffected');
+  assert.deepEqual(destroyed, ['flaky']);
+
+  failing = false;
+  client._renderFrontendPluginWidget('flaky', []);
+  assert.equal(client._frontendPluginInstancesById.get('flaky').failures, 0, 'a successful render resets the count');
+  assert.deepEqual(created, ['flaky', 'steady', 'flaky'], 'the failed instance is recreated');
+
+  failing = true;
+  for (let attempt = 0; attempt < 3; attempt += 1) client._renderFrontendPluginWidget('flaky', []);
+  const disabled = client._renderFrontendPluginWidget('flaky', []);
+  assert.match(disabled.textContent, /^plugin_disabled .*"failures":3/);
+  assert.equal(created.length, 5, 'a disabled plugin is not created again');
+  assert.deepEqual(
+    requests.map(([action, data]) => [action, data.pluginId, data.failures, data.disabled, data.digest]),
+    [
+      ['PLUGIN_ERROR', 'flaky', 1, false, digest],
+      ['PLUGIN_ERROR', 'flaky', 1, false, digest],
+      ['PLUGIN_ERROR', 'flaky', 2, false, digest],
+      ['PLUGIN_ERROR', 'flaky', 3, true, digest],
+    ]
+  );
+  assert.equal(logs.at(-1), `error: [plugin:flaky] main render failed (${digest}, 3 in a row); plugin disabled: ${requests[0][1].message}`);
+
+  client._setPluginRegistry([
+    { id: 'flaky', active: true },
+    { id: 'steady', active: true },
+  ]);
+  client._renderFrontendPluginWidget('flaky', []);
+  assert.equal(created.length, 6, 'a new plugin registry gives disabled plugins another chance');
+
+  const previous = { mmLog: helper._mmLog };
+  t.after(() => {
+    helper._mmLog = previous.mmLog;
+  });
+  const serverLogs = [];
+  helper._mmLog = (level, _student, message) => serverLogs.push(`${level}: ${message}`);
+  helper._handlePluginError({ id: 'MMM-Webuntis_0', sessionId: 'abc', ...requests[3][1] });
+  assert.deepEqual(serverLogs, [
+    `error: [plugin:flaky] frontend main render failed 3x in a row (${digest}, id=MMM-Webuntis_0); plugin disabled until the next reload: ${requests[3][1].message}`,
+  ]);
+});
+
+// Plugin context whose translate() runs through the host, without plugin translation files loaded.
+function createHostPluginContext(pluginId) {
+  const host = Object.assign(Object.create(loadFrontendModule()), { translate: (key) => key });
+  return { translate: (key, fallback, replacements) => host._translatePluginKey(pluginId, key, fallback, replacements) };
+}
+
+/**
+ * Load a first-party frontend plugin the way the browser does, against the shared frontend API,
+ * the keyed DOM patcher and a fake DOM whose `innerHTML` is an attribute (so patching sees it).
+ *
+ * @param {Object} t - Test context; globals are restored after the test
+ * @param {string} pluginId - Folder name below plugins/
+ * @returns {{shared: Object, definition: Object}} window.MMMWebuntisFrontendShared and the registered plugin
+ */
+function loadFrontendPlugin(t, pluginId) {
+  const { patchKeyedDom } = require('../lib/pluginHostFrontend');
+  const shared = loadFrontendShared();
+  const previousGlobals = {
+    window: global.window,
+    document: global.document,
+    MMMWebuntisPluginHost: global.MMMWebuntisPluginHost,
+    MMMWebuntisFrontendShared: global.MMMWebuntisFrontendShared,
+  };
+  t.after(() => {
+    Object.assign(global, previousGlobals);
+  });
+
+  let definition = null;
+  global.window = { MMModuleRuntimeUtils: runtimeUtils };
+  global.document = {
+    createElement: (tag) => {
+      const node = el(tag);
+      Object.defineProperty(node, 'innerHTML', {
+        get: () => node.getAttribute('data-html') || '',
+        set: (html) => node.setAttribute('data-html', html),
+      });
+      return node;
+    },
+  };
+  global.MMMWebuntisPluginHost = { registerFrontendPlugin: (entry) => (definition = entry), patchDom: patchKeyedDom };
+  global.MMMWebuntisFrontendShared = shared;
+  const pluginPath = require.resolve(`../plugins/${pluginId}/frontend`);
+  delete require.cache[pluginPath];
+  require(pluginPath);
+  return { shared, definition };
+}
+
+test('nownext plugin tracks the running and the next lesson through breaks, cancellations and debugDate', (t) => {
+  const { shared, definition } = loadFrontendPlugin(t, 'nownext');
+
+  const lesson = (date, startTime, endTime, subject, extra = {}) => ({
+    date,
+    startTime,
+    endTime,
+    status: 'REGULAR',
+    subjects: [{ name: subject, longname: subject }],
+    teachers: [{ name: 'Mül', longname: 'Müller' }],
+    rooms: [{ name: 'R1', longname: 'Room 1' }],
+    ...extra,
+  });
+  const lessons = [
+    lesson(20261019, 800, 845, 'M'),
+    lesson(20261019, 850, 935, 'E', {
+      status: 'CHANGED',
+      teachers: [{ name: 'Sch', longname: 'Schmidt' }],
+      previousTeachers: [{ name: 'Mül', longname: 'Müller' }],
+    }),
+    lesson(20261019, 955, 1040, 'Ku', { status: 'CANCELLED' }),
+    lesson(20261019, 1045, 1130, 'Bio'),
+    lesson(20261020, 800, 845, 'Ch'),
+  ];
+
+  const { resolveNowNext } = shared.nownext;
+  const at = (hhmm, options) => {
+    const resolved = resolveNowNext(lessons, 20261019, Math.floor(hhmm / 100) * 60 + (hhmm % 100), options);
+    const subjectsOf = (entries) => entries.map((entry) => entry.subjects[0].name);
+    return { ...resolved, current: subjectsOf(resolved.current), next: subjectsOf(resolved.next), skipped: subjectsOf(resolved.skipped) };
+  };
+  assert.deepEqual(at(730), { state: 'before', current: [], until: 480, next: ['M'], nextYmd: 20261019, skipped: [] });
+  assert.deepEqual(at(810), { state: 'lesson', current: ['M'], until: 525, next: ['E'], nextYmd: 20261019, skipped: [] });
+  assert.deepEqual(at(846), { state: 'break', current: [], until: 530, next: ['E'], nextYmd: 20261019, skipped: [] });
+  assert.deepEqual(at(940), { state: 'break', current: [], until: 645, next: ['Bio'], nextYmd: 20261019, skipped: ['Ku'] });
+  assert.deepEqual(at(1000), { state: 'free', current: ['Ku'], until: 645, next: ['Bio'], nextYmd: 20261019, skipped: [] });
+  assert.deepEqual(at(1140), { state: 'done', current: [], until: null, next: ['Ch'], nextYmd: 20261020, skipped: [] });
+  assert.deepEqual(at(1140, { showNextDay: false }).next, []);
+
+  // debugDate pins the day; the time of day follows the (mocked) wall clock in the school timezone.
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout', 'setInterval'], now: new Date('2030-01-08T07:40:00Z') });
+  const instance = definition.create(createHostPluginContext('nownext'));
+  const renderContext = {
+    slot: 'header',
+    students: [
+      {
+        student: { title: 'Anna' },
+        context: { config: { debugDate: '2026-10-19', timezone: 'Europe/Berlin', plugins: { nownext: { config: { showRoom: false } } } } },
+        data: { lessons, timeUnits: [{ name: '2', startTime: 850, endTime: 935 }] },
+      },
+    ],
+  };
+  const rowsOf = (section) =>
+    section.children[0].children.map((row) =>
+      row.children
+        .map((column) => column.innerHTML)
+        .filter(Boolean)
+        .join(' | ')
+    );
+
+  const section = instance.render(renderContext);
+  section.isConnected = true;
+  assert.equal(section.children[0].getAttribute('data-wu-key'), 'student:Anna');
+  assert.deepEqual(rowsOf(section), [
+    '<span class="wu-nownext__label">now</span> | <span class="wu-nownext__subject">M</span>&nbsp;<span class="teacher-name wu-nownext__teacher">Mül</span> <span class="wu-nownext__countdown">5 min left</span>',
+    '<span class="wu-nownext__label">next</span> <span class="wu-nownext__period">period 2</span> | <span class="wu-nownext__subject">E</span>&nbsp;<span class="teacher-name wu-nownext__teacher"><span class="lesson-changed-removed">Mül</span>&nbsp;<span class="lesson-changed-new">Sch</span></span> <span class="wu-nownext__countdown">in 10 min</span>',
+  ]);
+
+  t.mock.timers.tick(60 * 1000);
+  assert.match(rowsOf(section)[0], /4 min left/, 'the minute timer refreshes the mounted strip in place');
+  instance.onSuspend();
+  t.mock.timers.tick(5 * 60 * 1000);
+  assert.match(rowsOf(section)[0], /4 min left/, 'suspended strips do not tick');
+  instance.destroy();
+});
+
+test('daysummary plugin sums up today until the last lesson ends, then the next school day', (t) => {
+  const { calculateFetchRanges } = require('../lib/webuntis/dataOrchestration');
+  const friday = new Date(2026, 9, 23, 15, 0);
+  const ranges = calculateFetchRanges({ baseNow: friday, fetchPlan: { fetchTimetable: true }, days: { globalNextDays: 2 } });
+  assert.equal(ranges.timetable.nextDays, 3, 'lesson plugins other than grid/lessons still get the timetable up to Monday');
+
+  const { shared, definition } = loadFrontendPlugin(t, 'daysummary');
+  const lesson = (date, startTime, endTime, status = 'REGULAR') => ({ date, startTime, endTime, status, subjects: [{ name: 'M' }] });
+  const data = {
+    lessons: [
+      lesson(20261023, 935, 1020),
+      lesson(20261023, 1025, 1110, 'CANCELLED'),
+      lesson(20261023, 1125, 1310, 'CHANGED'),
+      lesson(20261023, 1315, 1400, 'CANCELLED'),
+      lesson(20261026, 800, 845),
+    ],
+    exams: [{ examDate: 20261023, startTime: 1125, name: 'Maths test', subject: 'M' }],
+    homework: [
+      { dueDate: 20261026, subject: { name: 'E', longname: 'English' }, completed: false },
+      { dueDate: 20261026, subject: { name: 'Bio', longname: 'Biology' }, completed: true },
+    ],
+    holidays: { ranges: [{ startDate: 20261026, endDate: 20261030, name: 'HF', longName: 'Autumn break' }] },
+  };
+
+  const { summarizeDay } = shared.daysummary;
+  const today = summarizeDay(data, 20261023, 9 * 60);
+  assert.deepEqual(
+    { ...today, exams: today.exams.map((exam) => exam.name) },
+    {
+      ymd: 20261023,
+      start: 935,
+      end: 1310,
+      cancelled: 2,
+      substituted: 1,
+      allCancelled: false,
+      exams: ['Maths test'],
+      homework: [],
+      holiday: null,
+    }
+  );
+  const monday = summarizeDay(data, 20261023, 13 * 60 + 10);
+  assert.equal(monday.ymd, 20261026, 'after the last lesson (cancelled ones aside) the weekend is skipped');
+  assert.deepEqual(
+    monday.homework.map((homework) => homework.subject.name),
+    ['E']
+  );
+  assert.equal(monday.holiday, null, 'a day with lessons is no holiday');
+  assert.equal(summarizeDay(data, 20261023, 14 * 60, { hideWeekends: false }).ymd, 20261024);
+  assert.equal(summarizeDay({ ...data, lessons: [] }, 20261025, 12 * 60).holiday.longName, 'Autumn break');
+
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout', 'setInterval'], now: new Date('2026-10-23T11:09:00Z') });
+  const instance = definition.create(createHostPluginContext('daysummary'));
+  const section = instance.render({
+    students: [{ student: { title: 'Anna' }, context: { config: { timezone: 'Europe/Berlin' } }, data }],
+  });
+  section.isConnected = true;
+  const rowText = () =>
+    section.children[0].children[0].children
+      .map((column) => column.innerHTML)
+      .join(' | ')
+      .replace(/<[^>]+>/g, '');
+  assert.equal(rowText(), 'Anna | today | 09:35–13:10, 2 cancelled, 1 substituted, Maths test');
+
+  t.mock.timers.tick(60 * 1000);
+  assert.match(rowText(), /^Anna \| \w+ 26\.10\. \| 08:00–08:45, homework: E$/, 'the minute timer switches to the next school day');
+  instance.destroy();
+});
+
+test('exams countdown view groups exams by week, counts calendar days and marks urgency', (t) => {
+  const { definition } = loadFrontendPlugin(t, 'exams');
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-23T20:00:00Z') });
+
+  const exam = (examDate, name, text = '') => ({ examDate, startTime: 800, name, subject: 'M', teachers: [], text });
+  const render = (config) =>
+    definition.create(createHostPluginContext('exams')).render({
+      students: [
+        {
+          student: { title: 'Anna' },
+          context: {
+            config: { timezone: 'Europe/Berlin', plugins: { exams: { config: { nextDays: 21, dateFormat: 'dd.MM.', ...config } } } },
+          },
+          data: { exams: [exam(20261106, 'Biology'), exam(20261024, 'Maths', 'Chapter 4'), exam(20261026, 'English')] },
+        },
+      ],
+    });
+  const rows = (section) =>
+    section.children[0].children.map((row) => ({
+      className: row.className,
+      text: row.children
+        .map((column) => column.innerHTML)
+        .join(' | ')
+        .replace(/<summary>[^<]*<\/summary>/g, '[note] ')
+        .replace(/<[^>]+>|&nbsp;/g, '')
+        .trim(),
+    }));
+
+  assert.deepEqual(rows(render({ view: 'countdown', showSubject: false, showText: 'collapsed' })), [
+    { className: 'wu-row examWeekRow', text: 'this week' },
+    { className: 'wu-row examRow examCountdownRow wu-exam--urgent', text: 'Anna | tomorrow 24.10. | Maths[note] Chapter 4' },
+    { className: 'wu-row examWeekRow', text: 'next week' },
+    { className: 'wu-row examRow examCountdownRow wu-exam--soon', text: 'Anna | in 3 days 26.10. | English' },
+    { className: 'wu-row examWeekRow', text: 'week of 02.11.' },
+    { className: 'wu-row examRow examCountdownRow wu-exam--later', text: 'Anna | in 14 days 06.11. | Biology' },
+  ]);
+  assert.match(
+    render({ view: 'countdown', urgentDays: 0, soonDays: 1 }).children[0].children[1].className,
+    /wu-exam--soon$/,
+    'thresholds are configurable'
+  );
+  assert.deepEqual(
+    rows(render({ showSubject: false })).map((row) => row.text),
+    ['Anna | 24.10. | MathsChapter 4', 'Anna | 26.10. | English', 'Anna | 06.11. | Biology'],
+    'the list view stays unchanged by default'
+  );
+  assert.equal(rows(render({ showSubject: false, showText: 'off' }))[0].text, 'Anna | 24.10. | Maths');
+});
+
+test('holidays plugin counts school days to the next holiday and names the day school starts again', (t) => {
+  const { buildFetchFlagsFromCapabilities } = require('../lib/pluginCapabilityResolver');
+  assert.equal(buildFetchFlagsFromCapabilities(['holidays']).fetchHolidays, true, 'a holidays-only setup still gets the holiday ranges');
+
+  const { shared, definition } = loadFrontendPlugin(t, 'holidays');
+  const ranges = [
+    { startDate: 20261221, endDate: 20270105, name: 'WF', longName: 'Christmas break' },
+    { startDate: 20261026, endDate: 20261030, name: 'HF', longName: 'Autumn break' },
+    { startDate: 20261102, endDate: 20261102, name: 'BT', longName: 'Bridge day' },
+  ];
+  const { resolveHolidays } = shared.holidays;
+
+  const friday = resolveHolidays(ranges, 20261016, { maxEntries: 2 });
+  assert.equal(friday.current, null);
+  assert.deepEqual(
+    friday.upcoming.map((entry) => [entry.range.name, entry.schoolDays]),
+    [
+      ['HF', 6],
+      ['BT', 6],
+    ],
+    'weekdays from today on, holiday days left out'
+  );
+  assert.equal(resolveHolidays(ranges, 20261016, { countWeekends: true }).upcoming[0].schoolDays, 10);
+  assert.equal(resolveHolidays(ranges, 20261024).upcoming[0].schoolDays, 0, 'no school day left on the weekend before');
+
+  const during = resolveHolidays(ranges, 20261028);
+  assert.equal(during.current.name, 'HF');
+  assert.equal(during.backToSchool, 20261103, 'the weekend and the bridge day right after are skipped');
+
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-16T08:00:00Z') });
+  const slice = (title, holidayRanges) => ({
+    student: { title },
+    context: { config: { timezone: 'Europe/Berlin', plugins: { holidays: { config: { maxEntries: 2 } } } } },
+    data: { holidays: { ranges: holidayRanges, current: null } },
+  });
+  const rowTexts = (container) =>
+    container.children.map((row) =>
+      row.children
+        .map((column) => column.innerHTML)
+        .join(' | ')
+        .replace(/<[^>]+>/g, '')
+    );
+
+  const instance = definition.create(createHostPluginContext('holidays'));
+  const section = instance.render({ students: [slice('Anna', ranges), slice('Ben', ranges)] });
+  assert.equal(section.children.length, 1, 'siblings at the same school share one list');
+  assert.deepEqual(rowTexts(section.children[0]), [
+    '6 school days until Autumn break',
+    ' | 26.10.–30.10. | Autumn break',
+    ' | 02.11. | Bridge day',
+  ]);
+
+  const otherSchool = [{ startDate: 20261019, endDate: 20261023, name: 'HF', longName: 'Autumn break' }];
+  const split = instance.render({ students: [slice('Anna', ranges), slice('Ben', ranges), slice('Cleo', otherSchool)] });
+  assert.equal(split.children.length, 2);
+  assert.match(rowTexts(split.children[0])[0], /^Anna, Ben: 6 school days until Autumn break$/);
+  assert.match(rowTexts(split.children[1])[0], /^Cleo: 1 school day until Autumn break$/);
+});
+
+test('grades are read from the grade book and summarized per subject with averages', async (t) => {
+  const { buildFetchFlagsFromCapabilities } = require('../lib/pluginCapabilityResolver');
+  const { calculateFetchRanges } = require('../lib/webuntis/dataOrchestration');
+  const restClient = require('../lib/webuntis/restClient');
+  const webuntisApiService = require('../lib/webuntis/webuntisApiService');
+
+  assert.equal(buildFetchFlagsFromCapabilities(['grades']).fetchGrades, true);
+  assert.equal(buildFetchFlagsFromCapabilities(['exams']).fetchGrades, false);
+  const ranges = calculateFetchRanges({ baseNow: new Date(2026, 9, 16), days: { gradesPastDays: 30 } });
+  assert.equal(ranges.grades.pastDays, 30);
+  assert.equal(ranges.grades.start.getDate(), 16, 'September 16th, 30 days back');
+
+  const calls = [];
+  t.mock.method(restClient, 'callRestAPI', async (request) => {
+    calls.push(request);
+    return {
+      status: 200,
+      data: {
+        data: {
+          grades: [
+            {
+              subject: 'M',
+              subjectLongName: 'Maths',
+              grade: {
+                id: 1,
+                date: 20261002,
+                mark: { name: '2-', markValue: 225 },
+                examType: { longname: 'Test' },
+                text: '<b>Fractions</b>',
+              },
+            },
+            { subject: 'M', grade: { id: 2, date: 20260915, mark: {}, text: 'not graded yet' } },
+          ],
+        },
+      },
+    };
+  });
+  const { data: grades } = await webuntisApiService.getGrades({
+    authContext: { getAuth: async () => ({}) },
+    server: 'example.webuntis.com',
+    rangeStart: ranges.grades.start,
+    rangeEnd: ranges.grades.end,
+    personId: 1001,
+  });
+  assert.equal(calls[0].path, '/WebUntis/api/classreg/grade/gradeList');
+  assert.equal(calls[0].params.personId, 1001);
+  assert.deepEqual(grades, [
+    {
+      id: 1,
+      date: 20261002,
+      subject: { name: 'M', longname: 'Maths' },
+      mark: '2-',
+      value: 2.25,
+      examType: 'Test',
+      text: '<b>Fractions</b>',
+    },
+  ]);
+
+  const { shared, definition } = loadFrontendPlugin(t, 'grades');
+  const maths = { name: 'M', longname: 'Maths' };
+  const english = { name: 'E', longname: 'English' };
+  const studentGrades = [
+    { date: 20261002, subject: maths, mark: '2-', value: 2.25 },
+    { date: 20260920, subject: maths, mark: '1', value: 1 },
+    { date: 20260910, subject: maths, mark: '3', value: 3 },
+    { date: 20260901, subject: maths, mark: '+', value: null },
+    { date: 20261005, subject: english, mark: '2', value: 2 },
+  ];
+
+  const summaries = shared.grades.summarizeGrades(studentGrades, { maxGradesPerSubject: 3 });
+  assert.deepEqual(
+    summaries.map((summary) => [summary.subject, summary.grades.map((grade) => grade.mark), summary.average, summary.count]),
+    [
+      ['English', ['2'], 2, 1],
+      ['Maths', ['2-', '1', '3'], 6.25 / 3, 4],
+    ],
+    'latest grade first; the average covers hidden grades and skips marks without a value'
+  );
+  assert.deepEqual(
+    shared.grades.summarizeGrades(studentGrades, { sortBy: 'subject', useShortSubject: true }).map((summary) => summary.subject),
+    ['E', 'M']
+  );
+
+  const instance = definition.create(createHostPluginContext('grades'));
+  const slice = (title, data) => ({
+    student: { title },
+    context: { config: { mode: 'compact', plugins: { grades: { config: { maxGradesPerSubject: 2 } } } } },
+    data: { grades: data },
+  });
+  const section = instance.render({ students: [slice('Anna', studentGrades), slice('Ben', [])] });
+  const rowTexts = (container) =>
+    container.children.map((row) =>
+      row.children
+        .map((column) => column.innerHTML)
+        .join(' | ')
+        .replace(/<[^>]+>/g, '')
+    );
+  assert.deepEqual(rowTexts(section.children[0]), ['Anna | English | 2⌀ 2.00', 'Anna | Maths | 2-1⌀ 2.08']);
+  assert.deepEqual(rowTexts(section.children[1]), ['Ben |  | no grades']);
+});